@@ -7,7 +7,7 @@
  * Features:
  * - Grid and Masonry layout options
  * - Character filtering by rarity and status
- * - Search functionality
+ * - Indexed search with cursor-based "Load more" paging
  * - Configurable default settings
  * - UI element visibility controls
  * - Firebase Realtime Database integration
@@ -18,6 +18,12 @@
  */
 
 import firebaseConfig from '../ml/config/firebase-config.js';
+import { FirebaseCharacterRepository } from '../ml/repositories/character-repository.js';
+import { FirebaseTraitRepository } from '../ml/repositories/trait-repository.js';
+import { FirestoreSettingsRepository } from '../ml/repositories/settings-repository.js';
+import { parseTraitList } from '../ml/services/traits.js';
+import { VOCABULARY_SETTING_ID, normalizeVocabularies, fillVocabularySelect } from '../ml/services/vocabularies.js';
+import { getCharacterImages, getImageUrl, getCharacterImageUrl } from '../ml/services/character-images.js';
 
 /**
  * Main Character Gallery Manager Class
@@ -31,11 +37,13 @@ import firebaseConfig from '../ml/config/firebase-config.js';
  * @param {string} [options.searchId='characterSearch'] - ID of the search input element
  * @param {string} [options.rarityFilterId='rarityFilter'] - ID of the rarity filter element
  * @param {string} [options.statusFilterId='statusFilter'] - ID of the status filter element
+ * @param {string} [options.traitFilterId='traitFilter'] - ID of the trait filter element
  * @param {string} [options.resultsCountId='resultsCount'] - ID of the results count element
  * @param {string} [options.layoutToggleId='layoutToggle'] - ID of the layout toggle container
  * @param {string} [options.defaultLayout='masonry'] - Default layout ('grid' or 'masonry')
  * @param {string} [options.defaultRarity=''] - Default rarity filter value
  * @param {string} [options.defaultStatus=''] - Default status filter value
+ * @param {string} [options.defaultTrait=''] - Default trait filter value
  * @param {string} [options.defaultSearch=''] - Default search value
  * @param {boolean} [options.showLayoutToggle=true] - Show/hide layout toggle buttons
  * @param {boolean} [options.showGridButton=false] - Show/hide grid layout button
@@ -43,11 +51,14 @@ import firebaseConfig from '../ml/config/firebase-config.js';
  * @param {boolean} [options.showFilters=false] - Show/hide all filter elements (when true, enables search and filters)
  * @param {boolean} [options.showRarityFilter=false] - Show/hide rarity filter
  * @param {boolean} [options.showStatusFilter=false] - Show/hide status filter
+ * @param {boolean} [options.showTraitFilter=false] - Show/hide trait filter
  * @param {boolean} [options.showSearch=false] - Show/hide search input
  * @param {boolean} [options.showResultsCount=false] - Show/hide results count
  * @param {boolean} [options.showGalleryTitle=false] - Show/hide gallery title
  * @param {boolean} [options.showMasterlistNumber=false] - Show/hide masterlist number in character cards
  * @param {boolean} [options.autoLoad=true] - Automatically load characters on initialization
+ * @param {number} [options.pageSize=48] - Characters loaded per page
+ * @param {string} [options.defaultSort='masterlist'] - Sort option (newest, oldest, masterlist, masterlist-desc, owner)
  */
 export class CharacterGalleryManager {
     /**
@@ -58,17 +69,21 @@ export class CharacterGalleryManager {
      * @param {string} options.searchId - ID of the search input element
      * @param {string} options.rarityFilterId - ID of the rarity filter select element
      * @param {string} options.statusFilterId - ID of the status filter select element
+     * @param {string} options.traitFilterId - ID of the trait filter select element
      * @param {string} options.resultsCountId - ID of the results count display element
      * @param {string} options.layoutToggleId - ID of the layout toggle container
      * @param {string} options.defaultLayout - Initial layout mode ('grid' or 'masonry')
      * @param {boolean} options.showLayoutToggle - Show/hide layout toggle buttons
      * @param {string} options.defaultRarity - Initial rarity filter value
      * @param {string} options.defaultStatus - Initial status filter value
+     * @param {string} options.defaultTrait - Initial trait filter value
      * @param {string} options.defaultSearch - Initial search term
      * @param {boolean} options.showFilters - Show/hide filter controls
      * @param {boolean} options.showSearch - Show/hide search input
      * @param {boolean} options.showResultsCount - Show/hide results counter
      * @param {boolean} options.autoLoad - Auto-load characters on initialization
+     * @param {number} options.pageSize - Characters loaded per page
+     * @param {string} options.defaultSort - Sort option
      */
     constructor(options = {}) {
         // Element IDs configuration
@@ -76,6 +91,7 @@ export class CharacterGalleryManager {
         this.searchId = options.searchId || 'characterSearch';
         this.rarityFilterId = options.rarityFilterId || 'rarityFilter';
         this.statusFilterId = options.statusFilterId || 'statusFilter';
+        this.traitFilterId = options.traitFilterId || 'traitFilter';
         this.resultsCountId = options.resultsCountId || 'resultsCount';
         this.layoutToggleId = options.layoutToggleId || 'layoutToggle';
         
@@ -86,12 +102,14 @@ export class CharacterGalleryManager {
         // Default filter and search values
         this.defaultRarity = options.defaultRarity || '';
         this.defaultStatus = options.defaultStatus || '';
+        this.defaultTrait = options.defaultTrait || '';
         this.defaultSearch = options.defaultSearch || '';
         
         // Enhanced UI visibility controls - Default to hidden for cleaner UI
         this.showFilters = false;
         this.showRarityFilter = false;
         this.showStatusFilter = false;
+        this.showTraitFilter = false;
         this.showSearch = false;
         this.showResultsCount = false;
         this.showGridButton = false;
@@ -116,6 +134,7 @@ export class CharacterGalleryManager {
             this.showFilters = true;
             this.showRarityFilter = true;
             this.showStatusFilter = true;
+            this.showTraitFilter = true;
             this.showSearch = true;
         }
         
@@ -124,6 +143,8 @@ export class CharacterGalleryManager {
         if (options.showRarityFilter === false) this.showRarityFilter = false;
         if (options.showStatusFilter === true) this.showStatusFilter = true;
         if (options.showStatusFilter === false) this.showStatusFilter = false;
+        if (options.showTraitFilter === true) this.showTraitFilter = true;
+        if (options.showTraitFilter === false) this.showTraitFilter = false;
         if (options.showSearch === true) this.showSearch = true;
         if (options.showSearch === false) this.showSearch = false;
         if (options.showResultsCount === true) this.showResultsCount = true;
@@ -161,6 +182,7 @@ export class CharacterGalleryManager {
         if (options.showFilters === false) {
             this.showRarityFilter = false;
             this.showStatusFilter = false;
+            this.showTraitFilter = false;
         }
         
         // Backward compatibility: if showLayoutToggle is false, hide individual buttons
@@ -171,10 +193,17 @@ export class CharacterGalleryManager {
         
         // Loading configuration
         this.autoLoad = options.autoLoad !== false;
+        this.pageSize = options.pageSize || 48;
+        this.defaultSort = options.defaultSort || 'masterlist';
         
         // Internal state
+        // characters holds the loaded pages; filtering happens in the query, so both lists match
         this.characters = [];
         this.filteredCharacters = [];
+        this.nextCursor = null;
+        this.total = null;
+        this.queryId = 0;
+        this.vocabularies = normalizeVocabularies(null);
         this.currentLayout = this.defaultLayout;
         this.isLoading = false;
         
@@ -196,12 +225,15 @@ export class CharacterGalleryManager {
             // Initialize Firebase connection
             await firebaseConfig.initialize();
             this.database = firebaseConfig.getDatabase();
+            this.repository = new FirebaseCharacterRepository(firebaseConfig);
+            await this.repository.initialize();
             
             // Get DOM elements
             this.container = document.getElementById(this.containerId);
             this.searchInput = document.getElementById(this.searchId);
             this.rarityFilter = document.getElementById(this.rarityFilterId);
             this.statusFilter = document.getElementById(this.statusFilterId);
+            this.traitFilter = document.getElementById(this.traitFilterId);
             this.resultsCount = document.getElementById(this.resultsCountId);
             this.layoutToggle = document.getElementById(this.layoutToggleId);
             
@@ -210,6 +242,10 @@ export class CharacterGalleryManager {
                 throw new Error(`Container element with ID '${this.containerId}' not found`);
             }
             
+            // Fill the vocabulary and trait filters before defaults are applied
+            await this.populateVocabularyFilters();
+            await this.populateTraitFilter();
+            
             // Apply default settings and UI visibility
             this.applyDefaultSettings();
             this.setupUIVisibility();
@@ -247,6 +283,11 @@ export class CharacterGalleryManager {
             this.statusFilter.value = this.defaultStatus;
         }
         
+        // Set default trait filter
+        if (this.traitFilter && this.defaultTrait) {
+            this.traitFilter.value = this.defaultTrait;
+        }
+        
         // Set default layout and update button states
         this.setLayout(this.defaultLayout);
     }
@@ -259,6 +300,7 @@ export class CharacterGalleryManager {
         if (!this.showFilters) {
             this.toggleElementVisibility(this.rarityFilter, false);
             this.toggleElementVisibility(this.statusFilter, false);
+            this.toggleElementVisibility(this.traitFilter, false);
             this.toggleElementVisibility(this.searchInput, false);
         } else {
             // Control search input visibility
@@ -267,6 +309,7 @@ export class CharacterGalleryManager {
             // Control individual filter visibility
             this.toggleElementVisibility(this.rarityFilter, this.showRarityFilter);
             this.toggleElementVisibility(this.statusFilter, this.showStatusFilter);
+            this.toggleElementVisibility(this.traitFilter, this.showTraitFilter);
         }
         
         // Control individual layout button visibility
@@ -322,10 +365,12 @@ export class CharacterGalleryManager {
      * Setup event listeners for user interactions
      */
     setupEventListeners() {
-        // Search input event listener
+        // Search input event listener, debounced so every keystroke does not query the database
         if (this.searchInput) {
+            let searchTimeout;
             this.searchInput.addEventListener('input', () => {
-                this.filterCharacters();
+                clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(() => this.filterCharacters(), 300);
             });
         }
 
@@ -342,6 +387,12 @@ export class CharacterGalleryManager {
             });
         }
 
+        if (this.traitFilter) {
+            this.traitFilter.addEventListener('change', () => {
+                this.filterCharacters();
+            });
+        }
+
         // Layout toggle event listeners
         if (this.layoutToggle) {
             const gridBtn = this.layoutToggle.querySelector('#gridLayoutBtn');
@@ -362,125 +413,144 @@ export class CharacterGalleryManager {
     }
 
     /**
-     * Load characters from Firebase Realtime Database
+     * Load the first page of characters matching the current search and filters
      */
     async loadCharacters() {
-        if (this.isLoading) return;
-        
+        const queryId = ++this.queryId;
         this.isLoading = true;
         this.showLoading();
 
         try {
-            const { ref, get } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const result = await this.repository.queryCharacters(this.getQuery());
             
-            const charactersRef = ref(this.database, 'characters');
-            const snapshot = await get(charactersRef);
+            // A newer search started while this one was loading
+            if (queryId !== this.queryId) return;
 
-            if (snapshot.exists()) {
-                const data = snapshot.val();
-                
-                // Validate and process character data
-                this.characters = Object.keys(data)
-                    .map(key => {
-                        const character = data[key];
-                        
-                        // Skip invalid character entries
-                        if (!character || typeof character !== 'object') {
-                            console.warn(`Invalid character data for ID: ${key}`);
-                            return null;
-                        }
-                        
-                        return {
-                            id: key,
-                            ...character,
-                            // Ensure required fields have default values
-                            masterlistNumber: character.masterlistNumber || key,
-                            rarity: character.rarity || 'Common',
-                            status: character.status || 'Available',
-                            owner: character.owner || 'Unknown',
-                            artist: character.artist || 'Unknown'
-                        };
-                    })
-                    .filter(character => character !== null); // Remove invalid entries
-                
-                console.log(`Loaded ${this.characters.length} characters from Firebase`);
-                this.filterCharacters();
-            } else {
-                console.log('No character data found in Firebase');
-                this.characters = [];
-                this.showEmpty();
-            }
+            this.characters = result.characters.map(character => this.withDefaults(character));
+            this.filteredCharacters = this.characters;
+            this.nextCursor = result.nextCursor;
+            this.total = result.total;
+
+            this.updateResultsCount();
+            this.renderCharacters();
         } catch (error) {
             console.error('Error loading characters:', error);
             this.showError('Failed to load characters. Please try again later.');
         } finally {
-            this.isLoading = false;
+            if (queryId === this.queryId) {
+                this.isLoading = false;
+            }
         }
     }
 
     /**
-     * Filter characters based on current search and filter values
+     * Append the next page of characters
      */
-    filterCharacters() {
-        if (!this.characters.length) {
-            this.filteredCharacters = [];
+    async loadMore() {
+        if (this.isLoading || !this.nextCursor) return;
+
+        const queryId = this.queryId;
+        this.isLoading = true;
+
+        try {
+            const result = await this.repository.queryCharacters({ ...this.getQuery(), cursor: this.nextCursor });
+            if (queryId !== this.queryId) return;
+
+            this.characters = [...this.characters, ...result.characters.map(character => this.withDefaults(character))];
+            this.filteredCharacters = this.characters;
+            this.nextCursor = result.nextCursor;
+
+            this.updateResultsCount();
             this.renderCharacters();
-            return;
+        } catch (error) {
+            console.error('Error loading more characters:', error);
+            this.showError('Failed to load characters. Please try again later.');
+        } finally {
+            if (queryId === this.queryId) {
+                this.isLoading = false;
+            }
         }
+    }
 
-        let filtered = [...this.characters];
-        
-        // Debug logging for filter values
-        const searchTerm = this.searchInput ? this.searchInput.value.toLowerCase().trim() : '';
-        const rarityFilter = this.rarityFilter ? this.rarityFilter.value : '';
-        const statusFilter = this.statusFilter ? this.statusFilter.value : '';
-        
-        console.log('Filter Debug:', {
-            searchTerm,
-            rarityFilter,
-            statusFilter,
-            totalCharacters: this.characters.length
-        });
+    /**
+     * Build the query from the current search and filter values
+     * 
+     * @returns {Object} Query for the shared character query layer
+     */
+    getQuery() {
+        return {
+            search: this.searchInput ? this.searchInput.value : this.defaultSearch,
+            rarity: this.rarityFilter ? this.rarityFilter.value : this.defaultRarity,
+            status: this.statusFilter ? this.statusFilter.value : this.defaultStatus,
+            trait: this.traitFilter ? this.traitFilter.value : this.defaultTrait,
+            sort: this.defaultSort,
+            limit: this.pageSize
+        };
+    }
 
-        // Apply search filter
-        if (searchTerm) {
-            filtered = filtered.filter(character => {
-                const masterlistNumber = character.masterlistNumber?.toLowerCase() || '';
-                const owner = character.owner?.toLowerCase() || '';
-                const artist = character.artist?.toLowerCase() || '';
-                const description = character.description?.toLowerCase() || '';
-                
-                return masterlistNumber.includes(searchTerm) ||
-                       owner.includes(searchTerm) ||
-                       artist.includes(searchTerm) ||
-                       description.includes(searchTerm);
-            });
+    /**
+     * Fill the rarity and status filters from the configured vocabularies
+     * Falls back to the default vocabularies when the settings cannot be read
+     */
+    async populateVocabularyFilters() {
+        try {
+            const settingsRepository = new FirestoreSettingsRepository(firebaseConfig);
+            await settingsRepository.initialize();
+            this.vocabularies = normalizeVocabularies(await settingsRepository.getSetting(VOCABULARY_SETTING_ID));
+        } catch (error) {
+            console.warn('⚠️ Failed to load vocabularies, using defaults:', error);
         }
+        
+        fillVocabularySelect(this.rarityFilter, this.vocabularies.rarities);
+        fillVocabularySelect(this.statusFilter, this.vocabularies.statuses);
+    }
 
-        // Apply rarity filter
-        if (rarityFilter && rarityFilter !== 'all') {
-            filtered = filtered.filter(character => character.rarity === rarityFilter);
+    /**
+     * Fill the trait filter with the trait catalog
+     * The gallery still works without it, so failures are only logged
+     */
+    async populateTraitFilter() {
+        if (!this.traitFilter) return;
+        
+        try {
+            const traitRepository = new FirebaseTraitRepository(firebaseConfig);
+            await traitRepository.initialize();
+            const traits = (await traitRepository.getAllTraits()).sort((a, b) => a.name.localeCompare(b.name));
+            
+            traits.forEach(trait => {
+                const option = document.createElement('option');
+                option.value = trait.name;
+                option.textContent = trait.name;
+                this.traitFilter.appendChild(option);
+            });
+        } catch (error) {
+            console.warn('⚠️ Failed to load trait catalog:', error);
         }
+    }
 
-        // Apply status filter
-        if (statusFilter && statusFilter !== 'all') {
-            filtered = filtered.filter(character => character.status === statusFilter);
-        }
+    /**
+     * Ensure required display fields have default values
+     * 
+     * @param {Object} character - Character from the query layer
+     * @returns {Object} Character ready for rendering
+     */
+    withDefaults(character) {
+        return {
+            ...character,
+            masterlistNumber: character.masterlistNumber || character.id,
+            rarity: character.rarity || 'Common',
+            status: character.status || 'Available',
+            owner: character.owner || 'Unknown',
+            artist: character.artist || 'Unknown'
+        };
+    }
 
-        this.filteredCharacters = filtered;
-        
-        // Debug logging for filtered results
-        console.log('Filter Results:', {
-            filteredCount: filtered.length,
-            sampleCharacters: filtered.slice(0, 3).map(c => ({ 
-                masterlistNumber: c.masterlistNumber, 
-                rarity: c.rarity, 
-                status: c.status 
-            }))
-        });
-        
-        this.updateResultsCount();
-        this.renderCharacters();
+    /**
+     * Filter characters based on current search and filter values
+     * Runs a new query starting from the first page
+     */
+    filterCharacters() {
+        return this.loadCharacters();
     }
 
     /**
@@ -489,8 +559,9 @@ export class CharacterGalleryManager {
     updateResultsCount() {
         if (this.resultsCount) {
             const count = this.filteredCharacters.length;
-            const total = this.characters.length;
-            this.resultsCount.textContent = `Showing ${count} of ${total} characters`;
+            this.resultsCount.textContent = this.total === null
+                ? `Showing ${count} characters`
+                : `Showing ${count} of ${this.total} characters`;
         }
     }
 
@@ -536,6 +607,16 @@ export class CharacterGalleryManager {
         } else {
             this.renderGridLayout();
         }
+        
+        if (this.nextCursor) {
+            this.container.insertAdjacentHTML('beforeend', `
+                <div class="load-more-container">
+                    <button type="button" class="load-more-button" onclick="window.characterGalleryManager.loadMore()">
+                        Load more characters
+                    </button>
+                </div>
+            `);
+        }
     }
 
     /**
@@ -607,53 +688,19 @@ export class CharacterGalleryManager {
 
 
     /**
-     * Convert Google Drive sharing URL to direct image URL
-     * 
-     * @param {string} url - Google Drive sharing URL
-     * @returns {string} Direct image URL or original URL if not a Google Drive link
+     * Open the carousel of a character's images, starting at the primary image
+     * @param {string} characterId - Character ID
+     * @param {string} altText - Alternative text for the images
      */
-    convertGoogleDriveUrl(url, size = 'w400-h400') {
-        if (!url) return '';
-        
-        // Handle different Google Drive URL formats
-        const patterns = [
-            // Standard sharing URL: https://drive.google.com/file/d/FILE_ID/view?usp=sharing
-            /drive\.google\.com\/file\/d\/([a-zA-Z0-9_-]+)\/view/,
-            // Open URL: https://drive.google.com/open?id=FILE_ID
-            /drive\.google\.com\/open\?id=([a-zA-Z0-9_-]+)/,
-            // Direct thumbnail URL (already converted)
-            /drive\.google\.com\/thumbnail\?id=([a-zA-Z0-9_-]+)/,
-            // Additional patterns for better compatibility
-            /\/file\/d\/([a-zA-Z0-9-_]+)/,
-            /id=([a-zA-Z0-9-_]+)/,
-            /\/d\/([a-zA-Z0-9-_]+)\//
-        ];
-        
-        for (const pattern of patterns) {
-            const match = url.match(pattern);
-            if (match) {
-                const fileId = match[1];
-                return `https://drive.google.com/thumbnail?id=${fileId}&sz=${size}`;
-            }
-        }
-        
-        return url; // Return original if no pattern matches
-    }
-
-    /**
-     * Get high-resolution URL for image preview
-     * @param {string} url - Original image URL
-     * @returns {string} High-resolution image URL
-     */
-    getPreviewImageUrl(url) {
-        if (!url) return '';
-        
-        // For Google Drive URLs, use larger size for preview
-        if (url.includes('drive.google.com')) {
-            return this.convertGoogleDriveUrl(url, 'w800-h800');
-        }
-        
-        return url;
+    openImagePreview(characterId, altText) {
+        const character = this.characters.find(item => item.id === characterId);
+        const images = getCharacterImages(character);
+        
+        window.showImagePreview(images.map(image => ({
+            url: getImageUrl(image, 'main'),
+            caption: image.caption,
+            artist: image.artist
+        })), altText, Math.max(0, images.findIndex(image => image.isPrimary)));
     }
 
     /**
@@ -680,10 +727,8 @@ export class CharacterGalleryManager {
      * @returns {string} HTML string for the character card
      */
     createCharacterCard(character) {
-        // Convert Google Drive URL to direct link if needed
-        const rawImageUrl = character.imageUrl || '';
-        const imageUrl = this.convertGoogleDriveUrl(rawImageUrl) || this.getPlaceholderImage();
-        const previewImageUrl = this.getPreviewImageUrl(rawImageUrl);
+        // Hosted preview of the primary image for the card; legacy Drive links become thumbnails
+        const imageUrl = getCharacterImageUrl(character, 'preview') || this.getPlaceholderImage();
         
         // Extract all character data with fallbacks
         const masterlistNumber = character.masterlistNumber || 'Unknown Character';
@@ -694,7 +739,7 @@ export class CharacterGalleryManager {
         const artist = character.artist || 'Unknown';
         const biome = character.biome || character.primaryBiome || 'Unknown';
         const secondaryBiome = character.secondaryBiome || '';
-        const traits = character.traits || '';
+        const traits = parseTraitList(character.traits).join(', ');
         const notes = character.notes || '';
         const value = character.value || '';
         
@@ -772,8 +817,7 @@ export class CharacterGalleryManager {
                          alt="${masterlistNumber}" 
                          class="character-image character-thumbnail" 
                          loading="lazy"
-                         data-full-image="${previewImageUrl || imageUrl}"
-                         onclick="window.showImagePreview(this.dataset.fullImage, this.alt)"
+                         onclick="window.characterGalleryManager.openImagePreview('${character.id}', this.alt)"
                          onerror="window.handleCharacterImageError(this)">
                     ${this.showRarityBadge ? `<div class="rarity-badge rarity-${rarityClass}">${rarity}</div>` : ''}
                 </div>
@@ -858,8 +902,10 @@ export class CharacterGalleryManager {
             search: this.searchInput ? this.searchInput.value : '',
             rarity: this.rarityFilter ? this.rarityFilter.value : '',
             status: this.statusFilter ? this.statusFilter.value : '',
+            trait: this.traitFilter ? this.traitFilter.value : '',
             charactersCount: this.characters.length,
-            filteredCount: this.filteredCharacters.length
+            filteredCount: this.filteredCharacters.length,
+            total: this.total
         };
     }
 
@@ -885,6 +931,10 @@ export class CharacterGalleryManager {
             this.statusFilter.value = state.status;
         }
         
+        if (this.traitFilter && state.trait !== undefined) {
+            this.traitFilter.value = state.trait;
+        }
+        
         this.filterCharacters();
     }
 
@@ -918,7 +968,10 @@ export class CharacterGalleryManager {
     formatStatus(status) {
         if (!status) return 'Available';
         
-        // Convert status to title case
+        const item = this.vocabularies.statuses.find(entry => entry.value === status);
+        if (item) return item.label;
+        
+        // Convert unknown statuses to title case
         return status.split('-')
             .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
             .join(' ');
@@ -941,6 +994,10 @@ export class CharacterGalleryManager {
             this.statusFilter.removeEventListener('change', this.filterCharacters);
         }
         
+        if (this.traitFilter) {
+            this.traitFilter.removeEventListener('change', this.filterCharacters);
+        }
+        
         // Clear container
         if (this.container) {
             this.container.innerHTML = '';
@@ -949,6 +1006,9 @@ export class CharacterGalleryManager {
         // Reset state
         this.characters = [];
         this.filteredCharacters = [];
+        this.nextCursor = null;
+        this.total = null;
+        this.queryId++;
         this.isLoading = false;
     }
 }
@@ -974,9 +1034,12 @@ if (typeof window !== 'undefined') {
     };
     
     // Image preview functionality
-    window.showImagePreview = async function(imageUrl, altText) {
+    // Takes one image URL or a list of slides ({ url, caption, artist }) shown as a carousel
+    window.showImagePreview = async function(images, altText, startIndex = 0) {
+        const slides = (Array.isArray(images) ? images : [{ url: images }]).filter(slide => slide && slide.url);
+        
         // Validate input parameters
-        if (!imageUrl) {
+        if (slides.length === 0) {
             console.warn('No image URL provided for preview');
             return;
         }
@@ -998,58 +1061,108 @@ if (typeof window !== 'undefined') {
         // Add loading indicator
         const loadingDiv = document.createElement('div');
         loadingDiv.style.cssText = 'color: white; text-align: center; padding: 20px; font-size: 18px;';
-        loadingDiv.textContent = 'Loading image...';
         innerDiv.appendChild(loadingDiv);
         
+        const img = new Image();
+        img.alt = altText || 'Character Preview';
+        innerDiv.appendChild(img);
+        
+        // Caption, credited artist and position in the carousel
+        const caption = document.createElement('p');
+        caption.className = 'image-preview-caption';
+        
         // Add click handler to close modal
         const closeModal = () => {
             const modal = document.getElementById('image-preview-modal');
             if (modal) {
                 modal.remove();
             }
+            document.removeEventListener('keydown', handleKeydown);
+        };
+        
+        let currentIndex = 0;
+        
+        /**
+         * Load and show one slide
+         * @param {number} index - Slide index, wrapping around at either end
+         */
+        const showSlide = async (index) => {
+            currentIndex = (index + slides.length) % slides.length;
+            const slide = slides[currentIndex];
+            
+            loadingDiv.textContent = 'Loading image...';
+            loadingDiv.style.color = 'white';
+            loadingDiv.style.display = '';
+            img.style.display = 'none';
+            caption.textContent = [
+                slide.caption,
+                slide.artist ? `Art by ${slide.artist}` : '',
+                slides.length > 1 ? `${currentIndex + 1} / ${slides.length}` : ''
+            ].filter(Boolean).join(' \u00b7 ');
+            
+            try {
+                // Test image load
+                await new Promise((resolve, reject) => {
+                    const probe = new Image();
+                    probe.onload = resolve;
+                    probe.onerror = () => reject(new Error('Failed to load image'));
+                    probe.src = slide.url;
+                    
+                    // Set timeout for loading
+                    setTimeout(() => reject(new Error('Image load timeout')), 10000);
+                });
+                
+                // Ignore slides the visitor already moved past
+                if (slides[currentIndex] !== slide) return;
+                
+                img.src = slide.url;
+                img.style.display = '';
+                loadingDiv.style.display = 'none';
+            } catch (error) {
+                console.error('Failed to load preview image:', slide.url, error);
+                
+                // Show error message
+                loadingDiv.textContent = 'Failed to load image. Click to close.';
+                loadingDiv.style.color = '#ff6b6b';
+                
+                // A single image closes itself after 3 seconds, a carousel stays open for the other slides
+                if (slides.length === 1) {
+                    setTimeout(closeModal, 3000);
+                }
+            }
+        };
+        
+        const handleKeydown = (event) => {
+            if (event.key === 'Escape') closeModal();
+            if (slides.length > 1 && event.key === 'ArrowLeft') showSlide(currentIndex - 1);
+            if (slides.length > 1 && event.key === 'ArrowRight') showSlide(currentIndex + 1);
         };
         
         // Add event listeners to container
         previewContainer.addEventListener('click', closeModal);
+        img.addEventListener('click', closeModal);
+        document.addEventListener('keydown', handleKeydown);
         
         // Assemble and show the modal with loading state
         previewContainer.appendChild(innerDiv);
-        document.body.appendChild(previewContainer);
-        
-        // Test image load
-        try {
-            const img = new Image();
-            
-            // Set up promise for image loading
-            const imageLoadPromise = new Promise((resolve, reject) => {
-                img.onload = () => resolve(img);
-                img.onerror = () => reject(new Error('Failed to load image'));
-                
-                // Set timeout for loading
-                setTimeout(() => reject(new Error('Image load timeout')), 10000);
+        previewContainer.appendChild(caption);
+        
+        if (slides.length > 1) {
+            [['prev', -1, 'fa-chevron-left', 'Previous image'], ['next', 1, 'fa-chevron-right', 'Next image']].forEach(([name, offset, icon, label]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `image-preview-nav image-preview-${name}`;
+                button.setAttribute('aria-label', label);
+                button.innerHTML = `<i class="fas ${icon}"></i>`;
+                button.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    showSlide(currentIndex + offset);
+                });
+                previewContainer.appendChild(button);
             });
-            
-            // Start loading the image
-            img.src = imageUrl;
-            img.alt = altText || 'Character Preview';
-            
-            // Wait for image to load
-            await imageLoadPromise;
-            
-            // Remove loading indicator and add the image
-            innerDiv.removeChild(loadingDiv);
-            img.addEventListener('click', closeModal);
-            innerDiv.appendChild(img);
-            
-        } catch (error) {
-            console.error('Failed to load preview image:', imageUrl, error);
-            
-            // Show error message
-            loadingDiv.textContent = 'Failed to load image. Click to close.';
-            loadingDiv.style.color = '#ff6b6b';
-            
-            // Auto-close after 3 seconds
-            setTimeout(closeModal, 3000);
         }
+        
+        document.body.appendChild(previewContainer);
+        await showSlide(startIndex);
     };
 }
\ No newline at end of file
@@ -0,0 +1,283 @@
+/**
+ * Page Access Policy Editor
+ * Shows the deployed access policy manifest and lets super-admins edit it in the browser and export
+ * the result as functions/accessPolicies.json. Nothing is saved here; the manifest takes effect once
+ * it is regenerated with `npm run generate:access-policies` and deployed
+ */
+
+import { validateSession } from './ml/services/session-service.js';
+import { PERMISSIONS, hasPermission } from './ml/config/permissions.js';
+import { ACCESS_POLICIES, findPagePolicy, normalizePagePath, validateAccessPolicies } from './ml/config/access-policies.js';
+
+/**
+ * Access Policy Editor Class
+ * Keeps the edited entries and renders the table, the path tester and the exported manifest
+ */
+class AccessPolicyEditor {
+    constructor() {
+        this.pages = [];
+    }
+
+    /**
+     * Check the user may open this page, then show the deployed policies
+     * @returns {Promise<boolean>} True when the editor is shown
+     */
+    async initialize() {
+        const user = await validateSession();
+        const policy = findPagePolicy(window.location.pathname);
+
+        if (!user) {
+            this.showAccessMessage('Sign in required', 'Sign in to view the page access policies.', 'login.html', 'Go to Login');
+            return false;
+        }
+        if (policy?.permission && !hasPermission(user.role, policy.permission)) {
+            this.showAccessMessage('Access restricted', `This page requires the ${policy.permission} permission.`, 'index.html', 'Go to Main App');
+            return false;
+        }
+
+        document.getElementById('policyEditor').classList.remove('hidden');
+        this.bindEvents();
+        this.reset();
+        return true;
+    }
+
+    /**
+     * Attach event listeners
+     */
+    bindEvents() {
+        document.getElementById('addPolicyBtn').addEventListener('click', () => {
+            this.pages.push({ path: '/', permission: 'dashboard.access', description: '' });
+            this.render();
+        });
+        document.getElementById('resetPoliciesBtn').addEventListener('click', () => this.reset());
+        document.getElementById('testPath').addEventListener('input', () => this.renderTest());
+        document.getElementById('copyManifestBtn').addEventListener('click', () => this.copyManifest());
+        document.getElementById('downloadManifestBtn').addEventListener('click', () => this.downloadManifest());
+
+        const rows = document.getElementById('policyRows');
+        rows.addEventListener('input', (e) => this.updateEntry(e.target));
+        rows.addEventListener('change', (e) => this.updateEntry(e.target));
+        rows.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                this.moveEntry(Number(button.dataset.index), button.dataset.action);
+            }
+        });
+    }
+
+    /**
+     * Go back to the deployed manifest
+     */
+    reset() {
+        this.pages = ACCESS_POLICIES.pages.map(policy => ({ ...policy }));
+        this.render();
+    }
+
+    /**
+     * Copy a changed field back into its entry
+     * @param {HTMLElement} input - Changed input
+     */
+    updateEntry(input) {
+        const index = Number(input.dataset.index);
+        const field = input.dataset.field;
+        if (!field || !this.pages[index]) return;
+
+        const entry = this.pages[index];
+        if (field === 'disabled') {
+            entry.disabled = input.checked;
+        } else if (field === 'permission') {
+            entry.permission = input.value || null;
+        } else {
+            entry[field] = input.value;
+        }
+
+        this.renderOutput();
+        this.renderTest();
+    }
+
+    /**
+     * Move or remove an entry
+     * @param {number} index - Entry index
+     * @param {string} action - 'up', 'down' or 'remove'
+     */
+    moveEntry(index, action) {
+        if (action === 'remove') {
+            this.pages.splice(index, 1);
+        } else {
+            const target = action === 'up' ? index - 1 : index + 1;
+            if (target < 0 || target >= this.pages.length) return;
+            [this.pages[index], this.pages[target]] = [this.pages[target], this.pages[index]];
+        }
+        this.render();
+    }
+
+    /**
+     * The edited manifest, in the shape of functions/accessPolicies.json
+     * @returns {Object} { pages }
+     */
+    getManifest() {
+        return {
+            pages: this.pages.map(({ path, permission, disabled, description }) => ({
+                path: path.trim(),
+                permission,
+                ...(disabled ? { disabled: true } : {}),
+                ...(description?.trim() ? { description: description.trim() } : {})
+            }))
+        };
+    }
+
+    /**
+     * Format the manifest like the file in the repository, one entry per line
+     * @returns {string} File contents
+     */
+    formatManifest() {
+        const entries = this.getManifest().pages.map(policy =>
+            `    { ${Object.entries(policy).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`).join(', ')} }`);
+        return `{\n  "pages": [\n${entries.join(',\n')}\n  ]\n}\n`;
+    }
+
+    /**
+     * Render the table, the tester and the exported manifest
+     */
+    render() {
+        const permissionOptions = (selected) => [
+            `<option value=""${selected === null ? ' selected' : ''}>Public (no sign in)</option>`,
+            ...Object.entries(PERMISSIONS).map(([permission, label]) =>
+                `<option value="${permission}" title="${this.escapeHtml(label)}"${permission === selected ? ' selected' : ''}>${permission}</option>`)
+        ].join('');
+
+        document.getElementById('policyRows').innerHTML = this.pages.map((policy, index) => `
+            <tr>
+                <td><input type="text" data-index="${index}" data-field="path" value="${this.escapeHtml(policy.path)}"></td>
+                <td><select data-index="${index}" data-field="permission">${permissionOptions(policy.permission)}</select></td>
+                <td><input type="checkbox" data-index="${index}" data-field="disabled"${policy.disabled ? ' checked' : ''}></td>
+                <td><input type="text" data-index="${index}" data-field="description" value="${this.escapeHtml(policy.description || '')}"></td>
+                <td class="actions">
+                    <button class="btn btn-secondary btn-small" data-action="up" data-index="${index}" title="Move up">↑</button>
+                    <button class="btn btn-secondary btn-small" data-action="down" data-index="${index}" title="Move down">↓</button>
+                    <button class="btn btn-danger btn-small" data-action="remove" data-index="${index}" title="Remove">✕</button>
+                </td>
+            </tr>
+        `).join('');
+
+        this.renderOutput();
+        this.renderTest();
+    }
+
+    /**
+     * Show the exported manifest, or what is wrong with it
+     */
+    renderOutput() {
+        const errors = validateAccessPolicies(this.getManifest());
+        const errorBox = document.getElementById('validationErrors');
+        errorBox.classList.toggle('hidden', errors.length === 0);
+        errorBox.innerHTML = errors.map(error => `<div>${this.escapeHtml(error)}</div>`).join('');
+
+        document.getElementById('manifestOutput').value = errors.length === 0 ? this.formatManifest() : '';
+        document.getElementById('copyManifestBtn').disabled = errors.length > 0;
+        document.getElementById('downloadManifestBtn').disabled = errors.length > 0;
+    }
+
+    /**
+     * Show which entry applies to the path being tested
+     */
+    renderTest() {
+        const path = document.getElementById('testPath').value.trim();
+        const result = document.getElementById('testResult');
+        if (!path) {
+            result.textContent = 'Enter a path to see which entry applies.';
+            return;
+        }
+
+        const page = normalizePagePath(path);
+        const policy = findPagePolicy(page, this.getManifest());
+        if (!policy) {
+            result.textContent = `${page}: no entry matches, so the page is public.`;
+        } else if (policy.disabled) {
+            result.textContent = `${page}: disabled by ${policy.path}.`;
+        } else {
+            result.textContent = `${page}: ${policy.permission ? `requires ${policy.permission}` : 'public'} (${policy.path}).`;
+        }
+    }
+
+    /**
+     * Copy the manifest to the clipboard
+     */
+    async copyManifest() {
+        try {
+            await navigator.clipboard.writeText(this.formatManifest());
+            this.showNotification('📋 Manifest copied', 'success');
+        } catch (error) {
+            console.error('Failed to copy manifest:', error);
+            this.showNotification('Could not copy the manifest; select the text and copy it instead', 'danger');
+        }
+    }
+
+    /**
+     * Download the manifest as accessPolicies.json
+     */
+    downloadManifest() {
+        const url = URL.createObjectURL(new Blob([this.formatManifest()], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'accessPolicies.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Replace the editor with a message for users who may not open it
+     * @param {string} title - Heading
+     * @param {string} message - Explanation
+     * @param {string} href - Where the button goes
+     * @param {string} buttonText - Button label
+     */
+    showAccessMessage(title, message, href, buttonText) {
+        const container = document.getElementById('accessMessage');
+        container.innerHTML = `
+            <h2>🔒 ${this.escapeHtml(title)}</h2>
+            <p>${this.escapeHtml(message)}</p>
+            <a class="btn" href="${href}">${buttonText}</a>
+        `;
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Show a short notification
+     * @param {string} message - Message
+     * @param {string} type - Alert type ('success', 'danger' or 'info')
+     */
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `alert alert-${type}`;
+        notification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            z-index: 1000;
+            min-width: 300px;
+        `;
+        notification.textContent = message;
+
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+const accessPolicyEditor = new AccessPolicyEditor();
+
+document.addEventListener('DOMContentLoaded', () => accessPolicyEditor.initialize());
@@ -0,0 +1,49 @@
+// functions/_lib/auth.js
+// Permission check shared by the Pages character APIs
+
+// Refuse the request unless the session token in the Authorization header grants a permission.
+// CHECK_PERMISSION_URL is the URL of the checkPermission Cloud Function, which checks the token the same
+// way as every other Cloud Function (requirePermission in functions/users.js). Requests are refused when
+// it is not set or the check cannot be made, so a missing setting never leaves the APIs open.
+// Returns { user } ({ userId, username }) when allowed, otherwise { response }
+export async function requirePermission(request, env, permission) {
+  if (!env?.CHECK_PERMISSION_URL) {
+    return { response: refused(503, "Permission checks are not configured for this API (CHECK_PERMISSION_URL)") };
+  }
+
+  const token = (request.headers.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  if (!token) {
+    return { response: refused(401, "Sign in to do this") };
+  }
+
+  let res;
+  try {
+    res = await fetch(env.CHECK_PERMISSION_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ data: { token, permission } })
+    });
+  } catch {
+    return { response: refused(503, "Could not check your permissions, try again later") };
+  }
+
+  const body = await res.json().catch(() => null);
+  if (res.ok && body?.result?.userId) {
+    return { user: body.result };
+  }
+  if (res.status === 401) {
+    return { response: refused(401, "Your session is invalid or has expired") };
+  }
+  // FAILED_PRECONDITION is for users who still have to set up two-factor authentication
+  if (res.status === 403 || body?.error?.status === "FAILED_PRECONDITION") {
+    return { response: refused(403, body?.error?.message || "Your role does not allow this") };
+  }
+  return { response: refused(503, "Could not check your permissions, try again later") };
+}
+
+function refused(status, error) {
+  return new Response(JSON.stringify({ error }, null, 2), {
+    status,
+    headers: { "Content-Type": "application/json" }
+  });
+}
@@ -0,0 +1,41 @@
+// functions/_lib/maintenance.js
+// Maintenance check shared by the Pages character APIs
+
+// Refuse writes while maintenance mode is on, unless the session token in the Authorization header
+// belongs to a user who may bypass it. MAINTENANCE_STATUS_URL is the URL of the getMaintenanceStatus
+// Cloud Function. Writes are refused when it is not set or the status cannot be read, so a missing
+// setting never leaves the APIs open
+export async function maintenanceResponse(request, env) {
+  if (!env?.MAINTENANCE_STATUS_URL) {
+    return unavailable("Maintenance mode is not configured for this API (MAINTENANCE_STATUS_URL)");
+  }
+
+  const token = (request.headers.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  let status;
+  try {
+    const res = await fetch(env.MAINTENANCE_STATUS_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ data: { token } })
+    });
+    if (!res.ok) throw new Error(`status ${res.status}`);
+    status = (await res.json()).result;
+  } catch {
+    status = null;
+  }
+  if (!status || typeof status.active !== "boolean") {
+    return unavailable("Could not check maintenance mode, try again later");
+  }
+
+  if (status.active && !status.bypass) {
+    return unavailable(status.message, { maintenance: true, endsAt: status.endsAt });
+  }
+  return null;
+}
+
+function unavailable(error, extra = {}) {
+  return new Response(JSON.stringify({ error, ...extra }, null, 2), {
+    status: 503,
+    headers: { "Content-Type": "application/json" }
+  });
+}
@@ -0,0 +1,96 @@
+// functions/_middleware.js
+// Page access policies at the edge (Cloudflare Pages)
+
+// Every page request is checked against functions/accessPolicies.json, through the generated dashboard
+// copy, before the page is served. Disabled pages redirect to the home page. Protected pages need the
+// session cookie the dashboard sets next to its session storage token; VERIFY_SESSION_URL is the URL of
+// the verifySession Cloud Function, which checks it. Pages are refused when it is not set or the session
+// cannot be checked, so a missing setting never leaves them open. The page guards still run in the browser
+
+import { findPagePolicy, normalizePagePath } from "../ml/config/access-policies.js";
+import { hasPermission } from "../ml/config/permissions.js";
+
+// Must match SESSION_COOKIE in ml/services/session-service.js
+const SESSION_COOKIE = "mlSession";
+
+// The only page users who still have to set up two-factor authentication may open
+const TWO_FACTOR_SETUP_PAGE = "/ml/profile-settings.html";
+
+export async function onRequest({ request, env, next }) {
+  const url = new URL(request.url);
+  const page = pagePath(url.pathname);
+  const policy = page ? findPagePolicy(page) : null;
+
+  if (policy?.disabled) {
+    return Response.redirect(new URL("/", url), 302);
+  }
+  if (!policy?.permission || !["GET", "HEAD"].includes(request.method)) {
+    return next();
+  }
+
+  if (!env?.VERIFY_SESSION_URL) {
+    return refused(503, "Page access is not configured (VERIFY_SESSION_URL)");
+  }
+
+  const token = readCookie(request, SESSION_COOKIE);
+  if (!token) {
+    return toLogin(url);
+  }
+
+  let res;
+  try {
+    res = await fetch(env.VERIFY_SESSION_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ data: { token } })
+    });
+  } catch {
+    return refused(503, "Could not check your session, try again later");
+  }
+  if (res.status === 401 || res.status === 403) {
+    return toLogin(url);
+  }
+  const user = res.ok ? (await res.json().catch(() => null))?.result?.user : null;
+  if (!user) {
+    return refused(503, "Could not check your session, try again later");
+  }
+
+  if (user.twoFactorSetupRequired && page !== TWO_FACTOR_SETUP_PAGE) {
+    return Response.redirect(new URL(`${TWO_FACTOR_SETUP_PAGE}?setup=2fa`, url), 302);
+  }
+  if (!hasPermission(user.role, policy.permission)) {
+    return refused(403, "You do not have permission to view this page");
+  }
+  return next();
+}
+
+// Page path a URL serves, or null for other files (scripts, styles and images)
+function pagePath(pathname) {
+  const page = normalizePagePath(pathname);
+  return page.endsWith(".html") ? page : null;
+}
+
+function readCookie(request, name) {
+  const cookies = (request.headers.get("Cookie") || "").split(";").map(part => part.trim());
+  const match = cookies.find(part => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+// Send visitors without a valid session to the login page and drop the stale cookie
+function toLogin(url) {
+  return new Response(null, {
+    status: 302,
+    headers: {
+      Location: new URL("/login.html", url).toString(),
+      "Set-Cookie": `${SESSION_COOKIE}=; Path=/; Max-Age=0; Secure; SameSite=Strict`,
+      "Cache-Control": "no-store"
+    }
+  });
+}
+
+function refused(status, error) {
+  return new Response(error, {
+    status,
+    headers: { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" }
+  });
+}
@@ -0,0 +1,93 @@
+/**
+ * Page access policies
+ * accessPolicies.json lists which permission each page needs. The first entry whose path matches a page
+ * applies; paths may use * as a wildcard, `"permission": null` makes a page public and `"disabled": true`
+ * takes it offline. Pages matching no entry are public. The dashboard copy (ml/config/access-policies.js)
+ * and the hosting headers and redirects (_headers and firebase.json) are generated from it with
+ * `npm run generate:access-policies` in the project root; functions/_middleware.js enforces the dashboard
+ * copy on Cloudflare Pages
+ */
+
+const { PERMISSIONS } = require('./permissions');
+const ACCESS_POLICIES = require('./accessPolicies.json');
+
+/**
+ * Normalize a page path for matching
+ * Directories map to their index.html and extensionless paths (as served with pretty URLs) to .html
+ * @param {string} path - URL path, e.g. '/ml/upload' or '/ml/'
+ * @returns {string} Lower-case path, e.g. '/ml/upload.html'
+ */
+function normalizePagePath(path) {
+    let page = String(path || '/').split(/[?#]/)[0].replace(/\\/g, '/').toLowerCase();
+    if (!page.startsWith('/')) {
+        page = `/${page}`;
+    }
+    if (page.endsWith('/')) {
+        return `${page}index.html`;
+    }
+    return /\.[a-z0-9]+$/.test(page.split('/').pop()) ? page : `${page}.html`;
+}
+
+/**
+ * Check whether a policy path matches a page
+ * @param {string} pattern - Policy path, * matching any characters
+ * @param {string} path - Page path
+ * @returns {boolean} True on a match
+ */
+function matchesPagePath(pattern, path) {
+    const source = String(pattern).toLowerCase().split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}$`).test(normalizePagePath(path));
+}
+
+/**
+ * Find the policy that applies to a page
+ * @param {string} path - Page path
+ * @param {Object} [policies] - Manifest to use instead of the deployed one
+ * @returns {Object|null} { path, permission, disabled, description }, or null for public pages
+ */
+function findPagePolicy(path, policies = ACCESS_POLICIES) {
+    return policies.pages.find(policy => matchesPagePath(policy.path, path)) || null;
+}
+
+/**
+ * Check a manifest for mistakes
+ * @param {Object} policies - Manifest ({ pages })
+ * @returns {Array<string>} Problems found; empty when the manifest is valid
+ */
+function validateAccessPolicies(policies) {
+    if (!policies || !Array.isArray(policies.pages)) {
+        return ['The manifest must have a pages list.'];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    policies.pages.forEach((policy, index) => {
+        const label = `Entry ${index + 1}`;
+        if (typeof policy.path !== 'string' || !policy.path.startsWith('/')) {
+            errors.push(`${label}: the path must start with /.`);
+        } else if (seen.has(policy.path.toLowerCase())) {
+            errors.push(`${label}: ${policy.path} is listed more than once.`);
+        } else {
+            seen.add(policy.path.toLowerCase());
+        }
+        if (policy.permission === undefined) {
+            errors.push(`${label}: set a permission, or null for a public page.`);
+        } else if (policy.permission !== null && !Object.prototype.hasOwnProperty.call(PERMISSIONS, policy.permission)) {
+            errors.push(`${label}: ${policy.permission} is not a permission.`);
+        }
+        if (policy.disabled !== undefined && typeof policy.disabled !== 'boolean') {
+            errors.push(`${label}: disabled must be true or false.`);
+        }
+    });
+    return errors;
+}
+
+module.exports = {
+    ACCESS_POLICIES,
+    normalizePagePath,
+    matchesPagePath,
+    findPagePolicy,
+    validateAccessPolicies
+};
@@ -0,0 +1,298 @@
+/**
+ * Firebase Cloud Functions for the activity log
+ * Every entry of the Realtime Database actionlogs node is written through appendActivityLog, which numbers
+ * it and stores the hash of the entry before it, so changed, removed or inserted entries break the chain.
+ * actionlogChain/head keeps the sequence number and hash of the newest entry
+ * New entries are committed together with the head under actionlogChain/pending, then moved into actionlogs
+ * The dashboard writes its entries through logActivity and checks the chain with verifyActivityLog
+ */
+
+const crypto = require('crypto');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getDatabase } = require('firebase-admin/database');
+const admin = require('firebase-admin');
+const { sessionSigningKey } = require('./sessionTokens');
+const { requireSessionUser, requirePermission } = require('./users');
+const { hasPermission } = require('./permissions');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const ACTION_LOG_PATH = 'actionlogs';
+const CHAIN_PATH = 'actionlogChain';
+
+// Entries committed with the head but not yet moved into actionlogs, by key
+const CHAIN_PENDING_PATH = `${CHAIN_PATH}/pending`;
+
+// Sequence number and hash of the newest entry moved to an archive, where the live chain now starts
+const CHAIN_ARCHIVED_PATH = `${CHAIN_PATH}/archived`;
+
+// previousHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entry types the dashboard may log, with the permission each needs
+// USER_EDIT and PASSWORD_CHANGE are also allowed for the caller's own account
+const CLIENT_LOG_PERMISSIONS = {
+    UPLOAD: 'character.create',
+    IMPORT: 'character.create',
+    EDIT: 'character.edit',
+    TRANSFER: 'character.edit',
+    DELETE: 'character.delete',
+    RESTORE: 'character.delete',
+    PURGE: 'character.purge',
+    USER_CREATE: 'user.manage',
+    USER_EDIT: 'user.manage',
+    ROLE_CHANGE: 'user.manage',
+    USER_STATUS: 'user.manage',
+    PASSWORD_CHANGE: 'user.manage',
+    USER_DELETE: 'user.manage'
+};
+
+const SELF_SERVICE_TYPES = ['USER_EDIT', 'PASSWORD_CHANGE'];
+
+// Fields set here that a logged entry may not bring itself
+const RESERVED_FIELDS = ['id', 'sequence', 'previousHash', 'hash'];
+
+// Largest entry accepted from the dashboard, as JSON
+const MAX_CLIENT_ENTRY_LENGTH = 20000;
+
+// Problems listed by verifyActivityLog before the rest are only counted
+const MAX_REPORTED_PROBLEMS = 100;
+
+/**
+ * Convert a value to what the Realtime Database stores and returns
+ * null, undefined, empty objects and empty arrays are dropped, as the database drops them
+ * @param {*} value - Value
+ * @returns {*} Stored value, or undefined when nothing would be stored
+ */
+function toStoredValue(value) {
+    if (value === null || value === undefined) {
+        return undefined;
+    }
+    if (Array.isArray(value)) {
+        const items = value.map(toStoredValue).filter(item => item !== undefined);
+        return items.length > 0 ? items : undefined;
+    }
+    if (typeof value === 'object') {
+        const entries = Object.entries(value)
+            .map(([key, item]) => [key, toStoredValue(item)])
+            .filter(([, item]) => item !== undefined);
+        return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+    }
+    return value;
+}
+
+/**
+ * Serialize a value as JSON with object keys in sorted order
+ * @param {*} value - Value
+ * @returns {string} JSON
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash a log entry together with the hash of the entry before it
+ * @param {Object} entry - Stored entry; its own hash field is ignored
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashLogEntry(entry) {
+    const content = Object.fromEntries(Object.entries(entry).filter(([key]) => key !== 'hash' && key !== 'id'));
+    return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+/**
+ * Append an entry to the activity log chain
+ * The entry and the new chain head are written in one transaction on actionlogChain, so concurrent
+ * writers get consecutive sequence numbers and the head never points past an entry that was not stored.
+ * The entry is then moved from actionlogChain/pending into actionlogs, together with any entry a
+ * failed earlier call left behind
+ * @param {Object} entry - Log entry ({ type, user, details, category, ... }); timestamp defaults to now
+ * @returns {Promise<string>} Key of the new entry
+ */
+async function appendActivityLog(entry) {
+    const db = getDatabase();
+    const key = db.ref(ACTION_LOG_PATH).push().key;
+    const fields = toStoredValue({
+        ...Object.fromEntries(Object.entries(entry).filter(([name]) => !RESERVED_FIELDS.includes(name))),
+        timestamp: entry.timestamp || new Date().toISOString()
+    });
+
+    let pending = {};
+    const { committed } = await db.ref(CHAIN_PATH).transaction((chain) => {
+        const head = chain?.head;
+        const chained = {
+            ...fields,
+            sequence: (head?.sequence || 0) + 1,
+            previousHash: head?.hash || GENESIS_HASH
+        };
+        const stored = { ...chained, hash: hashLogEntry(chained) };
+        pending = { ...(chain?.pending || {}), [key]: stored };
+        return {
+            ...chain,
+            head: { sequence: stored.sequence, hash: stored.hash, key },
+            pending
+        };
+    });
+    if (!committed) {
+        throw new Error('The activity log chain head could not be updated.');
+    }
+
+    const updates = {};
+    Object.entries(pending).forEach(([pendingKey, stored]) => {
+        updates[`${ACTION_LOG_PATH}/${pendingKey}`] = stored;
+        updates[`${CHAIN_PENDING_PATH}/${pendingKey}`] = null;
+    });
+    try {
+        await db.ref().update(updates);
+    } catch (error) {
+        // The entry is already part of the chain; the next call moves it into actionlogs
+        console.error(`Activity log entry ${key} is still pending:`, error);
+    }
+    return key;
+}
+
+/**
+ * Walk the activity log chain and collect every break in it
+ * Entries written before the chain existed have no sequence number; they are counted, not checked
+ * @param {Array<Object>} entries - Entries ({ id, ...stored fields }) in key order
+ * @param {Object|null} head - Chain head ({ sequence, hash, key })
+ * @param {Object|null} [archived] - Newest archived entry ({ sequence, hash }); the chain continues from it
+ * @returns {Object} Report ({ valid, checked, unchained, lastSequence, archivedThrough, problems, problemCount })
+ */
+function verifyActivityLogChain(entries, head, archived = null) {
+    const problems = [];
+    const report = (kind, message, entry = null) => {
+        problems.push({ kind, message, id: entry?.id || null, sequence: entry?.sequence ?? null });
+    };
+
+    const firstChained = entries.findIndex(entry => entry.sequence !== undefined);
+    const chained = entries.filter(entry => entry.sequence !== undefined)
+        .sort((a, b) => a.sequence - b.sequence);
+
+    // Entries without a sequence number after the chain started did not come through appendActivityLog
+    entries.slice(firstChained === -1 ? entries.length : firstChained)
+        .filter(entry => entry.sequence === undefined)
+        .forEach(entry => report('unchained', `Entry ${entry.id} was not written by the activity log functions.`, entry));
+
+    let previous = archived ? { sequence: archived.sequence, hash: archived.hash } : null;
+    chained.forEach(entry => {
+        const expectedSequence = previous ? previous.sequence + 1 : 1;
+        if (previous && entry.sequence === previous.sequence) {
+            report('duplicate', `Sequence ${entry.sequence} appears more than once.`, entry);
+            return;
+        }
+        if (entry.sequence !== expectedSequence) {
+            const missing = entry.sequence - expectedSequence;
+            report('gap', `${missing} entr${missing === 1 ? 'y is' : 'ies are'} missing before sequence ${entry.sequence}.`, entry);
+        } else if (entry.previousHash !== (previous ? previous.hash : GENESIS_HASH)) {
+            report('link', `Sequence ${entry.sequence} does not point to the entry before it.`, entry);
+        }
+        if (hashLogEntry(entry) !== entry.hash) {
+            report('modified', `Sequence ${entry.sequence} has been changed since it was written.`, entry);
+        }
+        previous = entry;
+    });
+
+    const lastSequence = previous ? previous.sequence : 0;
+    if ((head?.sequence || 0) > lastSequence) {
+        const missing = head.sequence - lastSequence;
+        report('gap', `The newest ${missing} entr${missing === 1 ? 'y is' : 'ies are'} missing (up to sequence ${head.sequence}).`);
+    } else if (head && previous && head.hash !== previous.hash) {
+        report('modified', `Sequence ${previous.sequence} does not match the chain head.`, previous);
+    } else if (!head && previous) {
+        report('gap', 'The chain head is missing.');
+    }
+
+    return {
+        valid: problems.length === 0,
+        checked: chained.length,
+        unchained: firstChained === -1 ? entries.length : firstChained,
+        lastSequence,
+        archivedThrough: archived?.sequence || 0,
+        problems: problems.slice(0, MAX_REPORTED_PROBLEMS),
+        problemCount: problems.length
+    };
+}
+
+/**
+ * Cloud Function to log a dashboard action
+ * The entry is recorded under the caller's username with the server's time, and only for actions the
+ * caller's role allows
+ * @param {Object} request.data - { token, entry } - entry ({ type, ... }) as built by the logging service
+ * @returns {Object} { id }
+ */
+const logActivity = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const userDoc = await requireSessionUser(request.data?.token);
+    const entry = request.data?.entry;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new HttpsError('invalid-argument', 'A log entry is required.');
+    }
+    const permission = CLIENT_LOG_PERMISSIONS[entry.type];
+    if (!permission) {
+        throw new HttpsError('invalid-argument', `${String(entry.type).slice(0, 50)} entries cannot be logged from the dashboard.`);
+    }
+    if (JSON.stringify(entry).length > MAX_CLIENT_ENTRY_LENGTH) {
+        throw new HttpsError('invalid-argument', 'The log entry is too large.');
+    }
+
+    const data = userDoc.data();
+    const ownAccount = SELF_SERVICE_TYPES.includes(entry.type) &&
+        !!entry.targetUserId && [userDoc.id, data.uid].includes(entry.targetUserId);
+    if (!ownAccount && !hasPermission(data.role, permission)) {
+        throw new HttpsError('permission-denied', 'Your role cannot log this action.');
+    }
+
+    const id = await appendActivityLog({
+        ...entry,
+        user: data.username || data.email,
+        timestamp: new Date().toISOString()
+    });
+    return { id };
+});
+
+/**
+ * Cloud Function to check the activity log chain
+ * @param {Object} request.data - { token }
+ * @returns {Object} Report ({ valid, checked, unchained, lastSequence, archivedThrough, problems, problemCount, checkedAt })
+ */
+const verifyActivityLog = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const userDoc = await requirePermission(request.data?.token, 'logs.read', 'Only users who can read the activity log can verify it.');
+
+    const db = getDatabase();
+    const [logsSnapshot, chainSnapshot] = await Promise.all([
+        db.ref(ACTION_LOG_PATH).orderByKey().get(),
+        db.ref(CHAIN_PATH).get()
+    ]);
+    const chain = chainSnapshot.val() || {};
+
+    // Entries still pending are part of the chain, even though they are not in actionlogs yet
+    const byKey = new Map(Object.entries(chain.pending || {}).map(([key, stored]) => [key, { id: key, ...stored }]));
+    logsSnapshot.forEach(child => {
+        byKey.set(child.key, { id: child.key, ...child.val() });
+    });
+    const entries = [...byKey.values()].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+    const result = verifyActivityLogChain(entries, chain.head || null, chain.archived || null);
+    console.log(`Activity log verified by user ${userDoc.id}: ${result.checked} entries, ${result.problemCount} problems.`);
+    return { ...result, checkedAt: new Date().toISOString() };
+});
+
+module.exports = {
+    ACTION_LOG_PATH,
+    CHAIN_ARCHIVED_PATH,
+    GENESIS_HASH,
+    appendActivityLog,
+    verifyActivityLogChain,
+    logActivity,
+    verifyActivityLog
+};
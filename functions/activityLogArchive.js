@@ -0,0 +1,260 @@
+/**
+ * Activity log retention and archives
+ * Entries older than the retention period are moved out of the Realtime Database actionlogs node once a
+ * day, into one gzip-compressed JSON file per month in Cloud Storage (archives/actionlogs/YYYY-MM.json.gz).
+ * The newest archived entry becomes the start of the live hash chain, so verifyActivityLog keeps passing
+ * The retention period is kept in the Firestore document system_settings/activityLog
+ */
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { getDatabase } = require('firebase-admin/database');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+const admin = require('firebase-admin');
+const { sessionSigningKey } = require('./sessionTokens');
+const { requirePermission } = require('./users');
+const { hasPermission } = require('./permissions');
+const { ACTION_LOG_PATH, CHAIN_ARCHIVED_PATH, GENESIS_HASH, appendActivityLog } = require('./activityLog');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_PREFIX = 'archives/actionlogs/';
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+const DEFAULT_RETENTION_DAYS = 90;
+const MIN_RETENTION_DAYS = 7;
+const MAX_RETENTION_DAYS = 3650;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Storage path of a month's archive
+ * @param {string} month - Month, e.g. '2025-01'
+ * @returns {string} Object path
+ */
+function archivePath(month) {
+    return `${ARCHIVE_PREFIX}${month}.json.gz`;
+}
+
+/**
+ * Read the entries of a month's archive
+ * @param {string} month - Month, e.g. '2025-01'
+ * @returns {Promise<Array<Object>>} Entries ({ id, ...stored fields }); empty when there is no archive
+ */
+async function readArchive(month) {
+    if (!MONTH_PATTERN.test(month)) {
+        throw new HttpsError('invalid-argument', 'Archives are named by month, e.g. 2025-01.');
+    }
+
+    const file = getStorage().bucket().file(archivePath(month));
+    const [exists] = await file.exists();
+    if (!exists) {
+        return [];
+    }
+
+    const [contents] = await file.download();
+    return JSON.parse((await gunzip(contents)).toString('utf8')).entries || [];
+}
+
+/**
+ * Replace a month's archive
+ * @param {string} month - Month, e.g. '2025-01'
+ * @param {Array<Object>} entries - Entries, oldest first
+ * @returns {Promise<void>}
+ */
+async function writeArchive(month, entries) {
+    const contents = await gzip(JSON.stringify({ month, entries }));
+    await getStorage().bucket().file(archivePath(month)).save(contents, {
+        contentType: 'application/gzip',
+        resumable: false,
+        metadata: {
+            metadata: { entryCount: String(entries.length) }
+        }
+    });
+}
+
+/**
+ * List the monthly archives, newest first
+ * @returns {Promise<Array<Object>>} Archives ({ month, entryCount, size, updatedAt })
+ */
+async function listArchives() {
+    const [files] = await getStorage().bucket().getFiles({ prefix: ARCHIVE_PREFIX });
+    return files
+        .map(file => ({
+            month: file.name.slice(ARCHIVE_PREFIX.length, -'.json.gz'.length),
+            entryCount: parseInt(file.metadata.metadata?.entryCount, 10) || 0,
+            size: Number(file.metadata.size) || 0,
+            updatedAt: file.metadata.updated || null
+        }))
+        .filter(archive => MONTH_PATTERN.test(archive.month))
+        .sort((a, b) => b.month.localeCompare(a.month));
+}
+
+/**
+ * Get the retention period of the live log
+ * @returns {Promise<number>} Days
+ */
+async function getRetentionDays() {
+    const snapshot = await getFirestore().collection('system_settings').doc('activityLog').get();
+    const days = parseInt(snapshot.data()?.retentionDays, 10);
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Pick the entries that can be archived before a cutoff
+ * Chained entries are only taken in sequence from the start of the live chain, stopping at the first one
+ * that is too new or out of order, so gaps and inserted entries stay in the live log to be reported
+ * @param {Array<Object>} entries - Entries older than the cutoff ({ id, ...stored fields })
+ * @param {Object|null} archived - Newest archived entry ({ sequence, hash })
+ * @param {string|null} firstChainedKey - Key of the oldest chained entry in the live log
+ * @returns {Object} { entries, archived } - entries to move and the new start of the live chain
+ */
+function selectArchivableEntries(entries, archived, firstChainedKey) {
+    const selected = entries.filter(entry => entry.sequence === undefined &&
+        (!firstChainedKey || entry.id < firstChainedKey) &&
+        MONTH_PATTERN.test(entry.timestamp.slice(0, 7)));
+
+    let last = archived || { sequence: 0, hash: GENESIS_HASH };
+    const chained = entries.filter(entry => entry.sequence !== undefined).sort((a, b) => a.sequence - b.sequence);
+    for (const entry of chained) {
+        if (entry.sequence !== last.sequence + 1 || entry.previousHash !== last.hash) {
+            break;
+        }
+        selected.push(entry);
+        last = { sequence: entry.sequence, hash: entry.hash };
+    }
+
+    return { entries: selected, archived: last.sequence > 0 ? last : null };
+}
+
+/**
+ * Scheduled function that moves entries past retention into the monthly archives
+ * Each month's archive is written before its entries leave the live log, and the run is logged as ARCHIVE
+ */
+const archiveActivityLog = onSchedule('every day 04:00', async () => {
+    const db = getDatabase();
+    const retentionDays = await getRetentionDays();
+    const cutoff = new Date(Date.now() - retentionDays * DAY_IN_MS).toISOString();
+
+    const [oldSnapshot, firstChainedSnapshot, archivedSnapshot] = await Promise.all([
+        db.ref(ACTION_LOG_PATH).orderByChild('timestamp').startAt('').endAt(cutoff).get(),
+        db.ref(ACTION_LOG_PATH).orderByChild('sequence').startAt(1).limitToFirst(1).get(),
+        db.ref(CHAIN_ARCHIVED_PATH).get()
+    ]);
+
+    const oldEntries = [];
+    oldSnapshot.forEach(child => {
+        oldEntries.push({ id: child.key, ...child.val() });
+    });
+    let firstChainedKey = null;
+    firstChainedSnapshot.forEach(child => {
+        firstChainedKey = child.key;
+    });
+
+    const selection = selectArchivableEntries(oldEntries, archivedSnapshot.val(), firstChainedKey);
+    if (selection.entries.length === 0) {
+        console.log(`No activity log entries older than ${retentionDays} days to archive.`);
+        return;
+    }
+
+    const byMonth = new Map();
+    selection.entries.forEach(entry => {
+        const month = entry.timestamp.slice(0, 7);
+        byMonth.set(month, [...(byMonth.get(month) || []), entry]);
+    });
+
+    // A month can be archived over several runs; merge with what is already there
+    for (const [month, entries] of byMonth) {
+        const existing = await readArchive(month);
+        const ids = new Set(existing.map(entry => entry.id));
+        const merged = [...existing, ...entries.filter(entry => !ids.has(entry.id))]
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.id.localeCompare(b.id));
+        await writeArchive(month, merged);
+    }
+
+    const updates = {};
+    selection.entries.forEach(entry => {
+        updates[`${ACTION_LOG_PATH}/${entry.id}`] = null;
+    });
+    if (selection.archived) {
+        updates[CHAIN_ARCHIVED_PATH] = selection.archived;
+    }
+    await db.ref().update(updates);
+
+    const months = [...byMonth.keys()].sort();
+    await appendActivityLog({
+        type: 'ARCHIVE',
+        user: 'System (retention)',
+        details: `Archived ${selection.entries.length} entr${selection.entries.length === 1 ? 'y' : 'ies'} older than ${retentionDays} days into ${months.join(', ')}`,
+        category: 'SYSTEM',
+        archiveMonths: months
+    });
+
+    console.log(`Archived ${selection.entries.length} activity log entries into ${months.join(', ')}.`);
+});
+
+/**
+ * Cloud Function to list the monthly archives and the retention period
+ * @param {Object} request.data - { token }
+ * @returns {Object} { archives, retentionDays, canManageRetention }
+ */
+const getActivityLogArchives = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const userDoc = await requirePermission(request.data?.token, 'logs.read', 'Only users who can read the activity log can see its archives.');
+
+    const [archives, retentionDays] = await Promise.all([listArchives(), getRetentionDays()]);
+    return {
+        archives,
+        retentionDays,
+        canManageRetention: hasPermission(userDoc.data().role, 'security.manage')
+    };
+});
+
+/**
+ * Cloud Function to change how long entries stay in the live log before they are archived
+ * @param {Object} request.data - { token, retentionDays }
+ * @returns {Object} { retentionDays }
+ */
+const saveActivityLogRetention = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const userDoc = await requirePermission(request.data?.token, 'security.manage', 'Only super-admins can change the log retention.');
+
+    const retentionDays = parseInt(request.data?.retentionDays, 10);
+    if (!(retentionDays >= MIN_RETENTION_DAYS && retentionDays <= MAX_RETENTION_DAYS)) {
+        throw new HttpsError('invalid-argument', `Retention must be between ${MIN_RETENTION_DAYS} and ${MAX_RETENTION_DAYS} days.`);
+    }
+
+    const performedBy = userDoc.data().username || userDoc.data().email;
+    await getFirestore().collection('system_settings').doc('activityLog').set({
+        retentionDays,
+        updatedAt: Date.now(),
+        updatedBy: performedBy
+    }, { merge: true });
+
+    try {
+        await appendActivityLog({
+            type: 'ARCHIVE',
+            user: performedBy,
+            details: `Log retention set to ${retentionDays} days`,
+            category: 'SYSTEM'
+        });
+    } catch (error) {
+        console.error('Failed to log retention change:', error);
+    }
+
+    console.log(`Activity log retention set to ${retentionDays} days by user ${userDoc.id}.`);
+    return { retentionDays };
+});
+
+module.exports = {
+    readArchive,
+    archiveActivityLog,
+    getActivityLogArchives,
+    saveActivityLogRetention
+};
@@ -0,0 +1,145 @@
+/**
+ * Firebase Cloud Function for searching the activity log
+ * Filters and pages the live log or one monthly archive on the server, so the dashboard only downloads
+ * the page it shows. Date ranges on the live log are narrowed by a timestamp query
+ * (indexed on actionlogs in database.rules.json)
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getDatabase } = require('firebase-admin/database');
+const admin = require('firebase-admin');
+const { sessionSigningKey } = require('./sessionTokens');
+const { requirePermission } = require('./users');
+const { ACTION_LOG_PATH } = require('./activityLog');
+const { readArchive } = require('./activityLogArchive');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 200;
+
+// Most entries returned at once for an export
+const MAX_EXPORT_ENTRIES = 10000;
+
+/**
+ * Read and check the filters sent by the dashboard
+ * @param {Object} filters - { types, category, user, masterlistNumber, from, to }
+ * @returns {Object} Filters with lower-case search text and from/to as ISO timestamps
+ * @throws {HttpsError} invalid-argument for dates that cannot be read
+ */
+function normalizeLogFilters(filters = {}) {
+    const time = (value, name) => {
+        if (!value) return null;
+        const parsed = new Date(value);
+        if (Number.isNaN(parsed.getTime())) {
+            throw new HttpsError('invalid-argument', `${name} is not a valid date.`);
+        }
+        return parsed.toISOString();
+    };
+
+    return {
+        types: Array.isArray(filters.types) ? filters.types.map(String) : null,
+        category: filters.category && filters.category !== 'all' ? String(filters.category) : null,
+        user: String(filters.user || '').trim().toLowerCase(),
+        masterlistNumber: String(filters.masterlistNumber || '').trim().toLowerCase(),
+        from: time(filters.from, 'The start date'),
+        to: time(filters.to, 'The end date')
+    };
+}
+
+/**
+ * Check a log entry against normalized filters
+ * @param {Object} entry - Log entry
+ * @param {Object} filters - Filters from normalizeLogFilters
+ * @returns {boolean} True when the entry matches every filter that is set
+ */
+function matchesLogFilters(entry, filters) {
+    const contains = (value, search) => String(value || '').toLowerCase().includes(search);
+
+    if (filters.types && !filters.types.includes(entry.type)) {
+        return false;
+    }
+    // Entries without a category are character actions
+    if (filters.category && (entry.category || 'CHARACTER') !== filters.category) {
+        return false;
+    }
+    // Users match as the one acting or the one acted on
+    if (filters.user && !contains(entry.user, filters.user) && !contains(entry.targetUser, filters.user)) {
+        return false;
+    }
+    if (filters.masterlistNumber && !contains(entry.masterlistNumber, filters.masterlistNumber)) {
+        return false;
+    }
+    if (filters.from && !(String(entry.timestamp) >= filters.from)) {
+        return false;
+    }
+    return !(filters.to && !(String(entry.timestamp) <= filters.to));
+}
+
+/**
+ * Load the live entries in a date range
+ * @param {Object} filters - Filters from normalizeLogFilters
+ * @returns {Promise<Array<Object>>} Entries ({ id, ...stored fields })
+ */
+async function loadLiveEntries({ from, to }) {
+    let query = getDatabase().ref(ACTION_LOG_PATH).orderByChild('timestamp');
+    if (from) {
+        query = query.startAt(from);
+    }
+    if (to) {
+        query = query.endAt(to);
+    }
+
+    const snapshot = await query.get();
+    const entries = [];
+    snapshot.forEach(child => {
+        entries.push({ id: child.key, ...child.val() });
+    });
+    return entries;
+}
+
+/**
+ * Cloud Function to search the activity log, newest entries first
+ * @param {Object} request.data - { token, archive, filters, page, pageSize, all }
+ *   archive - month of an archive (e.g. '2025-01'), or empty for the live log
+ *   all - return every match (up to MAX_EXPORT_ENTRIES) instead of one page, for exports
+ * @returns {Object} { entries, total, page, pageSize, truncated }
+ */
+const queryActivityLog = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    await requirePermission(request.data?.token, 'logs.read', 'Only users who can read the activity log can search it.');
+
+    const filters = normalizeLogFilters(request.data?.filters);
+    const archive = request.data?.archive ? String(request.data.archive) : null;
+    const entries = archive ? await readArchive(archive) : await loadLiveEntries(filters);
+
+    const matches = entries
+        .filter(entry => matchesLogFilters(entry, filters))
+        .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)) || b.id.localeCompare(a.id));
+
+    if (request.data?.all === true) {
+        return {
+            entries: matches.slice(0, MAX_EXPORT_ENTRIES),
+            total: matches.length,
+            page: 1,
+            pageSize: MAX_EXPORT_ENTRIES,
+            truncated: matches.length > MAX_EXPORT_ENTRIES
+        };
+    }
+
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(request.data?.pageSize, 10) || DEFAULT_PAGE_SIZE));
+    const page = Math.max(1, parseInt(request.data?.page, 10) || 1);
+    return {
+        entries: matches.slice((page - 1) * pageSize, page * pageSize),
+        total: matches.length,
+        page,
+        pageSize,
+        truncated: false
+    };
+});
+
+module.exports = {
+    queryActivityLog
+};
@@ -1,5 +1,8 @@
 // functions/characters.js
 
+import { requirePermission } from "./_lib/auth.js";
+import { maintenanceResponse } from "./_lib/maintenance.js";
+
 export async function onRequestGet() {
   // Return the list of characters
   const list = await getFile("data/index.json");
@@ -12,6 +15,19 @@ export async function onRequestPost({ request, env }) {
   const id = form.get("mlNumber");
   if (!id) return json({ error: "mlNumber is required" }, 400);
 
+  // Provenance is only written through /characters/:id/transfers, keep it across re-saves
+  const existing = await getFile(`data/characters/${id}.json`);
+
+  const { response } = await requirePermission(request, env, existing ? "character.edit" : "character.create");
+  if (response) return response;
+
+  const blocked = await maintenanceResponse(request, env);
+  if (blocked) return blocked;
+
+  // Optional ordered gallery sent as JSON: [{ main, preview, caption, artist, isPrimary }]
+  const gallery = parseGallery(form.get("gallery"));
+  const primary = gallery.find(image => image.isPrimary);
+
   // Build character object
   const character = {
     id,
@@ -24,10 +40,12 @@ export async function onRequestPost({ request, env }) {
     status: form.get("status") || "",
     value: form.get("value") || "",
     txLog: form.get("txlog") || "",
-    images: {
-      main: form.get("mainUrl") || "",
-      preview: form.get("previewUrl") || ""
-    },
+    // images mirrors the primary image for pages that only show one
+    images: primary
+      ? { main: primary.main, preview: primary.preview }
+      : { main: form.get("mainUrl") || "", preview: form.get("previewUrl") || "" },
+    gallery,
+    provenance: existing?.provenance ?? [],
     updatedAt: new Date().toISOString()
   };
 
@@ -46,6 +64,31 @@ export async function onRequestPost({ request, env }) {
 }
 
 // --- helpers ---
+function parseGallery(value) {
+  let images;
+  try {
+    images = JSON.parse(value || "[]");
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(images)) return [];
+
+  const gallery = images
+    .filter(image => image && image.main)
+    .map(image => ({
+      main: String(image.main),
+      preview: String(image.preview || image.main),
+      caption: String(image.caption || "").trim(),
+      artist: String(image.artist || "").trim(),
+      isPrimary: Boolean(image.isPrimary)
+    }));
+
+  // Exactly one primary image, the first one unless another is marked
+  const primaryIdx = Math.max(0, gallery.findIndex(image => image.isPrimary));
+  gallery.forEach((image, i) => { image.isPrimary = i === primaryIdx; });
+  return gallery;
+}
+
 function json(obj, status = 200) {
   return new Response(JSON.stringify(obj, null, 2), {
     status,
@@ -0,0 +1,94 @@
+// functions/characters/[id]/transfers.js
+
+import { requirePermission } from "../../_lib/auth.js";
+import { maintenanceResponse } from "../../_lib/maintenance.js";
+
+const TRANSFER_TYPES = ["trade", "gift", "resell", "purchase"];
+
+export async function onRequestGet({ params }) {
+  // Return the provenance chain for one character
+  const { id } = params;
+  const character = await getFile(`data/characters/${id}.json`);
+  if (!character) return json({ error: "Not found" }, 404);
+  return json({ id, provenance: character.provenance ?? [] });
+}
+
+export async function onRequestPost({ params, request, env }) {
+  const { user, response } = await requirePermission(request, env, "character.edit");
+  if (response) return response;
+
+  const blocked = await maintenanceResponse(request, env);
+  if (blocked) return blocked;
+
+  const { id } = params;
+  const character = await getFile(`data/characters/${id}.json`);
+  if (!character) return json({ error: "Not found" }, 404);
+
+  const form = await request.formData();
+  const toOwner = (form.get("toOwner") || "").trim();
+  const type = form.get("type") || "";
+  const date = form.get("date") || new Date().toISOString().split("T")[0];
+
+  if (!toOwner) return json({ error: "toOwner is required" }, 400);
+  if (!TRANSFER_TYPES.includes(type)) {
+    return json({ error: `type must be one of: ${TRANSFER_TYPES.join(", ")}` }, 400);
+  }
+  if (toOwner === character.owner) return json({ error: "New owner must differ from current owner" }, 400);
+  const proofUrl = form.get("proofUrl") || "";
+  if (proofUrl && !isHttpUrl(proofUrl)) return json({ error: "proofUrl must be an http(s) URL" }, 400);
+
+  // Append to the chain and move ownership in the same write
+  const transfer = {
+    fromOwner: character.owner || "",
+    toOwner,
+    type,
+    date,
+    price: form.get("price") || "",
+    proofUrl,
+    recordedBy: user.username,
+    recordedAt: new Date().toISOString()
+  };
+  character.provenance = [...(character.provenance ?? []), transfer];
+  character.owner = toOwner;
+  character.updatedAt = transfer.recordedAt;
+  await putFile(`data/characters/${id}.json`, JSON.stringify(character, null, 2));
+
+  // Keep index.json card owner in sync
+  const index = (await getFile("data/index.json")) || { items: [] };
+  const card = index.items.find(c => c.id === id);
+  if (card) {
+    card.owner = toOwner;
+    await putFile("data/index.json", JSON.stringify(index, null, 2));
+  }
+
+  return json({ ok: true, id, transfer });
+}
+
+// --- helpers ---
+// The public character page links to proofUrl, so only web links are stored
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function json(obj, status = 200) {
+  return new Response(JSON.stringify(obj, null, 2), {
+    status,
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+import fs from "fs/promises";
+async function getFile(path) {
+  try {
+    const buf = await fs.readFile(path, "utf8");
+    return JSON.parse(buf);
+  } catch { return null; }
+}
+async function putFile(path, content) {
+  await fs.mkdir(path.split("/").slice(0, -1).join("/"), { recursive: true });
+  await fs.writeFile(path, content, "utf8");
+}
@@ -0,0 +1,150 @@
+/**
+ * Firebase Cloud Function to check character image links
+ * Runs daily, tests every image URL a character is shown with and records the result on the character
+ * Staff can run the same check on demand from the Broken Images page of the ML dashboard
+ */
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { getDatabase } = require('firebase-admin/database');
+const admin = require('firebase-admin');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+// An image that has not answered after this long counts as broken
+const IMAGE_LOAD_TIMEOUT_MS = 10000;
+
+// Characters checked at the same time
+const IMAGE_CHECK_CONCURRENCY = 8;
+
+// Google Drive thumbnail size pages use for each variant of a Drive link (see ml/services/character-images.js)
+const DRIVE_THUMBNAIL_SIZES = {
+    main: 'w800-h800',
+    preview: 'w400-h400'
+};
+
+const DRIVE_FILE_ID_PATTERNS = [
+    /\/file\/d\/([a-zA-Z0-9-_]+)/,
+    /id=([a-zA-Z0-9-_]+)/,
+    /\/d\/([a-zA-Z0-9-_]+)\//
+];
+
+/**
+ * Get the URL pages display for an image variant, turning Drive share links into thumbnails
+ * @param {string} url - Stored image URL
+ * @param {string} variant - 'main' or 'preview'
+ * @returns {string} Display URL
+ */
+function toDisplayUrl(url, variant) {
+    if (!url || !url.includes('drive.google.com')) return url;
+
+    for (const pattern of DRIVE_FILE_ID_PATTERNS) {
+        const match = url.match(pattern);
+        if (match) {
+            return `https://drive.google.com/thumbnail?id=${match[1]}&sz=${DRIVE_THUMBNAIL_SIZES[variant]}`;
+        }
+    }
+    return url;
+}
+
+/**
+ * Get every image URL pages display for a character
+ * Characters saved before galleries existed fall back to images or imageUrl
+ * @param {Object} character - Character data
+ * @returns {Array<string>} Unique URLs
+ */
+function getImageLinks(character) {
+    let images = Array.isArray(character.gallery) ? character.gallery.filter(image => image && image.main) : [];
+    if (images.length === 0) {
+        const main = character.images?.main || character.imageUrl;
+        images = main ? [{ main, preview: character.images?.preview || main }] : [];
+    }
+
+    const links = images.flatMap(image =>
+        Object.keys(DRIVE_THUMBNAIL_SIZES).map(variant => toDisplayUrl(image[variant] || image.main, variant))
+    );
+    return [...new Set(links.filter(Boolean))];
+}
+
+/**
+ * Check whether a URL answers with an image
+ * @param {string} url - Image URL
+ * @returns {Promise<boolean>} True when the image loads
+ */
+async function testImageLink(url) {
+    try {
+        const response = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(IMAGE_LOAD_TIMEOUT_MS) });
+        const contentType = response.headers.get('content-type') || '';
+        await response.body?.cancel();
+        return response.ok && contentType.startsWith('image/');
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Test every image link of one character
+ * @param {Object} character - Character data
+ * @returns {Promise<Object>} Check result ({ status, brokenUrls, checkedAt }) in the format the dashboard writes
+ */
+async function checkCharacter(character) {
+    const links = getImageLinks(character);
+    const results = await Promise.all(links.map(testImageLink));
+    const brokenUrls = links.filter((url, index) => !results[index]);
+
+    return {
+        status: links.length === 0 ? 'none' : (brokenUrls.length > 0 ? 'broken' : 'ok'),
+        brokenUrls,
+        checkedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Scheduled function that checks the images of every character
+ * Results are written to characters/{id}/imageCheck, the run summary to settings/imageCheck
+ */
+exports.checkImageLinks = onSchedule({ schedule: 'every day 04:00', timeoutSeconds: 540 }, async () => {
+    const db = getDatabase();
+
+    const snapshot = await db.ref('characters').get();
+    if (!snapshot.exists()) {
+        console.log('No characters, nothing to check.');
+        return;
+    }
+
+    const queue = [];
+    snapshot.forEach(child => {
+        queue.push({ id: child.key, character: child.val() });
+    });
+
+    let brokenCount = 0;
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const { id, character } = queue.shift();
+            const imageCheck = await checkCharacter(character);
+
+            // Skip characters deleted while the check ran, writing the result would recreate them
+            const stillExists = await db.ref(`characters/${id}/masterlistNumber`).get();
+            if (stillExists.exists()) {
+                await db.ref(`characters/${id}/imageCheck`).set(imageCheck);
+            }
+            if (imageCheck.status === 'broken') {
+                brokenCount++;
+            }
+        }
+    };
+    const checkedCount = queue.length;
+    await Promise.all(Array.from({ length: IMAGE_CHECK_CONCURRENCY }, worker));
+
+    await db.ref('settings/imageCheck').update({
+        lastRunAt: new Date().toISOString(),
+        lastRunBy: 'System (schedule)',
+        checkedCount,
+        brokenCount
+    });
+
+    console.log(`Checked images of ${checkedCount} characters, ${brokenCount} with broken images.`);
+});
@@ -0,0 +1,65 @@
+/**
+ * Firebase Authentication tokens for the Realtime Database
+ * Dashboard sessions are not Firebase Authentication sign ins, so database.rules.json cannot tell who is
+ * writing. verifySession hands every user whose role grants a database permission a custom token instead.
+ * Its claims name those permissions (character.edit becomes character_edit) and a validUntil time, fixed
+ * when the token is made and running out with the idle timeout; the dashboard gets a new token every
+ * time it checks the session, so role changes reach the rules then
+ */
+
+const { getAuth } = require('firebase-admin/auth');
+const admin = require('firebase-admin');
+const { hasPermission } = require('./permissions');
+const { SESSION_IDLE_TIMEOUT_MS } = require('./sessions');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+// Permissions checked by database.rules.json
+const DATABASE_PERMISSIONS = [
+    'dashboard.access',
+    'character.create',
+    'character.edit',
+    'character.delete',
+    'character.purge',
+    'traits.manage',
+    'maintenance.bypass'
+];
+
+/**
+ * Name of the token claim for a permission
+ * @param {string} permission - Permission name, e.g. 'character.edit'
+ * @returns {string} Claim name, e.g. 'character_edit'
+ */
+function claimName(permission) {
+    return permission.replace(/[.-]/g, '_');
+}
+
+/**
+ * Create the database token for a signed-in user
+ * @param {Object} userDoc - Firestore document snapshot
+ * @returns {Promise<string|null>} Custom token, or null for users without any database permission
+ */
+async function createDatabaseToken(userDoc) {
+    const granted = DATABASE_PERMISSIONS.filter(permission => hasPermission(userDoc.data().role, permission));
+    if (granted.length === 0) {
+        return null;
+    }
+
+    const claims = { validUntil: Date.now() + SESSION_IDLE_TIMEOUT_MS };
+    granted.forEach(permission => { claims[claimName(permission)] = true; });
+
+    try {
+        return await getAuth().createCustomToken(userDoc.id, claims);
+    } catch (error) {
+        // Usually the functions' service account lacks the Service Account Token Creator role
+        console.error(`Could not create a database token for user ${userDoc.id}:`, error);
+        return null;
+    }
+}
+
+module.exports = {
+    createDatabaseToken
+};
@@ -1,12 +1,15 @@
 /**
  * Firebase Cloud Function to delete users from Firebase Authentication
- * This function requires Firebase Admin SDK and proper authentication
+ * The caller is checked through their session token like every other user management function
  */
 
 const { onCall, HttpsError } = require('firebase-functions/v2/https');
 const { getAuth } = require('firebase-admin/auth');
 const { getFirestore } = require('firebase-admin/firestore');
 const admin = require('firebase-admin');
+const { sessionSigningKey } = require('./sessionTokens');
+const { requirePermission } = require('./users');
+const { hasPermission } = require('./permissions');
 
 // Initialize Firebase Admin if not already initialized
 if (!admin.apps.length) {
@@ -18,39 +21,28 @@ const db = getFirestore();
 
 /**
  * Cloud Function to delete a user from Firebase Authentication and Firestore
- * @param {Object} data - Function parameters
- * @param {string} data.uid - User ID to delete
- * @param {Object} context - Function context with authentication info
+ * Deleting a super-admin also needs user.manage-super-admins
+ * @param {Object} request.data - { token, uid } - uid is the user's uid field
  * @returns {Object} Result of the deletion operation
  */
-exports.deleteUser = onCall(async (request) => {
-    const { uid } = request.data;
-    const { auth: authContext } = request;
-
-    // Check if the caller is authenticated
-    if (!authContext) {
-        throw new HttpsError('unauthenticated', 'User must be authenticated to delete users.');
+exports.deleteUser = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const callerDoc = await requirePermission(request.data?.token, 'user.manage', 'Only administrators can delete users.');
+    const uid = String(request.data?.uid || '');
+    if (!uid) {
+        throw new HttpsError('invalid-argument', 'A user ID is required.');
     }
+    const callerRole = callerDoc.data().role;
 
     try {
-        // Verify the caller has admin privileges
-        const callerUid = authContext.uid;
-        const callerRecord = await auth.getUser(callerUid);
-        
-        // Check if caller has admin role in Firestore
-        const callerQuery = await db.collection('users')
-            .where('uid', '==', callerUid)
+        const userQuery = await db.collection('users')
+            .where('uid', '==', uid)
             .limit(1)
             .get();
-        
-        let hasAdminRole = false;
-        if (!callerQuery.empty) {
-            const userData = callerQuery.docs[0].data();
-            hasAdminRole = userData.role === 'administrator' || userData.role === 'admin';
-        }
 
-        if (!hasAdminRole) {
-            throw new HttpsError('permission-denied', 'Only administrators can delete users.');
+        // Super-admin accounts can only be deleted by other super-admins
+        const targetRole = userQuery.empty ? null : userQuery.docs[0].data().role;
+        if (hasPermission(targetRole, 'user.manage-super-admins') && !hasPermission(callerRole, 'user.manage-super-admins')) {
+            throw new HttpsError('permission-denied', 'Only super-admins can delete super-admin accounts.');
         }
 
         // Get user record to check if it exists
@@ -73,11 +65,6 @@ exports.deleteUser = onCall(async (request) => {
         }
 
         // Delete from Firestore
-        const userQuery = await db.collection('users')
-            .where('uid', '==', uid)
-            .limit(1)
-            .get();
-
         if (!userQuery.empty) {
             await userQuery.docs[0].ref.delete();
             console.log(`Successfully deleted user ${uid} from Firestore.`);
@@ -5,8 +5,69 @@
 
 // Import and export the deleteUser function
 const { deleteUser } = require('./deleteUser');
+// Import and export the login and session check functions
+const { login, verifyTwoFactor, verifySession, checkPermission } = require('./login');
+// Import and export the sign out and session management functions
+const { signOut, listSessions, revokeOwnSessions, signOutUser } = require('./userSessions');
+// Import and export the two-factor authentication functions
+const {
+    getTwoFactorStatus,
+    startTwoFactorEnrollment,
+    confirmTwoFactorEnrollment,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    saveTwoFactorPolicy
+} = require('./twoFactor');
+// Import and export the locked account functions
+const { listLoginLockouts, unlockLogin } = require('./loginProtection');
+// Import and export the maintenance mode functions
+const { getMaintenanceStatus, saveMaintenanceSettings } = require('./maintenance');
+// Import and export the password change functions
+const { changePassword, setUserPassword } = require('./passwordChange');
+// Import and export the password reset functions
+const { requestPasswordReset, checkPasswordResetToken, resetPassword } = require('./passwordReset');
+// Import and export the activity log functions
+const { logActivity, verifyActivityLog } = require('./activityLog');
+const { queryActivityLog } = require('./activityLogQueries');
+// Import and export the activity log retention functions and the scheduled archive
+const { archiveActivityLog, getActivityLogArchives, saveActivityLogRetention } = require('./activityLogArchive');
+// Import and export the scheduled recycle bin purge
+const { purgeRecycleBin } = require('./purgeRecycleBin');
+// Import and export the scheduled image link check
+const { checkImageLinks } = require('./checkImageLinks');
 
 // Export all functions
 module.exports = {
-    deleteUser
+    deleteUser,
+    login,
+    verifyTwoFactor,
+    verifySession,
+    checkPermission,
+    signOut,
+    listSessions,
+    revokeOwnSessions,
+    signOutUser,
+    getTwoFactorStatus,
+    startTwoFactorEnrollment,
+    confirmTwoFactorEnrollment,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    saveTwoFactorPolicy,
+    listLoginLockouts,
+    unlockLogin,
+    getMaintenanceStatus,
+    saveMaintenanceSettings,
+    changePassword,
+    setUserPassword,
+    requestPasswordReset,
+    checkPasswordResetToken,
+    resetPassword,
+    logActivity,
+    verifyActivityLog,
+    queryActivityLog,
+    getActivityLogArchives,
+    saveActivityLogRetention,
+    archiveActivityLog,
+    purgeRecycleBin,
+    checkImageLinks
 };
\ No newline at end of file
@@ -0,0 +1,252 @@
+/**
+ * Firebase Cloud Functions for signing in to the ML dashboard
+ * Credentials are checked here against the users collection, so password hashes never reach the browser
+ * A successful login returns a signed, expiring session token the dashboard sends back to verifySession
+ * Failed attempts are throttled and locked out by loginProtection.js
+ * Sign ins and failed sign ins are written to the activity log (LOGIN, LOGIN_FAILED)
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const admin = require('firebase-admin');
+const { DUMMY_PASSWORD_HASH, hashPassword, verifyPassword, needsPasswordRehash } = require('./passwords');
+const {
+    sessionSigningKey,
+    SESSION_TTL_MS,
+    createSessionToken,
+    createTwoFactorChallenge,
+    verifyTwoFactorChallenge
+} = require('./sessionTokens');
+const { createSession, idleExpiresAt } = require('./sessions');
+const { createDatabaseToken } = require('./databaseTokens');
+const { findUser, isActive, requireSession, requirePermission, getSecurityPolicy, isTwoFactorSetupRequired } = require('./users');
+const { PERMISSIONS } = require('./permissions');
+const { consumeTwoFactorCode } = require('./twoFactor');
+const { appendActivityLog } = require('./activityLog');
+const {
+    accountTarget,
+    clientTarget,
+    reserveLoginAttempt,
+    recordLoginFailure,
+    releaseLoginAttempt,
+    clearLoginFailures
+} = require('./loginProtection');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = getFirestore();
+
+// Same message for unknown users, wrong passwords and inactive accounts
+const INVALID_CREDENTIALS_MESSAGE = 'Invalid email/username or password.';
+
+/**
+ * Build the user object returned to the browser, without the password hash
+ * @param {Object} userDoc - Firestore document snapshot
+ * @param {Object} policy - Security policy from getSecurityPolicy
+ * @returns {Object} Public user data
+ */
+function toSessionUser(userDoc, policy) {
+    const data = userDoc.data();
+    return {
+        uid: data.uid || userDoc.id,
+        email: data.email,
+        username: data.username || '',
+        role: data.role,
+        displayName: data.displayName || null,
+        active: data.active !== false,
+        createdAt: data.createdAt || null,
+        lastLogin: data.lastLogin || null,
+        twoFactorEnabled: !!data.twoFactorEnabled,
+        twoFactorSetupRequired: isTwoFactorSetupRequired(data, policy)
+    };
+}
+
+/**
+ * Write a sign in or failed sign in to the activity log
+ * @param {string} type - 'LOGIN' or 'LOGIN_FAILED'
+ * @param {string} username - Username, or the identifier entered for unknown accounts
+ * @param {string} details - Log details
+ * @param {Object} request - Callable request, for the client info
+ * @param {string|null} [userId] - User document ID, when the account exists
+ * @returns {Promise<void>}
+ */
+async function logLoginActivity(type, username, details, request, userId = null) {
+    try {
+        await appendActivityLog({
+            type,
+            user: username,
+            targetUser: username,
+            targetUserId: userId,
+            details,
+            category: 'USER',
+            client: {
+                ip: request.rawRequest?.ip || null,
+                userAgent: String(request.rawRequest?.headers?.['user-agent'] || '').slice(0, 300)
+            }
+        });
+    } catch (error) {
+        console.error(`Failed to log ${type} for ${username}:`, error);
+    }
+}
+
+/**
+ * Name to log for a sign in attempt
+ * @param {Object|undefined} data - User data, when the account exists
+ * @param {string} identifier - Email or username entered
+ * @returns {string} Username
+ */
+function loginName(data, identifier) {
+    return data?.username || data?.email || identifier.slice(0, 100);
+}
+
+/**
+ * Record the login, clear its failed attempts and issue a session token
+ * @param {Object} userDoc - Firestore document snapshot
+ * @param {Object} request - Callable request, for the session record
+ * @param {string} [method] - 'password' or 'two-factor', for the activity log
+ * @returns {Promise<Object>} Session ({ token, expiresAt, idleExpiresAt, user })
+ */
+async function startSession(userDoc, request, method = 'password') {
+    const lastLogin = new Date().toISOString();
+    await userDoc.ref.update({ lastLogin });
+    await clearLoginFailures(accountTarget(userDoc));
+
+    const user = { ...toSessionUser(userDoc, await getSecurityPolicy()), lastLogin };
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    const sessionId = await createSession(userDoc.id, expiresAt, request);
+    const { token } = createSessionToken({ ...user, uid: userDoc.id }, sessionId, expiresAt);
+
+    await logLoginActivity('LOGIN', loginName(userDoc.data(), userDoc.id),
+        method === 'two-factor' ? 'Signed in with two-factor authentication' : 'Signed in', request, userDoc.id);
+
+    console.log(`User ${userDoc.id} signed in.`);
+    return { token, expiresAt, idleExpiresAt: idleExpiresAt({ lastActiveAt: Date.now(), expiresAt }), user };
+}
+
+/**
+ * Cloud Function to sign in with an email or username and password
+ * Legacy password hashes are upgraded to PBKDF2 on success
+ * Accounts with two-factor authentication get a challenge for verifyTwoFactor instead of a session
+ * Throws resource-exhausted while the account or client is throttled or locked
+ * @param {Object} request.data - { identifier, password }
+ * @returns {Object} Session ({ token, expiresAt, user }) or { twoFactorRequired, challenge, expiresAt }
+ */
+exports.login = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const identifier = String(request.data?.identifier || '').trim();
+    const password = request.data?.password;
+
+    if (!identifier || !password) {
+        throw new HttpsError('invalid-argument', 'Email and password are required.');
+    }
+
+    const userDoc = await findUser(identifier);
+    const data = userDoc?.data();
+    const targets = [accountTarget(userDoc, identifier), clientTarget(request)];
+    const reservation = await reserveLoginAttempt(targets);
+
+    let failure = null;
+    if (!data) {
+        // Hash anyway, so the response time does not tell which accounts exist
+        await verifyPassword(password, DUMMY_PASSWORD_HASH);
+        failure = 'Sign in failed: unknown account';
+    } else if (!(await verifyPassword(password, data.password || DUMMY_PASSWORD_HASH))) {
+        failure = 'Sign in failed: wrong password';
+    } else if (!isActive(data)) {
+        failure = 'Sign in failed: account is inactive';
+    }
+
+    if (failure) {
+        await recordLoginFailure(reservation);
+        await logLoginActivity('LOGIN_FAILED', loginName(data, identifier), failure, request, userDoc?.id);
+        throw new HttpsError('unauthenticated', INVALID_CREDENTIALS_MESSAGE);
+    }
+    await releaseLoginAttempt(targets, reservation);
+
+    if (needsPasswordRehash(data.password)) {
+        await userDoc.ref.update({
+            password: await hashPassword(password),
+            passwordUpdatedAt: new Date().toISOString()
+        });
+    }
+
+    if (data.twoFactorEnabled) {
+        const { challenge, expiresAt } = createTwoFactorChallenge(userDoc.id);
+        return { twoFactorRequired: true, challenge, expiresAt };
+    }
+
+    return startSession(userDoc, request);
+});
+
+/**
+ * Cloud Function for the second step of a two-factor login
+ * Wrong codes count as failed attempts against the account and client
+ * @param {Object} request.data - { challenge, code } - code from the authenticator app or a recovery code
+ * @returns {Object} Session ({ token, expiresAt, user, recoveryCodesRemaining })
+ */
+exports.verifyTwoFactor = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const payload = verifyTwoFactorChallenge(request.data?.challenge);
+    if (!payload) {
+        throw new HttpsError('deadline-exceeded', 'The sign in attempt has expired. Please sign in again.');
+    }
+
+    const userDoc = await db.collection('users').doc(payload.sub).get();
+    if (!userDoc.exists || !isActive(userDoc.data()) || !userDoc.data().twoFactorEnabled) {
+        throw new HttpsError('unauthenticated', INVALID_CREDENTIALS_MESSAGE);
+    }
+
+    const targets = [accountTarget(userDoc), clientTarget(request)];
+    const reservation = await reserveLoginAttempt(targets);
+
+    const result = await consumeTwoFactorCode(userDoc.id, request.data?.code);
+    if (!result) {
+        await recordLoginFailure(reservation);
+        await logLoginActivity('LOGIN_FAILED', loginName(userDoc.data(), userDoc.id),
+            'Sign in failed: wrong two-factor code', request, userDoc.id);
+        throw new HttpsError('invalid-argument', 'The code is incorrect or has already been used.');
+    }
+    await releaseLoginAttempt(targets, reservation);
+
+    const session = await startSession(userDoc, request, 'two-factor');
+    return { ...session, recoveryCodesRemaining: result.recoveryCodesRemaining };
+});
+
+/**
+ * Cloud Function to check a session token and record activity on its session
+ * The user is read again so deactivated accounts and role changes apply to existing sessions
+ * Dashboard pages call it on load and again while the user is active, to keep the session from idling out
+ * Sessions that still have to set up two-factor authentication are accepted, with user.twoFactorSetupRequired
+ * set, so the page guard can send them to Profile Settings
+ * Users with database permissions also get a database token for the Realtime Database rules (see databaseTokens.js)
+ * @param {Object} request.data - { token }
+ * @returns {Object} Session ({ sessionId, expiresAt, idleExpiresAt, user, databaseToken })
+ */
+exports.verifySession = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const { userDoc, session, sessionId } = await requireSession(request.data?.token, { allowTwoFactorSetup: true });
+
+    return {
+        sessionId,
+        expiresAt: session.expiresAt,
+        idleExpiresAt: idleExpiresAt(session),
+        user: toSessionUser(userDoc, await getSecurityPolicy()),
+        databaseToken: await createDatabaseToken(userDoc)
+    };
+});
+
+/**
+ * Cloud Function to check that a session token grants a permission
+ * Used by the Cloudflare Pages APIs (functions/_lib/auth.js), which cannot read the users collection
+ * @param {Object} request.data - { token, permission } - permission name from permissions.js
+ * @returns {Object} { userId, username }
+ */
+exports.checkPermission = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const permission = request.data?.permission;
+    if (!Object.prototype.hasOwnProperty.call(PERMISSIONS, permission)) {
+        throw new HttpsError('invalid-argument', 'Unknown permission.');
+    }
+
+    const userDoc = await requirePermission(request.data?.token, permission, 'Your role does not allow this.');
+    return { userId: userDoc.id, username: loginName(userDoc.data(), userDoc.id) };
+});
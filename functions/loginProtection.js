@@ -0,0 +1,313 @@
+/**
+ * Brute-force protection for the login functions
+ * Password and two-factor attempts are counted per account and per client IP in
+ * login_attempts/{id} before they are checked, and taken back when they succeed. After a few
+ * failures each new attempt has to wait longer, and reaching the threshold locks the account or
+ * client for a while. Lockouts are written to the activity log and administrators can list and
+ * lift them from User Management
+ */
+
+const crypto = require('crypto');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const admin = require('firebase-admin');
+const { sessionSigningKey } = require('./sessionTokens');
+const { requirePermission } = require('./users');
+const { appendActivityLog } = require('./activityLog');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = getFirestore();
+
+// Failures allowed before attempts are slowed down
+const FREE_ATTEMPTS = 3;
+
+// Wait after the first slowed-down failure; doubles with each further failure
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+
+// Failures that lock an account, and a client (higher, since an office or school may share an IP)
+const ACCOUNT_LOCKOUT_THRESHOLD = 10;
+const CLIENT_LOCKOUT_THRESHOLD = 50;
+
+const LOCKOUT_DURATION_MS = 15 * 60 * 1000;
+
+// Failures older than this no longer count
+const FAILURE_RESET_MS = 60 * 60 * 1000;
+
+/**
+ * Hash a value for use in a document ID
+ * @param {string} value - Value
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashKey(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Build the account target for a login attempt
+ * Unknown identifiers are tracked too, so lockouts do not reveal which accounts exist
+ * @param {Object|null} userDoc - Firestore document snapshot, or null when no user matched
+ * @param {string} [identifier] - Email or username as typed
+ * @returns {Object} Target ({ id, kind, label, userId })
+ */
+function accountTarget(userDoc, identifier) {
+    if (userDoc) {
+        const data = userDoc.data();
+        return { id: `account_${userDoc.id}`, kind: 'account', label: data.username || data.email, userId: userDoc.id };
+    }
+    const normalized = String(identifier).trim().toLowerCase();
+    return { id: `identifier_${hashKey(normalized)}`, kind: 'account', label: normalized, userId: null };
+}
+
+/**
+ * Build the client target for a login attempt
+ * @param {Object} request - Callable request
+ * @returns {Object} Target ({ id, kind, label })
+ */
+function clientTarget(request) {
+    const ip = request.rawRequest?.ip || 'unknown';
+    return { id: `client_${hashKey(ip)}`, kind: 'client', label: ip, userId: null };
+}
+
+/**
+ * Wait required after a number of failures
+ * @param {number} failures - Recent failures
+ * @returns {number} Delay in milliseconds
+ */
+function delayAfter(failures) {
+    if (failures < FREE_ATTEMPTS) {
+        return 0;
+    }
+    return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS));
+}
+
+/**
+ * Describe a wait for the user
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "15 minutes" or "8 seconds"
+ */
+function formatWait(ms) {
+    if (ms >= 60 * 1000) {
+        const minutes = Math.ceil(ms / 60000);
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    const seconds = Math.max(1, Math.ceil(ms / 1000));
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+}
+
+/**
+ * Write a lockout or unlock entry to the activity log
+ * @param {string} type - 'LOCKOUT' or 'UNLOCK'
+ * @param {string} performedBy - Who caused the entry
+ * @param {Object} target - Target
+ * @param {string} details - Log details
+ * @returns {Promise<void>}
+ */
+async function logLockoutActivity(type, performedBy, target, details) {
+    try {
+        await appendActivityLog({
+            type,
+            user: performedBy,
+            targetUser: target.label,
+            details,
+            category: 'USER',
+            lockKind: target.kind
+        });
+    } catch (error) {
+        console.error(`Failed to log ${type} for ${target.id}:`, error);
+    }
+}
+
+/**
+ * Refuse an attempt while a target is locked or still has to wait
+ * @param {Object} record - login_attempts record
+ * @param {number} now - Current time in milliseconds
+ * @throws {HttpsError} resource-exhausted with details.retryAfter
+ */
+function assertNotThrottled(record, now) {
+    if (record.lockedUntil > now) {
+        throw new HttpsError('resource-exhausted',
+            `Too many failed sign in attempts. Try again in ${formatWait(record.lockedUntil - now)}.`,
+            { retryAfter: record.lockedUntil });
+    }
+    if (record.nextAttemptAt > now) {
+        throw new HttpsError('resource-exhausted',
+            `Too many failed sign in attempts. Wait ${formatWait(record.nextAttemptAt - now)} and try again.`,
+            { retryAfter: record.nextAttemptAt });
+    }
+}
+
+/**
+ * Reserve an attempt before the password or code is checked
+ * The attempt is counted as a failure straight away, in the same transaction that checks the
+ * throttle, so parallel requests cannot all pass the check before any failure is recorded.
+ * Targets that reach their threshold are locked here. Successful attempts are handed back with
+ * releaseLoginAttempt; failed ones are finished with recordLoginFailure
+ * @param {Array<Object>} targets - Account and client targets
+ * @returns {Promise<Object>} Reservation ({ at, locked }) - locked lists the targets this attempt locked
+ * @throws {HttpsError} resource-exhausted with details.retryAfter while any target is throttled or locked
+ */
+async function reserveLoginAttempt(targets) {
+    const refs = targets.map(target => db.collection('login_attempts').doc(target.id));
+
+    return db.runTransaction(async (transaction) => {
+        const records = (await transaction.getAll(...refs)).map(snapshot => snapshot.data() || {});
+        const now = Date.now();
+        records.forEach(record => assertNotThrottled(record, now));
+
+        const locked = [];
+        targets.forEach((target, index) => {
+            const record = records[index];
+            const threshold = target.kind === 'client' ? CLIENT_LOCKOUT_THRESHOLD : ACCOUNT_LOCKOUT_THRESHOLD;
+            const recent = now - (record.lastFailureAt || 0) < FAILURE_RESET_MS;
+            const failures = (recent ? record.failures || 0 : 0) + 1;
+
+            const update = {
+                kind: target.kind,
+                label: target.label,
+                userId: target.userId,
+                failures,
+                lastFailureAt: now,
+                nextAttemptAt: now + delayAfter(failures),
+                lockedUntil: record.lockedUntil || 0
+            };
+            if (failures >= threshold) {
+                update.failures = 0;
+                update.nextAttemptAt = 0;
+                update.lockedUntil = now + LOCKOUT_DURATION_MS;
+                update.lockedAt = now;
+                update.lockoutFailures = failures;
+                locked.push(target);
+            }
+            transaction.set(refs[index], update, { merge: true });
+        });
+        return { at: now, locked };
+    });
+}
+
+/**
+ * Finish a failed attempt, logging the lockouts it caused
+ * The failure itself was already counted by reserveLoginAttempt
+ * @param {Object} reservation - Reservation from reserveLoginAttempt
+ * @returns {Promise<void>}
+ */
+async function recordLoginFailure(reservation) {
+    await Promise.all(reservation.locked.map(async (target) => {
+        const threshold = target.kind === 'client' ? CLIENT_LOCKOUT_THRESHOLD : ACCOUNT_LOCKOUT_THRESHOLD;
+        console.warn(`Locked ${target.kind} ${target.id} after ${threshold} failed sign in attempts.`);
+        await logLockoutActivity('LOCKOUT', 'System (login protection)', target,
+            `${target.kind === 'client' ? 'Client' : 'Account'} "${target.label}" locked for ${formatWait(LOCKOUT_DURATION_MS)} after ${threshold} failed sign in attempts`);
+    }));
+}
+
+/**
+ * Take back a reserved attempt that succeeded
+ * A lockout set by the attempt itself is lifted again
+ * @param {Array<Object>} targets - Targets passed to reserveLoginAttempt
+ * @param {Object} reservation - Reservation from reserveLoginAttempt
+ * @returns {Promise<void>}
+ */
+async function releaseLoginAttempt(targets, reservation) {
+    await Promise.all(targets.map(target => db.runTransaction(async (transaction) => {
+        const ref = db.collection('login_attempts').doc(target.id);
+        const record = (await transaction.get(ref)).data();
+        if (!record) {
+            return;
+        }
+
+        const lockedHere = record.lockedAt === reservation.at;
+        const failures = Math.max(0, (lockedHere ? record.lockoutFailures : record.failures || 0) - 1);
+        // Waits set by attempts reserved since this one are kept, but not lengthened
+        const nextAttemptAt = failures > 0 ? reservation.at + delayAfter(failures) : 0;
+        const update = {
+            failures,
+            nextAttemptAt: lockedHere ? nextAttemptAt : Math.min(record.nextAttemptAt || 0, nextAttemptAt)
+        };
+        if (lockedHere) {
+            update.lockedUntil = 0;
+            update.lockedAt = FieldValue.delete();
+            update.lockoutFailures = FieldValue.delete();
+        }
+        transaction.set(ref, update, { merge: true });
+    })));
+}
+
+/**
+ * Forget the failures of a target after a successful sign in
+ * @param {Object} target - Account target
+ * @returns {Promise<void>}
+ */
+async function clearLoginFailures(target) {
+    await db.collection('login_attempts').doc(target.id).delete();
+}
+
+// Error for callers without the user.manage permission
+const ADMIN_ONLY_MESSAGE = 'Only administrators can manage locked accounts.';
+
+/**
+ * Cloud Function listing the accounts and clients that are locked now
+ * @param {Object} request.data - { token }
+ * @returns {Object} { lockouts: [{ id, kind, label, userId, lockedAt, lockedUntil, lockoutFailures }] }
+ */
+const listLoginLockouts = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    await requirePermission(request.data?.token, 'user.manage', ADMIN_ONLY_MESSAGE);
+
+    const snapshot = await db.collection('login_attempts').where('lockedUntil', '>', Date.now()).get();
+    const lockouts = snapshot.docs.map(doc => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            kind: data.kind,
+            label: data.label,
+            userId: data.userId || null,
+            lockedAt: data.lockedAt || null,
+            lockedUntil: data.lockedUntil,
+            lockoutFailures: data.lockoutFailures || null
+        };
+    });
+
+    return { lockouts };
+});
+
+/**
+ * Cloud Function lifting a lockout and clearing its failed attempts
+ * @param {Object} request.data - { token, id }
+ * @returns {Object} { unlocked: true }
+ */
+const unlockLogin = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const adminDoc = await requirePermission(request.data?.token, 'user.manage', ADMIN_ONLY_MESSAGE);
+    const id = String(request.data?.id || '');
+    if (!/^(account|identifier|client)_[\w-]+$/.test(id)) {
+        throw new HttpsError('invalid-argument', 'A lockout ID is required.');
+    }
+
+    const ref = db.collection('login_attempts').doc(id);
+    const snapshot = await ref.get();
+    if (!snapshot.exists) {
+        throw new HttpsError('not-found', 'This lockout no longer exists.');
+    }
+    await ref.delete();
+
+    const data = snapshot.data();
+    const performedBy = adminDoc.data().username || adminDoc.data().email;
+    await logLockoutActivity('UNLOCK', performedBy, { id, kind: data.kind, label: data.label },
+        `${data.kind === 'client' ? 'Client' : 'Account'} "${data.label}" unlocked`);
+
+    console.log(`Lockout ${id} lifted by user ${adminDoc.id}.`);
+    return { unlocked: true };
+});
+
+module.exports = {
+    accountTarget,
+    clientTarget,
+    reserveLoginAttempt,
+    recordLoginFailure,
+    releaseLoginAttempt,
+    clearLoginFailures,
+    listLoginLockouts,
+    unlockLogin
+};
@@ -0,0 +1,82 @@
+/**
+ * Outgoing email
+ * Messages go through a pluggable transport chosen with the MAIL_TRANSPORT environment variable
+ * (functions/.env). The 'log' transport only prints the message to the function logs and is the
+ * default in the emulator, so password reset links can be followed in development without a mail account
+ */
+
+// Sender address used when a message does not set one
+const DEFAULT_FROM = process.env.MAIL_FROM || 'no-reply@monfleur.app';
+
+/**
+ * Transports by name; each sends one message ({ from, to, subject, text, html })
+ */
+const transports = {
+    /**
+     * Development stub that prints the message instead of sending it
+     * @param {Object} message - Message
+     */
+    log: async (message) => {
+        console.log(`Mail (not sent) to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+
+    /**
+     * Post the message as JSON to MAIL_WEBHOOK_URL, for mail providers and relays with an HTTP API
+     * MAIL_WEBHOOK_TOKEN, when set, is sent as a bearer token
+     * @param {Object} message - Message
+     */
+    webhook: async (message) => {
+        const url = process.env.MAIL_WEBHOOK_URL;
+        if (!url) {
+            throw new Error('MAIL_WEBHOOK_URL is not set');
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (process.env.MAIL_WEBHOOK_TOKEN) {
+            headers.Authorization = `Bearer ${process.env.MAIL_WEBHOOK_TOKEN}`;
+        }
+
+        const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(message) });
+        if (!response.ok) {
+            throw new Error(`Mail webhook responded with ${response.status}`);
+        }
+    }
+};
+
+/**
+ * Add or replace a transport
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Function} send - async (message) => void
+ */
+function registerMailTransport(name, send) {
+    transports[name] = send;
+}
+
+/**
+ * Name of the transport in use
+ * @returns {string} Transport name
+ */
+function getMailTransportName() {
+    return process.env.MAIL_TRANSPORT || (process.env.FUNCTIONS_EMULATOR === 'true' ? 'log' : 'webhook');
+}
+
+/**
+ * Send an email
+ * @param {Object} message - Message ({ to, subject, text, html, from })
+ * @returns {Promise<void>}
+ */
+async function sendMail(message) {
+    const name = getMailTransportName();
+    const send = transports[name];
+    if (!send) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    await send({ from: DEFAULT_FROM, ...message });
+}
+
+module.exports = {
+    registerMailTransport,
+    getMailTransportName,
+    sendMail
+};
@@ -0,0 +1,168 @@
+/**
+ * Firebase Cloud Functions for maintenance mode
+ * The setting lives in system_settings/maintenance ({ enabled, message, startsAt, endsAt }) and is active
+ * while it is enabled and the current time is inside the optional start/end window. Users with
+ * maintenance.bypass keep working; everyone else is kept out of the dashboard. The window is copied to the
+ * Realtime Database maintenance node, where database.rules.json refuses character writes during it; image
+ * uploads, vocabulary changes and the character APIs are refused by storage.rules, firestore.rules and
+ * functions/_lib/maintenance.js
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getDatabase } = require('firebase-admin/database');
+const admin = require('firebase-admin');
+const { sessionSigningKey } = require('./sessionTokens');
+const { requireSessionUser, requirePermission } = require('./users');
+const { hasPermission } = require('./permissions');
+const { appendActivityLog } = require('./activityLog');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = getFirestore();
+
+// Shown when no custom message is set
+const DEFAULT_MAINTENANCE_MESSAGE = 'The masterlist is undergoing maintenance. Please check back later.';
+
+const MAX_MESSAGE_LENGTH = 500;
+
+// Copy of the window read by database.rules.json
+const DATABASE_MAINTENANCE_PATH = 'maintenance';
+
+/**
+ * Get the stored maintenance setting
+ * @returns {Promise<Object>} Settings ({ enabled, message, startsAt, endsAt, updatedAt, updatedBy })
+ */
+async function getMaintenanceSettings() {
+    const snapshot = await db.collection('system_settings').doc('maintenance').get();
+    const data = snapshot.exists ? snapshot.data() : {};
+    return {
+        enabled: data.enabled === true,
+        message: data.message || '',
+        startsAt: data.startsAt || null,
+        endsAt: data.endsAt || null,
+        updatedAt: data.updatedAt || null,
+        updatedBy: data.updatedBy || null
+    };
+}
+
+/**
+ * Check whether maintenance is in effect
+ * @param {Object} settings - Maintenance settings
+ * @param {number} [now] - Milliseconds since epoch
+ * @returns {boolean} True while enabled and inside the start/end window
+ */
+function isMaintenanceActive(settings, now = Date.now()) {
+    return settings.enabled &&
+        (!settings.startsAt || settings.startsAt <= now) &&
+        (!settings.endsAt || settings.endsAt > now);
+}
+
+/**
+ * Read an optional time from the request
+ * @param {*} value - Milliseconds since epoch, or empty
+ * @param {string} name - Field name, for errors
+ * @returns {number|null} Time or null
+ * @throws {HttpsError} invalid-argument for values that are not times
+ */
+function parseTime(value, name) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const time = Number(value);
+    if (!Number.isFinite(time) || time <= 0) {
+        throw new HttpsError('invalid-argument', `${name} must be a date and time.`);
+    }
+    return time;
+}
+
+/**
+ * Cloud Function returning the maintenance status for the page guards and character APIs
+ * Works without a session; with one, it also says whether the caller may bypass maintenance
+ * @param {Object} request.data - { token } - token is optional
+ * @returns {Object} { active, enabled, message, startsAt, endsAt, bypass, canManage, updatedAt, updatedBy }
+ */
+exports.getMaintenanceStatus = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const settings = await getMaintenanceSettings();
+
+    let role = null;
+    if (request.data?.token) {
+        try {
+            role = (await requireSessionUser(request.data.token)).data().role;
+        } catch (error) {
+            // An expired session is treated like a visitor
+            role = null;
+        }
+    }
+    const canManage = hasPermission(role, 'maintenance.manage');
+
+    return {
+        active: isMaintenanceActive(settings),
+        enabled: settings.enabled,
+        message: settings.message || DEFAULT_MAINTENANCE_MESSAGE,
+        startsAt: settings.startsAt,
+        endsAt: settings.endsAt,
+        bypass: hasPermission(role, 'maintenance.bypass'),
+        canManage,
+        updatedAt: canManage ? settings.updatedAt : null,
+        updatedBy: canManage ? settings.updatedBy : null
+    };
+});
+
+/**
+ * Cloud Function for administrators to turn maintenance mode on or off and schedule it
+ * Leave startsAt out to start now and endsAt out to keep it on until it is turned off
+ * @param {Object} request.data - { token, enabled, message, startsAt, endsAt }
+ * @returns {Object} Saved settings ({ enabled, message, startsAt, endsAt, updatedAt, updatedBy })
+ */
+exports.saveMaintenanceSettings = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const userDoc = await requirePermission(request.data?.token, 'maintenance.manage',
+        'Only administrators can change maintenance mode.');
+
+    const message = String(request.data?.message || '').trim();
+    if (message.length > MAX_MESSAGE_LENGTH) {
+        throw new HttpsError('invalid-argument', `The message can be at most ${MAX_MESSAGE_LENGTH} characters.`);
+    }
+    const startsAt = parseTime(request.data?.startsAt, 'Start');
+    const endsAt = parseTime(request.data?.endsAt, 'End');
+    if (startsAt && endsAt && endsAt <= startsAt) {
+        throw new HttpsError('invalid-argument', 'The end must be after the start.');
+    }
+
+    const performedBy = userDoc.data().username || userDoc.data().email;
+    const settings = {
+        enabled: request.data?.enabled === true,
+        message,
+        startsAt,
+        endsAt,
+        updatedAt: Date.now(),
+        updatedBy: performedBy
+    };
+    await Promise.all([
+        db.collection('system_settings').doc('maintenance').set(settings),
+        getDatabase().ref(DATABASE_MAINTENANCE_PATH).set({ enabled: settings.enabled, startsAt, endsAt })
+    ]);
+
+    const schedule = [
+        startsAt ? `from ${new Date(startsAt).toISOString()}` : '',
+        endsAt ? `until ${new Date(endsAt).toISOString()}` : ''
+    ].filter(Boolean).join(' ');
+    try {
+        await appendActivityLog({
+            type: 'MAINTENANCE',
+            user: performedBy,
+            details: settings.enabled
+                ? `Maintenance mode turned on${schedule ? ` ${schedule}` : ''}`
+                : 'Maintenance mode turned off',
+            category: 'SYSTEM'
+        });
+    } catch (error) {
+        console.error('Failed to log maintenance change:', error);
+    }
+
+    console.log(`Maintenance mode ${settings.enabled ? 'enabled' : 'disabled'} by user ${userDoc.id}.`);
+    return settings;
+});
@@ -0,0 +1,135 @@
+/**
+ * Firebase Cloud Functions for changing passwords
+ * Current passwords are checked and new ones hashed here, so the dashboard never reads or writes
+ * password hashes. Users change their own password; administrators set passwords in User Management.
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const admin = require('firebase-admin');
+const { sessionSigningKey } = require('./sessionTokens');
+const { hashPassword, verifyPassword, MIN_PASSWORD_LENGTH } = require('./passwords');
+const { getFirestore } = require('firebase-admin/firestore');
+const { requireSession, requirePermission } = require('./users');
+const { hasPermission } = require('./permissions');
+const { revokeUserSessions } = require('./sessions');
+const { appendActivityLog } = require('./activityLog');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = getFirestore();
+
+/**
+ * Check a new password before it is hashed
+ * @param {*} password - Password sent by the dashboard
+ * @returns {string} The password
+ * @throws {HttpsError} invalid-argument when it is too short
+ */
+function requireNewPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new HttpsError('invalid-argument', `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+    }
+    return password;
+}
+
+/**
+ * Write a password change to the activity log
+ * @param {string} performedBy - Username of the caller
+ * @param {Object} userDoc - User whose password changed
+ * @param {string} details - Log details
+ * @returns {Promise<void>}
+ */
+async function logPasswordChange(performedBy, userDoc, details) {
+    const targetUser = userDoc.data().username || userDoc.data().email;
+    try {
+        await appendActivityLog({
+            type: 'PASSWORD_CHANGE',
+            user: performedBy,
+            targetUser,
+            targetUserId: userDoc.id,
+            details,
+            category: 'USER'
+        });
+    } catch (error) {
+        console.error(`Failed to log password change for user ${userDoc.id}:`, error);
+    }
+}
+
+/**
+ * Cloud Function to change the caller's own password
+ * The current password has to be given, and every other session of the user is ended
+ * @param {Object} request.data - { token, currentPassword, newPassword }
+ * @returns {Object} { sessionsEnded }
+ */
+const changePassword = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const { userDoc, sessionId } = await requireSession(request.data?.token);
+    const newPassword = requireNewPassword(request.data?.newPassword);
+
+    if (!(await verifyPassword(request.data?.currentPassword, userDoc.data().password))) {
+        throw new HttpsError('permission-denied', 'Current password is incorrect.');
+    }
+
+    const now = new Date().toISOString();
+    await userDoc.ref.update({
+        password: await hashPassword(newPassword),
+        passwordUpdatedAt: now,
+        updatedAt: now
+    });
+    const sessionsEnded = await revokeUserSessions(userDoc.id, sessionId);
+
+    const username = userDoc.data().username || userDoc.data().email;
+    await logPasswordChange(username, userDoc, `Password changed by "${username}"`);
+
+    console.log(`User ${userDoc.id} changed their password; ${sessionsEnded} other sessions ended.`);
+    return { sessionsEnded };
+});
+
+/**
+ * Cloud Function for administrators to set a user's password
+ * Used for new accounts and when a password is changed in User Management. Existing passwords
+ * that are replaced end every session of the user and are logged; a new account's first one is not.
+ * Setting the password of a super-admin also needs user.manage-super-admins
+ * @param {Object} request.data - { token, userId, password }
+ * @returns {Object} { sessionsEnded }
+ */
+const setUserPassword = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const adminDoc = await requirePermission(request.data?.token, 'user.manage', 'Only administrators can set passwords.');
+    const userId = String(request.data?.userId || '');
+    if (!userId) {
+        throw new HttpsError('invalid-argument', 'A user ID is required.');
+    }
+    const password = requireNewPassword(request.data?.password);
+
+    const userDoc = await db.collection('users').doc(userId).get();
+    if (!userDoc.exists) {
+        throw new HttpsError('not-found', 'User not found.');
+    }
+    if (hasPermission(userDoc.data().role, 'user.manage-super-admins') &&
+        !hasPermission(adminDoc.data().role, 'user.manage-super-admins')) {
+        throw new HttpsError('permission-denied', 'Only super-admins can set the password of other super-admins.');
+    }
+
+    const replaced = Boolean(userDoc.data().password);
+    const now = new Date().toISOString();
+    await userDoc.ref.update({
+        password: await hashPassword(password),
+        passwordUpdatedAt: now
+    });
+    if (!replaced) {
+        return { sessionsEnded: 0 };
+    }
+
+    const sessionsEnded = await revokeUserSessions(userId);
+    const adminUsername = adminDoc.data().username || adminDoc.data().email;
+    await logPasswordChange(adminUsername, userDoc, `Password set by "${adminUsername}"`);
+
+    console.log(`User ${adminDoc.id} set the password of user ${userId}; ${sessionsEnded} sessions ended.`);
+    return { sessionsEnded };
+});
+
+module.exports = {
+    changePassword,
+    setUserPassword
+};
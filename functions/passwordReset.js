@@ -0,0 +1,222 @@
+/**
+ * Firebase Cloud Functions for self-service password reset
+ * A reset request emails a single-use link that expires after an hour. Only a SHA-256 hash of the
+ * token is stored (password_resets/{hash}), so the link cannot be rebuilt from the database
+ */
+
+const crypto = require('crypto');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const admin = require('firebase-admin');
+const { hashPassword, MIN_PASSWORD_LENGTH } = require('./passwords');
+const { findUser, isActive } = require('./users');
+const { revokeUserSessions } = require('./sessions');
+const { sendMail } = require('./mail');
+const { appendActivityLog } = require('./activityLog');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = getFirestore();
+
+// How long a reset link stays valid
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// A new link is not sent while the previous one is younger than this
+const RESET_REQUEST_INTERVAL_MS = 60 * 1000;
+
+const INVALID_TOKEN_MESSAGE = 'This reset link is invalid or has expired.';
+
+/**
+ * Hash a reset token for storage
+ * @param {string} token - Reset token from the link
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Escape text for the HTML part of an email
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Check whether a stored reset can still be used
+ * @param {Object} data - password_resets document data
+ * @returns {boolean} True when unused and not expired
+ */
+function isUsable(data) {
+    return !!data && !data.usedAt && data.expiresAt > Date.now();
+}
+
+/**
+ * Remove a user's unused reset tokens
+ * @param {string} userId - User document ID
+ * @returns {Promise<void>}
+ */
+async function deletePendingResets(userId) {
+    const snapshot = await db.collection('password_resets').where('userId', '==', userId).get();
+    const batch = db.batch();
+    snapshot.docs.filter(doc => !doc.data().usedAt).forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+}
+
+/**
+ * Write a reset request or completed reset to the activity log
+ * @param {string} type - 'PASSWORD_RESET_REQUEST' or 'PASSWORD_RESET'
+ * @param {string} userId - User document ID
+ * @param {string} username - Username of the account
+ * @param {string} details - Log details
+ * @returns {Promise<void>}
+ */
+async function logResetActivity(type, userId, username, details) {
+    try {
+        await appendActivityLog({
+            type,
+            user: username,
+            targetUser: username,
+            targetUserId: userId,
+            details,
+            category: 'USER'
+        });
+    } catch (error) {
+        console.error(`Failed to log ${type} for user ${userId}:`, error);
+    }
+}
+
+/**
+ * Cloud Function to request a password reset link by email or username
+ * Always answers the same way so it cannot be used to find out which accounts exist
+ * @param {Object} request.data - { identifier }
+ * @returns {Object} { requested: true }
+ */
+exports.requestPasswordReset = onCall(async (request) => {
+    const identifier = String(request.data?.identifier || '').trim();
+    if (!identifier) {
+        throw new HttpsError('invalid-argument', 'Email or username is required.');
+    }
+
+    const baseUrl = process.env.APP_BASE_URL;
+    if (!baseUrl) {
+        console.error('APP_BASE_URL is not set; password reset links cannot be built.');
+        throw new HttpsError('failed-precondition', 'Password reset is not available. Please contact an administrator.');
+    }
+
+    const userDoc = await findUser(identifier);
+    const data = userDoc?.data();
+    if (!data || !data.email || !isActive(data)) {
+        return { requested: true };
+    }
+
+    const pending = await db.collection('password_resets').where('userId', '==', userDoc.id).get();
+    const recent = pending.docs.some(doc => isUsable(doc.data()) &&
+        Date.now() - Date.parse(doc.data().createdAt) < RESET_REQUEST_INTERVAL_MS);
+    if (recent) {
+        return { requested: true };
+    }
+
+    await deletePendingResets(userDoc.id);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const createdAt = new Date();
+    await db.collection('password_resets').doc(hashToken(token)).set({
+        userId: userDoc.id,
+        createdAt: createdAt.toISOString(),
+        expiresAt: createdAt.getTime() + RESET_TOKEN_TTL_MS,
+        usedAt: null
+    });
+
+    const link = `${baseUrl.replace(/\/+$/, '')}/reset-password.html?token=${token}`;
+    const name = data.username || data.email;
+
+    try {
+        await sendMail({
+            to: data.email,
+            subject: 'Reset your Monfleur password',
+            text: `Hi ${name},\n\nA password reset was requested for your account. Open this link within an hour to choose a new password:\n\n${link}\n\nIf you did not ask for this, you can ignore this email; your password has not changed.`,
+            html: `<p>Hi ${escapeHtml(name)},</p><p>A password reset was requested for your account. Open this link within an hour to choose a new password:</p><p><a href="${link}">Reset password</a></p><p>If you did not ask for this, you can ignore this email; your password has not changed.</p>`
+        });
+        console.log(`Password reset link sent for user ${userDoc.id}.`);
+    } catch (error) {
+        console.error(`Failed to send password reset email for user ${userDoc.id}:`, error);
+    }
+    await logResetActivity('PASSWORD_RESET_REQUEST', userDoc.id, name, `Password reset requested for "${name}"`);
+
+    return { requested: true };
+});
+
+/**
+ * Cloud Function to check a reset link before showing the new password form
+ * @param {Object} request.data - { token }
+ * @returns {Object} { username, expiresAt }
+ */
+exports.checkPasswordResetToken = onCall(async (request) => {
+    const resetDoc = await db.collection('password_resets').doc(hashToken(request.data?.token)).get();
+    const reset = resetDoc.data();
+    if (!isUsable(reset)) {
+        throw new HttpsError('not-found', INVALID_TOKEN_MESSAGE);
+    }
+
+    const userDoc = await db.collection('users').doc(reset.userId).get();
+    if (!userDoc.exists || !isActive(userDoc.data())) {
+        throw new HttpsError('not-found', INVALID_TOKEN_MESSAGE);
+    }
+
+    return { username: userDoc.data().username || userDoc.data().email, expiresAt: reset.expiresAt };
+});
+
+/**
+ * Cloud Function to set a new password with a reset link
+ * The token is marked used in the same transaction that changes the password, and every open session
+ * of the user is ended
+ * @param {Object} request.data - { token, password }
+ * @returns {Object} { username }
+ */
+exports.resetPassword = onCall(async (request) => {
+    const password = request.data?.password;
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new HttpsError('invalid-argument', `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+    }
+
+    const resetRef = db.collection('password_resets').doc(hashToken(request.data?.token));
+    const passwordHash = await hashPassword(password);
+
+    const user = await db.runTransaction(async (transaction) => {
+        const resetDoc = await transaction.get(resetRef);
+        const reset = resetDoc.data();
+        if (!isUsable(reset)) {
+            throw new HttpsError('not-found', INVALID_TOKEN_MESSAGE);
+        }
+
+        const userRef = db.collection('users').doc(reset.userId);
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists || !isActive(userDoc.data())) {
+            throw new HttpsError('not-found', INVALID_TOKEN_MESSAGE);
+        }
+
+        const now = new Date().toISOString();
+        transaction.update(userRef, { password: passwordHash, passwordUpdatedAt: now });
+        transaction.update(resetRef, { usedAt: now });
+
+        return { id: userDoc.id, username: userDoc.data().username || userDoc.data().email };
+    });
+
+    await deletePendingResets(user.id);
+    await revokeUserSessions(user.id);
+
+    await logResetActivity('PASSWORD_RESET', user.id, user.username, 'Password reset with emailed link');
+
+    console.log(`Password reset completed for user ${user.id}.`);
+    return { username: user.username };
+});
@@ -0,0 +1,118 @@
+/**
+ * Server-side password hashing
+ * The only place passwords are hashed or checked. Stored as
+ * pbkdf2-sha256$<iterations>$<salt>$<hash> (base64); legacy SHA-256 and base64 values are still read
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const PASSWORD_HASH_ALGORITHM = 'pbkdf2-sha256';
+
+const PASSWORD_HASH_ITERATIONS = 600000;
+
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_HASH_BYTES = 32;
+
+// Keep in step with the password length checks on the login and profile pages
+const MIN_PASSWORD_LENGTH = 6;
+
+// Checked instead of a stored hash for unknown accounts, so they take as long to refuse as wrong passwords
+const DUMMY_PASSWORD_HASH = [
+    PASSWORD_HASH_ALGORITHM,
+    PASSWORD_HASH_ITERATIONS,
+    'bW9uZmxldXItZHVtbXk=',
+    'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA='
+].join('$');
+
+/**
+ * Compare two strings in constant time
+ * Both are hashed first so that neither their contents nor their lengths affect the timing
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True when equal
+ */
+function safeEquals(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a), 'utf8').digest();
+    const digestB = crypto.createHash('sha256').update(String(b), 'utf8').digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Split a stored PBKDF2 hash into its parts
+ * @param {string} storedHash - Stored password hash
+ * @returns {Object|null} Parts ({ iterations, salt, hash }) or null when not a PBKDF2 hash
+ */
+function parsePasswordHash(storedHash) {
+    const parts = String(storedHash || '').split('$');
+    if (parts.length !== 4 || parts[0] !== PASSWORD_HASH_ALGORITHM) {
+        return null;
+    }
+
+    const iterations = parseInt(parts[1], 10);
+    return iterations > 0 ? { iterations, salt: parts[2], hash: parts[3] } : null;
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Stored hash
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(PASSWORD_SALT_BYTES);
+    const key = await pbkdf2(password, salt, PASSWORD_HASH_ITERATIONS, PASSWORD_HASH_BYTES, 'sha256');
+    return [PASSWORD_HASH_ALGORITHM, PASSWORD_HASH_ITERATIONS, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in any supported format
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Stored password hash
+ * @returns {Promise<boolean>} True when the password matches
+ */
+async function verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || !storedHash) {
+        return false;
+    }
+
+    const parsed = parsePasswordHash(storedHash);
+    if (parsed) {
+        const key = await pbkdf2(password, Buffer.from(parsed.salt, 'base64'), parsed.iterations, PASSWORD_HASH_BYTES, 'sha256');
+        return safeEquals(key.toString('base64'), parsed.hash);
+    }
+
+    const sha256 = crypto.createHash('sha256').update(password, 'utf8').digest('hex');
+    // Browsers encoded legacy base64 passwords with btoa, which only covers Latin-1
+    const base64 = Buffer.from(password, 'latin1').toString('base64');
+
+    if (storedHash.startsWith('sha256:')) {
+        return safeEquals(sha256, storedHash.substring(7));
+    }
+    if (storedHash.startsWith('base64:')) {
+        return safeEquals(base64, storedHash.substring(7));
+    }
+    if (/^[0-9a-f]{64}$/.test(storedHash)) {
+        return safeEquals(sha256, storedHash);
+    }
+    return safeEquals(base64, storedHash);
+}
+
+/**
+ * Check whether a stored hash should be replaced after a successful login
+ * @param {string} storedHash - Stored password hash
+ * @returns {boolean} True for legacy formats and PBKDF2 hashes with fewer iterations than current
+ */
+function needsPasswordRehash(storedHash) {
+    const parsed = parsePasswordHash(storedHash);
+    return !parsed || parsed.iterations < PASSWORD_HASH_ITERATIONS;
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    DUMMY_PASSWORD_HASH,
+    hashPassword,
+    verifyPassword,
+    needsPasswordRehash
+};
@@ -0,0 +1,103 @@
+/**
+ * Roles and permissions
+ * This is the only place roles are mapped to permissions. The cloud functions require it directly; the
+ * dashboard copy (ml/config/permissions.js) and the permission blocks of firestore.rules and
+ * storage.rules are generated from it with `npm run generate:permissions` in the project root
+ */
+
+// Assignable roles, most privileged first
+const ROLES = ['super-admin', 'admin', 'moderator', 'user'];
+
+const ROLE_LABELS = {
+    'super-admin': 'Super Admin',
+    admin: 'Administrator',
+    moderator: 'Moderator',
+    user: 'User'
+};
+
+// Older role names still found on existing accounts
+const ROLE_ALIASES = {
+    administrator: 'admin'
+};
+
+const PERMISSIONS = {
+    'dashboard.access': 'Open the ML dashboard',
+    'character.create': 'Upload new characters',
+    'character.edit': 'Edit characters and their images',
+    'character.delete': 'Delete characters',
+    'character.purge': 'Permanently delete characters from the recycle bin and set its retention',
+    'traits.manage': 'Edit the trait catalog',
+    'vocabularies.manage': 'Edit vocabularies',
+    'logs.read': 'Read the activity log',
+    'user.manage': 'Create, edit, deactivate and sign out users',
+    'user.manage-super-admins': 'Assign the super-admin role and manage super-admin accounts',
+    'security.manage': 'Change security and system settings',
+    'maintenance.manage': 'Turn maintenance mode on or off and schedule it',
+    'maintenance.bypass': 'Keep using the dashboard and editing characters during maintenance'
+};
+
+const MODERATOR_PERMISSIONS = [
+    'dashboard.access',
+    'character.create',
+    'character.edit',
+    'logs.read'
+];
+
+const ADMIN_PERMISSIONS = [
+    ...MODERATOR_PERMISSIONS,
+    'character.delete',
+    'character.purge',
+    'traits.manage',
+    'vocabularies.manage',
+    'user.manage',
+    'maintenance.manage',
+    'maintenance.bypass'
+];
+
+const ROLE_PERMISSIONS = {
+    'super-admin': [...ADMIN_PERMISSIONS, 'user.manage-super-admins', 'security.manage'],
+    admin: ADMIN_PERMISSIONS,
+    moderator: MODERATOR_PERMISSIONS,
+    user: []
+};
+
+/**
+ * Map a stored role to its canonical name
+ * @param {string} role - Role as stored on the user
+ * @returns {string|null} One of ROLES, or null for unknown roles
+ */
+function normalizeRole(role) {
+    const name = String(role || '').trim().toLowerCase();
+    const canonical = ROLE_ALIASES[name] || name;
+    return ROLES.includes(canonical) ? canonical : null;
+}
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - Role as stored on the user
+ * @returns {Array<string>} Permission names; empty for unknown roles
+ */
+function getRolePermissions(role) {
+    return ROLE_PERMISSIONS[normalizeRole(role)] || [];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role as stored on the user
+ * @param {string} permission - Permission name, e.g. 'user.manage'
+ * @returns {boolean} True when granted
+ */
+function hasPermission(role, permission) {
+    return getRolePermissions(role).includes(permission);
+}
+
+module.exports = {
+    ROLES,
+    ROLE_LABELS,
+    ROLE_ALIASES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    normalizeRole,
+    getRolePermissions,
+    hasPermission
+};
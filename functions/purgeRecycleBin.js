@@ -0,0 +1,69 @@
+/**
+ * Firebase Cloud Function to purge expired characters from the recycle bin
+ * Runs daily and applies the retention period configured in the ML dashboard
+ */
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { getDatabase } = require('firebase-admin/database');
+const admin = require('firebase-admin');
+const { appendActivityLog } = require('./activityLog');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Scheduled function that permanently removes recycle bin entries past retention
+ * Each purge removes the trash entry and its revisions and is logged as PURGE
+ */
+exports.purgeRecycleBin = onSchedule('every day 03:00', async () => {
+    const db = getDatabase();
+
+    const settingsSnapshot = await db.ref('settings/recycleBin/retentionDays').get();
+    const configuredDays = parseInt(settingsSnapshot.val(), 10);
+    const retentionDays = configuredDays > 0 ? configuredDays : DEFAULT_RETENTION_DAYS;
+    const cutoff = Date.now() - retentionDays * DAY_IN_MS;
+
+    const trashSnapshot = await db.ref('characterTrash').get();
+    if (!trashSnapshot.exists()) {
+        console.log('Recycle bin is empty, nothing to purge.');
+        return;
+    }
+
+    const updates = {};
+    const purged = [];
+
+    trashSnapshot.forEach(child => {
+        const entry = child.val();
+        if (new Date(entry.deletedAt).getTime() <= cutoff) {
+            updates[`characterTrash/${child.key}`] = null;
+            updates[`characterRevisions/${child.key}`] = null;
+            purged.push({ id: child.key, masterlistNumber: entry.character?.masterlistNumber || 'Unknown' });
+        }
+    });
+
+    if (purged.length === 0) {
+        console.log('No recycle bin entries past retention.');
+        return;
+    }
+
+    await db.ref().update(updates);
+
+    const timestamp = new Date().toISOString();
+    await Promise.all(purged.map(({ id, masterlistNumber }) =>
+        appendActivityLog({
+            timestamp,
+            type: 'PURGE',
+            user: 'System (retention)',
+            masterlistNumber,
+            details: masterlistNumber,
+            characterId: id
+        })
+    ));
+
+    console.log(`Purged ${purged.length} characters older than ${retentionDays} days.`);
+});
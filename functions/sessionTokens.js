@@ -0,0 +1,123 @@
+/**
+ * Signed session tokens
+ * A token is <payload>.<signature>: the base64url JSON payload and its HMAC-SHA256 signature
+ * Two-factor challenges use the same format with purpose 'two-factor' and are never accepted as sessions
+ * The signing key is the SESSION_SIGNING_KEY secret, so only these functions can issue or check tokens
+ */
+
+const crypto = require('crypto');
+const { defineSecret } = require('firebase-functions/params');
+
+const sessionSigningKey = defineSecret('SESSION_SIGNING_KEY');
+
+// How long a session lasts after login
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+
+// How long the code step of a two-factor login may take after the password step
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Sign a payload with the session key
+ * @param {string} encodedPayload - base64url payload
+ * @returns {string} base64url signature
+ */
+function sign(encodedPayload) {
+    return crypto.createHmac('sha256', sessionSigningKey.value()).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Sign a payload into a token
+ * @param {Object} payload - Token payload
+ * @returns {string} Token
+ */
+function encodeToken(payload) {
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Check the signature and expiry of a token
+ * @param {string} token - Token
+ * @returns {Object|null} Payload, or null when the token is malformed, forged or expired
+ */
+function decodeToken(token) {
+    const [encodedPayload, signature, extra] = String(token || '').split('.');
+    if (!encodedPayload || !signature || extra !== undefined) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        return payload.sub && payload.expiresAt > Date.now() ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Issue a session token for a user
+ * @param {Object} user - User ({ uid, email, username, role })
+ * @param {string} sessionId - ID of the session record (see sessions.js)
+ * @param {number} expiresAt - Absolute expiry, usually SESSION_TTL_MS after login
+ * @returns {Object} Session ({ token, expiresAt })
+ */
+function createSessionToken(user, sessionId, expiresAt) {
+    const payload = {
+        sub: user.uid,
+        sid: sessionId,
+        email: user.email,
+        username: user.username || '',
+        role: user.role,
+        issuedAt: Date.now(),
+        expiresAt
+    };
+
+    return { token: encodeToken(payload), expiresAt };
+}
+
+/**
+ * Check a session token
+ * This only checks the token itself; sessions.js decides whether its session is still active
+ * @param {string} token - Session token
+ * @returns {Object|null} Payload, or null when the token is malformed, forged, expired or not a session token
+ */
+function verifySessionToken(token) {
+    const payload = decodeToken(token);
+    return payload && !payload.purpose ? payload : null;
+}
+
+/**
+ * Issue a short-lived token proving the password step of a two-factor login
+ * @param {string} userId - User document ID
+ * @returns {Object} Challenge ({ challenge, expiresAt })
+ */
+function createTwoFactorChallenge(userId) {
+    const issuedAt = Date.now();
+    const payload = { sub: userId, purpose: 'two-factor', issuedAt, expiresAt: issuedAt + TWO_FACTOR_CHALLENGE_TTL_MS };
+    return { challenge: encodeToken(payload), expiresAt: payload.expiresAt };
+}
+
+/**
+ * Check a two-factor challenge
+ * @param {string} challenge - Challenge token
+ * @returns {Object|null} Payload, or null when invalid or expired
+ */
+function verifyTwoFactorChallenge(challenge) {
+    const payload = decodeToken(challenge);
+    return payload && payload.purpose === 'two-factor' ? payload : null;
+}
+
+module.exports = {
+    sessionSigningKey,
+    SESSION_TTL_MS,
+    createSessionToken,
+    verifySessionToken,
+    createTwoFactorChallenge,
+    verifyTwoFactorChallenge
+};
@@ -0,0 +1,149 @@
+/**
+ * Server-side session records
+ * Every session token names a sessions/{sessionId} document. A session ends when its token expires,
+ * when it has been idle for longer than SESSION_IDLE_TIMEOUT_MS, or when it is revoked by signing out,
+ * from profile settings or by an administrator
+ */
+
+const crypto = require('crypto');
+const { getFirestore } = require('firebase-admin/firestore');
+const admin = require('firebase-admin');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = getFirestore();
+
+// A session without any dashboard activity for this long is signed out
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+// lastActiveAt is only written when it is older than this, to keep page loads cheap
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Get a session document reference
+ * @param {string} sessionId - Session ID
+ * @returns {Object} Firestore document reference
+ */
+function sessionRef(sessionId) {
+    return db.collection('sessions').doc(sessionId);
+}
+
+/**
+ * Create the record for a new session
+ * @param {string} userId - User document ID
+ * @param {number} expiresAt - Absolute expiry of the session token
+ * @param {Object} request - Callable request, for the client IP and browser
+ * @returns {Promise<string>} Session ID
+ */
+async function createSession(userId, expiresAt, request) {
+    const sessionId = crypto.randomBytes(16).toString('base64url');
+    const now = Date.now();
+
+    await sessionRef(sessionId).set({
+        userId,
+        createdAt: now,
+        lastActiveAt: now,
+        expiresAt,
+        ip: request.rawRequest?.ip || null,
+        userAgent: String(request.rawRequest?.headers?.['user-agent'] || '').slice(0, 300),
+        revokedAt: null
+    });
+    return sessionId;
+}
+
+/**
+ * Time at which an idle session ends
+ * @param {Object} session - Session data
+ * @returns {number} Milliseconds since epoch
+ */
+function idleExpiresAt(session) {
+    return Math.min(session.lastActiveAt + SESSION_IDLE_TIMEOUT_MS, session.expiresAt);
+}
+
+/**
+ * Check whether a session can still be used
+ * @param {Object} session - Session data
+ * @returns {boolean} True when not revoked, expired or idle
+ */
+function isSessionActive(session) {
+    return !!session && !session.revokedAt && idleExpiresAt(session) > Date.now();
+}
+
+/**
+ * Get a session that is still active and record activity on it
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User the session must belong to
+ * @returns {Promise<Object|null>} Session data with the updated lastActiveAt, or null
+ */
+async function useSession(sessionId, userId) {
+    if (!sessionId) {
+        return null;
+    }
+
+    const snapshot = await sessionRef(sessionId).get();
+    const session = snapshot.data();
+    if (!isSessionActive(session) || session.userId !== userId) {
+        return null;
+    }
+
+    const now = Date.now();
+    if (now - session.lastActiveAt >= ACTIVITY_WRITE_INTERVAL_MS) {
+        await snapshot.ref.update({ lastActiveAt: now });
+        session.lastActiveAt = now;
+    }
+    return session;
+}
+
+/**
+ * Get the active sessions of a user
+ * @param {string} userId - User document ID
+ * @returns {Promise<Array<Object>>} Sessions ({ id, ...data }), most recently active first
+ */
+async function listActiveSessions(userId) {
+    const snapshot = await db.collection('sessions').where('userId', '==', userId).get();
+    return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(isSessionActive)
+        .sort((a, b) => b.lastActiveAt - a.lastActiveAt);
+}
+
+/**
+ * Revoke one session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+async function revokeSession(sessionId) {
+    await sessionRef(sessionId).update({ revokedAt: Date.now() });
+}
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ * @param {string} userId - User document ID
+ * @param {string} [exceptSessionId] - Session to keep
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(userId, exceptSessionId = null) {
+    const sessions = (await listActiveSessions(userId)).filter(session => session.id !== exceptSessionId);
+    if (sessions.length === 0) {
+        return 0;
+    }
+
+    const revokedAt = Date.now();
+    const batch = db.batch();
+    sessions.forEach(session => batch.update(sessionRef(session.id), { revokedAt }));
+    await batch.commit();
+    return sessions.length;
+}
+
+module.exports = {
+    SESSION_IDLE_TIMEOUT_MS,
+    createSession,
+    idleExpiresAt,
+    useSession,
+    listActiveSessions,
+    revokeSession,
+    revokeUserSessions
+};
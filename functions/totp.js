@@ -0,0 +1,173 @@
+/**
+ * Time-based one-time passwords (RFC 6238) and recovery codes for two-factor authentication
+ * Codes are 6 digits from HMAC-SHA1 over 30 second steps, which every authenticator app supports
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+
+// Steps either side of now that are still accepted, to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encode bytes as base32 without padding
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 text
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Bytes
+ */
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Create a new TOTP secret
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Code for one time step
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 15;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a code from an authenticator app
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [time=Date.now()] - Current time in milliseconds
+ * @returns {number|null} Matching time step, or null when the code is wrong
+ */
+function verifyCode(secret, code, time = Date.now()) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(clean)) {
+        return null;
+    }
+
+    const current = Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        const expected = Buffer.from(generateCode(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(clean))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the otpauth:// URL authenticator apps read from the QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account shown in the app
+ * @param {string} issuer - Issuer shown in the app
+ * @returns {string} otpauth URL
+ */
+function buildOtpauthUrl(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Normalize a recovery code as typed by the user
+ * @param {string} code - Recovery code
+ * @returns {string} Lowercase code without spaces or dashes
+ */
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Create a set of single-use recovery codes
+ * @returns {Object} { codes, hashes } - codes to show once, hashes to store
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUrl,
+    hashRecoveryCode,
+    generateRecoveryCodes
+};
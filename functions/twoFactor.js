@@ -0,0 +1,225 @@
+/**
+ * Firebase Cloud Functions for two-factor authentication (TOTP)
+ * Secrets and hashed recovery codes live in user_two_factor/{userId}, which clients cannot read;
+ * the user document only carries the twoFactorEnabled flag
+ * Users with security.manage (super-admins) choose which roles must use it (system_settings/security)
+ * Until those users set it up, the status and enrollment functions here are the only ones that accept their sessions
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const admin = require('firebase-admin');
+const { sessionSigningKey } = require('./sessionTokens');
+const { requireSessionUser, requirePermission, getSecurityPolicy, isTwoFactorRequired } = require('./users');
+const { ROLES, hasPermission } = require('./permissions');
+const { generateSecret, verifyCode, buildOtpauthUrl, hashRecoveryCode, generateRecoveryCodes } = require('./totp');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = getFirestore();
+
+// Name authenticator apps show next to the account
+const TWO_FACTOR_ISSUER = 'Monfleur';
+
+// Roles the two-factor policy can require: every role that can open the dashboard
+const POLICY_ROLES = ROLES.filter(role => hasPermission(role, 'dashboard.access'));
+
+const INVALID_CODE_MESSAGE = 'The code is incorrect or has already been used.';
+
+/**
+ * Get the two-factor record of a user
+ * @param {string} userId - User document ID
+ * @returns {Object} Firestore document reference
+ */
+function twoFactorRef(userId) {
+    return db.collection('user_two_factor').doc(userId);
+}
+
+/**
+ * Check and use up an authenticator or recovery code
+ * Authenticator codes cannot be replayed and recovery codes work once
+ * @param {string} userId - User document ID
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<Object|null>} { method: 'totp'|'recovery', recoveryCodesRemaining } or null when the code is wrong
+ */
+async function consumeTwoFactorCode(userId, code) {
+    const ref = twoFactorRef(userId);
+
+    return db.runTransaction(async (transaction) => {
+        const record = (await transaction.get(ref)).data();
+        if (!record?.secret) {
+            return null;
+        }
+
+        const recoveryCodes = record.recoveryCodes || [];
+        const step = verifyCode(record.secret, code);
+        if (step !== null) {
+            if (step <= (record.lastUsedStep ?? -1)) {
+                return null;
+            }
+            transaction.update(ref, { lastUsedStep: step });
+            return { method: 'totp', recoveryCodesRemaining: recoveryCodes.length };
+        }
+
+        const remaining = recoveryCodes.filter(hash => hash !== hashRecoveryCode(code));
+        if (remaining.length === recoveryCodes.length) {
+            return null;
+        }
+        transaction.update(ref, { recoveryCodes: remaining });
+        return { method: 'recovery', recoveryCodesRemaining: remaining.length };
+    });
+}
+
+/**
+ * Cloud Function to get the caller's two-factor status
+ * Users with security.manage also get the policy for editing
+ * @param {Object} request.data - { token }
+ * @returns {Object} { enabled, required, recoveryCodesRemaining, policy, roles }
+ */
+exports.getTwoFactorStatus = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const userDoc = await requireSessionUser(request.data?.token, { allowTwoFactorSetup: true });
+    const data = userDoc.data();
+    const policy = await getSecurityPolicy();
+    const record = data.twoFactorEnabled ? (await twoFactorRef(userDoc.id).get()).data() : null;
+
+    return {
+        enabled: !!data.twoFactorEnabled,
+        required: isTwoFactorRequired(data, policy),
+        recoveryCodesRemaining: record?.recoveryCodes?.length || 0,
+        policy: hasPermission(data.role, 'security.manage') ? policy : null,
+        roles: POLICY_ROLES
+    };
+});
+
+/**
+ * Cloud Function to start enrollment with a new secret
+ * The secret only takes effect once confirmTwoFactorEnrollment receives a code made from it
+ * @param {Object} request.data - { token }
+ * @returns {Object} { secret, otpauthUrl }
+ */
+exports.startTwoFactorEnrollment = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const userDoc = await requireSessionUser(request.data?.token, { allowTwoFactorSetup: true });
+    const data = userDoc.data();
+    if (data.twoFactorEnabled) {
+        throw new HttpsError('failed-precondition', 'Two-factor authentication is already enabled.');
+    }
+
+    const secret = generateSecret();
+    await twoFactorRef(userDoc.id).set({
+        pendingSecret: secret,
+        pendingCreatedAt: new Date().toISOString()
+    }, { merge: true });
+
+    return { secret, otpauthUrl: buildOtpauthUrl(secret, data.email || data.username, TWO_FACTOR_ISSUER) };
+});
+
+/**
+ * Cloud Function to finish enrollment with a code from the authenticator app
+ * @param {Object} request.data - { token, code }
+ * @returns {Object} { recoveryCodes } - shown to the user once
+ */
+exports.confirmTwoFactorEnrollment = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const userDoc = await requireSessionUser(request.data?.token, { allowTwoFactorSetup: true });
+    const record = (await twoFactorRef(userDoc.id).get()).data();
+    if (!record?.pendingSecret) {
+        throw new HttpsError('failed-precondition', 'Start two-factor setup again.');
+    }
+
+    const step = verifyCode(record.pendingSecret, request.data?.code);
+    if (step === null) {
+        throw new HttpsError('invalid-argument', INVALID_CODE_MESSAGE);
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    const now = new Date().toISOString();
+    const batch = db.batch();
+    batch.set(twoFactorRef(userDoc.id), {
+        secret: record.pendingSecret,
+        lastUsedStep: step,
+        recoveryCodes: hashes,
+        enabledAt: now,
+        pendingSecret: FieldValue.delete(),
+        pendingCreatedAt: FieldValue.delete()
+    }, { merge: true });
+    batch.update(userDoc.ref, { twoFactorEnabled: true, updatedAt: now });
+    await batch.commit();
+
+    console.log(`Two-factor authentication enabled for user ${userDoc.id}.`);
+    return { recoveryCodes: codes };
+});
+
+/**
+ * Cloud Function to replace the recovery codes
+ * @param {Object} request.data - { token, code } - code is a current authenticator or recovery code
+ * @returns {Object} { recoveryCodes }
+ */
+exports.regenerateRecoveryCodes = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const userDoc = await requireSessionUser(request.data?.token);
+    if (!userDoc.data().twoFactorEnabled) {
+        throw new HttpsError('failed-precondition', 'Two-factor authentication is not enabled.');
+    }
+    if (!(await consumeTwoFactorCode(userDoc.id, request.data?.code))) {
+        throw new HttpsError('invalid-argument', INVALID_CODE_MESSAGE);
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await twoFactorRef(userDoc.id).update({ recoveryCodes: hashes });
+
+    return { recoveryCodes: codes };
+});
+
+/**
+ * Cloud Function to turn two-factor authentication off
+ * Not allowed while the user's role requires it
+ * @param {Object} request.data - { token, code }
+ * @returns {Object} { enabled: false }
+ */
+exports.disableTwoFactor = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const userDoc = await requireSessionUser(request.data?.token);
+    const data = userDoc.data();
+    if (!data.twoFactorEnabled) {
+        return { enabled: false };
+    }
+    if (isTwoFactorRequired(data, await getSecurityPolicy())) {
+        throw new HttpsError('failed-precondition', 'Two-factor authentication is required for your role.');
+    }
+    if (!(await consumeTwoFactorCode(userDoc.id, request.data?.code))) {
+        throw new HttpsError('invalid-argument', INVALID_CODE_MESSAGE);
+    }
+
+    const batch = db.batch();
+    batch.delete(twoFactorRef(userDoc.id));
+    batch.update(userDoc.ref, { twoFactorEnabled: false, updatedAt: new Date().toISOString() });
+    await batch.commit();
+
+    console.log(`Two-factor authentication disabled for user ${userDoc.id}.`);
+    return { enabled: false };
+});
+
+/**
+ * Cloud Function for users with security.manage to choose which roles must use two-factor authentication
+ * Users in those roles without it are sent to profile settings to set it up after signing in
+ * @param {Object} request.data - { token, requiredRoles }
+ * @returns {Object} Policy ({ twoFactorRequiredRoles })
+ */
+exports.saveTwoFactorPolicy = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const userDoc = await requirePermission(request.data?.token, 'security.manage',
+        'Only super-admins can change the two-factor policy.');
+
+    const requested = Array.isArray(request.data?.requiredRoles) ? request.data.requiredRoles : [];
+    const twoFactorRequiredRoles = POLICY_ROLES.filter(role => requested.includes(role));
+
+    await db.collection('system_settings').doc('security').set({
+        twoFactorRequiredRoles,
+        updatedAt: new Date().toISOString(),
+        updatedBy: userDoc.data().username || userDoc.data().email
+    }, { merge: true });
+
+    console.log(`Two-factor policy set to [${twoFactorRequiredRoles.join(', ')}] by user ${userDoc.id}.`);
+    return { twoFactorRequiredRoles };
+});
+
+exports.consumeTwoFactorCode = consumeTwoFactorCode;
@@ -0,0 +1,111 @@
+/**
+ * Firebase Cloud Functions for signing out and managing active sessions
+ * Users can see and end their own sessions from profile settings; administrators can end every
+ * session of another user from User Management, e.g. when deactivating them
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const admin = require('firebase-admin');
+const { sessionSigningKey, verifySessionToken } = require('./sessionTokens');
+const { listActiveSessions, idleExpiresAt, revokeSession, revokeUserSessions } = require('./sessions');
+const { requireSession, requirePermission } = require('./users');
+const { hasPermission } = require('./permissions');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = getFirestore();
+
+/**
+ * Cloud Function to end the caller's session
+ * Always succeeds, so a tab with an expired or already revoked session can still sign out
+ * @param {Object} request.data - { token }
+ * @returns {Object} { signedOut: true }
+ */
+exports.signOut = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const payload = verifySessionToken(request.data?.token);
+    if (payload?.sid) {
+        const snapshot = await db.collection('sessions').doc(payload.sid).get();
+        if (snapshot.exists && snapshot.data().userId === payload.sub && !snapshot.data().revokedAt) {
+            await revokeSession(payload.sid);
+            console.log(`User ${payload.sub} signed out.`);
+        }
+    }
+    return { signedOut: true };
+});
+
+/**
+ * Cloud Function listing the caller's active sessions
+ * @param {Object} request.data - { token }
+ * @returns {Object} { sessions: [{ id, current, createdAt, lastActiveAt, expiresAt, idleExpiresAt, ip, userAgent }] }
+ */
+exports.listSessions = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const { userDoc, sessionId } = await requireSession(request.data?.token);
+
+    const sessions = (await listActiveSessions(userDoc.id)).map(session => ({
+        id: session.id,
+        current: session.id === sessionId,
+        createdAt: session.createdAt,
+        lastActiveAt: session.lastActiveAt,
+        expiresAt: session.expiresAt,
+        idleExpiresAt: idleExpiresAt(session),
+        ip: session.ip,
+        userAgent: session.userAgent
+    }));
+
+    return { sessions };
+});
+
+/**
+ * Cloud Function ending one of the caller's other sessions, or all of them
+ * @param {Object} request.data - { token, sessionId } - leave sessionId out to end every other session
+ * @returns {Object} { revoked } - number of sessions ended
+ */
+exports.revokeOwnSessions = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const { userDoc, sessionId } = await requireSession(request.data?.token);
+    const target = request.data?.sessionId;
+
+    if (!target) {
+        const revoked = await revokeUserSessions(userDoc.id, sessionId);
+        console.log(`User ${userDoc.id} signed out ${revoked} other sessions.`);
+        return { revoked };
+    }
+
+    if (target === sessionId) {
+        throw new HttpsError('invalid-argument', 'Use Switch Account to sign out of this session.');
+    }
+    const session = (await listActiveSessions(userDoc.id)).find(candidate => candidate.id === target);
+    if (!session) {
+        throw new HttpsError('not-found', 'This session has already ended.');
+    }
+
+    await revokeSession(target);
+    return { revoked: 1 };
+});
+
+/**
+ * Cloud Function for administrators to end every session of a user
+ * Signing out a super-admin also needs user.manage-super-admins
+ * @param {Object} request.data - { token, userId } - userId is the user's document ID
+ * @returns {Object} { revoked } - number of sessions ended
+ */
+exports.signOutUser = onCall({ secrets: [sessionSigningKey] }, async (request) => {
+    const adminDoc = await requirePermission(request.data?.token, 'user.manage', 'Only administrators can sign out other users.');
+    const userId = String(request.data?.userId || '');
+    if (!userId) {
+        throw new HttpsError('invalid-argument', 'A user ID is required.');
+    }
+
+    const userDoc = await db.collection('users').doc(userId).get();
+    if (hasPermission(userDoc.data()?.role, 'user.manage-super-admins') &&
+        !hasPermission(adminDoc.data().role, 'user.manage-super-admins')) {
+        throw new HttpsError('permission-denied', 'Only super-admins can sign out other super-admins.');
+    }
+
+    const revoked = await revokeUserSessions(userId);
+    console.log(`User ${adminDoc.id} signed out ${revoked} sessions of user ${userId}.`);
+    return { revoked };
+});
@@ -0,0 +1,153 @@
+/**
+ * User lookups and session checks shared by the login, password reset, two-factor and session functions
+ */
+
+const { HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const admin = require('firebase-admin');
+const { verifySessionToken } = require('./sessionTokens');
+const { useSession } = require('./sessions');
+const { hasPermission, normalizeRole } = require('./permissions');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = getFirestore();
+
+const TWO_FACTOR_SETUP_MESSAGE = 'Set up two-factor authentication in Profile Settings to continue.';
+
+/**
+ * Find a user document by email or username
+ * @param {string} identifier - Email address or username
+ * @returns {Promise<Object|null>} Firestore document snapshot or null
+ */
+async function findUser(identifier) {
+    const field = identifier.includes('@') ? 'email' : 'username';
+    const candidates = field === 'email' ? [...new Set([identifier.toLowerCase(), identifier])] : [identifier];
+
+    for (const value of candidates) {
+        const snapshot = await db.collection('users').where(field, '==', value).limit(1).get();
+        if (!snapshot.empty) {
+            return snapshot.docs[0];
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether an account may sign in
+ * @param {Object} data - User document data
+ * @returns {boolean} True for active accounts
+ */
+function isActive(data) {
+    return data.active !== false && (!data.status || data.status === 'active');
+}
+
+/**
+ * Get the session and user behind a session token, recording activity on the session
+ * Sessions of users whose role requires two-factor authentication but who have not set it up are
+ * refused, except by the functions that pass allowTwoFactorSetup (session checks and enrollment)
+ * Callers must list sessionSigningKey in their secrets
+ * @param {string} token - Session token sent by the dashboard
+ * @param {Object} [options] - { allowTwoFactorSetup }
+ * @returns {Promise<Object>} { userDoc, session, sessionId, payload }
+ * @throws {HttpsError} unauthenticated when the token, session or account is not valid,
+ * failed-precondition when two-factor authentication has to be set up first
+ */
+async function requireSession(token, { allowTwoFactorSetup = false } = {}) {
+    const payload = verifySessionToken(token);
+    if (!payload) {
+        throw new HttpsError('unauthenticated', 'Session is invalid or has expired.');
+    }
+
+    const session = await useSession(payload.sid, payload.sub);
+    if (!session) {
+        throw new HttpsError('unauthenticated', 'Session is invalid or has expired.');
+    }
+
+    const userDoc = await db.collection('users').doc(payload.sub).get();
+    if (!userDoc.exists || !isActive(userDoc.data())) {
+        throw new HttpsError('unauthenticated', 'Session is invalid or has expired.');
+    }
+    if (!allowTwoFactorSetup && isTwoFactorSetupRequired(userDoc.data(), await getSecurityPolicy())) {
+        throw new HttpsError('failed-precondition', TWO_FACTOR_SETUP_MESSAGE);
+    }
+    return { userDoc, session, sessionId: payload.sid, payload };
+}
+
+/**
+ * Get the user behind a session token
+ * Callers must list sessionSigningKey in their secrets
+ * @param {string} token - Session token sent by the dashboard
+ * @param {Object} [options] - Passed to requireSession
+ * @returns {Promise<Object>} Firestore document snapshot of an active user
+ * @throws {HttpsError} unauthenticated when the token, session or account is not valid,
+ * failed-precondition when two-factor authentication has to be set up first
+ */
+async function requireSessionUser(token, options) {
+    return (await requireSession(token, options)).userDoc;
+}
+
+/**
+ * Get the caller behind a session token if their role grants a permission
+ * @param {string} token - Session token sent by the dashboard
+ * @param {string} permission - Permission name from permissions.js, e.g. 'user.manage'
+ * @param {string} deniedMessage - Error message for roles without it
+ * @returns {Promise<Object>} Firestore document snapshot of the caller
+ * @throws {HttpsError} unauthenticated, failed-precondition until required two-factor authentication
+ * is set up, or permission-denied for roles without the permission
+ */
+async function requirePermission(token, permission, deniedMessage) {
+    const userDoc = await requireSessionUser(token);
+    if (!hasPermission(userDoc.data().role, permission)) {
+        throw new HttpsError('permission-denied', deniedMessage);
+    }
+    return userDoc;
+}
+
+/**
+ * Get the security policy set by super-admins (system_settings/security)
+ * Roles saved under an older name are returned by their canonical name
+ * @returns {Promise<Object>} Policy ({ twoFactorRequiredRoles })
+ */
+async function getSecurityPolicy() {
+    const snapshot = await db.collection('system_settings').doc('security').get();
+    const data = snapshot.exists ? snapshot.data() : {};
+    const roles = Array.isArray(data.twoFactorRequiredRoles) ? data.twoFactorRequiredRoles : [];
+    return {
+        twoFactorRequiredRoles: [...new Set(roles.map(normalizeRole).filter(Boolean))]
+    };
+}
+
+/**
+ * Check whether an account has to use two-factor authentication
+ * @param {Object} data - User document data
+ * @param {Object} policy - Security policy
+ * @returns {boolean} True when the user's role requires it
+ */
+function isTwoFactorRequired(data, policy) {
+    return policy.twoFactorRequiredRoles.includes(normalizeRole(data.role));
+}
+
+/**
+ * Check whether an account still has to set up required two-factor authentication
+ * @param {Object} data - User document data
+ * @param {Object} policy - Security policy
+ * @returns {boolean} True when the role requires it and it is not enabled
+ */
+function isTwoFactorSetupRequired(data, policy) {
+    return !data.twoFactorEnabled && isTwoFactorRequired(data, policy);
+}
+
+module.exports = {
+    findUser,
+    isActive,
+    requireSession,
+    requireSessionUser,
+    requirePermission,
+    getSecurityPolicy,
+    isTwoFactorRequired,
+    isTwoFactorSetupRequired
+};
@@ -2,176 +2,34 @@
  * Login Authentication System
  * Handles user authentication for User Management System
  * Follows SOLID principles and maintainable code structure
- * Integrated with Firestore User Management System
+ * Credentials are checked by the login Cloud Function, which returns a signed session token
  */
 
 // Import Firebase configuration
 import firebaseConfig from './ml/config/firebase-config.js';
+import { completeTwoFactorSignIn, readSessionToken, signIn, signOut } from './ml/services/session-service.js';
+import { requestPasswordReset } from './ml/services/password-reset-service.js';
+
+// Session service result codes mapped to the auth/ codes the login page uses
+const SIGN_IN_ERROR_CODES = {
+    INVALID_CREDENTIALS: 'auth/invalid-credentials',
+    CHALLENGE_EXPIRED: 'auth/challenge-expired',
+    TOO_MANY_ATTEMPTS: 'auth/too-many-requests'
+};
 
 /**
  * Authentication Manager Class
- * Handles all authentication operations using Firestore
+ * Handles all authentication operations through the login Cloud Function
  */
 class AuthenticationManager {
     constructor() {
         this.isInitialized = false;
         this.currentUser = null;
-        this.db = null;
-        this.firestoreFunctions = null;
-        console.log('🔧 DEBUG: AuthenticationManager constructor - Firestore integration enabled');
-    }
-
-    /**
-     * Get user by email from Firestore
-     * @param {string} email - User email
-     * @returns {Promise<Object|null>} User data or null
-     */
-    async getUserByEmail(email) {
-        try {
-            if (!this.isInitialized) {
-                console.error('❌ DEBUG: System not initialized');
-                return null;
-            }
-
-            console.log('🔍 DEBUG: Searching for user with email:', email);
-            const usersRef = this.firestoreFunctions.collection(this.db, 'users');
-            const q = this.firestoreFunctions.query(usersRef, this.firestoreFunctions.where('email', '==', email));
-            const querySnapshot = await this.firestoreFunctions.getDocs(q);
-
-            if (!querySnapshot.empty) {
-                const userDoc = querySnapshot.docs[0];
-                const userData = userDoc.data();
-                console.log('✅ DEBUG: User found in Firestore:', userData.email);
-                return {
-                    id: userDoc.id,
-                    uid: userData.uid || userDoc.id,
-                    ...userData
-                };
-            } else {
-                console.log('❌ DEBUG: User not found in Firestore');
-                return null;
-            }
-        } catch (error) {
-            console.error('💥 DEBUG: Error getting user by email:', error);
-            return null;
-        }
-    }
-
-    /**
-     * Get user by username from Firestore
-     * @param {string} username - Username to search for
-     * @returns {Promise<Object|null>} User object or null if not found
-     */
-    async getUserByUsername(username) {
-        try {
-            if (!this.isInitialized) {
-                console.error('❌ DEBUG: System not initialized');
-                return null;
-            }
-
-            console.log('🔍 DEBUG: Searching for user with username:', username);
-            const usersRef = this.firestoreFunctions.collection(this.db, 'users');
-            const q = this.firestoreFunctions.query(usersRef, this.firestoreFunctions.where('username', '==', username));
-            const querySnapshot = await this.firestoreFunctions.getDocs(q);
-
-            if (!querySnapshot.empty) {
-                const userDoc = querySnapshot.docs[0];
-                const userData = userDoc.data();
-                console.log('✅ DEBUG: User found in Firestore:', userData.username);
-                return {
-                    id: userDoc.id,
-                    uid: userData.uid || userDoc.id,
-                    ...userData
-                };
-            } else {
-                console.log('❌ DEBUG: User not found in Firestore');
-                return null;
-            }
-        } catch (error) {
-            console.error('💥 DEBUG: Error getting user by username:', error);
-            return null;
-        }
-    }
-
-    /**
-     * Hash password using multiple methods for compatibility
-     * @param {string} password - Plain text password
-     * @returns {Promise<string>} Hashed password
-     */
-    async hashPassword(password) {
-        try {
-            // Convert string to Uint8Array
-            const encoder = new TextEncoder();
-            const data = encoder.encode(password);
-            
-            // Hash using SHA-256
-            const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-            
-            // Convert to hex string
-            const hashArray = Array.from(new Uint8Array(hashBuffer));
-            const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-            
-            return hashHex;
-        } catch (error) {
-            console.error('Password hashing failed:', error);
-            // Fallback to base64 encoding
-            return btoa(password);
-        }
-    }
-
-    /**
-     * Verify password against stored hash
-     * @param {string} password - Plain text password
-     * @param {string} storedHash - Stored password hash
-     * @returns {Promise<boolean>} Verification result
-     */
-    async verifyPassword(password, storedHash) {
-        try {
-            console.log('🔑 DEBUG: Verifying password...');
-            console.log('🔑 DEBUG: Stored hash format:', storedHash);
-            
-            // Method 1: SHA-256 hash comparison with prefix format (sha256:hash)
-            if (storedHash.startsWith('sha256:')) {
-                const hashOnly = storedHash.substring(7); // Remove 'sha256:' prefix
-                const sha256Hash = await this.hashPassword(password);
-                console.log('🔑 DEBUG: Generated hash:', sha256Hash);
-                console.log('🔑 DEBUG: Expected hash:', hashOnly);
-                if (sha256Hash === hashOnly) {
-                    console.log('✅ DEBUG: SHA-256 prefixed hash match');
-                    return true;
-                }
-            }
-            
-            // Method 2: Direct SHA-256 hash comparison (legacy format)
-            const sha256Hash = await this.hashPassword(password);
-            if (sha256Hash === storedHash) {
-                console.log('✅ DEBUG: SHA-256 hash match');
-                return true;
-            }
-            
-            // Method 3: Base64 comparison (legacy support)
-            const base64Hash = btoa(password);
-            if (base64Hash === storedHash) {
-                console.log('✅ DEBUG: Base64 hash match');
-                return true;
-            }
-            
-            // Method 4: Direct comparison (for very old entries)
-            if (password === storedHash) {
-                console.log('✅ DEBUG: Direct password match (legacy)');
-                return true;
-            }
-            
-            console.log('❌ DEBUG: No password match found');
-            return false;
-        } catch (error) {
-            console.error('💥 DEBUG: Password verification error:', error);
-            return false;
-        }
+        console.log('🔧 DEBUG: AuthenticationManager constructor - server-side login enabled');
     }
 
     /**
-     * Initialize Authentication System with Firestore
+     * Initialize Authentication System
      * @returns {Promise<boolean>} Initialization success status
      */
     async initialize() {
@@ -183,27 +41,8 @@ class AuthenticationManager {
                 throw new Error('Firebase configuration failed');
             }
 
-            console.log('🔧 DEBUG: Initializing Firestore...');
-            // Import and initialize Firestore
-            const { getFirestore, collection, addDoc, getDocs, deleteDoc, doc, updateDoc, query, orderBy, where } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-            
-            this.db = getFirestore(firebaseConfig.app);
-            
-            // Store Firestore functions for later use
-            this.firestoreFunctions = {
-                collection,
-                addDoc,
-                getDocs,
-                deleteDoc,
-                doc,
-                updateDoc,
-                query,
-                orderBy,
-                where
-            };
-
             this.isInitialized = true;
-            console.log('🔧 DEBUG: Authentication system initialized successfully with Firestore');
+            console.log('🔧 DEBUG: Authentication system initialized successfully');
             return true;
         } catch (error) {
             console.error('❌ DEBUG: Authentication initialization failed:', error);
@@ -211,12 +50,6 @@ class AuthenticationManager {
         }
     }
 
-    /**
-     * Sign in user with email and password using Firestore
-     * @param {string} email - User email
-     * @param {string} password - User password
-     * @returns {Promise<Object>} Authentication result
-     */
     /**
      * Sign in with email or username and password
      * @param {string} emailOrUsername - Email address or username
@@ -234,79 +67,70 @@ class AuthenticationManager {
         }
 
         try {
-            console.log('🔧 DEBUG: Authenticating user against Firestore...');
-            
-            // Determine if input is email or username and get user from Firestore
-            let user = null;
-            const isEmail = this.isValidEmail(emailOrUsername);
-            
-            if (isEmail) {
-                console.log('🔧 DEBUG: Input appears to be email, searching by email...');
-                user = await this.getUserByEmail(emailOrUsername);
-            } else {
-                console.log('🔧 DEBUG: Input appears to be username, searching by username...');
-                user = await this.getUserByUsername(emailOrUsername);
-            }
+            console.log('🔧 DEBUG: Sending credentials to login function...');
+            const result = await signIn(emailOrUsername, password);
             
-            if (!user) {
-                console.log('❌ DEBUG: User not found in Firestore');
+            if (result.twoFactorRequired) {
+                console.log('🔐 DEBUG: Password accepted, two-factor code required');
                 return {
                     success: false,
-                    error: 'Invalid email/username or password',
-                    code: 'auth/invalid-credentials'
+                    twoFactorRequired: true,
+                    challenge: result.challenge,
+                    error: result.error,
+                    code: 'auth/two-factor-required'
                 };
             }
             
-            console.log('🔧 DEBUG: User found, verifying password...');
-            
-            // Verify password
-            const passwordValid = await this.verifyPassword(password, user.password);
-            if (!passwordValid) {
-                console.log('❌ DEBUG: Password verification failed');
+            if (!result.success) {
+                console.log('❌ DEBUG: Login rejected:', result.code);
                 return {
                     success: false,
-                    error: 'Invalid email or password',
-                    code: 'auth/invalid-credentials'
+                    error: result.error,
+                    code: SIGN_IN_ERROR_CODES[result.code] || 'auth/unknown-error',
+                    retryAfter: result.retryAfter
                 };
             }
             
-            // Check if account is active - return same error as invalid credentials for security
-            if ((user.status && user.status !== 'active') || (user.active === false)) {
-                console.log('❌ DEBUG: Account is not active, status:', user.status, 'active:', user.active);
+            console.log('✅ DEBUG: Server authentication successful');
+            return this.completeSignIn(result.user);
+            
+        } catch (error) {
+            console.error('💥 DEBUG: Login error occurred:', error);
+            return {
+                success: false,
+                error: 'An error occurred during login',
+                code: 'auth/unknown-error'
+            };
+        }
+    }
+
+    /**
+     * Second sign in step for accounts with two-factor authentication
+     * @param {string} challenge - Challenge from signInWithEmailOrUsername
+     * @param {string} code - Authenticator app code or recovery code
+     * @returns {Promise<Object>} Authentication result
+     */
+    async verifyTwoFactorCode(challenge, code) {
+        try {
+            const result = await completeTwoFactorSignIn(challenge, code);
+            
+            if (!result.success) {
+                console.log('❌ DEBUG: Two-factor code rejected:', result.code);
                 return {
                     success: false,
-                    error: 'Invalid email/username or password',
-                    code: 'auth/invalid-credentials'
+                    error: result.error,
+                    code: SIGN_IN_ERROR_CODES[result.code] || 'auth/invalid-code',
+                    retryAfter: result.retryAfter
                 };
             }
             
-            console.log('✅ DEBUG: Firestore authentication successful');
-            this.currentUser = {
-                email: user.email,
-                uid: user.uid,
-                role: user.role || 'user',
-                name: user.name,
-                username: user.username,
-                status: user.status
-            };
-            
-            // Store in sessionStorage for user management system
-                sessionStorage.setItem('adminEmail', user.email);
-                sessionStorage.setItem('currentUser', JSON.stringify(this.currentUser));
-                // Store username separately for easy access
-                if (user.username) {
-                    sessionStorage.setItem('username', user.username);
-                }
-                console.log('💾 DEBUG: Session storage updated with adminEmail, currentUser, and username');
-            
+            console.log('✅ DEBUG: Two-factor authentication successful');
             return {
-                success: true,
-                user: this.currentUser,
-                message: 'Login successful'
+                ...this.completeSignIn(result.user),
+                recoveryCodesRemaining: result.recoveryCodesRemaining
             };
-            
         } catch (error) {
-            console.error('💥 DEBUG: Login error occurred:', error);
+            console.error('💥 DEBUG: Two-factor error occurred:', error);
             return {
                 success: false,
                 error: 'An error occurred during login',
@@ -315,6 +139,38 @@ class AuthenticationManager {
         }
     }
 
+    /**
+     * Keep the signed-in user once the server has issued a session
+     * @param {Object} user - User returned by the login functions
+     * @returns {Object} Authentication result
+     */
+    completeSignIn(user) {
+        this.currentUser = {
+            email: user.email,
+            uid: user.uid,
+            role: user.role || 'user',
+            name: user.displayName,
+            username: user.username,
+            status: user.active ? 'active' : 'inactive'
+        };
+        
+        // Display copies for the header and navigation; access is decided by the session token
+        sessionStorage.setItem('adminEmail', user.email);
+        sessionStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+        // Store username separately for easy access
+        if (user.username) {
+            sessionStorage.setItem('username', user.username);
+        }
+        console.log('💾 DEBUG: Session storage updated with session token and user details');
+        
+        return {
+            success: true,
+            user: this.currentUser,
+            twoFactorSetupRequired: !!user.twoFactorSetupRequired,
+            message: 'Login successful'
+        };
+    }
+
     /**
      * Backward compatibility method for email-only login
      * @param {string} email - Email address
@@ -345,8 +201,8 @@ class AuthenticationManager {
         }
 
         try {
-            // Clear session storage
-            sessionStorage.removeItem('adminEmail');
+            // End the session on the server and clear session storage
+            await signOut();
             localStorage.clear();
             this.currentUser = null;
             return true;
@@ -406,6 +262,11 @@ class LoginUIManager {
         this.passwordInput = null;
         this.loginButton = null;
         this.messageContainer = null;
+        this.twoFactorForm = null;
+        this.twoFactorCodeInput = null;
+        this.twoFactorButton = null;
+        this.twoFactorChallenge = null;
+        this.retryAfter = null;
         this.isLoading = false;
     }
 
@@ -419,6 +280,9 @@ class LoginUIManager {
         this.passwordInput = document.getElementById('password');
         this.loginButton = document.getElementById('loginButton');
         this.messageContainer = document.getElementById('messageContainer');
+        this.twoFactorForm = document.getElementById('twoFactorForm');
+        this.twoFactorCodeInput = document.getElementById('twoFactorCode');
+        this.twoFactorButton = document.getElementById('twoFactorButton');
 
         // Validate required elements
         if (!this.loginForm || !this.emailInput || !this.passwordInput || !this.loginButton) {
@@ -429,6 +293,13 @@ class LoginUIManager {
         // Set up event listeners
         this.setupEventListeners();
         
+        // Reason left by the dashboard when a session ended
+        const loginMessage = sessionStorage.getItem('loginMessage');
+        if (loginMessage) {
+            sessionStorage.removeItem('loginMessage');
+            this.showErrorMessage(loginMessage);
+        }
+        
         console.log('Login UI initialized successfully');
         return true;
     }
@@ -448,6 +319,15 @@ class LoginUIManager {
         this.emailInput.addEventListener('input', () => this.clearMessages());
         this.passwordInput.addEventListener('input', () => this.clearMessages());
 
+        // Two-factor step
+        if (this.twoFactorForm) {
+            this.twoFactorForm.addEventListener('submit', (e) => this.handleTwoFactorSubmit(e));
+            document.getElementById('twoFactorBack')?.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showPasswordStep();
+            });
+        }
+
         // Forgot password link (if exists)
         const forgotPasswordLink = document.getElementById('forgotPasswordLink');
         if (forgotPasswordLink) {
@@ -545,6 +425,13 @@ class LoginUIManager {
             return;
         }
 
+        // The server refuses attempts until then anyway, so do not send them
+        if (this.retryAfter > Date.now()) {
+            const seconds = Math.ceil((this.retryAfter - Date.now()) / 1000);
+            this.showErrorMessage(`Too many failed sign in attempts. Please wait ${seconds} seconds and try again.`);
+            return;
+        }
+
         // Validate inputs
         console.log('✅ DEBUG: Starting form validation');
         if (!this.validateForm()) {
@@ -573,11 +460,12 @@ class LoginUIManager {
 
             if (result.success) {
                 console.log('🎉 DEBUG: Login successful, redirecting immediately');
-                // Redirect all users to dashboard main page
-                console.log('🔄 DEBUG: Redirecting to dashboard...');
-                window.location.href = './ml/index.html';
+                this.redirectAfterLogin(result);
+            } else if (result.twoFactorRequired) {
+                this.showTwoFactorStep(result.challenge);
             } else {
                 console.log('❌ DEBUG: Login failed, showing error message:', result.error);
+                this.retryAfter = result.retryAfter || null;
                 this.showErrorMessage(result.error);
             }
         } catch (error) {
@@ -589,6 +477,89 @@ class LoginUIManager {
         }
     }
 
+    /**
+     * Send the user on after a successful login
+     * Users whose role requires two-factor authentication go to profile settings to set it up
+     * @param {Object} result - Authentication result
+     */
+    redirectAfterLogin(result) {
+        console.log('🔄 DEBUG: Redirecting to dashboard...');
+        window.location.href = result.twoFactorSetupRequired
+            ? './ml/profile-settings.html?setup=2fa'
+            : './ml/index.html';
+    }
+
+    /**
+     * Replace the password form with the two-factor code form
+     * @param {string} challenge - Challenge from the password step
+     */
+    showTwoFactorStep(challenge) {
+        this.twoFactorChallenge = challenge;
+        this.loginForm.style.display = 'none';
+        this.twoFactorForm.style.display = '';
+        this.twoFactorCodeInput.value = '';
+        this.messageContainer = document.getElementById('twoFactorMessageContainer');
+        this.clearMessages();
+        this.twoFactorCodeInput.focus();
+    }
+
+    /**
+     * Go back to the password form, e.g. when the two-factor step has expired
+     * @param {string} [message] - Error to show on the password form
+     */
+    showPasswordStep(message) {
+        this.twoFactorChallenge = null;
+        this.twoFactorForm.style.display = 'none';
+        this.loginForm.style.display = '';
+        this.messageContainer = document.getElementById('messageContainer');
+        this.passwordInput.value = '';
+        if (message) {
+            this.showErrorMessage(message);
+        }
+        this.passwordInput.focus();
+    }
+
+    /**
+     * Handle two-factor code submission
+     * @param {Event} event - Form submit event
+     */
+    async handleTwoFactorSubmit(event) {
+        event.preventDefault();
+
+        if (this.isLoading) {
+            return;
+        }
+
+        const code = this.twoFactorCodeInput.value.trim();
+        if (!code) {
+            this.showErrorMessage('Enter the code from your authenticator app or a recovery code');
+            return;
+        }
+
+        this.isLoading = true;
+        this.twoFactorButton.disabled = true;
+        this.clearMessages();
+
+        try {
+            const result = await this.authManager.verifyTwoFactorCode(this.twoFactorChallenge, code);
+
+            if (result.success) {
+                if (result.recoveryCodesRemaining !== undefined && result.recoveryCodesRemaining <= 2) {
+                    alert(`You have ${result.recoveryCodesRemaining} recovery codes left. Create new ones in Profile Settings.`);
+                }
+                this.redirectAfterLogin(result);
+            } else if (result.code === 'auth/challenge-expired') {
+                this.showPasswordStep(result.error);
+            } else {
+                this.showErrorMessage(result.error);
+                this.twoFactorCodeInput.select();
+            }
+        } finally {
+            this.isLoading = false;
+            this.twoFactorButton.disabled = false;
+        }
+    }
+
     /**
      * Validate form inputs
      * @returns {boolean} Validation result
@@ -783,11 +754,35 @@ class LoginUIManager {
      * Handle forgot password link click
      * @param {Event} event - Click event
      */
-    handleForgotPassword(event) {
+    async handleForgotPassword(event) {
         event.preventDefault();
-        
-        // For now, show a message - can be extended later
-        this.showErrorMessage('Password reset functionality will be available soon. Please contact an administrator.');
+
+        if (this.isLoading) {
+            return;
+        }
+
+        this.clearMessages();
+        const emailOrUsername = this.emailInput.value.trim();
+        if (!emailOrUsername) {
+            this.showFieldError(this.emailInput, 'Enter your email or username to reset your password');
+            this.emailInput.focus();
+            return;
+        }
+        this.clearFieldError(this.emailInput);
+
+        const forgotPasswordLink = event.currentTarget;
+        forgotPasswordLink.style.pointerEvents = 'none';
+
+        try {
+            const result = await requestPasswordReset(emailOrUsername);
+            if (result.success) {
+                this.showSuccessMessage('If an account matches, a link to reset the password has been sent to its email address. The link expires in one hour.');
+            } else {
+                this.showErrorMessage(result.error);
+            }
+        } finally {
+            forgotPasswordLink.style.pointerEvents = '';
+        }
     }
 }
 
@@ -812,8 +807,8 @@ document.addEventListener('DOMContentLoaded', async function() {
 
         // Check for existing authentication session
         console.log('🔍 DEBUG: Checking for existing session...');
-        const existingSession = sessionStorage.getItem('adminEmail');
-        console.log('🔍 DEBUG: Existing session found:', existingSession);
+        const existingSession = readSessionToken();
+        console.log('🔍 DEBUG: Existing session found:', existingSession?.email);
         
         if (existingSession) {
             // User is already signed in, redirect to dashboard
@@ -835,7 +830,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         }
 
         console.log('🎉 DEBUG: Login system initialized successfully');
-        console.log('📋 DEBUG: Authentication system ready with Firestore integration');
+        console.log('📋 DEBUG: Authentication system ready with server-side login');
         
     } catch (error) {
         console.error('💥 DEBUG: Failed to initialize login system:', error);
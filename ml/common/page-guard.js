@@ -1,9 +1,19 @@
 /**
  * Page Guard Module
  * Common initialization script for all ML pages
- * Enforces navigation restrictions based on IsThisFirstTime_Log_From_LiveServer flag
+ * Enforces each page's access policy (functions/accessPolicies.json, through the generated
+ * config/access-policies.js) and the global maintenance mode setting (system_settings/maintenance, read
+ * through the getMaintenanceStatus Cloud Function)
  */
 
+// Status used when the maintenance status cannot be loaded (see UNKNOWN_MAINTENANCE_STATUS in maintenance-service.js)
+const UNKNOWN_MAINTENANCE_STATUS = Object.freeze({
+    active: true,
+    bypass: false,
+    message: 'The maintenance status could not be checked. Please reload the page.',
+    endsAt: null
+});
+
 /**
  * Page Guard Class
  * Lightweight guard for pages that don't need full dashboard functionality
@@ -11,6 +21,10 @@
 class PageGuard {
     constructor() {
         this.isInitialized = false;
+        this.sessionUser = null;
+        this.maintenance = null;
+        this.policy = null;
+        this.accessCheck = null;
         console.log('🛡️ Page Guard initialized');
     }
 
@@ -25,7 +39,8 @@ class PageGuard {
             console.log('🛡️ [DEBUG] URL:', window.location.href);
             
             // Check for all access restrictions
-            const accessCheck = this.checkAccessRestriction();
+            const accessCheck = await this.checkAccessRestriction();
+            this.accessCheck = accessCheck;
             
             console.log('🛡️ [DEBUG] Access check result:', accessCheck);
             
@@ -37,6 +52,8 @@ class PageGuard {
             }
 
             this.isInitialized = true;
+            await this.startSessionMonitor();
+            await this.showMaintenanceNotice();
             console.log('✅ [DEBUG] Page Guard initialized successfully - Access ALLOWED');
             console.log('🛡️ [DEBUG] === PAGE GUARD INITIALIZATION COMPLETED ===');
             return true;
@@ -48,149 +65,130 @@ class PageGuard {
     }
 
     /**
-     * Check if the first-time restriction is active
-     * @returns {boolean} True if access should be restricted
+     * Load the access policy of the current page
+     * If the manifest cannot be loaded the page falls back to requiring dashboard access
+     * @returns {Promise<Object|null>} { path, permission, disabled, description }, or null for public pages
      */
-    checkFirstTimeRestriction() {
-        const isFirstTime = localStorage.getItem('IsThisFirstTime_Log_From_LiveServer');
-        return isFirstTime === 'true';
+    async loadPagePolicy() {
+        try {
+            const { findPagePolicy } = await import('../config/access-policies.js');
+            this.policy = findPagePolicy(window.location.pathname);
+        } catch (error) {
+            console.error('❌ [DEBUG] Access policies could not be loaded:', error);
+            this.policy = { path: window.location.pathname, permission: 'dashboard.access' };
+        }
+        
+        console.log('🔍 [DEBUG] Page access policy:', this.policy);
+        return this.policy;
     }
 
     /**
-     * Check if maintenance mode is active via URL parameters
-     * @returns {boolean} True if maintenance mode is active
+     * Check whether the signed-in user's role grants a permission
+     * @param {string} permission - Permission name
+     * @returns {Promise<boolean>} True when granted
      */
-    checkMaintenanceMode() {
+    async userHasPermission(permission) {
+        const { hasPermission } = await import('../config/permissions.js');
+        return hasPermission(this.sessionUser?.role, permission);
+    }
+
+    /**
+     * Check if maintenance mode blocks this user
+     * The server decides whether the signed-in user may bypass it; if the status cannot be loaded the
+     * page is blocked as if maintenance were on
+     * @returns {Promise<boolean>} True if maintenance is active and the user may not bypass it
+     */
+    async checkMaintenanceMode() {
         console.log('🔍 [DEBUG] Checking maintenance mode status...');
         
-        const urlParams = new URLSearchParams(window.location.search);
-        const maintenanceParam = urlParams.get('maintenance');
-        const storedMaintenance = localStorage.getItem('ml_maintenance_mode');
-        
-        console.log('🔍 [DEBUG] URL maintenance parameter:', maintenanceParam);
-        console.log('🔍 [DEBUG] Stored maintenance status:', storedMaintenance);
-        
-        // Check for maintenance activation
-        if (maintenanceParam === 'enable' || maintenanceParam === 'enabled' || maintenanceParam === 'on' || maintenanceParam === 'true') {
-            localStorage.setItem('ml_maintenance_mode', 'true');
-            console.log('🔧 [DEBUG] Maintenance mode ACTIVATED via URL parameter:', maintenanceParam);
-            console.log('🔧 [DEBUG] localStorage updated: ml_maintenance_mode = true');
+        try {
+            const { getMaintenanceStatus } = await import('../services/maintenance-service.js');
+            this.maintenance = await getMaintenanceStatus({ refresh: true });
+        } catch (error) {
+            console.error('❌ [DEBUG] Maintenance status could not be loaded:', error);
+            this.maintenance = UNKNOWN_MAINTENANCE_STATUS;
             return true;
         }
         
-        // Check for maintenance deactivation
-        if (maintenanceParam === 'disable' || maintenanceParam === 'off' || maintenanceParam === 'false') {
-            localStorage.removeItem('ml_maintenance_mode');
-            console.log('✅ [DEBUG] Maintenance mode DEACTIVATED via URL parameter:', maintenanceParam);
-            console.log('✅ [DEBUG] localStorage cleared: ml_maintenance_mode removed');
-            return false;
+        console.log('🔍 [DEBUG] Maintenance status:', this.maintenance);
+        return this.maintenance.active && !this.maintenance.bypass;
+    }
+
+    /**
+     * Remind users who bypass maintenance that it is on, once per browser session
+     */
+    async showMaintenanceNotice() {
+        if (!this.maintenance?.active || sessionStorage.getItem('maintenanceNoticeShown')) {
+            return;
         }
-        
-        // Check stored maintenance mode status
-        const isMaintenanceActive = storedMaintenance === 'true';
-        console.log('🔍 [DEBUG] Final maintenance mode status:', isMaintenanceActive);
-        
-        if (isMaintenanceActive) {
-            console.log('⚠️ [DEBUG] Page access will be BLOCKED due to maintenance mode');
-        } else {
-            console.log('✅ [DEBUG] Maintenance mode check passed - no restrictions');
+        try {
+            const { default: toastManager } = await import('../components/toast.js');
+            toastManager.showWarning('Maintenance mode is on. Only administrators can use the dashboard until it ends.');
+            sessionStorage.setItem('maintenanceNoticeShown', 'true');
+        } catch (error) {
+            console.warn('⚠️ [DEBUG] Maintenance notice could not be shown:', error);
         }
-        
-        return isMaintenanceActive;
     }
 
     /**
-     * Check if user is authenticated by validating session storage
-     * @returns {boolean} True if user has valid session
+     * Describe when maintenance ends
+     * @returns {string} Sentence, or an empty string without an end time
      */
-    checkUserAuthentication() {
-        // Check for user session data
-        const adminEmail = sessionStorage.getItem('adminEmail');
-        const currentUser = sessionStorage.getItem('currentUser');
-        
-        // User is authenticated if either adminEmail or currentUser exists
-        return !!(adminEmail || currentUser);
+    formatMaintenanceEnd() {
+        if (!this.maintenance?.endsAt) {
+            return '';
+        }
+        return `Expected to end ${new Date(this.maintenance.endsAt).toLocaleString()}.`;
     }
 
     /**
-     * Check if access should be restricted based on both flag and authentication
-     * @returns {Object} Restriction check result
+     * Escape text for use in HTML
+     * @param {string} text - Text
+     * @returns {string} Escaped text
      */
-    checkAccessRestriction() {
-        console.log('🔍 [DEBUG] === ACCESS RESTRICTION CHECK STARTED ===');
-        console.log('🔍 [DEBUG] Current URL:', window.location.href);
-        
-        const isMaintenanceMode = this.checkMaintenanceMode();
-        const isFirstTimeRestricted = this.checkFirstTimeRestriction();
-        const isAuthenticated = this.checkUserAuthentication();
-        
-        console.log('🔍 [DEBUG] Restriction check results:');
-        console.log('🔍 [DEBUG] - Maintenance Mode:', isMaintenanceMode);
-        console.log('🔍 [DEBUG] - First Time Restricted:', isFirstTimeRestricted);
-        console.log('🔍 [DEBUG] - User Authenticated:', isAuthenticated);
-        
-        // If maintenance mode is active, always restrict access (highest priority)
-        if (isMaintenanceMode) {
-            console.log('🚫 [DEBUG] ACCESS DENIED: Maintenance mode is active (highest priority)');
-            return {
-                shouldRestrict: true,
-                reason: 'System is currently under maintenance',
-                type: 'MAINTENANCE_MODE'
-            };
-        }
-        
-        // If first-time flag is true, always restrict regardless of authentication
-        if (isFirstTimeRestricted) {
-            console.log('🚫 [DEBUG] ACCESS DENIED: First-time restriction is active');
-            return {
-                shouldRestrict: true,
-                reason: 'First-time setup restriction is active',
-                type: 'FIRST_TIME_RESTRICTION'
-            };
-        }
-        
-        // If no first-time restriction but user is not authenticated, restrict access
-        if (!isAuthenticated) {
-            console.log('🚫 [DEBUG] ACCESS DENIED: User authentication required');
-            return {
-                shouldRestrict: true,
-                reason: 'User authentication required',
-                type: 'AUTHENTICATION_REQUIRED'
-            };
-        }
-        
-        // Access allowed
-        console.log('✅ [DEBUG] ACCESS GRANTED: All checks passed');
-        console.log('🔍 [DEBUG] === ACCESS RESTRICTION CHECK COMPLETED ===');
-        return {
-            shouldRestrict: false,
-            reason: 'Access granted',
-            type: 'ACCESS_GRANTED'
-        };
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
 
     /**
      * Check if user has valid authentication session
-     * @returns {boolean} True if user is authenticated
+     * The session token is verified by the verifySession Cloud Function; session storage alone is not trusted
+     * @returns {Promise<boolean>} True if user is authenticated
      */
-    checkUserAuthentication() {
-        // Check for user session data
-        const adminEmail = sessionStorage.getItem('adminEmail');
-        const currentUser = sessionStorage.getItem('currentUser');
-        
-        // User is authenticated if either adminEmail or currentUser exists
-        return !!(adminEmail || currentUser);
+    async checkUserAuthentication() {
+        try {
+            const { validateSession } = await import('../services/session-service.js');
+            this.sessionUser = await validateSession();
+            return !!this.sessionUser;
+        } catch (error) {
+            console.error('❌ [DEBUG] Session validation failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Watch the session for idle timeout, expiry and remote sign out while the page is open
+     */
+    async startSessionMonitor() {
+        try {
+            const { startSessionMonitor } = await import('../services/session-monitor.js');
+            startSessionMonitor();
+        } catch (error) {
+            console.error('❌ [DEBUG] Session monitor could not start:', error);
+        }
     }
 
     /**
      * Check if access should be restricted based on all conditions
-     * @returns {Object} Restriction check result
+     * @returns {Promise<Object>} Restriction check result
      */
-    checkAccessRestriction() {
+    async checkAccessRestriction() {
         console.log('🔍 [DEBUG] === ACCESS RESTRICTION CHECK STARTED ===');
         
         // Check maintenance mode first (highest priority)
-        const isMaintenanceActive = this.checkMaintenanceMode();
+        const isMaintenanceActive = await this.checkMaintenanceMode();
         console.log('🔍 [DEBUG] Maintenance mode check result:', isMaintenanceActive);
         
         if (isMaintenanceActive) {
@@ -198,25 +196,34 @@ class PageGuard {
             return {
                 shouldRestrict: true,
                 reason: 'System is currently under maintenance',
-                type: 'MAINTENANCE_MODE'
+                type: 'MAINTENANCE_MODE',
+                message: this.maintenance.message
             };
         }
         
-        // Check first-time restriction
-        const isFirstTimeRestricted = this.checkFirstTimeRestriction();
-        console.log('🔍 [DEBUG] First-time restriction check result:', isFirstTimeRestricted);
+        // Check the page's access policy
+        const policy = await this.loadPagePolicy();
         
-        if (isFirstTimeRestricted) {
-            console.log('🚫 [DEBUG] Access BLOCKED due to first-time restriction');
+        if (policy?.disabled) {
+            console.log('🚫 [DEBUG] Access BLOCKED because the page is disabled');
             return {
                 shouldRestrict: true,
-                reason: 'First-time setup restriction is active',
-                type: 'FIRST_TIME_RESTRICTION'
+                reason: 'This page is disabled',
+                type: 'PAGE_DISABLED'
+            };
+        }
+        
+        if (!policy?.permission) {
+            console.log('✅ [DEBUG] Public page - Access ALLOWED');
+            return {
+                shouldRestrict: false,
+                reason: 'Public page',
+                type: 'ALLOWED'
             };
         }
         
         // Check user authentication
-        const isAuthenticated = this.checkUserAuthentication();
+        const isAuthenticated = await this.checkUserAuthentication();
         console.log('🔍 [DEBUG] User authentication check result:', isAuthenticated);
         
         if (!isAuthenticated) {
@@ -228,6 +235,30 @@ class PageGuard {
             };
         }
         
+        // Users whose role requires two-factor authentication may only open profile settings until it is set up
+        // The Cloud Functions refuse their sessions too; this only sends them to the page where they can set it up
+        const currentPage = window.location.pathname.split('/').pop();
+        if (this.sessionUser.twoFactorSetupRequired && currentPage !== 'profile-settings.html') {
+            console.log('🚫 [DEBUG] Access BLOCKED until two-factor authentication is set up');
+            return {
+                shouldRestrict: true,
+                reason: 'Two-factor authentication setup required',
+                type: 'TWO_FACTOR_SETUP_REQUIRED'
+            };
+        }
+        
+        if (!(await this.userHasPermission(policy.permission))) {
+            console.log(`🚫 [DEBUG] Access BLOCKED, ${policy.permission} permission required`);
+            const canOpenDashboard = currentPage !== 'index.html' && currentPage !== '' &&
+                await this.userHasPermission('dashboard.access');
+            return {
+                shouldRestrict: true,
+                reason: `${policy.permission} permission required`,
+                type: 'PERMISSION_REQUIRED',
+                redirectTo: canOpenDashboard ? 'index.html' : '../index.html'
+            };
+        }
+        
         // Allow access if all checks pass
         console.log('✅ [DEBUG] All access checks passed - Access ALLOWED');
         console.log('🔍 [DEBUG] === ACCESS RESTRICTION CHECK COMPLETED ===');
@@ -271,9 +302,11 @@ class PageGuard {
         }
         
         // Determine redirect target based on restriction type
-        const redirectTo = accessCheck.type === 'AUTHENTICATION_REQUIRED' 
-            ? '../login.html' 
-            : '../index.html';
+        const redirectTargets = {
+            AUTHENTICATION_REQUIRED: '../login.html',
+            TWO_FACTOR_SETUP_REQUIRED: 'profile-settings.html?setup=2fa'
+        };
+        const redirectTo = accessCheck.redirectTo || redirectTargets[accessCheck.type] || '../index.html';
         
         // Redirect after delay
         setTimeout(() => {
@@ -295,7 +328,7 @@ class PageGuard {
         if (accessCheck.type === 'MAINTENANCE_MODE') {
             icon = '🔧';
             title = 'Maintenance Mode';
-            message = 'The ML directory is currently under maintenance. Please check back later or contact the administrator.';
+            message = this.escapeHtml(`${accessCheck.message || 'The ML directory is currently under maintenance. Please check back later.'} ${this.formatMaintenanceEnd()}`.trim());
             buttonText = 'Go to Main App';
             redirectUrl = '../index.html';
         } else if (accessCheck.type === 'AUTHENTICATION_REQUIRED') {
@@ -304,10 +337,22 @@ class PageGuard {
             message = 'You must be logged in to access the ML directory. Please sign in to continue.';
             buttonText = 'Go to Login';
             redirectUrl = '../login.html';
-        } else {
+        } else if (accessCheck.type === 'TWO_FACTOR_SETUP_REQUIRED') {
+            icon = '🛡️';
+            title = 'Two-Factor Authentication Required';
+            message = 'Your role requires two-factor authentication. Set it up in Profile Settings to continue.';
+            buttonText = 'Set Up Now';
+            redirectUrl = 'profile-settings.html?setup=2fa';
+        } else if (accessCheck.type === 'PERMISSION_REQUIRED') {
             icon = '🔒';
             title = 'Access Restricted';
-            message = 'The ML directory is currently restricted due to first-time setup requirements.';
+            message = 'Your role does not have access to this page.';
+            buttonText = accessCheck.redirectTo === 'index.html' ? 'Go to Dashboard' : 'Go to Main App';
+            redirectUrl = accessCheck.redirectTo;
+        } else {
+            icon = '🔒';
+            title = 'Page Unavailable';
+            message = 'This page has been turned off.';
             buttonText = 'Go to Main App';
             redirectUrl = '../index.html';
         }
@@ -438,7 +483,7 @@ class PageGuard {
      * @returns {boolean} Current restriction status
      */
     isRestricted() {
-        return this.checkFirstTimeRestriction();
+        return !!this.accessCheck?.shouldRestrict;
     }
 
     /**
@@ -446,12 +491,10 @@ class PageGuard {
      * @returns {Object} Detailed restriction information
      */
     getRestrictionStatus() {
-        const flagValue = localStorage.getItem('IsThisFirstTime_Log_From_LiveServer');
-        const isRestricted = flagValue === 'true';
-        
         return {
-            isRestricted,
-            flagValue,
+            isRestricted: this.isRestricted(),
+            restrictionType: this.accessCheck?.type || null,
+            policy: this.policy,
             currentPath: window.location.pathname,
             timestamp: new Date().toISOString()
         };
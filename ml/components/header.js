@@ -113,20 +113,24 @@ class DashboardHeader {
 
     /**
      * Handle user logout
+     * Ends the session on the server too, so the token cannot be used again
      */
-    handleLogout() {
+    async handleLogout() {
         try {
-            // Clear session storage
-            sessionStorage.clear();
-            
-            // Hide modal
-            this.hideLogoutModal();
-            
-            // Redirect to login page
-            window.location.href = '../login.html';
+            const { signOut } = await import('../services/session-service.js');
+            await signOut();
         } catch (error) {
             console.error('Error during logout:', error);
         }
+        
+        // Clear session storage
+        sessionStorage.clear();
+        
+        // Hide modal
+        this.hideLogoutModal();
+        
+        // Redirect to login page
+        window.location.href = '../login.html';
     }
 
     /**
@@ -269,6 +273,7 @@ class DashboardHeader {
         if (!role) return '';
         
         const roleMap = {
+            'super-admin': 'Super Admin',
             'administrator': 'Administrator',
             'moderator': 'Moderator',
             'user': 'User',
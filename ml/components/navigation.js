@@ -1,6 +1,7 @@
 /**
  * Reusable Navigation Component for Character Management Dashboard
- * Provides role-based navigation functionality across all pages
+ * Provides permission-based navigation functionality across all pages
+ * Roles are mapped to permissions by config/permissions.js, which is loaded when the user role is read
  * Follows SOLID principles for maintainability and extensibility
  */
 
@@ -8,6 +9,8 @@ class DashboardNavigation {
     constructor(options = {}) {
         this.currentPage = options.currentPage || 'index.html';
         this.userRole = options.userRole || 'moderator';
+        this.permissions = null;
+        this.accessPolicies = null;
         this.navigationElement = null;
         
         // State management for preventing concurrent updates
@@ -79,10 +82,17 @@ class DashboardNavigation {
     }
 
     /**
-     * Load user role from session storage
+     * Load user role from session storage, the role permissions and the page access policies
      * Only loads role data without updating navigation to prevent flickering
      */
     async loadUserRole() {
+        try {
+            this.permissions = await import('../config/permissions.js');
+            this.accessPolicies = await import('../config/access-policies.js');
+        } catch (error) {
+            console.warn('Could not load role permissions, restricting navigation:', error);
+        }
+
         try {
             const currentUser = sessionStorage.getItem('currentUser');
             if (currentUser) {
@@ -264,14 +274,20 @@ class DashboardNavigation {
     createBaseNavigation() {
         if (!this.navigationElement) return;
 
-        // All navigation items with role requirements
+        // All navigation items; the permission each one requires comes from its page's access policy
         const allNavItems = [
-            { href: 'index.html', icon: 'fas fa-home', text: 'Dashboard', roles: ['administrator', 'moderator'] },
-            { href: 'upload.html', icon: 'fas fa-upload', text: 'Upload Character', roles: ['administrator', 'moderator'] },
-            { href: 'database.html', icon: 'fas fa-database', text: 'Character Database', roles: ['administrator', 'moderator'] },
-            { href: 'logging.html', icon: 'fas fa-file-text', text: 'Logging', roles: ['administrator', 'moderator'] },
-            { href: 'user-management.html', icon: 'fas fa-users-cog', text: 'User Management', roles: ['administrator'] },
-            { href: 'profile-settings.html', icon: 'fas fa-user-cog', text: 'Profile Settings', roles: ['administrator', 'moderator'] }
+            { href: 'index.html', icon: 'fas fa-home', text: 'Dashboard' },
+            { href: 'upload.html', icon: 'fas fa-upload', text: 'Upload Character' },
+            { href: 'database.html', icon: 'fas fa-database', text: 'Character Database' },
+            { href: 'trade-board.html', icon: 'fas fa-handshake', text: 'Trade Board' },
+            { href: 'traits.html', icon: 'fas fa-tags', text: 'Trait Catalog' },
+            { href: 'vocabularies.html', icon: 'fas fa-list', text: 'Vocabularies' },
+            { href: 'image-report.html', icon: 'fas fa-image', text: 'Broken Images' },
+            { href: 'recycle-bin.html', icon: 'fas fa-trash-restore', text: 'Recycle Bin' },
+            { href: 'logging.html', icon: 'fas fa-file-text', text: 'Logging' },
+            { href: 'maintenance.html', icon: 'fas fa-tools', text: 'Maintenance' },
+            { href: 'user-management.html', icon: 'fas fa-users-cog', text: 'User Management' },
+            { href: 'profile-settings.html', icon: 'fas fa-user-cog', text: 'Profile Settings' }
         ];
 
         // Create a document fragment for atomic DOM manipulation
@@ -279,10 +295,14 @@ class DashboardNavigation {
         
         // Generate navigation items with proper state from the start
         allNavItems.forEach(item => {
+            const policy = this.getPagePolicy(item.href);
+            if (policy?.disabled) return;
+
+            const permission = policy ? policy.permission : null;
             const isActive = item.href === this.currentPage;
-            const isDisabled = !this.hasRoleAccess(item.roles);
+            const isDisabled = !this.accessPolicies || (permission !== null && !this.hasRoleAccess(permission));
             const disabledClass = isDisabled ? ' nav-item-disabled' : '';
-            const adminOnlyClass = item.roles.includes('administrator') && !item.roles.includes('moderator') ? ' nav-item-admin-only' : '';
+            const adminOnlyClass = permission && this.permissions && !this.permissions.hasPermission('moderator', permission) ? ' nav-item-admin-only' : '';
             
             // Create list item element
             const li = document.createElement('li');
@@ -313,13 +333,21 @@ class DashboardNavigation {
     }
 
     /**
-     * Check if current user has access to specific roles
-     * @param {Array} requiredRoles - Array of roles that have access
-     * @returns {boolean} True if user has access
+     * Get the access policy of a dashboard page
+     * @param {string} href - Page file name, e.g. 'upload.html'
+     * @returns {Object|null} Policy, or null for public pages and until the policies are loaded
+     */
+    getPagePolicy(href) {
+        return this.accessPolicies ? this.accessPolicies.findPagePolicy(`/ml/${href}`) : null;
+    }
+
+    /**
+     * Check if the current user's role grants a permission
+     * @param {string} permission - Permission name, e.g. 'user.manage'
+     * @returns {boolean} True if user has access; false until the permissions are loaded
      */
-    hasRoleAccess(requiredRoles) {
-        const normalizedRole = this.userRole === 'admin' ? 'administrator' : this.userRole;
-        return requiredRoles.includes(normalizedRole);
+    hasRoleAccess(permission) {
+        return !!this.permissions && this.permissions.hasPermission(this.userRole, permission);
     }
 
     /**
@@ -331,9 +359,9 @@ class DashboardNavigation {
         document.body.classList.remove('user-role-administrator', 'user-role-moderator', 'user-role-admin');
         
         // Add appropriate role class to body
-        if (this.userRole === 'administrator' || this.userRole === 'admin') {
+        if (this.isAdministrator()) {
             document.body.classList.add('user-role-administrator');
-        } else if (this.userRole === 'moderator') {
+        } else if (this.isModerator()) {
             document.body.classList.add('user-role-moderator');
         }
     }
@@ -437,11 +465,11 @@ class DashboardNavigation {
     }
 
     /**
-     * Check if current user is administrator
+     * Check if current user is administrator (admin or super-admin)
      * @returns {boolean} True if administrator
      */
     isAdministrator() {
-        return this.userRole === 'administrator' || this.userRole === 'admin';
+        return this.hasRoleAccess('user.manage');
     }
 
     /**
@@ -449,7 +477,7 @@ class DashboardNavigation {
      * @returns {boolean} True if moderator
      */
     isModerator() {
-        return this.userRole === 'moderator';
+        return !!this.permissions && this.permissions.normalizeRole(this.userRole) === 'moderator';
     }
 
 
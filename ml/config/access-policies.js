@@ -0,0 +1,131 @@
+/**
+ * Page access policies for the dashboard
+ * Generated by scripts/generate-access-policies.js from functions/accessPolicies.json - do not edit
+ */
+
+import { PERMISSIONS } from './permissions.js';
+
+export const ACCESS_POLICIES = {
+    "pages": [
+        {
+            "path": "/admin-control.html",
+            "permission": "security.manage",
+            "description": "Page access policy editor"
+        },
+        {
+            "path": "/ml/index.html",
+            "permission": "dashboard.access",
+            "description": "Dashboard"
+        },
+        {
+            "path": "/ml/upload.html",
+            "permission": "character.create",
+            "description": "Upload Character"
+        },
+        {
+            "path": "/ml/database.html",
+            "permission": "dashboard.access",
+            "description": "Character Database"
+        },
+        {
+            "path": "/ml/trade-board.html",
+            "permission": "dashboard.access",
+            "description": "Trade Board"
+        },
+        {
+            "path": "/ml/traits.html",
+            "permission": "dashboard.access",
+            "description": "Trait Catalog"
+        },
+        {
+            "path": "/ml/vocabularies.html",
+            "permission": "vocabularies.manage",
+            "description": "Vocabularies"
+        },
+        {
+            "path": "/ml/image-report.html",
+            "permission": "dashboard.access",
+            "description": "Broken Images"
+        },
+        {
+            "path": "/ml/recycle-bin.html",
+            "permission": "dashboard.access",
+            "description": "Recycle Bin"
+        },
+        {
+            "path": "/ml/logging.html",
+            "permission": "logs.read",
+            "description": "Logging"
+        },
+        {
+            "path": "/ml/maintenance.html",
+            "permission": "maintenance.manage",
+            "description": "Maintenance"
+        },
+        {
+            "path": "/ml/user-management.html",
+            "permission": "user.manage",
+            "description": "User Management"
+        },
+        {
+            "path": "/ml/profile-settings.html",
+            "permission": "dashboard.access",
+            "description": "Profile Settings"
+        },
+        {
+            "path": "/ml/*",
+            "permission": "dashboard.access",
+            "description": "Other dashboard pages, including the test and debug pages"
+        }
+    ]
+};
+
+export function normalizePagePath(path) {
+    let page = String(path || '/').split(/[?#]/)[0].replace(/\\/g, '/').toLowerCase();
+    if (!page.startsWith('/')) {
+        page = `/${page}`;
+    }
+    if (page.endsWith('/')) {
+        return `${page}index.html`;
+    }
+    return /\.[a-z0-9]+$/.test(page.split('/').pop()) ? page : `${page}.html`;
+}
+
+export function matchesPagePath(pattern, path) {
+    const source = String(pattern).toLowerCase().split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}$`).test(normalizePagePath(path));
+}
+
+export function findPagePolicy(path, policies = ACCESS_POLICIES) {
+    return policies.pages.find(policy => matchesPagePath(policy.path, path)) || null;
+}
+
+export function validateAccessPolicies(policies) {
+    if (!policies || !Array.isArray(policies.pages)) {
+        return ['The manifest must have a pages list.'];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    policies.pages.forEach((policy, index) => {
+        const label = `Entry ${index + 1}`;
+        if (typeof policy.path !== 'string' || !policy.path.startsWith('/')) {
+            errors.push(`${label}: the path must start with /.`);
+        } else if (seen.has(policy.path.toLowerCase())) {
+            errors.push(`${label}: ${policy.path} is listed more than once.`);
+        } else {
+            seen.add(policy.path.toLowerCase());
+        }
+        if (policy.permission === undefined) {
+            errors.push(`${label}: set a permission, or null for a public page.`);
+        } else if (policy.permission !== null && !Object.prototype.hasOwnProperty.call(PERMISSIONS, policy.permission)) {
+            errors.push(`${label}: ${policy.permission} is not a permission.`);
+        }
+        if (policy.disabled !== undefined && typeof policy.disabled !== 'boolean') {
+            errors.push(`${label}: disabled must be true or false.`);
+        }
+    });
+    return errors;
+}
@@ -54,6 +54,26 @@ class FirebaseConfig {
     isInitialized() {
         return this.database !== null;
     }
+
+    /**
+     * Sign in to Firebase with a database token from verifySession, or sign out without one
+     * The token's claims carry the user's database permissions, which database.rules.json checks on every write
+     * @param {string|null} token - Firebase custom token
+     * @returns {Promise<void>}
+     */
+    async setDatabaseToken(token) {
+        if (!this.isInitialized()) {
+            await this.initialize();
+        }
+
+        const { getAuth, signInWithCustomToken, signOut } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js');
+        const auth = getAuth(this.app);
+        if (token) {
+            await signInWithCustomToken(auth, token);
+        } else if (auth.currentUser) {
+            await signOut(auth);
+        }
+    }
 }
 
 // Export singleton instance
@@ -0,0 +1,90 @@
+/**
+ * Roles and permissions for the dashboard
+ * Generated by scripts/generate-permissions.js from functions/permissions.js - do not edit
+ */
+
+export const ROLES = [
+    "super-admin",
+    "admin",
+    "moderator",
+    "user"
+];
+
+export const ROLE_LABELS = {
+    "super-admin": "Super Admin",
+    "admin": "Administrator",
+    "moderator": "Moderator",
+    "user": "User"
+};
+
+export const ROLE_ALIASES = {
+    "administrator": "admin"
+};
+
+export const PERMISSIONS = {
+    "dashboard.access": "Open the ML dashboard",
+    "character.create": "Upload new characters",
+    "character.edit": "Edit characters and their images",
+    "character.delete": "Delete characters",
+    "character.purge": "Permanently delete characters from the recycle bin and set its retention",
+    "traits.manage": "Edit the trait catalog",
+    "vocabularies.manage": "Edit vocabularies",
+    "logs.read": "Read the activity log",
+    "user.manage": "Create, edit, deactivate and sign out users",
+    "user.manage-super-admins": "Assign the super-admin role and manage super-admin accounts",
+    "security.manage": "Change security and system settings",
+    "maintenance.manage": "Turn maintenance mode on or off and schedule it",
+    "maintenance.bypass": "Keep using the dashboard and editing characters during maintenance"
+};
+
+export const ROLE_PERMISSIONS = {
+    "super-admin": [
+        "dashboard.access",
+        "character.create",
+        "character.edit",
+        "logs.read",
+        "character.delete",
+        "character.purge",
+        "traits.manage",
+        "vocabularies.manage",
+        "user.manage",
+        "maintenance.manage",
+        "maintenance.bypass",
+        "user.manage-super-admins",
+        "security.manage"
+    ],
+    "admin": [
+        "dashboard.access",
+        "character.create",
+        "character.edit",
+        "logs.read",
+        "character.delete",
+        "character.purge",
+        "traits.manage",
+        "vocabularies.manage",
+        "user.manage",
+        "maintenance.manage",
+        "maintenance.bypass"
+    ],
+    "moderator": [
+        "dashboard.access",
+        "character.create",
+        "character.edit",
+        "logs.read"
+    ],
+    "user": []
+};
+
+export function normalizeRole(role) {
+    const name = String(role || '').trim().toLowerCase();
+    const canonical = ROLE_ALIASES[name] || name;
+    return ROLES.includes(canonical) ? canonical : null;
+}
+
+export function getRolePermissions(role) {
+    return ROLE_PERMISSIONS[normalizeRole(role)] || [];
+}
+
+export function hasPermission(role, permission) {
+    return getRolePermissions(role).includes(permission);
+}
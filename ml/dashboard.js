@@ -11,6 +11,7 @@
 
 import AuthenticationService from './services/authentication-service.js';
 import LoggingService from './services/logging-service.js';
+import { ROLE_LABELS, normalizeRole } from './config/permissions.js';
 
 /**
  * Dashboard Manager Class
@@ -43,11 +44,7 @@ class DashboardManager {
                 return false;
             }
             
-            // Restore session and check authentication in one step
-            const sessionRestored = this.authService.restoreSession();
-            console.log('🔄 Session restoration result:', sessionRestored);
-            
-            // Immediate authentication check
+            // The user is only set when the server accepted the session
             if (!this.authService.isAuthenticated()) {
                 console.warn('⚠️ User not authenticated, redirecting to login');
                 this.redirectToLogin();
@@ -239,15 +236,7 @@ class DashboardManager {
     formatRole(role) {
         if (!role) return '';
         
-        // Capitalize first letter and handle common roles
-        const roleMap = {
-            'admin': 'Administrator',
-            'moderator': 'Moderator',
-            'user': 'User',
-            'editor': 'Editor'
-        };
-        
-        return roleMap[role.toLowerCase()] || role.charAt(0).toUpperCase() + role.slice(1);
+        return ROLE_LABELS[normalizeRole(role)] || role.charAt(0).toUpperCase() + role.slice(1);
     }
 
     /**
@@ -319,10 +308,10 @@ class DashboardManager {
         const welcomeTitle = welcomeText.querySelector('h2');
         const welcomeDescription = welcomeText.querySelector('p');
 
-        if (this.userRole === 'administrator') {
+        if (this.authService.hasPermission('user.manage')) {
             welcomeTitle.textContent = 'Administrator Dashboard';
             welcomeDescription.textContent = 'Welcome to the Character Management System - Administrator Panel';
-        } else if (this.userRole === 'moderator') {
+        } else if (this.authService.hasPermission('dashboard.access')) {
             welcomeTitle.textContent = 'Moderator Dashboard';
             welcomeDescription.textContent = 'Welcome to the Character Management System - Moderator Panel';
         }
@@ -355,10 +344,19 @@ class DashboardManager {
                     <p>View and edit existing characters</p>
                 </div>
             </a>
+            <a href="image-report.html?check=1" class="action-item">
+                <div class="action-icon">
+                    <i class="fas fa-image"></i>
+                </div>
+                <div class="action-text">
+                    <h4>Check Image Links</h4>
+                    <p>Find characters whose images no longer load</p>
+                </div>
+            </a>
         `;
 
         // Add role-specific actions
-        if (this.userRole === 'administrator') {
+        if (this.authService.hasPermission('user.manage')) {
             actionsHTML += `
                 <a href="user-management.html" class="action-item">
                     <div class="action-icon">
@@ -370,7 +368,7 @@ class DashboardManager {
                     </div>
                 </a>
             `;
-        } else if (this.userRole === 'moderator') {
+        } else if (this.authService.hasPermission('dashboard.access')) {
             actionsHTML += `
                 <a href="profile-settings.html" class="action-item">
                     <div class="action-icon">
@@ -505,7 +503,9 @@ class DashboardManager {
             const actionText = this.formatActivityAction(actionType, activity.masterlistNumber);
             const timeAgo = this.formatTimeAgo(activity.timestamp);
             // Handle both 'user' and 'username' field names for compatibility
-            const userDisplay = activity.user || activity.username || 'Unknown User';
+            const userDisplay = this.escapeHtml(activity.user || activity.username || 'Unknown User');
+            // User actions show the account they were performed on
+            const badge = activity.category === 'USER' ? activity.targetUser : activity.masterlistNumber;
             
             return `
                 <div class="activity-item">
@@ -513,7 +513,7 @@ class DashboardManager {
                         <p class="activity-action">${actionText}</p>
                         <div class="activity-meta">
                             <span class="activity-user">by ${userDisplay}</span>
-                            ${activity.masterlistNumber ? `<span class="activity-badge">${activity.masterlistNumber}</span>` : ''}
+                            ${badge ? `<span class="activity-badge">${this.escapeHtml(badge)}</span>` : ''}
                         </div>
                     </div>
                     <span class="activity-time">${timeAgo}</span>
@@ -528,7 +528,7 @@ class DashboardManager {
 
     /**
      * Format activity action text based on action type
-     * @param {string} actionType - Type of action (EDIT, UPLOAD, DELETE)
+     * @param {string} actionType - Type of action (EDIT, UPLOAD, DELETE, USER_CREATE, LOGIN, ...)
      * @param {string} masterlistNumber - Character masterlist number
      * @returns {string} Formatted action text
      */
@@ -536,12 +536,41 @@ class DashboardManager {
         const actionMap = {
             'UPLOAD': 'New character uploaded',
             'EDIT': 'Character updated',
-            'DELETE': 'Character deleted',
+            'DELETE': 'Character moved to recycle bin',
+            'RESTORE': 'Character restored from recycle bin',
+            'PURGE': 'Character permanently deleted',
+            'TRANSFER': 'Character ownership transferred',
+            'IMPORT': 'Characters imported',
             'APPROVE': 'Character approved',
-            'REJECT': 'Character rejected'
+            'REJECT': 'Character rejected',
+            'USER_CREATE': 'User account created',
+            'USER_EDIT': 'User account updated',
+            'ROLE_CHANGE': 'User role changed',
+            'USER_STATUS': 'User account activated or deactivated',
+            'PASSWORD_CHANGE': 'Password changed',
+            'PASSWORD_RESET_REQUEST': 'Password reset requested',
+            'PASSWORD_RESET': 'Password reset',
+            'USER_DELETE': 'User account deleted',
+            'LOGIN': 'Signed in',
+            'LOGIN_FAILED': 'Failed sign in',
+            'LOCKOUT': 'Sign in locked out',
+            'UNLOCK': 'Sign in lockout cleared',
+            'MAINTENANCE': 'Maintenance mode changed',
+            'ARCHIVE': 'Activity log archived'
         };
         
-        return actionMap[actionType] || `${actionType} action performed`;
+        return actionMap[actionType] || `${this.escapeHtml(actionType)} action performed`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
 
     /**
@@ -6,6 +6,14 @@
 
 // Import toast notification system
 import toastManager from './components/toast.js';
+// Import character export service
+import characterExportService from './services/export-service.js';
+// Import trait helpers for the trait filter and rarity warnings
+import { getTraitRarityWarning, parseTraitList } from './services/traits.js';
+// Import vocabulary helpers for the rarity and status dropdowns
+import { normalizeVocabularies, getVocabularyValues, getVocabularyLabel, fillVocabularySelect } from './services/vocabularies.js';
+// Import image helpers for hosted images and legacy Drive links
+import { getCharacterImages, getCharacterImageUrl } from './services/character-images.js';
 
 // Character storage manager - Single Responsibility Principle
 class CharacterStorageManager {
@@ -206,99 +214,116 @@ class GoogleDriveImageHandler {
 }
 
 // Character filter manager - Single Responsibility Principle
+// Holds the current query and page; searching, sorting and paging run in the shared query layer
 class CharacterFilterManager {
-    constructor(characters) {
-        // Sort characters by creation date (most recent first)
-        this.allCharacters = this.sortCharactersByDate(characters);
-        this.filteredCharacters = [...this.allCharacters];
+    constructor(storageManager, pageSize) {
+        this.storageManager = storageManager;
+        this.pageSize = pageSize;
+        this.filters = { search: '', rarity: 'all', status: 'all', trait: 'all', sort: 'newest' };
+        this.characters = [];
+        this.page = 1;
+        this.pageCursors = [null];
+        this.nextCursor = null;
+        this.total = null;
     }
 
     /**
-     * Apply filters to character list
+     * Apply filters and load the first page
      * @param {Object} filters - Filter criteria
      * @param {string} filters.search - Search query
      * @param {string} filters.rarity - Rarity filter
      * @param {string} filters.status - Status filter
-     * @param {string} filters.biome - Biome filter
+     * @param {string} filters.trait - Trait filter
+     * @param {string} filters.sort - Sort option
+     * @returns {Promise<Array>} Characters on the first page
      */
-    applyFilters(filters) {
-        const { search = '', rarity = 'all', status = 'all', biome = 'all' } = filters;
-        
-        // Filter characters first
-        const filtered = this.allCharacters.filter(character => {
-            const matchesSearch = this.matchesSearchQuery(character, search);
-            const matchesRarity = rarity === 'all' || character.rarity === rarity;
-            const matchesStatus = status === 'all' || character.status === status;
-            const matchesBiome = biome === 'all' || character.biome?.includes(biome);
-            
-            return matchesSearch && matchesRarity && matchesStatus && matchesBiome;
+    async applyFilters(filters) {
+        this.filters = { ...this.filters, ...filters };
+        this.pageCursors = [null];
+        return this.loadPage(1);
+    }
+
+    /**
+     * Load a page already visited or the one after the current page
+     * @param {number} page - Page number
+     * @returns {Promise<Array>} Characters on the page
+     */
+    async loadPage(page) {
+        const cursor = page === this.page + 1 ? this.nextCursor : this.pageCursors[page - 1];
+        if (page < 1 || (page > 1 && !cursor)) {
+            return this.characters;
+        }
+
+        const result = await this.storageManager.queryCharacters({
+            ...this.filters,
+            limit: this.pageSize,
+            cursor
         });
-        
-        // Maintain date sorting after filtering
-        this.filteredCharacters = this.sortCharactersByDate(filtered);
-        
-        return this.filteredCharacters;
+
+        this.pageCursors[page - 1] = cursor;
+        this.page = page;
+        this.characters = result.characters;
+        this.nextCursor = result.nextCursor;
+        this.total = result.total;
+        return this.characters;
     }
 
     /**
-     * Check if character matches search query
-     * @param {Object} character - Character object
-     * @param {string} query - Search query
+     * Reload the current page after a change
+     * @returns {Promise<Array>} Characters on the page
      */
-    matchesSearchQuery(character, query) {
-        if (!query) return true;
-        
-        const searchFields = [
-            character.masterlistNumber,
-            character.owner,
-            character.artist,
-            character.biome
-        ];
-        
-        return searchFields.some(field => 
-            field?.toLowerCase().includes(query.toLowerCase())
-        );
+    async reload() {
+        return this.loadPage(this.page);
     }
 
     /**
-     * Update character list
-     * @param {Array} characters - New character list
+     * Get every character matching the current filters
+     * @returns {Promise<Array>} Matching characters in the current sort order
      */
-    updateCharacters(characters) {
-        // Sort characters by creation date (most recent first)
-        this.allCharacters = this.sortCharactersByDate(characters);
-        this.filteredCharacters = [...this.allCharacters];
+    async getAllMatches() {
+        const result = await this.storageManager.queryCharacters({ ...this.filters, limit: Infinity });
+        return result.characters;
     }
 
     /**
-     * Sort characters by creation date (most recent first)
-     * @param {Array} characters - Characters to sort
-     * @returns {Array} Sorted characters
+     * Find a character on the current page
+     * @param {string} id - Character ID
+     * @returns {Object|undefined} Character
      */
-    sortCharactersByDate(characters) {
-        return [...characters].sort((a, b) => {
-            // Handle cases where createdAt might not exist
-            const dateA = a.createdAt ? new Date(a.createdAt) : new Date(0);
-            const dateB = b.createdAt ? new Date(b.createdAt) : new Date(0);
-            
-            // Sort in descending order (most recent first)
-            return dateB - dateA;
-        });
+    findCharacter(id) {
+        return this.characters.find(char => char.id === id);
     }
 }
 
+// Character fields shown when viewing a revision snapshot
+const REVISION_FIELDS = [
+    ['masterlistNumber', 'Masterlist Number'],
+    ['owner', 'Owner'],
+    ['artist', 'Artist'],
+    ['primaryBiome', 'Primary Biome'],
+    ['secondaryBiome', 'Secondary Biome'],
+    ['rarity', 'Rarity'],
+    ['status', 'Status'],
+    ['value', 'Value'],
+    ['traits', 'Traits'],
+    ['description', 'Description'],
+    ['notes', 'Notes'],
+    ['gallery', 'Images']
+];
+
 // Main application class - Dependency Inversion Principle
 class CharacterDatabaseApp {
     constructor() {
         this.storageManager = null;
         this.filterManager = null;
+        this.exportScopes = null;
+        this.traitCatalog = [];
+        this.vocabularies = normalizeVocabularies(null);
         this.currentView = 'grid';
         this.isLoading = true;
         
         // Pagination properties
-        this.currentPage = 1;
         this.itemsPerPage = 6;
-        this.totalPages = 1;
         
         this.init();
     }
@@ -324,20 +349,19 @@ class CharacterDatabaseApp {
             // Initialize Firebase storage manager
             this.storageManager = new EnhancedCharacterStorageManager();
             await this.storageManager.initialize();
+            await this.loadVocabularies();
+            await this.loadTraitCatalog();
             
-            // Load characters from Firebase with separate error handling
-            let characters = [];
+            // Load the first page with separate error handling
+            this.filterManager = new CharacterFilterManager(this.storageManager, this.itemsPerPage);
             try {
-                characters = await this.storageManager.getAllCharacters();
+                await this.filterManager.applyFilters(this.getFilters());
             } catch (loadError) {
                 console.error('Failed to load characters:', loadError);
-                characters = []; // Ensure we have an empty array
             }
             
-            this.filterManager = new CharacterFilterManager(characters);
-            
             // Show success status
-            this.showConnectionStatus(true, `Connected to Firebase Database - ${characters.length} characters loaded`);
+            this.showConnectionStatus(true, 'Connected to Firebase Database');
             
             // Render characters
             this.isLoading = false;
@@ -347,8 +371,8 @@ class CharacterDatabaseApp {
         } catch (error) {
             console.error('Firebase initialization failed:', error);
             
-            // Initialize with empty array to prevent errors
-            this.filterManager = new CharacterFilterManager([]);
+            // Initialize with an empty page to prevent errors
+            this.filterManager = new CharacterFilterManager(this.storageManager, this.itemsPerPage);
             this.isLoading = false;
             
             this.showConnectionStatus(false, `Database connection failed: ${error.message}`);
@@ -356,6 +380,41 @@ class CharacterDatabaseApp {
         }
     }
 
+    /**
+     * Load the configured vocabularies into the rarity and status dropdowns
+     */
+    async loadVocabularies() {
+        try {
+            this.vocabularies = await this.storageManager.getVocabularies();
+        } catch (error) {
+            console.warn('⚠️ Failed to load vocabularies, using defaults:', error);
+        }
+        
+        fillVocabularySelect(document.getElementById('rarityFilter'), this.vocabularies.rarities);
+        fillVocabularySelect(document.getElementById('statusFilter'), this.vocabularies.statuses);
+        fillVocabularySelect(document.getElementById('transferStatus'), this.vocabularies.statuses);
+    }
+
+    /**
+     * Load the trait catalog for the trait filter and rarity warnings
+     */
+    async loadTraitCatalog() {
+        try {
+            this.traitCatalog = await this.storageManager.getTraits();
+        } catch (error) {
+            console.warn('⚠️ Failed to load trait catalog:', error);
+            this.traitCatalog = [];
+        }
+        
+        const traitFilter = document.getElementById('traitFilter');
+        if (traitFilter) {
+            traitFilter.innerHTML = `
+                <option value="all">All Traits</option>
+                ${this.traitCatalog.map(trait => `<option value="${this.escapeHtml(trait.name).replace(/"/g, '&quot;')}">${this.escapeHtml(trait.name)}</option>`).join('')}
+            `;
+        }
+    }
+
     /**
      * Show connection status to user
      * @param {boolean} isConnected - Whether connected to database
@@ -417,10 +476,23 @@ class CharacterDatabaseApp {
         const searchInput = document.getElementById('searchInput');
         const rarityFilter = document.getElementById('rarityFilter');
         const statusFilter = document.getElementById('statusFilter');
+        const traitFilter = document.getElementById('traitFilter');
+        const sortSelect = document.getElementById('sortSelect');
         
-        if (searchInput) searchInput.addEventListener('input', () => this.handleFiltersChange());
+        // Debounce typing so every keystroke does not hit the database
+        let searchTimeout;
+        if (searchInput) searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => this.handleFiltersChange(), 300);
+        });
         if (rarityFilter) rarityFilter.addEventListener('change', () => this.handleFiltersChange());
         if (statusFilter) statusFilter.addEventListener('change', () => this.handleFiltersChange());
+        if (traitFilter) traitFilter.addEventListener('change', () => this.handleFiltersChange());
+        if (sortSelect) sortSelect.addEventListener('change', () => this.handleFiltersChange());
+        
+        // Ownership transfer form
+        const transferForm = document.getElementById('transferForm');
+        if (transferForm) transferForm.addEventListener('submit', (e) => this.submitTransfer(e));
     }
 
     /**
@@ -435,21 +507,41 @@ class CharacterDatabaseApp {
     }
 
     /**
-     * Handle filter changes
+     * Read filter controls
+     * @returns {Object} Filters ({ search, rarity, status, trait, sort })
      */
-    handleFiltersChange() {
-        if (!this.filterManager || this.isLoading) return;
-        
-        const filters = {
+    getFilters() {
+        return {
             search: document.getElementById('searchInput')?.value || '',
             rarity: document.getElementById('rarityFilter')?.value || 'all',
-            status: document.getElementById('statusFilter')?.value || 'all'
+            status: document.getElementById('statusFilter')?.value || 'all',
+            trait: document.getElementById('traitFilter')?.value || 'all',
+            sort: document.getElementById('sortSelect')?.value || 'newest'
         };
+    }
+
+    /**
+     * Handle filter changes
+     * Filtering always starts again from the first page
+     */
+    async handleFiltersChange() {
+        if (!this.filterManager || this.isLoading) return;
         
-        this.filterManager.applyFilters(filters);
-        
-        // Reset to first page when filters change
-        this.currentPage = 1;
+        try {
+            await this.filterManager.applyFilters(this.getFilters());
+        } catch (error) {
+            console.error('Error searching characters:', error);
+            toastManager.showError(error.message);
+        }
+        this.renderCharacters();
+        this.updateResultsCount();
+    }
+
+    /**
+     * Reload the current page after a character changed
+     */
+    async reloadCharacters() {
+        await this.filterManager.reload();
         this.renderCharacters();
         this.updateResultsCount();
     }
@@ -474,21 +566,16 @@ class CharacterDatabaseApp {
             return;
         }
         
-        const characters = this.filterManager.filteredCharacters;
+        const characters = this.filterManager.characters;
         
         if (characters.length === 0) {
             container.innerHTML = '<p class="text-muted-foreground">No characters found matching your criteria.</p>';
             this.updatePaginationInfo();
+            this.renderPaginationControls();
             return;
         }
         
-        // Calculate pagination
-        this.totalPages = Math.ceil(characters.length / this.itemsPerPage);
-        const startIndex = (this.currentPage - 1) * this.itemsPerPage;
-        const endIndex = startIndex + this.itemsPerPage;
-        const paginatedCharacters = characters.slice(startIndex, endIndex);
-        
-        container.innerHTML = paginatedCharacters.map(character => this.renderCharacterCard(character)).join('');
+        container.innerHTML = characters.map(character => this.renderCharacterCard(character)).join('');
         
         // Update pagination controls
         this.updatePaginationInfo();
@@ -500,7 +587,12 @@ class CharacterDatabaseApp {
      * @param {Object} character - Character data
      */
     renderCharacterCard(character) {
-        const imageUrl = GoogleDriveImageHandler.convertToDirectUrl(character.imageUrl);
+        const imageUrl = getCharacterImageUrl(character, 'preview');
+        const traits = parseTraitList(character.traits).join(', ');
+        const rarityWarning = getTraitRarityWarning(character, this.traitCatalog, getVocabularyValues(this.vocabularies.rarities));
+        const rarityWarningBadge = rarityWarning
+            ? `<span class="rarity-warning-badge" title="${this.escapeHtml(rarityWarning).replace(/"/g, '&quot;')}"><i class="fas fa-exclamation-triangle"></i>Rarity</span>`
+            : '';
         
         if (this.currentView === 'list') {
             // List view - matching the format shown in the image
@@ -512,6 +604,7 @@ class CharacterDatabaseApp {
                             <span class="character-rarity rarity-${character.rarity?.toLowerCase().replace(' ', '-')}">
                                 ${character.rarity}
                             </span>
+                            ${rarityWarningBadge}
                         </div>
                         <div class="character-list-body">
                             <div class="character-list-image">
@@ -526,10 +619,10 @@ class CharacterDatabaseApp {
                                         <p><strong>Owner:</strong> ${character.owner}</p>
                                         <p><strong>Artist:</strong> ${character.artist}</p>
                                         <p><strong>Biome:</strong> ${character.biome}</p>
-                                        <p><strong>Status:</strong> ${character.status}</p>
+                                        <p><strong>Status:</strong> ${getVocabularyLabel(this.vocabularies.statuses, character.status)}</p>
                                     </div>
                                     <div class="character-list-info-column">
-                                        <p><strong>Traits:</strong> ${character.traits || 'None specified'}</p>
+                                        <p><strong>Traits:</strong> ${traits || 'None specified'}</p>
                                     </div>
                                     <div class="character-list-info-column">
                                         <p><strong>Notes:</strong> ${character.notes || 'No notes'}</p>
@@ -543,6 +636,12 @@ class CharacterDatabaseApp {
                                 <button class="btn btn-primary" onclick="app.viewCharacter('${character.id}')">
                                     <i class="fas fa-eye"></i>View
                                 </button>
+                                <button class="btn btn-outline" onclick="app.viewHistory('${character.id}')">
+                                    <i class="fas fa-history"></i>History
+                                </button>
+                                <button class="btn btn-outline" onclick="app.openTransferModal('${character.id}')">
+                                    <i class="fas fa-exchange-alt"></i>Transfer
+                                </button>
                                 <button class="btn btn-danger" onclick="app.deleteCharacter('${character.id}')">
                                     <i class="fas fa-trash"></i>Delete
                                 </button>
@@ -560,20 +659,21 @@ class CharacterDatabaseApp {
                              alt="${character.masterlistNumber}" 
                              class="character-image"
                              onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDIwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIyMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjRjNGNEY2Ii8+CjxwYXRoIGQ9Ik0xMDAgNzBDMTA4LjI4NCA3MCA5NS4wNzE2IDc3LjE2MzQgOTUuMDcxNiA4NS40NDc3VjEwNi41NTJDOTUuMDcxNiAxMTQuODM3IDEwMS4yODQgMTIyIDEwOSAxMjJIMTEwQzExOC4yODQgMTIyIDEyNS4wNzE2IDExNC44MzcgMTI1LjA3MTYgMTA2LjU1MlY4NS40NDc3QzEyNS4wNzE2IDc3LjE2MzQgMTE4LjI4NCA3MCAxMTAgNzBIMTAwWiIgZmlsbD0iIzlDQTNBRiIvPgo8L3N2Zz4K'">
-                        <div class="image-status-indicator" title="${character.imageUrl ? 'Image loaded' : 'No image'}">
-                            <i class="fas ${character.imageUrl}"></i>
+                        <div class="image-status-indicator" title="${imageUrl ? 'Image loaded' : 'No image'}">
+                            <i class="fas ${imageUrl}"></i>
                         </div>
                     </div>
                     <div class="character-info">
                         <div class="character-header">
                             <span class="character-ml">${character.masterlistNumber}</span>
                             <span class="character-rarity rarity-${character.rarity?.toLowerCase().replace(' ', '-')}">${character.rarity}</span>
+                            ${rarityWarningBadge}
                         </div>
                         <div class="character-details">
                             <span><strong>Owner:</strong> ${character.owner}</span>
                             <span><strong>Artist:</strong> ${character.artist}</span>
                             <span><strong>Biome:</strong> ${character.biome}</span>
-                            <span><strong>Status:</strong> ${character.status}</span>
+                            <span><strong>Status:</strong> ${getVocabularyLabel(this.vocabularies.statuses, character.status)}</span>
                         </div>
                         <div class="character-actions">
                             <button class="btn btn-outline" onclick="app.editCharacter('${character.id}')">
@@ -582,6 +682,12 @@ class CharacterDatabaseApp {
                             <button class="btn btn-primary" onclick="app.viewCharacter('${character.id}')">
                                 <i class="fas fa-eye"></i>View Image
                             </button>
+                            <button class="btn btn-outline" onclick="app.viewHistory('${character.id}')">
+                                <i class="fas fa-history"></i>History
+                            </button>
+                            <button class="btn btn-outline" onclick="app.openTransferModal('${character.id}')">
+                                <i class="fas fa-exchange-alt"></i>Transfer
+                            </button>
                             <button class="btn btn-danger" onclick="app.deleteCharacter('${character.id}')">
                                 <i class="fas fa-trash"></i>Delete
                             </button>
@@ -598,9 +704,11 @@ class CharacterDatabaseApp {
     updateResultsCount() {
         const countElement = document.getElementById('resultsCount');
         if (countElement && this.filterManager && this.storageManager) {
-            const filtered = this.filterManager.filteredCharacters.length;
-            const total = this.filterManager.allCharacters.length;
-            countElement.textContent = `Showing ${filtered} of ${total} characters`;
+            // Unfiltered pages are read in order without counting the whole masterlist
+            const total = this.filterManager.total;
+            countElement.textContent = total === null
+                ? `Showing page ${this.filterManager.page} of all characters`
+                : `${total} character${total === 1 ? '' : 's'} found`;
         }
     }
 
@@ -611,6 +719,8 @@ class CharacterDatabaseApp {
         document.getElementById('searchInput').value = '';
         document.getElementById('rarityFilter').value = 'all';
         document.getElementById('statusFilter').value = 'all';
+        document.getElementById('traitFilter').value = 'all';
+        document.getElementById('sortSelect').value = 'newest';
         this.handleFiltersChange();
     }
 
@@ -620,12 +730,12 @@ class CharacterDatabaseApp {
      */
     viewCharacter(id) {
         // Add safety check for filterManager
-        if (!this.filterManager || !this.filterManager.allCharacters) {
+        if (!this.filterManager) {
             alert('Database not available. Please refresh the page and try again.');
             return;
         }
         
-        const character = this.filterManager.allCharacters.find(char => char.id === id);
+        const character = this.filterManager.findCharacter(id);
         if (character) {
             this.openImageModal(character);
         } else {
@@ -652,8 +762,8 @@ class CharacterDatabaseApp {
         modalTitle.textContent = `${character.masterlistNumber} - Character Image`;
         modalInfo.textContent = `Owner: ${character.owner} | Artist: ${character.artist} | Rarity: ${character.rarity}`;
         
-        // Convert Google Drive URL to direct image URL
-        const imageUrl = GoogleDriveImageHandler.convertToDirectUrl(character.imageUrl);
+        // Show the full-size image, or a large thumbnail of a Drive link
+        const imageUrl = getCharacterImageUrl(character, 'main');
         modalImage.src = imageUrl;
         modalImage.alt = `${character.masterlistNumber} - ${character.owner}`;
         
@@ -696,12 +806,12 @@ class CharacterDatabaseApp {
      */
     editCharacter(id) {
         // Add safety check for filterManager
-        if (!this.filterManager || !this.filterManager.allCharacters) {
+        if (!this.filterManager) {
             alert('Database not available. Please refresh the page and try again.');
             return;
         }
         
-        const character = this.filterManager.allCharacters.find(char => char.id === id);
+        const character = this.filterManager.findCharacter(id);
         if (character) {
             window.location.href = `upload.html?edit=${character.id}`;
         } else {
@@ -715,12 +825,12 @@ class CharacterDatabaseApp {
      */
     async deleteCharacter(id) {
         // Add safety check for filterManager and storageManager
-        if (!this.filterManager || !this.filterManager.allCharacters || !this.storageManager) {
+        if (!this.filterManager || !this.storageManager) {
             alert('Database not available. Please refresh the page and try again.');
             return;
         }
         
-        const character = this.filterManager.allCharacters.find(char => char.id === id);
+        const character = this.filterManager.findCharacter(id);
         if (character) {
             this.openDeleteModal(character);
         } else {
@@ -743,6 +853,11 @@ class CharacterDatabaseApp {
         // Store character data for deletion
         window.currentDeleteCharacter = character;
         
+        const reasonInput = document.getElementById('deleteReason');
+        if (reasonInput) {
+            reasonInput.value = '';
+        }
+        
         // Show modal
         modal.style.display = 'flex';
         document.body.style.overflow = 'hidden'; // Prevent background scrolling
@@ -789,16 +904,13 @@ class CharacterDatabaseApp {
             confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Deleting...';
             confirmBtn.disabled = true;
             
-            await this.storageManager.deleteCharacter(character.id);
-            
-            // Reload characters from Firebase
-            const characters = await this.storageManager.getAllCharacters();
-            this.filterManager.updateCharacters(characters);
+            const reason = document.getElementById('deleteReason')?.value.trim() || '';
+            await this.storageManager.deleteCharacter(character.id, reason);
             
-            this.renderCharacters();
-            this.updateResultsCount();
+            // Reload the current page from Firebase
+            await this.reloadCharacters();
             
-            toastManager.showSuccess(`Character ${character.masterlistNumber} deleted successfully`);
+            toastManager.showSuccess(`Character ${character.masterlistNumber} moved to the Recycle Bin`);
             
             // Close modal
             this.closeDeleteModal();
@@ -813,16 +925,491 @@ class CharacterDatabaseApp {
         }
     }
 
+    /**
+     * Open revision history for a character
+     * @param {string} id - Character ID
+     */
+    async viewHistory(id) {
+        if (!this.filterManager || !this.storageManager) {
+            alert('Database not available. Please refresh the page and try again.');
+            return;
+        }
+        
+        const character = this.filterManager.findCharacter(id);
+        if (!character) {
+            alert('Character not found. Please refresh the page and try again.');
+            return;
+        }
+        
+        const modal = document.getElementById('historyModal');
+        const title = document.getElementById('historyModalTitle');
+        const list = document.getElementById('historyRevisionList');
+        const detail = document.getElementById('historyRevisionDetail');
+        
+        if (!modal || !title || !list || !detail) {
+            console.error('History modal elements not found');
+            return;
+        }
+        
+        this.historyCharacter = character;
+        this.historyRevisions = [];
+        
+        title.textContent = `${character.masterlistNumber} - Edit History`;
+        list.innerHTML = '<div class="loading-container"><div class="loading-spinner-modern"></div></div>';
+        detail.innerHTML = '';
+        
+        modal.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+        
+        try {
+            this.historyRevisions = await this.storageManager.getCharacterRevisions(id);
+            this.renderRevisionList();
+            
+            if (this.historyRevisions.length > 0) {
+                this.showRevision(this.historyRevisions[0].id);
+            }
+        } catch (error) {
+            console.error('Error loading character history:', error);
+            list.innerHTML = '<p class="text-muted-foreground">Failed to load history. Please try again.</p>';
+        }
+    }
+
+    /**
+     * Render the list of revisions in the history modal
+     */
+    renderRevisionList() {
+        const list = document.getElementById('historyRevisionList');
+        if (!list) return;
+        
+        if (this.historyRevisions.length === 0) {
+            list.innerHTML = '<p class="text-muted-foreground">No revisions recorded yet. History starts with the next edit.</p>';
+            return;
+        }
+        
+        list.innerHTML = this.historyRevisions.map((revision, index) => `
+            <button class="revision-item" data-revision-id="${revision.id}" onclick="app.showRevision('${revision.id}')">
+                <div class="revision-item-header">
+                    <span class="revision-number">#${revision.revisionNumber}</span>
+                    <span class="revision-action revision-action-${(revision.action || '').toLowerCase()}">${revision.action}</span>
+                    ${index === 0 ? '<span class="revision-current">Current</span>' : ''}
+                </div>
+                <div class="revision-item-meta">
+                    <span><i class="fas fa-user"></i> ${this.escapeHtml(revision.author || 'Unknown User')}</span>
+                    <span><i class="fas fa-clock"></i> ${new Date(revision.timestamp).toLocaleString()}</span>
+                </div>
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Show the full snapshot of a revision
+     * Fields that differ from the current character are highlighted
+     * @param {string} revisionId - Revision ID
+     */
+    showRevision(revisionId) {
+        const detail = document.getElementById('historyRevisionDetail');
+        const revision = this.historyRevisions.find(rev => rev.id === revisionId);
+        if (!detail || !revision) return;
+        
+        document.querySelectorAll('.revision-item').forEach(item => {
+            item.classList.toggle('active', item.getAttribute('data-revision-id') === revisionId);
+        });
+        
+        const snapshot = revision.snapshot || {};
+        const current = this.historyCharacter || {};
+        const isCurrent = this.historyRevisions[0] && this.historyRevisions[0].id === revisionId;
+        
+        // Trait lists are compared as text so legacy strings and arrays line up; images by URL, caption and primary
+        const fieldText = (field, record) => {
+            if (field === 'traits') return parseTraitList(record.traits).join(', ');
+            if (field === 'gallery') {
+                return getCharacterImages(record)
+                    .map(image => `${image.caption || image.main}${image.isPrimary ? ' (primary)' : ''}`)
+                    .join(', ');
+            }
+            return record[field] || '';
+        };
+        
+        const rows = REVISION_FIELDS.map(([field, label]) => {
+            const value = fieldText(field, snapshot);
+            const changed = value !== fieldText(field, current);
+            return `
+                <tr class="${changed ? 'revision-field-changed' : ''}">
+                    <th>${label}</th>
+                    <td>${value ? this.escapeHtml(String(value)) : '<span class="text-muted-foreground">(empty)</span>'}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        detail.innerHTML = `
+            <div class="revision-detail-header">
+                <h4>Revision #${revision.revisionNumber}</h4>
+                <span class="text-muted-foreground">
+                    ${revision.action} by ${this.escapeHtml(revision.author || 'Unknown User')}
+                    ${revision.restoredFrom ? ` (restored from ${this.escapeHtml(this.getRevisionLabel(revision.restoredFrom))})` : ''}
+                </span>
+            </div>
+            <table class="revision-snapshot">
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="modal-footer">
+                ${isCurrent
+                    ? '<span class="text-muted-foreground">This is the current version</span>'
+                    : `<button class="btn btn-primary" id="restoreRevisionBtn" onclick="app.restoreRevision('${revision.id}')">
+                           <i class="fas fa-undo"></i> Restore this revision
+                       </button>`
+                }
+            </div>
+        `;
+    }
+
+    /**
+     * Get a human readable label for a revision ID
+     * @param {string} revisionId - Revision ID
+     * @returns {string} Label such as "#3"
+     */
+    getRevisionLabel(revisionId) {
+        const revision = this.historyRevisions.find(rev => rev.id === revisionId);
+        return revision ? `#${revision.revisionNumber}` : 'an earlier revision';
+    }
+
+    /**
+     * Restore the history character to a past revision
+     * @param {string} revisionId - Revision ID
+     */
+    async restoreRevision(revisionId) {
+        const character = this.historyCharacter;
+        if (!character) return;
+        
+        const label = this.getRevisionLabel(revisionId);
+        if (!confirm(`Restore ${character.masterlistNumber} to revision ${label}? The current version stays in the history.`)) {
+            return;
+        }
+        
+        const restoreBtn = document.getElementById('restoreRevisionBtn');
+        if (restoreBtn) {
+            restoreBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Restoring...';
+            restoreBtn.disabled = true;
+        }
+        
+        try {
+            await this.storageManager.restoreCharacterRevision(character.id, revisionId);
+            
+            await this.reloadCharacters();
+            
+            toastManager.showSuccess(`Character ${character.masterlistNumber} restored to revision ${label}`);
+            
+            // Reopen to show the new revision on top
+            await this.viewHistory(character.id);
+        } catch (error) {
+            console.error('Error restoring revision:', error);
+            toastManager.showError(error.message);
+            if (restoreBtn) {
+                restoreBtn.innerHTML = '<i class="fas fa-undo"></i> Restore this revision';
+                restoreBtn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Close revision history modal
+     */
+    closeHistoryModal() {
+        const modal = document.getElementById('historyModal');
+        if (modal) {
+            modal.style.display = 'none';
+            document.body.style.overflow = '';
+            
+            this.historyCharacter = null;
+            this.historyRevisions = [];
+        }
+    }
+
+    /**
+     * Open ownership transfer modal with the character's provenance chain
+     * @param {string} id - Character ID
+     */
+    async openTransferModal(id) {
+        if (!this.filterManager || !this.storageManager) {
+            alert('Database not available. Please refresh the page and try again.');
+            return;
+        }
+        
+        const character = this.filterManager.findCharacter(id);
+        if (!character) {
+            alert('Character not found. Please refresh the page and try again.');
+            return;
+        }
+        
+        const modal = document.getElementById('transferModal');
+        const form = document.getElementById('transferForm');
+        if (!modal || !form) {
+            console.error('Transfer modal elements not found');
+            return;
+        }
+        
+        this.transferCharacter = character;
+        
+        form.reset();
+        document.getElementById('transferModalTitle').textContent = `${character.masterlistNumber} - Transfer Ownership`;
+        document.getElementById('transferFromOwner').value = character.owner || '';
+        document.getElementById('transferDate').value = new Date().toISOString().split('T')[0];
+        
+        modal.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+        
+        await this.renderProvenance(character.masterlistNumber);
+    }
+
+    /**
+     * Render the provenance chain in the transfer modal
+     * @param {string} masterlistNumber - Masterlist number
+     */
+    async renderProvenance(masterlistNumber) {
+        const list = document.getElementById('provenanceList');
+        if (!list) return;
+        
+        list.innerHTML = '<li class="text-muted-foreground">Loading provenance...</li>';
+        
+        try {
+            const transfers = await this.storageManager.getProvenance(masterlistNumber);
+            
+            if (transfers.length === 0) {
+                list.innerHTML = '<li class="text-muted-foreground">No transfers recorded yet.</li>';
+                return;
+            }
+            
+            list.innerHTML = transfers.map(transfer => `
+                <li class="provenance-item">
+                    <div class="provenance-owners">
+                        <span>${this.escapeHtml(transfer.fromOwner || '(unknown)')}</span>
+                        <i class="fas fa-arrow-right"></i>
+                        <strong>${this.escapeHtml(transfer.toOwner)}</strong>
+                        <span class="provenance-type provenance-type-${transfer.type}">${transfer.type}</span>
+                    </div>
+                    <div class="provenance-meta">
+                        <span><i class="fas fa-calendar"></i> ${this.escapeHtml(transfer.date)}</span>
+                        ${transfer.price ? `<span><i class="fas fa-tag"></i> ${this.escapeHtml(transfer.price)}</span>` : ''}
+                        ${transfer.proofUrl ? `<a href="${encodeURI(transfer.proofUrl)}" target="_blank" rel="noopener"><i class="fas fa-link"></i> Proof</a>` : ''}
+                        <span><i class="fas fa-user"></i> ${this.escapeHtml(transfer.recordedBy || 'Unknown User')}</span>
+                    </div>
+                </li>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading provenance:', error);
+            list.innerHTML = '<li class="text-muted-foreground">Failed to load provenance.</li>';
+        }
+    }
+
+    /**
+     * Submit ownership transfer form
+     * @param {Event} event - Submit event
+     */
+    async submitTransfer(event) {
+        event.preventDefault();
+        
+        const character = this.transferCharacter;
+        if (!character) return;
+        
+        const formData = new FormData(event.target);
+        const transfer = {
+            toOwner: formData.get('toOwner') || '',
+            type: formData.get('type') || '',
+            date: formData.get('date') || '',
+            price: formData.get('price') || '',
+            proofUrl: formData.get('proofUrl') || '',
+            status: formData.get('status') || ''
+        };
+        
+        const confirmBtn = document.getElementById('confirmTransferBtn');
+        const originalText = confirmBtn.innerHTML;
+        
+        try {
+            confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+            confirmBtn.disabled = true;
+            
+            await this.storageManager.transferOwnership(character.id, transfer);
+            
+            await this.reloadCharacters();
+            
+            toastManager.showSuccess(`${character.masterlistNumber} transferred to ${transfer.toOwner}`);
+            this.closeTransferModal();
+        } catch (error) {
+            console.error('Error transferring ownership:', error);
+            toastManager.showError(error.message);
+        } finally {
+            confirmBtn.innerHTML = originalText;
+            confirmBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Close ownership transfer modal
+     */
+    closeTransferModal() {
+        const modal = document.getElementById('transferModal');
+        if (modal) {
+            modal.style.display = 'none';
+            document.body.style.overflow = '';
+            
+            this.transferCharacter = null;
+        }
+    }
+
+    /**
+     * Open export modal with the size of each export scope
+     * Both scopes are loaded up front so the print sheet can open without waiting
+     */
+    async openExportModal() {
+        if (!this.filterManager) {
+            toastManager.showError('Characters are still loading. Please try again in a moment.');
+            return;
+        }
+        
+        try {
+            const [filtered, all] = await Promise.all([
+                this.filterManager.getAllMatches(),
+                this.storageManager.getAllCharacters()
+            ]);
+            this.exportScopes = { filtered, all };
+        } catch (error) {
+            console.error('Error loading characters for export:', error);
+            toastManager.showError(error.message);
+            return;
+        }
+        
+        document.getElementById('exportFilteredCount').textContent = this.exportScopes.filtered.length;
+        document.getElementById('exportAllCount').textContent = this.exportScopes.all.length;
+        
+        const modal = document.getElementById('exportModal');
+        modal.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close export modal
+     */
+    closeExportModal() {
+        const modal = document.getElementById('exportModal');
+        if (modal) {
+            modal.style.display = 'none';
+            document.body.style.overflow = '';
+            
+            this.exportScopes = null;
+        }
+    }
+
+    /**
+     * Export the selected scope in the given format
+     * @param {string} format - csv, json or print
+     */
+    exportCharacters(format) {
+        const scope = document.querySelector('input[name="exportScope"]:checked')?.value || 'filtered';
+        const characters = this.exportScopes?.[scope] || [];
+        
+        if (characters.length === 0) {
+            toastManager.showError('No characters to export');
+            return;
+        }
+        
+        const date = new Date().toISOString().split('T')[0];
+        const filename = `masterlist_${scope}_${date}`;
+        
+        try {
+            if (format === 'csv') {
+                characterExportService.download(characterExportService.exportToCSV(characters), `${filename}.csv`, 'text/csv;charset=utf-8;');
+            } else if (format === 'json') {
+                characterExportService.download(characterExportService.exportToJSON(characters, { scope }), `${filename}.json`, 'application/json');
+            } else {
+                this.openPrintSheet(characters, scope === 'all' ? 'Full Masterlist' : 'Filtered Masterlist');
+            }
+            
+            toastManager.showSuccess(`Exported ${characters.length} character${characters.length === 1 ? '' : 's'}`);
+            this.closeExportModal();
+        } catch (error) {
+            console.error('Error exporting characters:', error);
+            toastManager.showError(`Failed to export characters: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open a print-optimized sheet with thumbnails in a new window
+     * @param {Array} characters - Characters to print
+     * @param {string} title - Sheet title
+     */
+    openPrintSheet(characters, title) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            throw new Error('Pop-up blocked. Please allow pop-ups for this site.');
+        }
+        
+        const rows = characters.map(character => `
+            <div class="sheet-card">
+                <img src="${getCharacterImageUrl(character, 'preview')}" alt="${this.escapeHtml(character.masterlistNumber)}">
+                <div>
+                    <h2>${this.escapeHtml(character.masterlistNumber)}</h2>
+                    <p><strong>Owner:</strong> ${this.escapeHtml(character.owner || '-')}</p>
+                    <p><strong>Artist:</strong> ${this.escapeHtml(character.artist || '-')}</p>
+                    <p><strong>Rarity:</strong> ${this.escapeHtml(character.rarity || '-')}</p>
+                    <p><strong>Biome:</strong> ${this.escapeHtml([character.primaryBiome || character.biome, character.secondaryBiome].filter(b => b && b !== 'none').join(' / ') || '-')}</p>
+                    <p><strong>Status:</strong> ${this.escapeHtml(getVocabularyLabel(this.vocabularies.statuses, character.status) || '-')}</p>
+                    ${character.value ? `<p><strong>Value:</strong> ${this.escapeHtml(character.value)}</p>` : ''}
+                </div>
+            </div>
+        `).join('');
+        
+        printWindow.document.write(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${title} - ${new Date().toLocaleDateString()}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #0f172a; margin: 1.5rem; }
+        header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 2px solid #0f172a; margin-bottom: 1rem; }
+        h1 { font-size: 1.25rem; margin: 0 0 0.5rem; }
+        .sheet { display: grid; grid-template-columns: repeat(2, 1fr); gap: 0.75rem; }
+        .sheet-card { display: flex; gap: 0.75rem; border: 1px solid #cbd5e1; border-radius: 6px; padding: 0.5rem; break-inside: avoid; page-break-inside: avoid; }
+        .sheet-card img { width: 96px; height: 96px; object-fit: cover; border-radius: 4px; background: #f1f5f9; }
+        .sheet-card h2 { font-size: 1rem; margin: 0 0 0.25rem; }
+        .sheet-card p { font-size: 0.75rem; margin: 0.125rem 0; }
+        @media print { body { margin: 0; } @page { margin: 1cm; } }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>Monfleur ${title}</h1>
+        <span>${characters.length} characters &middot; ${new Date().toLocaleString()}</span>
+    </header>
+    <div class="sheet">${rows}</div>
+    <script>window.addEventListener('load', () => window.print());<\/script>
+</body>
+</html>`);
+        printWindow.document.close();
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Update pagination information display
      */
     updatePaginationInfo() {
         const paginationInfo = document.getElementById('paginationInfo');
         if (paginationInfo && this.filterManager) {
-            const totalCharacters = this.filterManager.filteredCharacters.length;
-            const startItem = totalCharacters === 0 ? 0 : (this.currentPage - 1) * this.itemsPerPage + 1;
-            const endItem = Math.min(this.currentPage * this.itemsPerPage, totalCharacters);
-            paginationInfo.textContent = `Showing ${startItem}-${endItem} of ${totalCharacters} characters`;
+            const { page, characters, total } = this.filterManager;
+            const startItem = characters.length === 0 ? 0 : (page - 1) * this.itemsPerPage + 1;
+            const endItem = startItem === 0 ? 0 : startItem + characters.length - 1;
+            paginationInfo.textContent = total === null
+                ? `Showing ${startItem}-${endItem}`
+                : `Showing ${startItem}-${endItem} of ${total} characters`;
         }
     }
 
@@ -831,20 +1418,22 @@ class CharacterDatabaseApp {
      */
     renderPaginationControls() {
         const paginationContainer = document.getElementById('paginationControls');
-        if (!paginationContainer) return;
+        if (!paginationContainer || !this.filterManager) return;
 
-        if (this.totalPages <= 1) {
+        const { page, nextCursor, total } = this.filterManager;
+        if (page === 1 && !nextCursor) {
             paginationContainer.innerHTML = '';
             return;
         }
 
+        const pageLabel = total === null ? `Page ${page}` : `Page ${page} of ${Math.ceil(total / this.itemsPerPage)}`;
         let paginationHTML = `
             <div class="pagination">
-                <button class="btn btn-outline" ${this.currentPage === 1 ? 'disabled' : ''} onclick="app.goToPage(${this.currentPage - 1})">
+                <button class="btn btn-outline" ${page === 1 ? 'disabled' : ''} onclick="app.goToPage(${page - 1})">
                     <i class="fas fa-chevron-left"></i> Previous
                 </button>
-                <span class="pagination-info">Page ${this.currentPage} of ${this.totalPages}</span>
-                <button class="btn btn-outline" ${this.currentPage === this.totalPages ? 'disabled' : ''} onclick="app.goToPage(${this.currentPage + 1})">
+                <span class="pagination-info">${pageLabel}</span>
+                <button class="btn btn-outline" ${!nextCursor ? 'disabled' : ''} onclick="app.goToPage(${page + 1})">
                     Next <i class="fas fa-chevron-right"></i>
                 </button>
             </div>
@@ -854,13 +1443,20 @@ class CharacterDatabaseApp {
     }
 
     /**
-     * Navigate to specific page
+     * Navigate to the previous or next page
      * @param {number} page - Page number to navigate to
      */
-    goToPage(page) {
-        if (page < 1 || page > this.totalPages) return;
-        this.currentPage = page;
+    async goToPage(page) {
+        if (!this.filterManager) return;
+        
+        try {
+            await this.filterManager.loadPage(page);
+        } catch (error) {
+            console.error('Error loading page:', error);
+            toastManager.showError(error.message);
+        }
         this.renderCharacters();
+        this.updateResultsCount();
     }
 
     /**
@@ -873,14 +1469,13 @@ class CharacterDatabaseApp {
             this.isLoading = true;
             this.renderCharacters();
             
-            const characters = await this.storageManager.getAllCharacters();
-            this.filterManager.updateCharacters(characters);
+            await this.filterManager.reload();
             
             this.isLoading = false;
             this.renderCharacters();
             this.updateResultsCount();
             
-            this.showConnectionStatus(true, `Characters refreshed - ${characters.length} characters loaded`);
+            this.showConnectionStatus(true, 'Characters refreshed');
         } catch (error) {
             console.error('Error refreshing characters:', error);
             this.showConnectionStatus(false, 'Failed to refresh characters');
@@ -926,6 +1521,21 @@ window.confirmDelete = function() {
     app.confirmDelete();
 };
 
+// Global history modal control function for HTML onclick handlers
+window.closeHistoryModal = function() {
+    app.closeHistoryModal();
+};
+
+// Global export modal control function for HTML onclick handlers
+window.closeExportModal = function() {
+    app.closeExportModal();
+};
+
+// Global transfer modal control function for HTML onclick handlers
+window.closeTransferModal = function() {
+    app.closeTransferModal();
+};
+
 // Export for use in other modules
 export {
     GoogleDriveImageHandler,
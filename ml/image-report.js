@@ -0,0 +1,199 @@
+/**
+ * Broken Images Page
+ * Lists characters whose last image link check found an image that no longer loads
+ */
+
+import EnhancedCharacterStorageManager from './services/storage-manager.js';
+import AuthenticationService from './services/authentication-service.js';
+import toastManager from './components/toast.js';
+
+/**
+ * Image Report Application
+ * Opened with ?check=1 from the dashboard, a check starts as soon as the page loads
+ */
+class ImageReportApp {
+    constructor() {
+        this.storageManager = null;
+        this.authService = new AuthenticationService();
+        this.characters = [];
+        this.lastRun = {};
+        this.isChecking = false;
+        this.checkOnLoad = new URLSearchParams(window.location.search).get('check') === '1';
+    }
+
+    /**
+     * Initialize storage and render the report
+     */
+    async initialize() {
+        try {
+            await this.authService.initialize();
+
+            this.storageManager = new EnhancedCharacterStorageManager();
+            await this.storageManager.initialize();
+
+            await this.loadReport();
+
+            if (this.checkOnLoad) {
+                await this.runCheck();
+            }
+        } catch (error) {
+            console.error('Failed to initialize broken images report:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Load and render the report
+     */
+    async loadReport() {
+        const { characters, lastRun } = await this.storageManager.getBrokenImageReport();
+        this.characters = characters;
+        this.lastRun = lastRun;
+        this.renderSummary();
+        this.renderReport();
+    }
+
+    /**
+     * Render when the last check ran and what it found
+     */
+    renderSummary() {
+        const summary = document.getElementById('imageCheckSummary');
+        if (!summary || !this.lastRun.lastRunAt) return;
+
+        summary.textContent = `Last checked ${new Date(this.lastRun.lastRunAt).toLocaleString()} by ${this.lastRun.lastRunBy || 'Unknown User'}: ` +
+            `${this.lastRun.brokenCount || 0} of ${this.lastRun.checkedCount || 0} characters have broken images. ` +
+            'Image links are also checked automatically every day.';
+    }
+
+    /**
+     * Render the broken images table
+     */
+    renderReport() {
+        const tbody = document.getElementById('brokenImagesTableBody');
+        if (!tbody) return;
+
+        if (this.characters.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="no-logs">
+                        <div class="empty-state">
+                            <i class="fas fa-image"></i>
+                            <p>No broken images</p>
+                            <small>Characters with images that fail to load will appear here</small>
+                        </div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.characters.map(character => {
+            const { brokenUrls = [], checkedAt } = character.imageCheck;
+
+            return `
+                <tr>
+                    <td>
+                        <strong>${this.escapeHtml(character.masterlistNumber || 'Unknown')}</strong><br>
+                        <small class="text-muted-foreground">Owner: ${this.escapeHtml(character.owner || 'Unknown')}</small>
+                    </td>
+                    <td>
+                        <ul class="broken-image-links">
+                            ${brokenUrls.map(url => `
+                                <li><a href="${this.escapeAttribute(url)}" target="_blank" rel="noopener">${this.escapeHtml(url)}</a></li>
+                            `).join('')}
+                        </ul>
+                    </td>
+                    <td>${checkedAt ? new Date(checkedAt).toLocaleString() : '-'}</td>
+                    <td class="recycle-bin-actions">
+                        <a class="btn btn-primary btn-small" href="upload.html?edit=${encodeURIComponent(character.id)}">
+                            <i class="fas fa-edit"></i>Edit
+                        </a>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Check the image links of every character now
+     */
+    async runCheck() {
+        if (this.isChecking) return;
+
+        const button = document.getElementById('checkImagesBtn');
+        const originalText = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Checking...';
+        this.isChecking = true;
+
+        try {
+            const summary = await this.storageManager.checkImageLinks((checked, total) => {
+                button.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Checking ${checked} of ${total}...`;
+            });
+
+            if (summary.brokenCount > 0) {
+                toastManager.showWarning(`${summary.brokenCount} character${summary.brokenCount === 1 ? ' has' : 's have'} broken images`);
+            } else {
+                toastManager.showSuccess(`All images of ${summary.checkedCount} characters load`);
+            }
+            await this.loadReport();
+        } catch (error) {
+            console.error('Error checking image links:', error);
+            toastManager.showError(error.message);
+        } finally {
+            button.innerHTML = originalText;
+            button.disabled = false;
+            this.isChecking = false;
+        }
+    }
+
+    /**
+     * Show error message in place of the report
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        const tbody = document.getElementById('brokenImagesTableBody');
+        if (!tbody) return;
+
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="4" class="error-state">
+                    <div class="error-message">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        <p>Error: ${this.escapeHtml(message)}</p>
+                        <button onclick="window.location.reload()" class="btn btn-outline btn-sm">
+                            <i class="fas fa-refresh"></i> Retry
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Escape text for use inside an HTML attribute
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+}
+
+const imageReportApp = new ImageReportApp();
+
+// Make app globally available for onclick handlers
+window.imageReportApp = imageReportApp;
+
+document.addEventListener('DOMContentLoaded', () => imageReportApp.initialize());
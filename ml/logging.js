@@ -1,12 +1,16 @@
 /**
  * Logging Page JavaScript
- * Handles real-time display of character activity logs from Firebase
+ * Shows the activity log one page at a time, searched on the server, from the live log or a monthly archive
  * Integrates with LoggingService for real-time updates
  */
 
 import loggingService from './services/logging-service.js';
 import AuthenticationService from './services/authentication-service.js';
 import firebaseConfig from './config/firebase-config.js';
+import toastManager from './components/toast.js';
+
+// Wait after typing in a search box before searching
+const SEARCH_DELAY_MS = 300;
 
 // Create authentication service instance
 const authenticationService = new AuthenticationService();
@@ -17,8 +21,12 @@ const authenticationService = new AuthenticationService();
  */
 class LoggingPageManager {
     constructor() {
-        this.logs = [];
         this.filteredLogs = [];
+        this.totalLogs = 0;
+        this.archive = null;
+        this.newestLogId = null;
+        this.loadRequest = 0;
+        this.searchTimer = null;
         this.realtimeUnsubscribe = null;
         this.isInitialized = false;
         this.userCache = new Map(); // Cache for user email lookups
@@ -57,6 +65,9 @@ class LoggingPageManager {
             // Setup event listeners
             this.setupEventListeners();
 
+            // Fill the archive list and retention setting
+            await this.loadArchives();
+
             // Setup real-time listener for logs
             await this.setupRealtimeUpdates();
 
@@ -84,6 +95,34 @@ class LoggingPageManager {
             dateFilter.addEventListener('change', () => this.applyFilters());
         }
 
+        // Live log or archive
+        const sourceFilter = document.getElementById('logSourceFilter');
+        if (sourceFilter) {
+            sourceFilter.addEventListener('change', () => {
+                this.archive = sourceFilter.value || null;
+                this.applyFilters();
+            });
+        }
+
+        // Category filter and custom date range
+        ['logCategoryFilter', 'logFromDate', 'logToDate'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.applyFilters());
+        });
+
+        // User search (acting or target user) and ML number search
+        ['logUserFilter', 'logMasterlistFilter'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.applyFilters(), SEARCH_DELAY_MS);
+            });
+        });
+
+        // Retention setting
+        const retentionForm = document.getElementById('logRetentionForm');
+        if (retentionForm) {
+            retentionForm.addEventListener('submit', (e) => this.saveRetention(e));
+        }
+
         // Export button
         const exportBtn = document.querySelector('[onclick="exportLogs()"]');
         if (exportBtn) {
@@ -91,6 +130,12 @@ class LoggingPageManager {
             exportBtn.addEventListener('click', () => this.exportLogs());
         }
         
+        // Verify integrity button
+        const verifyBtn = document.getElementById('verifyLogsBtn');
+        if (verifyBtn) {
+            verifyBtn.addEventListener('click', () => this.verifyLogIntegrity());
+        }
+        
         // Set up toggle button listeners
         this.setupToggleButtonListeners();
     }
@@ -118,16 +163,17 @@ class LoggingPageManager {
 
     /**
      * Setup real-time listener for log updates
+     * New entries reload the current page of the live log
      */
     async setupRealtimeUpdates() {
         try {
-            this.realtimeUnsubscribe = await loggingService.setupRealtimeListener(
-                (logs) => {
-                    this.logs = logs;
-                    this.applyFilters();
-                },
-                { limit: 1000 } // Limit to last 1000 logs for performance
-            );
+            this.realtimeUnsubscribe = await loggingService.setupRealtimeListener((newest) => {
+                const isNew = newest && this.newestLogId !== null && newest.id !== this.newestLogId;
+                this.newestLogId = newest ? newest.id : '';
+                if (isNew && !this.archive) {
+                    this.loadLogs({ quiet: true });
+                }
+            });
             
             console.log('🔄 Real-time log updates enabled');
         } catch (error) {
@@ -136,52 +182,128 @@ class LoggingPageManager {
     }
 
     /**
-     * Load logs from the logging service
+     * Load the archive list and the retention setting
      */
-    async loadLogs() {
+    async loadArchives() {
         try {
-            this.showLoadingState(true);
+            const { archives, retentionDays, canManageRetention } = await loggingService.getArchives();
+
+            const sourceFilter = document.getElementById('logSourceFilter');
+            if (sourceFilter) {
+                sourceFilter.innerHTML = [
+                    `<option value="">Live Log (last ${retentionDays} days)</option>`,
+                    ...archives.map(archive => `<option value="${this.escapeHtml(archive.month)}">Archive ${this.escapeHtml(archive.month)} (${archive.entryCount} entries)</option>`)
+                ].join('');
+                sourceFilter.value = this.archive || '';
+            }
+
+            const retentionCard = document.getElementById('logRetentionCard');
+            const retentionInput = document.getElementById('logRetentionDays');
+            if (retentionCard && retentionInput) {
+                retentionCard.style.display = 'block';
+                retentionInput.value = retentionDays;
+                retentionCard.querySelectorAll('.admin-only-action').forEach(element => {
+                    element.disabled = !canManageRetention;
+                    if (!canManageRetention) {
+                        element.title = 'Super-admin access required';
+                    }
+                });
+            }
+        } catch (error) {
+            console.error('❌ Failed to load log archives:', error);
+        }
+    }
+
+    /**
+     * Save the retention setting
+     * @param {Event} event - Submit event
+     */
+    async saveRetention(event) {
+        event.preventDefault();
+
+        const retentionDays = parseInt(document.getElementById('logRetentionDays').value, 10);
+        try {
+            await loggingService.saveRetention(retentionDays);
+            toastManager.showSuccess(`Entries older than ${retentionDays} days will be archived`);
+            await this.loadArchives();
+        } catch (error) {
+            console.error('❌ Failed to save log retention:', error);
+            toastManager.showError(error.message || 'Failed to save log retention');
+        }
+    }
+
+    /**
+     * Read the filters from the page
+     * @returns {Object} Filters for LoggingService.queryLogs
+     */
+    getFilters() {
+        const dateFilter = document.getElementById('logDateFilter')?.value || 'all';
+        const customRange = document.getElementById('logCustomRange');
+        if (customRange) {
+            customRange.style.display = dateFilter === 'custom' ? 'inline-flex' : 'none';
+        }
+
+        let range = loggingService.getDateRange(dateFilter);
+        if (dateFilter === 'custom') {
+            const fromDate = document.getElementById('logFromDate')?.value;
+            const toDate = document.getElementById('logToDate')?.value;
+            range = {
+                from: fromDate ? new Date(`${fromDate}T00:00:00`).toISOString() : null,
+                to: toDate ? new Date(`${toDate}T23:59:59.999`).toISOString() : null
+            };
+        }
+
+        // Only send the types when some are switched off
+        const toggleButtons = document.querySelectorAll('.log-type-toggle');
+        const activeTypes = Array.from(document.querySelectorAll('.log-type-toggle.active')).map(button => button.dataset.type);
+
+        return {
+            ...range,
+            types: activeTypes.length > 0 && activeTypes.length < toggleButtons.length ? activeTypes : null,
+            category: document.getElementById('logCategoryFilter')?.value || 'all',
+            user: document.getElementById('logUserFilter')?.value.trim() || '',
+            masterlistNumber: document.getElementById('logMasterlistFilter')?.value.trim() || ''
+        };
+    }
+
+    /**
+     * Load the current page of logs from the server
+     * @param {Object} [options] - { quiet } - keep the table while loading
+     */
+    async loadLogs({ quiet = false } = {}) {
+        const request = ++this.loadRequest;
+        try {
+            if (!quiet) {
+                this.showLoadingState(true);
+            }
             
-            const logs = await loggingService.getLogs({ limit: 1000 });
-            this.logs = logs;
-            this.applyFilters();
+            const result = await loggingService.queryLogs({
+                archive: this.archive,
+                filters: this.getFilters(),
+                page: this.currentPage,
+                pageSize: this.itemsPerPage
+            });
+
+            // A newer search has started in the meantime
+            if (request !== this.loadRequest) return;
+
+            this.filteredLogs = result.entries;
+            this.totalLogs = result.total;
+            this.renderLogs();
             
         } catch (error) {
+            if (request !== this.loadRequest) return;
             console.error('❌ Failed to load logs:', error);
-            this.showErrorMessage('Failed to load logs');
-        } finally {
-            this.showLoadingState(false);
+            this.showErrorMessage(error.message || 'Failed to load logs');
         }
     }
 
     /**
-     * Apply current filters to logs
+     * Search again from the first page after a filter changes
      */
     applyFilters() {
-        const dateFilter = document.getElementById('logDateFilter')?.value || 'all';
-        
-        // Get active log types from toggle buttons
-        const activeToggleButtons = document.querySelectorAll('.log-type-toggle.active');
-        const activeTypes = Array.from(activeToggleButtons).map(button => button.dataset.type);
-        
-        // Start with all logs
-        let filteredLogs = [...this.logs];
-        
-        // Apply type filter if specific types are selected
-        if (activeTypes.length > 0 && activeTypes.length < document.querySelectorAll('.log-type-toggle').length) {
-            filteredLogs = filteredLogs.filter(log => 
-                activeTypes.includes(log.type)
-            );
-        }
-        
-        // Apply date filter using the logging service
-        this.filteredLogs = loggingService.applyFilters(filteredLogs, {
-            dateRange: dateFilter
-        });
-
-        // Reset to first page when filters change
         this.currentPage = 1;
-        this.renderLogs();
+        this.loadLogs();
     }
 
     /**
@@ -210,16 +332,13 @@ class LoggingPageManager {
             return;
         }
 
-        // Calculate pagination
-        this.totalPages = Math.ceil(this.filteredLogs.length / this.itemsPerPage);
-        const startIndex = (this.currentPage - 1) * this.itemsPerPage;
-        const endIndex = startIndex + this.itemsPerPage;
-        const paginatedLogs = this.filteredLogs.slice(startIndex, endIndex);
+        // The server returns one page
+        this.totalPages = Math.ceil(this.totalLogs / this.itemsPerPage);
 
-        tbody.innerHTML = paginatedLogs.map((log, index) => {
+        tbody.innerHTML = this.filteredLogs.map((log, index) => {
             const formattedTimestamp = loggingService.formatTimestamp(log.timestamp);
             const typeClass = this.getTypeClass(log.type);
-            const detailsContent = this.formatLogDetails(log, startIndex + index);
+            const detailsContent = this.formatLogDetails(log, index);
             const userCell = this.renderUserCell(log.user || 'Unknown User');
             
             return `
@@ -237,7 +356,7 @@ class LoggingPageManager {
         this.renderPaginationControls();
         
         // Setup hover event listeners for administrator users
-        if (authenticationService.isAdministrator()) {
+        if (authenticationService.hasPermission('user.manage')) {
             this.setupUserHoverEvents();
         }
     }
@@ -251,7 +370,7 @@ class LoggingPageManager {
         const escapedUsername = this.escapeHtml(username);
         
         // If current user is administrator, add hover functionality
-        if (authenticationService.isAdministrator()) {
+        if (authenticationService.hasPermission('user.manage')) {
             return `<span class="hoverable-username" data-username="${escapedUsername}">${escapedUsername}<span class="email-tooltip"></span></span>`;
         }
         
@@ -300,6 +419,25 @@ class LoggingPageManager {
     formatLogDetails(log, index) {
         const masterlistNumber = log.masterlistNumber || 'Unknown';
         
+        // Deletions link to the recycle bin entry they can be restored from
+        if (log.type === 'DELETE' && log.recoverable && log.trashId) {
+            const reason = log.reason ? ` <span class="log-reason">(${this.escapeHtml(log.reason)})</span>` : '';
+            return `${this.escapeHtml(masterlistNumber)}${reason}
+                <a class="btn btn-sm btn-outline" href="recycle-bin.html?item=${encodeURIComponent(log.trashId)}">
+                    <i class="fas fa-trash-restore"></i> Recycle Bin
+                </a>`;
+        }
+        
+        // Ownership transfers show the previous and new owner
+        if (log.type === 'TRANSFER' && log.toOwner) {
+            return `${this.escapeHtml(masterlistNumber)} <strong>Owner:</strong> <span class="change-old-value">${this.escapeHtml(log.fromOwner || '(unknown)')}</span> &rarr; <span class="change-new-value">${this.escapeHtml(log.toOwner)}</span> <span class="log-reason">(${this.escapeHtml(log.transferType || 'transfer')})</span>`;
+        }
+        
+        // User audit entries show who was acted on and the before and after values
+        if (log.category === 'USER') {
+            return this.formatUserLogDetails(log, index);
+        }
+        
         // For non-edit logs, show simple format
         if (log.type !== 'EDIT' || !log.changes || !Array.isArray(log.changes)) {
             return this.escapeHtml(log.details || masterlistNumber);
@@ -324,6 +462,37 @@ class LoggingPageManager {
         }
     }
 
+    /**
+     * Format the details of a user audit entry
+     * @param {Object} log - Log entry with category USER
+     * @param {number} index - Log index for unique IDs
+     * @returns {string} Formatted details HTML
+     */
+    formatUserLogDetails(log, index) {
+        const changes = Array.isArray(log.changes) ? log.changes : [];
+        const client = log.client
+            ? [log.client.ip, log.client.userAgent, log.client.page].filter(Boolean).join(' · ')
+            : '';
+        const details = `<span${client ? ` title="${this.escapeHtml(client).replace(/"/g, '&quot;')}"` : ''}>${this.escapeHtml(log.details || log.type)}</span>`;
+        const target = log.targetUser && log.targetUser !== log.user
+            ? ` <span class="log-reason">(${this.escapeHtml(log.targetUser)})</span>`
+            : '';
+
+        if (changes.length === 1) {
+            return `${details}${target} ${this.formatSingleChange(changes[0])}`;
+        }
+        if (changes.length > 1) {
+            return `
+                ${details}${target}
+                <button class="btn btn-sm btn-outline multiple-edits-btn" 
+                        onclick="loggingPageManager.showMultipleEditsModal(${index})">
+                    <i class="fas fa-list"></i> Changes (${changes.length})
+                </button>
+            `;
+        }
+        return `${details}${target}`;
+    }
+
     /**
      * Show modal with multiple edits details
      * @param {number} logIndex - Index of the log entry
@@ -338,7 +507,9 @@ class LoggingPageManager {
         const modalBody = modal.querySelector('.modal-body');
         const modalTitle = modal.querySelector('.modal-title');
         
-        modalTitle.textContent = `Character Edits - ${log.masterlistNumber || 'Unknown'}`;
+        modalTitle.textContent = log.category === 'USER'
+            ? `User Changes - ${log.targetUser || 'Unknown'}`
+            : `Character Edits - ${log.masterlistNumber || 'Unknown'}`;
         
         modalBody.innerHTML = `
             <div class="changes-list">
@@ -415,8 +586,40 @@ class LoggingPageManager {
                 return 'user_edit';
             case 'ADMIN_EDIT':
                 return 'admin_edit';
+            case 'USER_CREATE':
+                return 'user_create';
+            case 'ROLE_CHANGE':
+                return 'role_change';
+            case 'USER_STATUS':
+                return 'user_status';
+            case 'PASSWORD_CHANGE':
+            case 'PASSWORD_RESET_REQUEST':
+            case 'PASSWORD_RESET':
+                return 'password';
+            case 'USER_DELETE':
+                return 'user_delete';
+            case 'LOGIN':
+                return 'login';
+            case 'LOGIN_FAILED':
+                return 'login_failed';
             case 'DELETE':
                 return 'delete';
+            case 'RESTORE':
+                return 'restore';
+            case 'PURGE':
+                return 'purge';
+            case 'TRANSFER':
+                return 'transfer';
+            case 'IMPORT':
+                return 'import';
+            case 'LOCKOUT':
+                return 'lockout';
+            case 'UNLOCK':
+                return 'unlock';
+            case 'MAINTENANCE':
+                return 'maintenance';
+            case 'ARCHIVE':
+                return 'archive';
             default:
                 return 'unknown';
         }
@@ -427,12 +630,22 @@ class LoggingPageManager {
      */
     async exportLogs() {
         try {
-            if (this.filteredLogs.length === 0) {
+            if (this.totalLogs === 0) {
                 this.showErrorMessage('No logs to export');
                 return;
             }
 
-            const csvContent = loggingService.exportToCSV(this.filteredLogs);
+            // Export every match, not only the page shown
+            const { entries, truncated } = await loggingService.queryLogs({
+                archive: this.archive,
+                filters: this.getFilters(),
+                all: true
+            });
+            if (truncated) {
+                toastManager.showWarning(`Only the newest ${entries.length} matching entries were exported`);
+            }
+
+            const csvContent = loggingService.exportToCSV(entries);
             
             // Create and download file
             const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -441,7 +654,7 @@ class LoggingPageManager {
             if (link.download !== undefined) {
                 const url = URL.createObjectURL(blob);
                 link.setAttribute('href', url);
-                link.setAttribute('download', `character_logs_${new Date().toISOString().split('T')[0]}.csv`);
+                link.setAttribute('download', `character_logs_${this.archive || new Date().toISOString().split('T')[0]}.csv`);
                 link.style.visibility = 'hidden';
                 document.body.appendChild(link);
                 link.click();
@@ -458,6 +671,71 @@ class LoggingPageManager {
         }
     }
 
+    /**
+     * Check the log chain on the server and show what was found
+     */
+    async verifyLogIntegrity() {
+        const button = document.getElementById('verifyLogsBtn');
+        const originalText = button.innerHTML;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i>Verifying...';
+        button.disabled = true;
+
+        try {
+            const report = await loggingService.verifyLogIntegrity();
+            this.renderIntegrityReport(report);
+        } catch (error) {
+            console.error('❌ Failed to verify logs:', error);
+            this.renderIntegrityReport(null, error.message || 'Failed to verify logs');
+        } finally {
+            button.innerHTML = originalText;
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Show the result of an integrity check above the logs table
+     * @param {Object|null} report - Report from verifyActivityLog
+     * @param {string} [errorMessage] - Error when the check could not run
+     */
+    renderIntegrityReport(report, errorMessage = '') {
+        const container = document.getElementById('logIntegrityResult');
+        if (!container) return;
+
+        const content = container.querySelector('.card-content');
+        container.style.display = 'block';
+        container.classList.toggle('valid', !!report?.valid);
+        container.classList.toggle('invalid', !report?.valid);
+
+        if (!report) {
+            content.innerHTML = `<p><i class="fas fa-exclamation-triangle"></i> ${this.escapeHtml(errorMessage)}</p>`;
+            return;
+        }
+
+        const archived = report.archivedThrough > 0
+            ? ` Entries up to sequence ${report.archivedThrough} have been archived.`
+            : '';
+        const older = (report.unchained > 0
+            ? ` ${report.unchained} older entr${report.unchained === 1 ? 'y was' : 'ies were'} written before the chain existed and could not be checked.`
+            : '') + archived;
+        const checkedAt = loggingService.formatTimestamp(report.checkedAt);
+
+        if (report.valid) {
+            content.innerHTML = `<p><i class="fas fa-check-circle"></i> ${report.checked} entries checked at ${checkedAt}: the chain is intact.${older}</p>`;
+            return;
+        }
+
+        const hidden = report.problemCount - report.problems.length;
+        content.innerHTML = `
+            <p><i class="fas fa-exclamation-triangle"></i> ${report.problemCount} problem${report.problemCount === 1 ? '' : 's'} found in ${report.checked} entries checked at ${checkedAt}.${older}</p>
+            <ul class="log-integrity-problems">
+                ${report.problems.map(problem => `
+                    <li><span class="log-type ${problem.kind === 'modified' ? 'delete' : 'lockout'}">${this.escapeHtml(problem.kind.toUpperCase())}</span> ${this.escapeHtml(problem.message)}</li>
+                `).join('')}
+                ${hidden > 0 ? `<li>and ${hidden} more</li>` : ''}
+            </ul>
+        `;
+    }
+
     /**
      * Show loading state
      * @param {boolean} isLoading - Loading state
@@ -563,9 +841,9 @@ class LoggingPageManager {
     updatePaginationInfo() {
         const paginationInfo = document.getElementById('paginationInfo');
         if (paginationInfo) {
-            const startItem = this.filteredLogs.length === 0 ? 0 : (this.currentPage - 1) * this.itemsPerPage + 1;
-            const endItem = Math.min(this.currentPage * this.itemsPerPage, this.filteredLogs.length);
-            paginationInfo.textContent = `Showing ${startItem}-${endItem} of ${this.filteredLogs.length} logs`;
+            const startItem = this.totalLogs === 0 ? 0 : (this.currentPage - 1) * this.itemsPerPage + 1;
+            const endItem = Math.min(this.currentPage * this.itemsPerPage, this.totalLogs);
+            paginationInfo.textContent = `Showing ${startItem}-${endItem} of ${this.totalLogs} logs`;
         }
     }
 
@@ -603,7 +881,7 @@ class LoggingPageManager {
     goToPage(page) {
         if (page < 1 || page > this.totalPages) return;
         this.currentPage = page;
-        this.renderLogs();
+        this.loadLogs();
     }
 
     /**
@@ -0,0 +1,182 @@
+/**
+ * Maintenance Mode Page
+ * Lets administrators turn maintenance mode on or off, set its message and schedule it
+ */
+
+import AuthenticationService from './services/authentication-service.js';
+import toastManager from './components/toast.js';
+import { getMaintenanceStatus, saveMaintenanceSettings } from './services/maintenance-service.js';
+
+/**
+ * Maintenance Settings Application
+ */
+class MaintenanceApp {
+    constructor() {
+        this.authService = new AuthenticationService();
+        this.status = null;
+    }
+
+    /**
+     * Initialize the page and load the current setting
+     */
+    async initialize() {
+        try {
+            await this.authService.initialize();
+
+            document.getElementById('maintenanceForm')?.addEventListener('submit', (e) => this.save(e));
+
+            await this.loadStatus();
+            this.applyRolePermissions();
+        } catch (error) {
+            console.error('Failed to initialize maintenance settings:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Disable the form for users who cannot change maintenance mode
+     */
+    applyRolePermissions() {
+        const canManage = this.authService.hasPermission('maintenance.manage');
+        document.querySelectorAll('.admin-only-action').forEach(element => {
+            element.disabled = !canManage;
+            if (!canManage) {
+                element.title = 'Administrator access required';
+            }
+        });
+    }
+
+    /**
+     * Load the setting into the status card and the form
+     */
+    async loadStatus() {
+        this.status = await getMaintenanceStatus({ refresh: true });
+
+        document.getElementById('maintenanceEnabled').checked = this.status.enabled;
+        document.getElementById('maintenanceMessage').value = this.status.enabled || this.status.startsAt ? this.status.message : '';
+        document.getElementById('maintenanceStartsAt').value = this.toInputValue(this.status.startsAt);
+        document.getElementById('maintenanceEndsAt').value = this.toInputValue(this.status.endsAt);
+
+        this.renderStatus();
+    }
+
+    /**
+     * Describe the current setting
+     */
+    renderStatus() {
+        const container = document.getElementById('maintenanceStatus');
+        if (!container) return;
+
+        const { active, enabled, startsAt, endsAt, updatedAt, updatedBy } = this.status;
+        let summary;
+        if (active) {
+            summary = `<span class="log-type maintenance">ON</span> Only administrators can use the dashboard${endsAt ? ` until ${this.formatTime(endsAt)}` : ''}.`;
+        } else if (enabled && startsAt > Date.now()) {
+            summary = `<span class="log-type edit">SCHEDULED</span> Starts ${this.formatTime(startsAt)}${endsAt ? `, ends ${this.formatTime(endsAt)}` : ''}.`;
+        } else {
+            summary = '<span class="log-type restore">OFF</span> Everyone with dashboard access can use it.';
+        }
+
+        const lastChange = updatedAt
+            ? `<p class="text-muted-foreground">Last changed ${this.formatTime(updatedAt)} by ${this.escapeHtml(updatedBy || 'unknown')}</p>`
+            : '';
+        container.innerHTML = `<p>${summary}</p>${lastChange}`;
+    }
+
+    /**
+     * Save the form
+     * @param {Event} event - Submit event
+     */
+    async save(event) {
+        event.preventDefault();
+
+        if (!this.authService.hasPermission('maintenance.manage')) {
+            toastManager.showError('Only administrators can change maintenance mode');
+            return;
+        }
+
+        const settings = {
+            enabled: document.getElementById('maintenanceEnabled').checked,
+            message: document.getElementById('maintenanceMessage').value.trim(),
+            startsAt: this.fromInputValue(document.getElementById('maintenanceStartsAt').value),
+            endsAt: this.fromInputValue(document.getElementById('maintenanceEndsAt').value)
+        };
+
+        if (settings.startsAt && settings.endsAt && settings.endsAt <= settings.startsAt) {
+            toastManager.showError('The end must be after the start');
+            return;
+        }
+
+        try {
+            await saveMaintenanceSettings(settings);
+            toastManager.showSuccess(settings.enabled ? 'Maintenance mode saved' : 'Maintenance mode turned off');
+            await this.loadStatus();
+        } catch (error) {
+            console.error('Error saving maintenance settings:', error);
+            toastManager.showError(error.message || 'Failed to save maintenance mode');
+        }
+    }
+
+    /**
+     * Convert a time to a datetime-local input value in local time
+     * @param {number|null} time - Milliseconds since epoch
+     * @returns {string} e.g. "2025-01-31T18:00", or empty
+     */
+    toInputValue(time) {
+        if (!time) return '';
+        const date = new Date(time);
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    /**
+     * Convert a datetime-local input value to a time
+     * @param {string} value - Input value in local time
+     * @returns {number|null} Milliseconds since epoch, or null when empty
+     */
+    fromInputValue(value) {
+        return value ? new Date(value).getTime() : null;
+    }
+
+    /**
+     * Format a time for display
+     * @param {number} time - Milliseconds since epoch
+     * @returns {string} Local date and time
+     */
+    formatTime(time) {
+        return new Date(time).toLocaleString();
+    }
+
+    /**
+     * Show an error in the status card
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        const container = document.getElementById('maintenanceStatus');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="error-message">
+                <i class="fas fa-exclamation-triangle"></i>
+                <p>Error: ${this.escapeHtml(message)}</p>
+                <button onclick="window.location.reload()" class="btn btn-outline btn-sm">
+                    <i class="fas fa-refresh"></i> Retry
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+const maintenanceApp = new MaintenanceApp();
+
+document.addEventListener('DOMContentLoaded', () => maintenanceApp.initialize());
@@ -10,6 +10,17 @@
 import firebaseConfig from './config/firebase-config.js';
 import AuthenticationService from './services/authentication-service.js';
 import LoggingService from './services/logging-service.js';
+import { changePassword } from './services/password-service.js';
+import {
+    getTwoFactorStatus,
+    startTwoFactorEnrollment,
+    confirmTwoFactorEnrollment,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    saveTwoFactorPolicy
+} from './services/two-factor-service.js';
+import { listSessions, revokeOwnSessions } from './services/session-service.js';
+import { ROLE_LABELS, normalizeRole } from './config/permissions.js';
 
 /**
  * Profile Settings System Class
@@ -41,7 +52,7 @@ class ProfileSettingsSystem {
                 await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
 
             // Use the same Firebase app instance as AuthenticationService
-            this.db = this.authService.db;
+            this.db = getFirestore(firebaseConfig.app);
             
             // Store Firestore functions for later use
             this.firestoreFunctions = {
@@ -117,12 +128,6 @@ class ProfileSettingsSystem {
                 ...profileData,
                 updatedAt: new Date().toISOString()
             };
-            
-            // If password is being updated, store it as 'password' field
-            if (profileData.passwordHash) {
-                updateData.password = profileData.passwordHash;
-                delete updateData.passwordHash; // Remove the temporary field
-            }
 
             await updateDoc(userDoc.ref, updateData);
             
@@ -162,7 +167,8 @@ class ProfileSettingsSystem {
             
             if (!querySnapshot.empty) {
                 const userDoc = querySnapshot.docs[0];
-                const userData = userDoc.data();
+                // Password hashes stay on the server
+                const { password, passwordHash, ...userData } = userDoc.data();
                 
                 // Update current user with data from users collection
                 this.currentUser = {
@@ -244,48 +250,6 @@ class ProfileSettingsSystem {
         result.message = 'Password is valid';
         return result;
     }
-
-    /**
-     * Hash password using Web Crypto API
-     * @param {string} password - Plain text password
-     * @returns {Promise<string>} Hashed password
-     */
-    async hashPassword(password) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(password);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-    }
-
-    /**
-     * Verify password against stored hash
-     * @param {string} password - Plain text password
-     * @param {string} storedHash - Stored password hash
-     * @returns {Promise<boolean>} Verification result
-     */
-    async verifyPassword(password, storedHash) {
-        try {
-            // Check if stored hash has a prefix to identify hash type
-            if (storedHash && storedHash.startsWith('sha256:')) {
-                // Remove prefix and compare with our hash
-                const hashWithoutPrefix = storedHash.substring(7); // Remove 'sha256:' prefix
-                const hashedInput = await this.hashPassword(password);
-                return hashedInput === hashWithoutPrefix;
-            } else if (storedHash && storedHash.startsWith('base64:')) {
-                // Handle base64 encoded passwords
-                const base64Hash = btoa(password);
-                return storedHash === 'base64:' + base64Hash;
-            } else {
-                // Legacy hash without prefix - try direct comparison
-                const hashedInput = await this.hashPassword(password);
-                return hashedInput === storedHash;
-            }
-        } catch (error) {
-            console.error('❌ Password verification error:', error);
-            return false;
-        }
-    }
 }
 
 /**
@@ -296,7 +260,6 @@ class ProfileSettingsUI {
     constructor(profileSystem) {
         this.profileSystem = profileSystem;
         this.form = null;
-        this.currentPasswordHash = null;
         this.initializeElements();
         this.setupEventListeners();
         this.setupUsernameGenerator();
@@ -464,26 +427,11 @@ class ProfileSettingsUI {
             // Update current info display
             this.currentEmail.textContent = profile.email;
             this.currentUsername.textContent = profile.username || profile.email.split('@')[0];
-            this.currentRole.textContent = profile.role.charAt(0).toUpperCase() + profile.role.slice(1);
+            this.currentRole.textContent = ROLE_LABELS[normalizeRole(profile.role)] || profile.role;
             
             // Pre-fill form with current values
             this.usernameInput.value = profile.username || profile.email.split('@')[0];
             
-            // Store current password hash if available
-            // The passwordHash field in the database contains the hashed password
-            this.currentPasswordHash = profile.passwordHash || profile.password || null;
-            
-            if (!this.currentPasswordHash) {
-                console.warn('⚠️ No password hash found for user. Loading from database...');
-                // Try to load the full profile from database to get password hash
-                const fullProfile = await this.profileSystem.loadProfile();
-                this.currentPasswordHash = fullProfile.passwordHash || fullProfile.password || null;
-                
-                if (!this.currentPasswordHash) {
-                    console.error('❌ Unable to retrieve password hash from database');
-                }
-            }
-            
         } catch (error) {
             console.error('Error loading profile:', error);
             this.showAlert('Failed to load profile information', 'error');
@@ -534,26 +482,18 @@ class ProfileSettingsUI {
                 username: newUsername
             };
             
-            // Add password hash if password is being changed
+            // The Cloud Function checks the current password, stores the new one and logs the change
             if (isPasswordChange && newPassword) {
-                // Check if we have the current password hash
-                if (!this.currentPasswordHash) {
-                    this.showCurrentPasswordFeedback('Unable to verify current password. Please refresh the page and try again.', 'error');
+                const result = await changePassword(currentPassword, newPassword);
+                if (!result.success) {
+                    if (result.code === 'functions/permission-denied') {
+                        this.showCurrentPasswordFeedback(result.error, 'error');
+                    } else {
+                        this.showAlert(result.error, 'error');
+                    }
                     this.setFormLoadingState(false);
                     return;
                 }
-                
-                // Verify current password first
-                const isCurrentPasswordValid = await this.profileSystem.verifyPassword(currentPassword, this.currentPasswordHash);
-                
-                if (!isCurrentPasswordValid) {
-                    this.showCurrentPasswordFeedback('Current password is incorrect', 'error');
-                    this.setFormLoadingState(false);
-                    return;
-                }
-                
-                profileData.passwordHash = await this.profileSystem.hashPassword(newPassword);
-                this.currentPasswordHash = profileData.passwordHash;
             }
             
             await this.profileSystem.updateProfile(profileData);
@@ -566,8 +506,8 @@ class ProfileSettingsUI {
                         newUsername, // performed by
                         newUsername, // target user (same as performer for self-edit)
                         {
-                            oldUsername: oldUsername,
-                            newUsername: newUsername
+                            changes: LoggingService.getUserChanges({ username: oldUsername }, { username: newUsername }),
+                            targetUserId: currentProfile?.uid || null
                         }
                     );
                     console.log('✅ Username change logged successfully');
@@ -577,22 +517,6 @@ class ProfileSettingsUI {
                 }
             }
             
-            // Log password change if it occurred
-            if (isPasswordChange && newUsername) {
-                try {
-                    await LoggingService.logUserActivity(
-                        'PASSWORD_CHANGE',
-                        newUsername, // performed by
-                        newUsername, // target user (same as performer for self-edit)
-                        {}
-                    );
-                    console.log('✅ Password change logged successfully');
-                } catch (logError) {
-                    console.error('⚠️ Failed to log password change:', logError);
-                    // Don't fail the entire operation if logging fails
-                }
-            }
-            
             if (isPasswordChange) {
                 this.showAlert('Profile and password updated successfully!', 'success');
             } else {
@@ -702,11 +626,6 @@ class ProfileSettingsUI {
             return false;
         }
         
-        if (!this.currentPasswordHash) {
-            this.showCurrentPasswordFeedback('Unable to verify password. Please refresh the page.', 'error');
-            return false;
-        }
-        
         this.hideCurrentPasswordFeedback();
         return true;
     }
@@ -816,9 +735,414 @@ class ProfileSettingsUI {
     }
 }
 
+/**
+ * Two-Factor Settings UI Class
+ * Handles TOTP enrollment, recovery codes and, for super-admins, the per-role policy
+ */
+class TwoFactorSettingsUI {
+    constructor(profileUI) {
+        this.profileUI = profileUI;
+        this.status = null;
+        this.pendingAction = null;
+        this.recoveryCodes = [];
+        this.initializeElements();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Initialize DOM elements
+     */
+    initializeElements() {
+        this.statusElement = document.getElementById('twoFactorStatus');
+        this.actions = document.getElementById('twoFactorActions');
+        this.setupPanel = document.getElementById('twoFactorSetup');
+        this.qrCode = document.getElementById('twoFactorQrCode');
+        this.secret = document.getElementById('twoFactorSecret');
+        this.setupCodeInput = document.getElementById('twoFactorSetupCode');
+        this.codePrompt = document.getElementById('twoFactorCodePrompt');
+        this.actionLabel = document.getElementById('twoFactorActionLabel');
+        this.actionCodeInput = document.getElementById('twoFactorActionCode');
+        this.recoveryPanel = document.getElementById('twoFactorRecovery');
+        this.recoveryList = document.getElementById('recoveryCodeList');
+        this.policyCard = document.getElementById('twoFactorPolicyCard');
+        this.policyRoles = document.getElementById('twoFactorPolicyRoles');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('confirmTwoFactorSetup').addEventListener('click', () => this.confirmSetup());
+        document.getElementById('cancelTwoFactorSetup').addEventListener('click', () => this.showPanel(null));
+        document.getElementById('confirmTwoFactorAction').addEventListener('click', () => this.confirmAction());
+        document.getElementById('cancelTwoFactorAction').addEventListener('click', () => this.showPanel(null));
+        document.getElementById('copyRecoveryCodes').addEventListener('click', () => this.copyRecoveryCodes());
+        document.getElementById('downloadRecoveryCodes').addEventListener('click', () => this.downloadRecoveryCodes());
+        document.getElementById('closeRecoveryCodes').addEventListener('click', () => this.showPanel(null));
+        document.getElementById('saveTwoFactorPolicy').addEventListener('click', () => this.savePolicy());
+
+        this.setupCodeInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.confirmSetup();
+        });
+        this.actionCodeInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.confirmAction();
+        });
+    }
+
+    /**
+     * Load the status and show the matching actions
+     */
+    async initialize() {
+        try {
+            this.status = await getTwoFactorStatus();
+            this.renderStatus();
+            this.renderPolicy();
+
+            const setupRequested = new URLSearchParams(window.location.search).get('setup') === '2fa';
+            if (this.status.required && !this.status.enabled && setupRequested) {
+                this.profileUI.showAlert('Your role requires two-factor authentication. Turn it on below to continue using the dashboard.', 'info');
+                document.getElementById('twoFactorCard').scrollIntoView({ behavior: 'smooth' });
+            }
+        } catch (error) {
+            this.statusElement.textContent = 'Two-factor settings could not be loaded.';
+        }
+    }
+
+    /**
+     * Show the current status and its actions
+     */
+    renderStatus() {
+        const { enabled, required, recoveryCodesRemaining } = this.status;
+
+        if (enabled) {
+            this.statusElement.innerHTML = `<p><strong>Status:</strong> On</p>
+                <p><strong>Recovery codes left:</strong> ${recoveryCodesRemaining}</p>`;
+        } else {
+            this.statusElement.innerHTML = `<p><strong>Status:</strong> Off</p>`;
+        }
+        if (required) {
+            this.statusElement.insertAdjacentHTML('beforeend', '<p>Required for your role.</p>');
+        }
+
+        this.actions.innerHTML = '';
+        if (enabled) {
+            this.addAction('fas fa-redo', 'New Recovery Codes', 'btn btn-outline', () => this.promptForCode('regenerate'));
+            if (!required) {
+                this.addAction('fas fa-times', 'Turn Off', 'btn btn-outline', () => this.promptForCode('disable'));
+            }
+        } else {
+            this.addAction('fas fa-shield-alt', 'Set Up Two-Factor Authentication', 'btn btn-primary', () => this.startSetup());
+        }
+    }
+
+    /**
+     * Add a button to the actions row
+     * @param {string} icon - Font Awesome icon classes
+     * @param {string} label - Button text
+     * @param {string} className - Button classes
+     * @param {Function} onClick - Click handler
+     */
+    addAction(icon, label, className, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.innerHTML = `<i class="${icon}"></i> ${label}`;
+        button.addEventListener('click', onClick);
+        this.actions.appendChild(button);
+    }
+
+    /**
+     * Show one of the setup, code prompt and recovery code panels, or none
+     * @param {HTMLElement|null} panel - Panel to show
+     */
+    showPanel(panel) {
+        [this.setupPanel, this.codePrompt, this.recoveryPanel].forEach(element => {
+            element.style.display = element === panel ? 'block' : 'none';
+        });
+        this.actions.style.display = panel ? 'none' : 'flex';
+    }
+
+    /**
+     * Create a secret and show its QR code
+     */
+    async startSetup() {
+        try {
+            const { secret, otpauthUrl } = await startTwoFactorEnrollment();
+
+            this.qrCode.innerHTML = '';
+            if (window.QRCode) {
+                new window.QRCode(this.qrCode, { text: otpauthUrl, width: 192, height: 192 });
+                this.qrCode.style.display = '';
+            } else {
+                this.qrCode.style.display = 'none';
+            }
+            this.secret.textContent = secret.match(/.{1,4}/g).join(' ');
+            this.setupCodeInput.value = '';
+
+            this.showPanel(this.setupPanel);
+            this.setupCodeInput.focus();
+        } catch (error) {
+            this.profileUI.showAlert(error.message || 'Failed to start two-factor setup', 'error');
+        }
+    }
+
+    /**
+     * Turn two-factor authentication on with the code from the app
+     */
+    async confirmSetup() {
+        const code = this.setupCodeInput.value.trim();
+        if (!/^\d{6}$/.test(code)) {
+            this.profileUI.showAlert('Enter the 6-digit code from your authenticator app', 'error');
+            return;
+        }
+
+        try {
+            const { recoveryCodes } = await confirmTwoFactorEnrollment(code);
+            this.status = { ...this.status, enabled: true, recoveryCodesRemaining: recoveryCodes.length };
+            this.renderStatus();
+            this.showRecoveryCodes(recoveryCodes);
+            this.profileUI.showAlert('Two-factor authentication is on', 'success');
+        } catch (error) {
+            this.profileUI.showAlert(error.message || 'Failed to turn on two-factor authentication', 'error');
+        }
+    }
+
+    /**
+     * Ask for a code before regenerating recovery codes or turning two-factor authentication off
+     * @param {string} action - 'regenerate' or 'disable'
+     */
+    promptForCode(action) {
+        this.pendingAction = action;
+        this.actionLabel.textContent = action === 'disable'
+            ? 'Enter an authenticator or recovery code to turn two-factor authentication off'
+            : 'Enter an authenticator or recovery code to create new recovery codes';
+        this.actionCodeInput.value = '';
+        this.showPanel(this.codePrompt);
+        this.actionCodeInput.focus();
+    }
+
+    /**
+     * Run the pending action with the entered code
+     */
+    async confirmAction() {
+        const code = this.actionCodeInput.value.trim();
+        if (!code) {
+            return;
+        }
+
+        try {
+            if (this.pendingAction === 'disable') {
+                await disableTwoFactor(code);
+                this.status = { ...this.status, enabled: false, recoveryCodesRemaining: 0 };
+                this.renderStatus();
+                this.showPanel(null);
+                this.profileUI.showAlert('Two-factor authentication is off', 'success');
+            } else {
+                const { recoveryCodes } = await regenerateRecoveryCodes(code);
+                this.status = { ...this.status, recoveryCodesRemaining: recoveryCodes.length };
+                this.renderStatus();
+                this.showRecoveryCodes(recoveryCodes);
+            }
+        } catch (error) {
+            this.profileUI.showAlert(error.message || 'The code could not be checked', 'error');
+        }
+    }
+
+    /**
+     * Show new recovery codes once
+     * @param {string[]} codes - Recovery codes
+     */
+    showRecoveryCodes(codes) {
+        this.recoveryCodes = codes;
+        this.recoveryList.innerHTML = '';
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.textContent = code;
+            this.recoveryList.appendChild(item);
+        });
+        this.showPanel(this.recoveryPanel);
+    }
+
+    /**
+     * Copy the recovery codes to the clipboard
+     */
+    async copyRecoveryCodes() {
+        try {
+            await navigator.clipboard.writeText(this.recoveryCodes.join('\n'));
+            this.profileUI.showAlert('Recovery codes copied to clipboard', 'success');
+        } catch (error) {
+            this.profileUI.showAlert('Failed to copy recovery codes', 'error');
+        }
+    }
+
+    /**
+     * Download the recovery codes as a text file
+     */
+    downloadRecoveryCodes() {
+        const blob = new Blob([`Monfleur recovery codes\n\n${this.recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'monfleur-recovery-codes.txt';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Show the policy editor to super-admins
+     */
+    renderPolicy() {
+        const { policy, roles } = this.status;
+        if (!policy) {
+            return;
+        }
+
+        this.policyRoles.innerHTML = '';
+        roles.forEach(role => {
+            const label = document.createElement('label');
+            label.className = 'two-factor-policy-role';
+            label.innerHTML = `<input type="checkbox" value="${role}"> <span></span>`;
+            label.querySelector('input').checked = policy.twoFactorRequiredRoles.includes(role);
+            label.querySelector('span').textContent = ROLE_LABELS[role] || role;
+            this.policyRoles.appendChild(label);
+        });
+        this.policyCard.style.display = 'block';
+    }
+
+    /**
+     * Save the roles that require two-factor authentication
+     */
+    async savePolicy() {
+        const requiredRoles = Array.from(this.policyRoles.querySelectorAll('input:checked')).map(input => input.value);
+
+        try {
+            const policy = await saveTwoFactorPolicy(requiredRoles);
+            this.status = {
+                ...this.status,
+                policy,
+                required: policy.twoFactorRequiredRoles.includes(normalizeRole(this.profileUI.profileSystem.getCurrentUserProfile()?.role))
+            };
+            this.renderStatus();
+            this.profileUI.showAlert('Two-factor policy saved', 'success');
+        } catch (error) {
+            this.profileUI.showAlert(error.message || 'Failed to save two-factor policy', 'error');
+        }
+    }
+}
+
+/**
+ * Active Sessions UI Class
+ * Lists the user's sessions and signs out the ones they do not recognise
+ */
+class SessionListUI {
+    constructor(profileUI) {
+        this.profileUI = profileUI;
+        this.list = document.getElementById('sessionList');
+        this.revokeOthersButton = document.getElementById('revokeOtherSessions');
+
+        this.revokeOthersButton.addEventListener('click', () => this.revokeOthers());
+    }
+
+    /**
+     * Load and show the sessions
+     */
+    async load() {
+        try {
+            const sessions = await listSessions();
+            this.render(sessions);
+        } catch (error) {
+            this.list.innerHTML = '<li class="session-item">Sessions could not be loaded.</li>';
+        }
+    }
+
+    /**
+     * Show the sessions, this one first
+     * @param {Array<Object>} sessions - Sessions from listSessions
+     */
+    render(sessions) {
+        const ordered = [...sessions].sort((a, b) => b.current - a.current);
+        this.list.innerHTML = '';
+
+        ordered.forEach(session => {
+            const item = document.createElement('li');
+            item.className = 'session-item';
+
+            const details = document.createElement('div');
+            details.className = 'session-details';
+            const device = document.createElement('strong');
+            device.textContent = this.describeDevice(session.userAgent);
+            details.appendChild(device);
+            if (session.current) {
+                details.insertAdjacentHTML('beforeend', '<span class="session-current">This session</span>');
+            }
+            const info = document.createElement('small');
+            info.textContent = `${session.ip || 'Unknown IP'} · Signed in ${new Date(session.createdAt).toLocaleString()} · Last active ${new Date(session.lastActiveAt).toLocaleString()}`;
+            details.appendChild(info);
+            item.appendChild(details);
+
+            if (!session.current) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-outline';
+                button.innerHTML = '<i class="fas fa-times"></i> Sign Out';
+                button.addEventListener('click', () => this.revoke(session.id));
+                item.appendChild(button);
+            }
+            this.list.appendChild(item);
+        });
+
+        this.revokeOthersButton.style.display = sessions.length > 1 ? '' : 'none';
+    }
+
+    /**
+     * Short browser and platform description from a user agent
+     * @param {string} userAgent - User agent
+     * @returns {string} e.g. "Firefox on Windows"
+     */
+    describeDevice(userAgent) {
+        const agent = userAgent || '';
+        const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => agent.includes(`${name}/`));
+        const platform = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(name => agent.includes(name));
+        const browserName = browser === 'Edg' ? 'Edge' : browser;
+
+        if (!browserName && !platform) {
+            return 'Unknown device';
+        }
+        return [browserName || 'Browser', platform ? `on ${platform === 'Mac OS' ? 'macOS' : platform}` : ''].join(' ').trim();
+    }
+
+    /**
+     * Sign out one other session
+     * @param {string} sessionId - Session ID
+     */
+    async revoke(sessionId) {
+        try {
+            await revokeOwnSessions(sessionId);
+            this.profileUI.showAlert('Session signed out', 'success');
+        } catch (error) {
+            this.profileUI.showAlert(error.message || 'Failed to sign out the session', 'error');
+        }
+        await this.load();
+    }
+
+    /**
+     * Sign out every session except this one
+     */
+    async revokeOthers() {
+        try {
+            const revoked = await revokeOwnSessions();
+            this.profileUI.showAlert(`Signed out ${revoked} other session${revoked === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            this.profileUI.showAlert(error.message || 'Failed to sign out other sessions', 'error');
+        }
+        await this.load();
+    }
+}
+
 // Initialize the system when DOM is loaded
 let profileSettingsSystem;
 let profileSettingsUI;
+let twoFactorSettingsUI;
+let sessionListUI;
 
 document.addEventListener('DOMContentLoaded', async function() {
     try {
@@ -844,17 +1168,12 @@ document.addEventListener('DOMContentLoaded', async function() {
             return;
         }
 
-        // Restore authentication session
-        const sessionRestored = profileSettingsSystem.authService.restoreSession();
-        console.log('🔧 Session restoration result:', sessionRestored);
-        
-        // Set current user
+        // Set current user; only a session the server accepted has one
         const userSet = profileSettingsSystem.setCurrentUser(adminEmail);
-        console.log('🔧 Set current user result:', userSet);
-        
         if (!userSet) {
-            console.warn('⚠️ User authentication failed - this might be normal for moderators');
-            // Don't redirect immediately, let's see what happens
+            console.warn('⚠️ Session could not be verified, redirecting to login');
+            window.location.href = '../login.html';
+            return;
         }
 
         // Initialize UI
@@ -863,6 +1182,14 @@ document.addEventListener('DOMContentLoaded', async function() {
         // Load current profile
         await profileSettingsUI.loadCurrentProfile();
         
+        // Two-factor authentication settings
+        twoFactorSettingsUI = new TwoFactorSettingsUI(profileSettingsUI);
+        await twoFactorSettingsUI.initialize();
+        
+        // Active sessions
+        sessionListUI = new SessionListUI(profileSettingsUI);
+        await sessionListUI.load();
+        
         console.log('✅ Profile Settings System ready');
         
     } catch (error) {
@@ -896,4 +1223,4 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
 });
 
-export { ProfileSettingsSystem, ProfileSettingsUI };
\ No newline at end of file
+export { ProfileSettingsSystem, ProfileSettingsUI, TwoFactorSettingsUI, SessionListUI };
\ No newline at end of file
@@ -0,0 +1,252 @@
+/**
+ * Recycle Bin Page
+ * Lists soft-deleted characters and lets staff restore or permanently purge them
+ */
+
+import EnhancedCharacterStorageManager from './services/storage-manager.js';
+import AuthenticationService from './services/authentication-service.js';
+import toastManager from './components/toast.js';
+
+/**
+ * Recycle Bin Application
+ * Restoring is open to all staff, purging and retention changes are administrator-only
+ */
+class RecycleBinApp {
+    constructor() {
+        this.storageManager = null;
+        this.authService = new AuthenticationService();
+        this.entries = [];
+        this.highlightId = new URLSearchParams(window.location.search).get('item');
+    }
+
+    /**
+     * Initialize storage and render the bin
+     * Expired entries are purged by the scheduled purgeRecycleBin Cloud Function
+     */
+    async initialize() {
+        try {
+            await this.authService.initialize();
+
+            this.storageManager = new EnhancedCharacterStorageManager();
+            await this.storageManager.initialize();
+
+            await this.loadRetention();
+            await this.loadEntries();
+            this.applyRolePermissions();
+        } catch (error) {
+            console.error('Failed to initialize recycle bin:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Disable administrator-only controls for other roles
+     */
+    applyRolePermissions() {
+        const isAdmin = this.authService.hasPermission('character.purge');
+        document.querySelectorAll('.admin-only-action').forEach(element => {
+            element.disabled = !isAdmin;
+            if (!isAdmin) {
+                element.title = 'Administrator access required';
+            }
+        });
+
+        const retentionInput = document.getElementById('retentionDays');
+        if (retentionInput) {
+            retentionInput.disabled = !isAdmin;
+        }
+    }
+
+    /**
+     * Load retention period into the settings form
+     */
+    async loadRetention() {
+        const retentionInput = document.getElementById('retentionDays');
+        if (!retentionInput) return;
+
+        retentionInput.value = await this.storageManager.getTrashRetentionDays();
+    }
+
+    /**
+     * Save retention period from the settings form
+     */
+    async saveRetention() {
+        if (!this.authService.hasPermission('character.purge')) {
+            toastManager.showError('Only administrators can change the retention period');
+            return;
+        }
+
+        const days = document.getElementById('retentionDays')?.value;
+
+        try {
+            await this.storageManager.setTrashRetentionDays(days);
+            toastManager.showSuccess(`Deleted characters are now kept for ${days} days`);
+            await this.loadEntries();
+        } catch (error) {
+            console.error('Error saving retention period:', error);
+            toastManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Load and render recycle bin entries
+     */
+    async loadEntries() {
+        this.entries = await this.storageManager.getDeletedCharacters();
+        this.renderEntries();
+    }
+
+    /**
+     * Render recycle bin table
+     */
+    renderEntries() {
+        const tbody = document.getElementById('recycleBinTableBody');
+        if (!tbody) return;
+
+        if (this.entries.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="no-logs">
+                        <div class="empty-state">
+                            <i class="fas fa-trash-restore"></i>
+                            <p>The Recycle Bin is empty</p>
+                            <small>Deleted characters will appear here</small>
+                        </div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const isAdmin = this.authService.hasPermission('character.purge');
+
+        tbody.innerHTML = this.entries.map(entry => {
+            const character = entry.character || {};
+            const highlightClass = entry.id === this.highlightId ? ' class="recycle-bin-highlight"' : '';
+
+            return `
+                <tr id="trash-${entry.id}"${highlightClass}>
+                    <td>
+                        <strong>${this.escapeHtml(character.masterlistNumber || 'Unknown')}</strong><br>
+                        <small class="text-muted-foreground">Owner: ${this.escapeHtml(character.owner || 'Unknown')}</small>
+                    </td>
+                    <td>${this.escapeHtml(entry.deletedBy || 'Unknown User')}</td>
+                    <td>${new Date(entry.deletedAt).toLocaleString()}</td>
+                    <td>${entry.reason ? this.escapeHtml(entry.reason) : '<span class="text-muted-foreground">-</span>'}</td>
+                    <td>${this.formatRemaining(entry.expiresAt)}</td>
+                    <td class="recycle-bin-actions">
+                        <button class="btn btn-primary btn-small" onclick="recycleBinApp.restore('${entry.id}')">
+                            <i class="fas fa-undo"></i>Restore
+                        </button>
+                        <button class="btn btn-danger btn-small" ${isAdmin ? '' : 'disabled title="Administrator access required"'} onclick="recycleBinApp.purge('${entry.id}')">
+                            <i class="fas fa-trash"></i>Purge
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        if (this.highlightId) {
+            document.getElementById(`trash-${this.highlightId}`)?.scrollIntoView({ block: 'center' });
+        }
+    }
+
+    /**
+     * Restore a character from the bin
+     * @param {string} id - Character ID
+     */
+    async restore(id) {
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry) return;
+
+        try {
+            await this.storageManager.restoreDeletedCharacter(id);
+            toastManager.showSuccess(`Character ${entry.character.masterlistNumber} restored`);
+            await this.loadEntries();
+        } catch (error) {
+            console.error('Error restoring character:', error);
+            toastManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Permanently purge a character from the bin
+     * @param {string} id - Character ID
+     */
+    async purge(id) {
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry) return;
+
+        if (!this.authService.hasPermission('character.purge')) {
+            toastManager.showError('Only administrators can permanently delete characters');
+            return;
+        }
+
+        if (!confirm(`Permanently delete ${entry.character.masterlistNumber}? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await this.storageManager.purgeDeletedCharacter(id);
+            toastManager.showSuccess(`Character ${entry.character.masterlistNumber} permanently deleted`);
+            await this.loadEntries();
+        } catch (error) {
+            console.error('Error purging character:', error);
+            toastManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Format time left until automatic purge
+     * @param {string} expiresAt - ISO date of automatic purge
+     * @returns {string} Remaining time text
+     */
+    formatRemaining(expiresAt) {
+        const diffDays = Math.ceil((new Date(expiresAt).getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+        if (diffDays <= 0) return 'Pending purge';
+        return `${diffDays} day${diffDays === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Show error message in place of the table
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        const tbody = document.getElementById('recycleBinTableBody');
+        if (!tbody) return;
+
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="error-state">
+                    <div class="error-message">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        <p>Error: ${this.escapeHtml(message)}</p>
+                        <button onclick="window.location.reload()" class="btn btn-outline btn-sm">
+                            <i class="fas fa-refresh"></i> Retry
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+const recycleBinApp = new RecycleBinApp();
+
+// Make app globally available for onclick handlers
+window.recycleBinApp = recycleBinApp;
+
+document.addEventListener('DOMContentLoaded', () => recycleBinApp.initialize());
+
+export { RecycleBinApp };
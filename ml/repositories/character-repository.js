@@ -1,3 +1,28 @@
+import {
+    MASTERLIST_RESERVATION_TTL_MS,
+    formatMasterlistNumber,
+    parseMasterlistNumber
+} from '../services/masterlist-number.js';
+import {
+    SEARCH_INDEX_VERSION,
+    SORT_OPTIONS,
+    buildSearchEntry,
+    buildSearchTokens,
+    decodeCursor,
+    encodeCursor,
+    matchesFilters,
+    normalizeQuery,
+    paginateEntries,
+    searchCharacterList,
+    tokenizeSearch
+} from '../services/character-search.js';
+
+// Upper bound on counter increments when numbers ahead of the counter were entered by hand
+const MAX_ALLOCATION_ATTEMPTS = 50;
+
+// Above this many search candidates, one read of all entries beats one read per candidate
+const SEARCH_ENTRY_BATCH_LIMIT = 200;
+
 /**
  * Character Repository Interface
  * Defines contract for character data operations
@@ -7,10 +32,29 @@ class ICharacterRepository {
     async getAllCharacters() { throw new Error('Method not implemented'); }
     async getCharacterById(id) { throw new Error('Method not implemented'); }
     async addCharacter(character) { throw new Error('Method not implemented'); }
+    async addCharacters(characters) { throw new Error('Method not implemented'); }
     async updateCharacter(id, character) { throw new Error('Method not implemented'); }
     async deleteCharacter(id) { throw new Error('Method not implemented'); }
     async getCharacterCount() { throw new Error('Method not implemented'); }
     generateMasterlistNumber() { throw new Error('Method not implemented'); }
+    async addCharacterRevision(characterId, revision) { throw new Error('Method not implemented'); }
+    async getCharacterRevisions(characterId) { throw new Error('Method not implemented'); }
+    async moveCharacterToTrash(id, trashInfo) { throw new Error('Method not implemented'); }
+    async getTrashedCharacters() { throw new Error('Method not implemented'); }
+    async restoreCharacterFromTrash(id) { throw new Error('Method not implemented'); }
+    async purgeTrashedCharacter(id) { throw new Error('Method not implemented'); }
+    async getTrashSettings() { throw new Error('Method not implemented'); }
+    async updateTrashSettings(settings) { throw new Error('Method not implemented'); }
+    async updateImageCheck(id, imageCheck) { throw new Error('Method not implemented'); }
+    async getImageCheckSettings() { throw new Error('Method not implemented'); }
+    async updateImageCheckSettings(settings) { throw new Error('Method not implemented'); }
+    async addTransfer(masterlistNumber, transfer) { throw new Error('Method not implemented'); }
+    async getTransfers(masterlistNumber) { throw new Error('Method not implemented'); }
+    async commitTransfers(transfers, relatedPaths) { throw new Error('Method not implemented'); }
+    async allocateMasterlistNumber(reservedBy) { throw new Error('Method not implemented'); }
+    async releaseMasterlistNumber(masterlistNumber, reservedBy) { throw new Error('Method not implemented'); }
+    async getMasterlistReservations() { throw new Error('Method not implemented'); }
+    async queryCharacters(query) { throw new Error('Method not implemented'); }
 }
 
 /**
@@ -22,6 +66,8 @@ class FirebaseCharacterRepository extends ICharacterRepository {
         super();
         this.firebaseConfig = firebaseConfig;
         this.charactersRef = null;
+        this.masterlistIndexReady = false;
+        this.searchIndexReady = false;
     }
 
     /**
@@ -81,7 +127,7 @@ class FirebaseCharacterRepository extends ICharacterRepository {
      */
     async addCharacter(character) {
         try {
-            const { ref, push, set } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const { ref, push, update } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
             
             const newCharacterRef = push(this.charactersRef);
             const characterData = {
@@ -90,7 +136,19 @@ class FirebaseCharacterRepository extends ICharacterRepository {
                 updatedAt: new Date().toISOString()
             };
             
-            await set(newCharacterRef, characterData);
+            // Uniqueness is guaranteed by the index claim, not by the earlier duplicate read
+            await this.claimMasterlistNumber(character.masterlistNumber, newCharacterRef.key);
+            try {
+                await this.ensureSearchIndex();
+                await update(ref(this.firebaseConfig.getDatabase()), {
+                    [`characters/${newCharacterRef.key}`]: characterData,
+                    ...this.reservationRemovals([character.masterlistNumber]),
+                    ...this.searchIndexUpdates(newCharacterRef.key, characterData)
+                });
+            } catch (writeError) {
+                await this.releaseMasterlistIndex(character.masterlistNumber, newCharacterRef.key);
+                throw writeError;
+            }
             return newCharacterRef.key;
         } catch (error) {
             console.error('Error adding character:', error);
@@ -98,6 +156,47 @@ class FirebaseCharacterRepository extends ICharacterRepository {
         }
     }
 
+    /**
+     * Add several characters in one atomic multi-path update
+     * @param {Array<Object>} characters - Character data
+     * @returns {Promise<Array<string>>} Character IDs in input order
+     */
+    async addCharacters(characters) {
+        try {
+            const { ref, push, update } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            
+            const now = new Date().toISOString();
+            const updates = this.reservationRemovals(characters.map(character => character.masterlistNumber));
+            const ids = characters.map(character => {
+                const id = push(this.charactersRef).key;
+                const characterData = { ...character, createdAt: now, updatedAt: now };
+                updates[`characters/${id}`] = characterData;
+                Object.assign(updates, this.searchIndexUpdates(id, characterData));
+                return id;
+            });
+            
+            // Claim every number first and give them all back if any claim or the write fails
+            const claimed = [];
+            try {
+                for (const [index, character] of characters.entries()) {
+                    await this.claimMasterlistNumber(character.masterlistNumber, ids[index]);
+                    claimed.push(index);
+                }
+                await this.ensureSearchIndex();
+                await update(ref(this.firebaseConfig.getDatabase()), updates);
+            } catch (writeError) {
+                await Promise.all(claimed.map(index =>
+                    this.releaseMasterlistIndex(characters[index].masterlistNumber, ids[index])
+                ));
+                throw writeError;
+            }
+            return ids;
+        } catch (error) {
+            console.error('Error adding characters:', error);
+            throw error;
+        }
+    }
+
     /**
      * Update existing character
      * @param {string} id - Character ID
@@ -107,14 +206,29 @@ class FirebaseCharacterRepository extends ICharacterRepository {
     async updateCharacter(id, updates) {
         try {
             const { ref, update } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
-            const characterRef = ref(this.firebaseConfig.getDatabase(), `characters/${id}`);
             
             const updateData = {
                 ...updates,
                 updatedAt: new Date().toISOString()
             };
+            const current = await this.getCharacterById(id);
+            
+            // Renumbering claims the new number before the write and frees the old one after it
+            let previousNumber = null;
+            if (updates.masterlistNumber !== undefined && current &&
+                parseMasterlistNumber(current.masterlistNumber) !== parseMasterlistNumber(updates.masterlistNumber)) {
+                previousNumber = current.masterlistNumber;
+                await this.claimMasterlistNumber(updates.masterlistNumber, id);
+            }
             
-            await update(characterRef, updateData);
+            // Field-level paths keep the merge semantics of update() on the character node
+            await this.ensureSearchIndex();
+            const paths = this.searchIndexUpdates(id, { ...current, ...updateData }, current);
+            Object.keys(updateData).forEach(field => { paths[`characters/${id}/${field}`] = updateData[field]; });
+            await update(ref(this.firebaseConfig.getDatabase()), paths);
+            if (previousNumber) {
+                await this.releaseMasterlistIndex(previousNumber, id);
+            }
             return true;
         } catch (error) {
             console.error('Error updating character:', error);
@@ -129,10 +243,13 @@ class FirebaseCharacterRepository extends ICharacterRepository {
      */
     async deleteCharacter(id) {
         try {
-            const { ref, remove } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
-            const characterRef = ref(this.firebaseConfig.getDatabase(), `characters/${id}`);
+            const { ref, update } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const character = await this.getCharacterById(id);
             
-            await remove(characterRef);
+            await update(ref(this.firebaseConfig.getDatabase()), {
+                [`characters/${id}`]: null,
+                ...this.searchIndexUpdates(id, null, character)
+            });
             return true;
         } catch (error) {
             console.error('Error deleting character:', error);
@@ -140,6 +257,276 @@ class FirebaseCharacterRepository extends ICharacterRepository {
         }
     }
 
+    /**
+     * Append an ownership transfer to the provenance chain of a masterlist number
+     * @param {string} masterlistNumber - Masterlist number (e.g. ML-0001)
+     * @param {Object} transfer - Transfer record
+     * @returns {Promise<string>} Transfer ID
+     */
+    async addTransfer(masterlistNumber, transfer) {
+        try {
+            const { ref, push, set } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const transfersRef = ref(this.firebaseConfig.getDatabase(), `characterTransfers/${masterlistNumber}`);
+            
+            const newTransferRef = push(transfersRef);
+            await set(newTransferRef, transfer);
+            return newTransferRef.key;
+        } catch (error) {
+            console.error('Error adding transfer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record ownership transfers in one atomic multi-path update
+     * Writes each character's changed fields, provenance entry and revision, together with relatedPaths
+     * @param {Array<Object>} transfers - { character, record, updates, revision }
+     * @param {Object} relatedPaths - Further root-relative paths to write in the same update
+     * @returns {Promise<Array<string>>} Transfer IDs in input order
+     */
+    async commitTransfers(transfers, relatedPaths = {}) {
+        try {
+            const { ref, push, update } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const db = this.firebaseConfig.getDatabase();
+            
+            await this.ensureSearchIndex();
+            const now = new Date().toISOString();
+            const paths = { ...relatedPaths };
+            const ids = transfers.map(({ character, record, updates, revision }) => {
+                const transferId = push(ref(db, `characterTransfers/${character.masterlistNumber}`)).key;
+                const revisionId = push(ref(db, `characterRevisions/${character.id}`)).key;
+                const updateData = { ...updates, updatedAt: now };
+                
+                paths[`characterTransfers/${character.masterlistNumber}/${transferId}`] = record;
+                paths[`characterRevisions/${character.id}/${revisionId}`] = { ...revision, transferId };
+                Object.assign(paths, this.searchIndexUpdates(character.id, { ...character, ...updateData }, character));
+                Object.keys(updateData).forEach(field => { paths[`characters/${character.id}/${field}`] = updateData[field]; });
+                return transferId;
+            });
+            
+            await update(ref(db), paths);
+            return ids;
+        } catch (error) {
+            console.error('Error committing transfers:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all ownership transfers of a masterlist number
+     * @param {string} masterlistNumber - Masterlist number
+     * @returns {Promise<Array>} Transfers in write order
+     */
+    async getTransfers(masterlistNumber) {
+        try {
+            const { ref, get } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const snapshot = await get(ref(this.firebaseConfig.getDatabase(), `characterTransfers/${masterlistNumber}`));
+            
+            if (snapshot.exists()) {
+                const data = snapshot.val();
+                return Object.keys(data).map(key => ({ id: key, ...data[key] }));
+            }
+            return [];
+        } catch (error) {
+            console.error('Error fetching transfers:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move character into the recycle bin
+     * Removal from characters and insertion into the trash happen in one atomic update
+     * @param {string} id - Character ID
+     * @param {Object} trashInfo - Deletion metadata (deletedBy, deletedAt, reason)
+     * @returns {Promise<boolean>} Success status
+     */
+    async moveCharacterToTrash(id, trashInfo) {
+        try {
+            const { ref, update } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const character = await this.getCharacterById(id);
+            if (!character) {
+                throw new Error('Character not found');
+            }
+            
+            const { id: _id, ...characterData } = character;
+            await update(ref(this.firebaseConfig.getDatabase()), {
+                [`characters/${id}`]: null,
+                [`characterTrash/${id}`]: { character: characterData, ...trashInfo },
+                ...this.searchIndexUpdates(id, null, character)
+            });
+            await this.releaseMasterlistIndex(character.masterlistNumber, id);
+            return true;
+        } catch (error) {
+            console.error('Error moving character to trash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all characters in the recycle bin
+     * @returns {Promise<Array>} Trash entries ({ id, character, deletedBy, deletedAt, reason })
+     */
+    async getTrashedCharacters() {
+        try {
+            const { ref, get } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const snapshot = await get(ref(this.firebaseConfig.getDatabase(), 'characterTrash'));
+            
+            if (snapshot.exists()) {
+                const data = snapshot.val();
+                return Object.keys(data).map(key => ({ id: key, ...data[key] }));
+            }
+            return [];
+        } catch (error) {
+            console.error('Error fetching trashed characters:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move character from the recycle bin back into characters
+     * @param {string} id - Character ID
+     * @returns {Promise<Object>} Restored character data
+     */
+    async restoreCharacterFromTrash(id) {
+        try {
+            const { ref, get, update } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const database = this.firebaseConfig.getDatabase();
+            const snapshot = await get(ref(database, `characterTrash/${id}`));
+            
+            if (!snapshot.exists()) {
+                throw new Error('Character not found in recycle bin');
+            }
+            
+            const character = {
+                ...snapshot.val().character,
+                updatedAt: new Date().toISOString()
+            };
+            await this.claimMasterlistNumber(character.masterlistNumber, id);
+            try {
+                await this.ensureSearchIndex();
+                await update(ref(database), {
+                    [`characters/${id}`]: character,
+                    [`characterTrash/${id}`]: null,
+                    ...this.searchIndexUpdates(id, character)
+                });
+            } catch (writeError) {
+                await this.releaseMasterlistIndex(character.masterlistNumber, id);
+                throw writeError;
+            }
+            return { id, ...character };
+        } catch (error) {
+            console.error('Error restoring character from trash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently remove a character from the recycle bin along with its revisions
+     * @param {string} id - Character ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async purgeTrashedCharacter(id) {
+        try {
+            const { ref, update } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            await update(ref(this.firebaseConfig.getDatabase()), {
+                [`characterTrash/${id}`]: null,
+                [`characterRevisions/${id}`]: null
+            });
+            return true;
+        } catch (error) {
+            console.error('Error purging character:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get recycle bin settings
+     * @returns {Promise<Object>} Settings ({ retentionDays }) or empty object
+     */
+    async getTrashSettings() {
+        try {
+            const { ref, get } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const snapshot = await get(ref(this.firebaseConfig.getDatabase(), 'settings/recycleBin'));
+            return snapshot.exists() ? snapshot.val() : {};
+        } catch (error) {
+            console.error('Error fetching recycle bin settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update recycle bin settings
+     * @param {Object} settings - Settings to merge ({ retentionDays })
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateTrashSettings(settings) {
+        try {
+            const { ref, update } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            await update(ref(this.firebaseConfig.getDatabase(), 'settings/recycleBin'), settings);
+            return true;
+        } catch (error) {
+            console.error('Error updating recycle bin settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record the result of an image link check on a character
+     * Written on its own path so a check is not a character edit: no revision, log entry or updatedAt change
+     * @param {string} id - Character ID
+     * @param {Object} imageCheck - Check result ({ status, brokenUrls, checkedAt })
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateImageCheck(id, imageCheck) {
+        try {
+            const { ref, get, set } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const database = this.firebaseConfig.getDatabase();
+
+            // A character deleted while the check ran would be recreated by the write
+            const existing = await get(ref(database, `characters/${id}/masterlistNumber`));
+            if (!existing.exists()) {
+                return false;
+            }
+
+            await set(ref(database, `characters/${id}/imageCheck`), imageCheck);
+            return true;
+        } catch (error) {
+            console.error('Error recording image check:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get image link check settings and the summary of the last run
+     * @returns {Promise<Object>} Settings ({ lastRunAt, lastRunBy, checkedCount, brokenCount }) or empty object
+     */
+    async getImageCheckSettings() {
+        try {
+            const { ref, get } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const snapshot = await get(ref(this.firebaseConfig.getDatabase(), 'settings/imageCheck'));
+            return snapshot.exists() ? snapshot.val() : {};
+        } catch (error) {
+            console.error('Error fetching image check settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update image link check settings
+     * @param {Object} settings - Settings to merge
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateImageCheckSettings(settings) {
+        try {
+            const { ref, update } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            await update(ref(this.firebaseConfig.getDatabase(), 'settings/imageCheck'), settings);
+            return true;
+        } catch (error) {
+            console.error('Error updating image check settings:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get total count of characters
      * @returns {Promise<number>} Total character count
@@ -160,6 +547,49 @@ class FirebaseCharacterRepository extends ICharacterRepository {
         }
     }
 
+    /**
+     * Append an immutable revision for a character
+     * Revisions are only ever pushed, never updated or removed
+     * @param {string} characterId - Character ID
+     * @param {Object} revision - Revision data (snapshot, author, timestamp)
+     * @returns {Promise<string>} Revision ID
+     */
+    async addCharacterRevision(characterId, revision) {
+        try {
+            const { ref, push, set } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const revisionsRef = ref(this.firebaseConfig.getDatabase(), `characterRevisions/${characterId}`);
+            
+            const newRevisionRef = push(revisionsRef);
+            await set(newRevisionRef, revision);
+            return newRevisionRef.key;
+        } catch (error) {
+            console.error('Error adding character revision:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all revisions of a character
+     * @param {string} characterId - Character ID
+     * @returns {Promise<Array>} Revisions in write order (oldest first)
+     */
+    async getCharacterRevisions(characterId) {
+        try {
+            const { ref, get } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const revisionsRef = ref(this.firebaseConfig.getDatabase(), `characterRevisions/${characterId}`);
+            const snapshot = await get(revisionsRef);
+            
+            if (snapshot.exists()) {
+                const data = snapshot.val();
+                return Object.keys(data).map(key => ({ id: key, ...data[key] }));
+            }
+            return [];
+        } catch (error) {
+            console.error('Error fetching character revisions:', error);
+            throw error;
+        }
+    }
+
     /**
      * Generate next masterlist number
      * @returns {Promise<string>} Next masterlist number
@@ -174,12 +604,399 @@ class FirebaseCharacterRepository extends ICharacterRepository {
                 .filter(num => !isNaN(num));
             
             const maxNumber = numbers.length > 0 ? Math.max(...numbers) : 0;
-            return `ML-${String(maxNumber + 1).padStart(3, '0')}`;
+            return formatMasterlistNumber(maxNumber + 1);
         } catch (error) {
             console.error('Error generating masterlist number:', error);
-            return 'ML-001';
+            return formatMasterlistNumber(1);
         }
     }
+
+    /**
+     * Reserve the next free masterlist number for an upload form
+     * Released or expired reservations are reused before the counter is advanced
+     * @param {string} reservedBy - User holding the reservation
+     * @returns {Promise<Object>} Reservation ({ masterlistNumber, reservedBy, reservedAt, expiresAt })
+     */
+    async allocateMasterlistNumber(reservedBy) {
+        try {
+            const { ref, get, runTransaction } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const database = this.firebaseConfig.getDatabase();
+            await this.ensureMasterlistIndex();
+            
+            const reservation = {
+                reservedBy,
+                reservedAt: new Date().toISOString(),
+                expiresAt: new Date(Date.now() + MASTERLIST_RESERVATION_TTL_MS).toISOString()
+            };
+            
+            const tryReserve = async (number) => {
+                const indexSnapshot = await get(ref(database, `masterlistIndex/${number}`));
+                if (indexSnapshot.exists()) return false;
+                
+                const result = await runTransaction(ref(database, `masterlistReservations/${number}`), current => {
+                    if (current && new Date(current.expiresAt).getTime() > Date.now()) {
+                        return undefined;
+                    }
+                    return reservation;
+                });
+                return result.committed;
+            };
+            
+            // Fill gaps left by cancelled uploads first
+            const reservations = await this.getMasterlistReservations();
+            const reusable = Object.keys(reservations)
+                .filter(number => new Date(reservations[number].expiresAt).getTime() <= Date.now())
+                .map(Number)
+                .sort((a, b) => a - b);
+            for (const number of reusable) {
+                if (await tryReserve(number)) {
+                    return { masterlistNumber: formatMasterlistNumber(number), ...reservation };
+                }
+            }
+            
+            for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+                const result = await runTransaction(ref(database, 'counters/masterlist/last'), current => (current || 0) + 1);
+                const number = result.snapshot.val();
+                
+                if (await tryReserve(number)) {
+                    return { masterlistNumber: formatMasterlistNumber(number), ...reservation };
+                }
+            }
+            
+            throw new Error('No free masterlist number found, please try again');
+        } catch (error) {
+            console.error('Error allocating masterlist number:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Release a reserved masterlist number so it can be handed out again
+     * @param {string} masterlistNumber - Reserved masterlist number
+     * @param {string} reservedBy - User holding the reservation
+     * @returns {Promise<boolean>} Whether a reservation was released
+     */
+    async releaseMasterlistNumber(masterlistNumber, reservedBy) {
+        try {
+            const number = parseMasterlistNumber(masterlistNumber);
+            if (number === null) return false;
+            
+            const { ref, runTransaction } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const result = await runTransaction(ref(this.firebaseConfig.getDatabase(), `masterlistReservations/${number}`), current => {
+                if (!current || current.reservedBy !== reservedBy) {
+                    return undefined;
+                }
+                // Keep an expired entry so the allocator can reuse the number
+                return { releasedAt: new Date().toISOString(), expiresAt: new Date().toISOString() };
+            });
+            return result.committed;
+        } catch (error) {
+            console.error('Error releasing masterlist number:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get masterlist number reservations
+     * @returns {Promise<Object>} Reservations keyed by number
+     */
+    async getMasterlistReservations() {
+        try {
+            const { ref, get } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const snapshot = await get(ref(this.firebaseConfig.getDatabase(), 'masterlistReservations'));
+            return snapshot.exists() ? snapshot.val() : {};
+        } catch (error) {
+            console.error('Error fetching masterlist reservations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Claim a masterlist number in the unique index
+     * @private
+     * @param {string} masterlistNumber - Masterlist number
+     * @param {string} characterId - Character taking the number
+     * @throws {Error} When another character already holds the number
+     */
+    async claimMasterlistNumber(masterlistNumber, characterId) {
+        const number = parseMasterlistNumber(masterlistNumber);
+        if (number === null) return;
+        
+        await this.ensureMasterlistIndex();
+        const { ref, runTransaction } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+        const result = await runTransaction(ref(this.firebaseConfig.getDatabase(), `masterlistIndex/${number}`), current => {
+            if (current === null || current === characterId) {
+                return characterId;
+            }
+            return undefined;
+        });
+        
+        if (!result.committed) {
+            throw new Error('A character with this masterlist number already exists');
+        }
+    }
+
+    /**
+     * Free a masterlist number in the unique index if the character still holds it
+     * @private
+     * @param {string} masterlistNumber - Masterlist number
+     * @param {string} characterId - Character giving up the number
+     */
+    async releaseMasterlistIndex(masterlistNumber, characterId) {
+        const number = parseMasterlistNumber(masterlistNumber);
+        if (number === null) return;
+        
+        const { ref, runTransaction } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+        await runTransaction(ref(this.firebaseConfig.getDatabase(), `masterlistIndex/${number}`), current =>
+            current === characterId ? null : undefined
+        );
+    }
+
+    /**
+     * Build the masterlist index and seed the counter from existing characters, once per database
+     * @private
+     */
+    async ensureMasterlistIndex() {
+        if (this.masterlistIndexReady) return;
+        
+        const { ref, get, update, runTransaction } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+        const database = this.firebaseConfig.getDatabase();
+        const counterSnapshot = await get(ref(database, 'counters/masterlist/indexed'));
+        
+        if (!counterSnapshot.exists()) {
+            const characters = await this.getAllCharacters();
+            const updates = {};
+            let maxNumber = 0;
+            
+            characters.forEach(character => {
+                const number = parseMasterlistNumber(character.masterlistNumber);
+                if (number === null) return;
+                updates[`masterlistIndex/${number}`] = character.id;
+                maxNumber = Math.max(maxNumber, number);
+            });
+            
+            if (Object.keys(updates).length > 0) {
+                await update(ref(database), updates);
+            }
+            await runTransaction(ref(database, 'counters/masterlist'), current => ({
+                ...(current || {}),
+                last: Math.max(current?.last || 0, maxNumber),
+                indexed: true
+            }));
+        }
+        
+        this.masterlistIndexReady = true;
+    }
+
+    /**
+     * Multi-path update entries that drop reservations of the given numbers
+     * @private
+     * @param {Array<string>} masterlistNumbers - Masterlist numbers being written
+     * @returns {Object} Update entries
+     */
+    reservationRemovals(masterlistNumbers) {
+        const updates = {};
+        masterlistNumbers
+            .map(parseMasterlistNumber)
+            .filter(number => number !== null)
+            .forEach(number => { updates[`masterlistReservations/${number}`] = null; });
+        return updates;
+    }
+
+    /**
+     * Query characters through the search index
+     * Unfiltered pages are read straight from the ordered entries; searches and filters
+     * narrow the candidates through the index before sorting them in the browser
+     * @param {Object} query - Query ({ search, rarity, status, biome, sort, limit, cursor })
+     * @returns {Promise<Object>} Result ({ characters, nextCursor, total }), total is null when unknown
+     */
+    async queryCharacters(query = {}) {
+        try {
+            const normalized = normalizeQuery(query);
+            const { ref, get } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const database = this.firebaseConfig.getDatabase();
+
+            // Public pages cannot build the index, so scan until a staff write has built it
+            const versionSnapshot = await get(ref(database, 'counters/searchIndex/version'));
+            if (versionSnapshot.val() !== SEARCH_INDEX_VERSION) {
+                console.warn('⚠️ Search index not built yet, scanning all characters');
+                return searchCharacterList(await this.getAllCharacters(), normalized);
+            }
+
+            // Trait names are indexed as words too, so a trait filter narrows the candidates like a search
+            const queryTokens = [...new Set([...tokenizeSearch(normalized.search), ...tokenizeSearch(normalized.trait)])];
+            if (queryTokens.length === 0 && !normalized.rarity && !normalized.status && !normalized.biome && !normalized.trait) {
+                return await this.queryOrderedPage(normalized);
+            }
+
+            const entries = (await this.getSearchCandidates(queryTokens, normalized))
+                .filter(entry => matchesFilters(entry, normalized));
+            const page = paginateEntries(entries, normalized);
+
+            return {
+                characters: await this.getCharactersByIds(page.ids),
+                nextCursor: page.nextCursor,
+                total: entries.length
+            };
+        } catch (error) {
+            console.error('Error querying characters:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read one page of all characters in sort order from the search entries
+     * @private
+     * @param {Object} query - Normalized query without search or filters
+     * @returns {Promise<Object>} Result ({ characters, nextCursor, total: null })
+     */
+    async queryOrderedPage(query) {
+        const {
+            ref, get, query: databaseQuery, orderByChild, startAfter, endBefore, limitToFirst, limitToLast
+        } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+        const { field, direction } = SORT_OPTIONS[query.sort];
+        const position = query.cursor ? decodeCursor(query.cursor) : null;
+
+        // Fetch one extra entry to know whether another page follows
+        const constraints = [orderByChild(field)];
+        if (direction === 'asc') {
+            if (position) constraints.push(startAfter(position.v, position.id));
+            if (query.limit !== Infinity) constraints.push(limitToFirst(query.limit + 1));
+        } else {
+            if (position) constraints.push(endBefore(position.v, position.id));
+            if (query.limit !== Infinity) constraints.push(limitToLast(query.limit + 1));
+        }
+
+        const snapshot = await get(databaseQuery(ref(this.firebaseConfig.getDatabase(), 'characterSearch'), ...constraints));
+        const entries = [];
+        snapshot.forEach(child => {
+            entries.push({ id: child.key, ...child.val() });
+        });
+        if (direction === 'desc') entries.reverse();
+
+        const page = entries.slice(0, query.limit);
+        return {
+            characters: await this.getCharactersByIds(page.map(entry => entry.id)),
+            nextCursor: entries.length > page.length ? encodeCursor(page[page.length - 1], query.sort) : null,
+            total: null
+        };
+    }
+
+    /**
+     * Collect search entries matching every query token by prefix
+     * Without tokens the candidates are narrowed by rarity or status through an equality query
+     * @private
+     * @param {Array<string>} queryTokens - Tokens from tokenizeSearch
+     * @param {Object} query - Normalized query
+     * @returns {Promise<Array<Object>>} Entries ({ id, ...entry })
+     */
+    async getSearchCandidates(queryTokens, query) {
+        const { ref, get, query: databaseQuery, orderByKey, orderByChild, startAt, endAt, equalTo } =
+            await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+        const database = this.firebaseConfig.getDatabase();
+        const entriesRef = ref(database, 'characterSearch');
+        const toEntries = snapshot => {
+            const entries = [];
+            snapshot.forEach(child => {
+                entries.push({ id: child.key, ...child.val() });
+            });
+            return entries;
+        };
+
+        if (queryTokens.length === 0) {
+            const [field, value] = query.rarity ? ['rarity', query.rarity] : ['status', query.status];
+            const snapshot = value
+                ? await get(databaseQuery(entriesRef, orderByChild(field), equalTo(value)))
+                : await get(entriesRef);
+            return toEntries(snapshot);
+        }
+
+        // Every token narrows the candidates: IDs under any indexed word starting with it
+        let candidates = null;
+        for (const token of queryTokens) {
+            const snapshot = await get(databaseQuery(
+                ref(database, 'characterSearchTokens'), orderByKey(), startAt(token), endAt(`${token}\uf8ff`)
+            ));
+            const ids = new Set();
+            snapshot.forEach(child => {
+                Object.keys(child.val() || {}).forEach(id => ids.add(id));
+            });
+            candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+            if (candidates.size === 0) return [];
+        }
+
+        if (candidates.size > SEARCH_ENTRY_BATCH_LIMIT) {
+            return toEntries(await get(entriesRef)).filter(entry => candidates.has(entry.id));
+        }
+
+        const snapshots = await Promise.all([...candidates].map(id => get(ref(database, `characterSearch/${id}`))));
+        return snapshots
+            .filter(snapshot => snapshot.exists())
+            .map(snapshot => ({ id: snapshot.key, ...snapshot.val() }));
+    }
+
+    /**
+     * Load full characters for a page of IDs, skipping ones removed meanwhile
+     * @private
+     * @param {Array<string>} ids - Character IDs in page order
+     * @returns {Promise<Array<Object>>} Characters
+     */
+    async getCharactersByIds(ids) {
+        const characters = await Promise.all(ids.map(id => this.getCharacterById(id)));
+        return characters.filter(Boolean);
+    }
+
+    /**
+     * Build the search index from existing characters, once per index version
+     * @private
+     */
+    async ensureSearchIndex() {
+        if (this.searchIndexReady) return;
+
+        const { ref, get, update, set } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+        const database = this.firebaseConfig.getDatabase();
+        const versionSnapshot = await get(ref(database, 'counters/searchIndex/version'));
+
+        if (versionSnapshot.val() !== SEARCH_INDEX_VERSION) {
+            const characters = await this.getAllCharacters();
+            // Drop entries written in an older format before rebuilding
+            await update(ref(database), { characterSearch: null, characterSearchTokens: null });
+
+            const entries = {};
+            characters.forEach(({ id, ...character }) => Object.assign(entries, this.searchIndexUpdates(id, character)));
+            if (Object.keys(entries).length > 0) {
+                await update(ref(database), entries);
+            }
+            await set(ref(database, 'counters/searchIndex'), {
+                version: SEARCH_INDEX_VERSION,
+                builtAt: new Date().toISOString()
+            });
+        }
+
+        this.searchIndexReady = true;
+    }
+
+    /**
+     * Multi-path update entries that move a character's search entry and tokens
+     * @private
+     * @param {string} id - Character ID
+     * @param {Object|null} character - Character data after the write, null when removed
+     * @param {Object|null} previous - Character data before the write
+     * @returns {Object} Update entries
+     */
+    searchIndexUpdates(id, character, previous = null) {
+        const updates = {};
+        const tokens = character ? buildSearchTokens(character) : [];
+
+        if (previous) {
+            buildSearchTokens(previous)
+                .filter(token => !tokens.includes(token))
+                .forEach(token => { updates[`characterSearchTokens/${token}/${id}`] = null; });
+        }
+        tokens.forEach(token => { updates[`characterSearchTokens/${token}/${id}`] = true; });
+        updates[`characterSearch/${id}`] = character ? buildSearchEntry(character) : null;
+        return updates;
+    }
 }
 
 /**
@@ -190,6 +1007,12 @@ class LocalStorageCharacterRepository extends ICharacterRepository {
     constructor() {
         super();
         this.storageKey = 'monfleur_characters';
+        this.revisionsKey = 'monfleur_character_revisions';
+        this.trashKey = 'monfleur_character_trash';
+        this.trashSettingsKey = 'monfleur_trash_settings';
+        this.imageCheckSettingsKey = 'monfleur_image_check_settings';
+        this.transfersKey = 'monfleur_character_transfers';
+        this.reservationsKey = 'monfleur_masterlist_reservations';
         this.characters = [];
         this.loadCharacters();
     }
@@ -229,6 +1052,17 @@ class LocalStorageCharacterRepository extends ICharacterRepository {
     }
 
     async addCharacter(character) {
+        const number = parseMasterlistNumber(character.masterlistNumber);
+        if (number !== null && this.characters.some(char => parseMasterlistNumber(char.masterlistNumber) === number)) {
+            throw new Error('A character with this masterlist number already exists');
+        }
+        
+        const reservations = this.loadStoredObject(this.reservationsKey);
+        if (reservations[number]) {
+            delete reservations[number];
+            localStorage.setItem(this.reservationsKey, JSON.stringify(reservations));
+        }
+        
         const newCharacter = {
             ...character,
             id: this.generateId(),
@@ -241,6 +1075,14 @@ class LocalStorageCharacterRepository extends ICharacterRepository {
         return newCharacter.id;
     }
 
+    async addCharacters(characters) {
+        const ids = [];
+        for (const character of characters) {
+            ids.push(await this.addCharacter(character));
+        }
+        return ids;
+    }
+
     async updateCharacter(id, updates) {
         const index = this.characters.findIndex(char => char.id === id);
         if (index !== -1) {
@@ -263,6 +1105,182 @@ class LocalStorageCharacterRepository extends ICharacterRepository {
         return this.characters.length;
     }
 
+    async addCharacterRevision(characterId, revision) {
+        const revisions = this.loadRevisions();
+        const id = this.generateId();
+        
+        revisions[characterId] = [...(revisions[characterId] || []), { id, ...revision }];
+        localStorage.setItem(this.revisionsKey, JSON.stringify(revisions));
+        return id;
+    }
+
+    async getCharacterRevisions(characterId) {
+        return [...(this.loadRevisions()[characterId] || [])];
+    }
+
+    async moveCharacterToTrash(id, trashInfo) {
+        const character = this.characters.find(char => char.id === id);
+        if (!character) {
+            throw new Error('Character not found');
+        }
+        
+        const { id: _id, ...characterData } = character;
+        const trash = this.loadStoredObject(this.trashKey);
+        trash[id] = { character: characterData, ...trashInfo };
+        localStorage.setItem(this.trashKey, JSON.stringify(trash));
+        
+        this.characters = this.characters.filter(char => char.id !== id);
+        return this.saveCharacters();
+    }
+
+    async getTrashedCharacters() {
+        const trash = this.loadStoredObject(this.trashKey);
+        return Object.keys(trash).map(key => ({ id: key, ...trash[key] }));
+    }
+
+    async restoreCharacterFromTrash(id) {
+        const trash = this.loadStoredObject(this.trashKey);
+        if (!trash[id]) {
+            throw new Error('Character not found in recycle bin');
+        }
+        
+        const character = { ...trash[id].character, id, updatedAt: new Date().toISOString() };
+        delete trash[id];
+        localStorage.setItem(this.trashKey, JSON.stringify(trash));
+        
+        this.characters.push(character);
+        this.saveCharacters();
+        return character;
+    }
+
+    async purgeTrashedCharacter(id) {
+        const trash = this.loadStoredObject(this.trashKey);
+        delete trash[id];
+        localStorage.setItem(this.trashKey, JSON.stringify(trash));
+        
+        const revisions = this.loadRevisions();
+        delete revisions[id];
+        localStorage.setItem(this.revisionsKey, JSON.stringify(revisions));
+        return true;
+    }
+
+    async getTrashSettings() {
+        return this.loadStoredObject(this.trashSettingsKey);
+    }
+
+    async updateTrashSettings(settings) {
+        const current = this.loadStoredObject(this.trashSettingsKey);
+        localStorage.setItem(this.trashSettingsKey, JSON.stringify({ ...current, ...settings }));
+        return true;
+    }
+
+    async updateImageCheck(id, imageCheck) {
+        const character = this.characters.find(char => char.id === id);
+        if (!character) return false;
+        character.imageCheck = imageCheck;
+        return this.saveCharacters();
+    }
+
+    async getImageCheckSettings() {
+        return this.loadStoredObject(this.imageCheckSettingsKey);
+    }
+
+    async updateImageCheckSettings(settings) {
+        const current = this.loadStoredObject(this.imageCheckSettingsKey);
+        localStorage.setItem(this.imageCheckSettingsKey, JSON.stringify({ ...current, ...settings }));
+        return true;
+    }
+
+    async addTransfer(masterlistNumber, transfer) {
+        const transfers = this.loadStoredObject(this.transfersKey);
+        const id = this.generateId();
+        
+        transfers[masterlistNumber] = [...(transfers[masterlistNumber] || []), { id, ...transfer }];
+        localStorage.setItem(this.transfersKey, JSON.stringify(transfers));
+        return id;
+    }
+
+    async getTransfers(masterlistNumber) {
+        return [...(this.loadStoredObject(this.transfersKey)[masterlistNumber] || [])];
+    }
+
+    async commitTransfers(transfers, relatedPaths = {}) {
+        // Related paths address the Realtime Database, which this store does not have
+        if (Object.keys(relatedPaths).length > 0) {
+            throw new Error('Related updates require the Firebase repository');
+        }
+        
+        const ids = [];
+        for (const { character, record, updates, revision } of transfers) {
+            const transferId = await this.addTransfer(character.masterlistNumber, record);
+            await this.updateCharacter(character.id, updates);
+            await this.addCharacterRevision(character.id, { ...revision, transferId });
+            ids.push(transferId);
+        }
+        return ids;
+    }
+
+    async allocateMasterlistNumber(reservedBy) {
+        const reservations = this.loadStoredObject(this.reservationsKey);
+        const taken = new Set(this.characters.map(char => parseMasterlistNumber(char.masterlistNumber)));
+        const isFree = number => !taken.has(number) &&
+            !(reservations[number] && new Date(reservations[number].expiresAt).getTime() > Date.now());
+        
+        let number = 1;
+        while (!isFree(number)) number++;
+        
+        const reservation = {
+            reservedBy,
+            reservedAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + MASTERLIST_RESERVATION_TTL_MS).toISOString()
+        };
+        reservations[number] = reservation;
+        localStorage.setItem(this.reservationsKey, JSON.stringify(reservations));
+        return { masterlistNumber: formatMasterlistNumber(number), ...reservation };
+    }
+
+    async releaseMasterlistNumber(masterlistNumber, reservedBy) {
+        const reservations = this.loadStoredObject(this.reservationsKey);
+        const number = parseMasterlistNumber(masterlistNumber);
+        if (!reservations[number] || reservations[number].reservedBy !== reservedBy) {
+            return false;
+        }
+        
+        delete reservations[number];
+        localStorage.setItem(this.reservationsKey, JSON.stringify(reservations));
+        return true;
+    }
+
+    async getMasterlistReservations() {
+        return this.loadStoredObject(this.reservationsKey);
+    }
+
+    async queryCharacters(query = {}) {
+        return searchCharacterList(this.characters, query);
+    }
+
+    /**
+     * Load a JSON object stored under a localStorage key
+     * @param {string} key - Storage key
+     * @returns {Object} Stored object or empty object
+     */
+    loadStoredObject(key) {
+        try {
+            const stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error(`Error loading ${key} from localStorage:`, error);
+            return {};
+        }
+    }
+
+    /**
+     * Load revision map (characterId -> revisions) from localStorage
+     */
+    loadRevisions() {
+        return this.loadStoredObject(this.revisionsKey);
+    }
+
     generateMasterlistNumber() {
         const numbers = this.characters
             .map(char => char.masterlistNumber)
@@ -271,7 +1289,7 @@ class LocalStorageCharacterRepository extends ICharacterRepository {
             .filter(num => !isNaN(num));
         
         const maxNumber = numbers.length > 0 ? Math.max(...numbers) : 0;
-        return `ML-${String(maxNumber + 1).padStart(3, '0')}`;
+        return formatMasterlistNumber(maxNumber + 1);
     }
 
     /**
@@ -0,0 +1,77 @@
+/**
+ * Image Repository Interface
+ * Defines contract for image file storage implementations
+ */
+class IImageRepository {
+    async uploadImage(path, blob) { throw new Error('Method not implemented'); }
+    async deleteImage(url) { throw new Error('Method not implemented'); }
+}
+
+/**
+ * Firebase Image Repository
+ * Stores image files in the project's Firebase Storage bucket
+ */
+class FirebaseImageRepository extends IImageRepository {
+    constructor(firebaseConfig) {
+        super();
+        this.firebaseConfig = firebaseConfig;
+        this.storage = null;
+        this.storageFunctions = null;
+    }
+
+    /**
+     * Initialize repository with the Storage instance of the shared Firebase app
+     */
+    async initialize() {
+        if (!this.firebaseConfig.isInitialized()) {
+            throw new Error('Firebase not initialized');
+        }
+
+        const { getStorage, ref, uploadBytes, getDownloadURL, deleteObject } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js');
+        this.storage = getStorage(this.firebaseConfig.app);
+        this.storageFunctions = { ref, uploadBytes, getDownloadURL, deleteObject };
+    }
+
+    /**
+     * Upload an image file
+     * @param {string} path - Storage path
+     * @param {Blob} blob - Image data
+     * @returns {Promise<string>} Public download URL
+     */
+    async uploadImage(path, blob) {
+        try {
+            const { ref, uploadBytes, getDownloadURL } = this.storageFunctions;
+            const fileRef = ref(this.storage, path);
+
+            await uploadBytes(fileRef, blob, {
+                contentType: blob.type,
+                cacheControl: 'public, max-age=31536000, immutable'
+            });
+            return await getDownloadURL(fileRef);
+        } catch (error) {
+            console.error('Error uploading image:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete an image file
+     * @param {string} url - Download URL returned by uploadImage
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteImage(url) {
+        try {
+            const { ref, deleteObject } = this.storageFunctions;
+            await deleteObject(ref(this.storage, url));
+            return true;
+        } catch (error) {
+            if (error.code === 'storage/object-not-found') {
+                return true;
+            }
+            console.error('Error deleting image:', error);
+            throw error;
+        }
+    }
+}
+
+export { IImageRepository, FirebaseImageRepository };
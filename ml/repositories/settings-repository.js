@@ -0,0 +1,105 @@
+/**
+ * Settings Repository Interface
+ * Defines contract for system settings storage implementations
+ */
+class ISettingsRepository {
+    async getSetting(id) { throw new Error('Method not implemented'); }
+    async saveSetting(id, data) { throw new Error('Method not implemented'); }
+}
+
+/**
+ * Firestore Settings Repository
+ * Stores one document per setting in the system_settings collection
+ */
+class FirestoreSettingsRepository extends ISettingsRepository {
+    constructor(firebaseConfig) {
+        super();
+        this.firebaseConfig = firebaseConfig;
+        this.db = null;
+        this.firestoreFunctions = null;
+    }
+
+    /**
+     * Initialize repository with the Firestore instance of the shared Firebase app
+     */
+    async initialize() {
+        if (!this.firebaseConfig.isInitialized()) {
+            throw new Error('Firebase not initialized');
+        }
+
+        const { getFirestore, doc, getDoc, setDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+        this.db = getFirestore(this.firebaseConfig.app);
+        this.firestoreFunctions = { doc, getDoc, setDoc };
+    }
+
+    /**
+     * Get a settings document
+     * @param {string} id - Setting document ID
+     * @returns {Promise<Object|null>} Setting data or null
+     */
+    async getSetting(id) {
+        try {
+            const { doc, getDoc } = this.firestoreFunctions;
+            const snapshot = await getDoc(doc(this.db, 'system_settings', id));
+
+            return snapshot.exists() ? snapshot.data() : null;
+        } catch (error) {
+            console.error('Error fetching setting:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a settings document
+     * @param {string} id - Setting document ID
+     * @param {Object} data - Setting data
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveSetting(id, data) {
+        try {
+            const { doc, setDoc } = this.firestoreFunctions;
+            await setDoc(doc(this.db, 'system_settings', id), data);
+            return true;
+        } catch (error) {
+            console.error('Error saving setting:', error);
+            throw error;
+        }
+    }
+}
+
+/**
+ * LocalStorage Settings Repository
+ * Fallback implementation using browser localStorage
+ */
+class LocalStorageSettingsRepository extends ISettingsRepository {
+    constructor() {
+        super();
+        this.storageKey = 'monfleur_settings';
+    }
+
+    /**
+     * Load all settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading settings from localStorage:', error);
+            return {};
+        }
+    }
+
+    async getSetting(id) {
+        return this.loadSettings()[id] || null;
+    }
+
+    async saveSetting(id, data) {
+        const settings = this.loadSettings();
+        settings[id] = data;
+        localStorage.setItem(this.storageKey, JSON.stringify(settings));
+        return true;
+    }
+}
+
+export { ISettingsRepository, FirestoreSettingsRepository, LocalStorageSettingsRepository };
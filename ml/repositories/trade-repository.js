@@ -0,0 +1,278 @@
+/**
+ * Trade Repository Interface
+ * Defines contract for trade offer storage implementations
+ */
+class ITradeRepository {
+    async getAllOffers() { throw new Error('Method not implemented'); }
+    async getOfferById(id) { throw new Error('Method not implemented'); }
+    async addOffer(offer) { throw new Error('Method not implemented'); }
+    async updateOffer(id, updates) { throw new Error('Method not implemented'); }
+    async addResponse(offerId, response) { throw new Error('Method not implemented'); }
+    async updateResponse(offerId, responseId, updates) { throw new Error('Method not implemented'); }
+    getOfferPaths(id, updates) { throw new Error('Method not implemented'); }
+}
+
+/**
+ * Firebase Trade Repository
+ * Stores offers under content/trades, each with its counter-offers nested in responses
+ */
+class FirebaseTradeRepository extends ITradeRepository {
+    constructor(firebaseConfig) {
+        super();
+        this.firebaseConfig = firebaseConfig;
+        this.tradesRef = null;
+    }
+
+    /**
+     * Initialize repository with Firebase database reference
+     */
+    async initialize() {
+        if (!this.firebaseConfig.isInitialized()) {
+            throw new Error('Firebase not initialized');
+        }
+
+        const { ref } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+        this.tradesRef = ref(this.firebaseConfig.getDatabase(), 'content/trades');
+    }
+
+    /**
+     * Get all trade offers
+     * @returns {Promise<Array>} Offers with responses as arrays
+     */
+    async getAllOffers() {
+        try {
+            const { get } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const snapshot = await get(this.tradesRef);
+
+            if (snapshot.exists()) {
+                const data = snapshot.val();
+                return Object.keys(data).map(key => this.toOffer(key, data[key]));
+            }
+            return [];
+        } catch (error) {
+            console.error('Error fetching trade offers:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get trade offer by ID
+     * @param {string} id - Offer ID
+     * @returns {Promise<Object|null>} Offer or null
+     */
+    async getOfferById(id) {
+        try {
+            const { ref, get } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const snapshot = await get(ref(this.firebaseConfig.getDatabase(), `content/trades/${id}`));
+
+            return snapshot.exists() ? this.toOffer(id, snapshot.val()) : null;
+        } catch (error) {
+            console.error('Error fetching trade offer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add new trade offer
+     * @param {Object} offer - Offer data
+     * @returns {Promise<string>} Offer ID
+     */
+    async addOffer(offer) {
+        try {
+            const { push, set } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+
+            const newOfferRef = push(this.tradesRef);
+            await set(newOfferRef, offer);
+            return newOfferRef.key;
+        } catch (error) {
+            console.error('Error adding trade offer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update trade offer fields
+     * Keys may be nested paths (e.g. responses/{id}/state) to touch several responses at once
+     * @param {string} id - Offer ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateOffer(id, updates) {
+        try {
+            const { ref, update } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+
+            await update(ref(this.firebaseConfig.getDatabase(), `content/trades/${id}`), {
+                ...updates,
+                updatedAt: new Date().toISOString()
+            });
+            return true;
+        } catch (error) {
+            console.error('Error updating trade offer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Root-relative paths that apply offer updates, for writing them together with other changes
+     * @param {string} id - Offer ID
+     * @param {Object} updates - Fields to update, as for updateOffer
+     * @returns {Object} Paths and values
+     */
+    getOfferPaths(id, updates) {
+        const paths = {};
+        Object.entries({ ...updates, updatedAt: new Date().toISOString() }).forEach(([key, value]) => {
+            paths[`content/trades/${id}/${key}`] = value;
+        });
+        return paths;
+    }
+
+    /**
+     * Add counter-offer to a trade offer
+     * @param {string} offerId - Offer ID
+     * @param {Object} response - Counter-offer data
+     * @returns {Promise<string>} Response ID
+     */
+    async addResponse(offerId, response) {
+        try {
+            const { ref, push, set } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+
+            const newResponseRef = push(ref(this.firebaseConfig.getDatabase(), `content/trades/${offerId}/responses`));
+            await set(newResponseRef, response);
+            return newResponseRef.key;
+        } catch (error) {
+            console.error('Error adding trade response:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update counter-offer fields
+     * @param {string} offerId - Offer ID
+     * @param {string} responseId - Response ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateResponse(offerId, responseId, updates) {
+        try {
+            const { ref, update } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+
+            await update(ref(this.firebaseConfig.getDatabase(), `content/trades/${offerId}/responses/${responseId}`), updates);
+            return true;
+        } catch (error) {
+            console.error('Error updating trade response:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert stored offer into plain object with a responses array
+     * @private
+     */
+    toOffer(id, data) {
+        const responses = data.responses || {};
+        return {
+            id,
+            ...data,
+            responses: Object.keys(responses).map(key => ({ id: key, ...responses[key] }))
+        };
+    }
+}
+
+/**
+ * LocalStorage Trade Repository
+ * Fallback implementation using browser localStorage
+ */
+class LocalStorageTradeRepository extends ITradeRepository {
+    constructor() {
+        super();
+        this.storageKey = 'monfleur_trades';
+    }
+
+    /**
+     * Load offers from localStorage
+     */
+    loadOffers() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Error loading trade offers from localStorage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save offers to localStorage
+     */
+    saveOffers(offers) {
+        localStorage.setItem(this.storageKey, JSON.stringify(offers));
+        return true;
+    }
+
+    async getAllOffers() {
+        return this.loadOffers();
+    }
+
+    async getOfferById(id) {
+        return this.loadOffers().find(offer => offer.id === id) || null;
+    }
+
+    async addOffer(offer) {
+        const offers = this.loadOffers();
+        const id = this.generateId();
+
+        offers.push({ ...offer, id, responses: [] });
+        this.saveOffers(offers);
+        return id;
+    }
+
+    async updateOffer(id, updates) {
+        const offers = this.loadOffers();
+        const offer = offers.find(item => item.id === id);
+        if (!offer) throw new Error('Trade offer not found');
+
+        Object.entries(updates).forEach(([key, value]) => {
+            const [field, responseId, responseField] = key.split('/');
+            if (field === 'responses' && responseField) {
+                const response = offer.responses.find(item => item.id === responseId);
+                if (response) response[responseField] = value;
+            } else {
+                offer[key] = value;
+            }
+        });
+        offer.updatedAt = new Date().toISOString();
+
+        this.saveOffers(offers);
+        return true;
+    }
+
+    async addResponse(offerId, response) {
+        const offers = this.loadOffers();
+        const offer = offers.find(item => item.id === offerId);
+        if (!offer) throw new Error('Trade offer not found');
+
+        const id = this.generateId();
+        offer.responses = [...(offer.responses || []), { ...response, id }];
+        this.saveOffers(offers);
+        return id;
+    }
+
+    async updateResponse(offerId, responseId, updates) {
+        const offers = this.loadOffers();
+        const response = offers.find(item => item.id === offerId)?.responses.find(item => item.id === responseId);
+        if (!response) throw new Error('Trade response not found');
+
+        Object.assign(response, updates);
+        this.saveOffers(offers);
+        return true;
+    }
+
+    /**
+     * Generate unique ID for new offers and responses
+     */
+    generateId() {
+        return 'trade_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+export { ITradeRepository, FirebaseTradeRepository, LocalStorageTradeRepository };
@@ -0,0 +1,196 @@
+/**
+ * Trait Repository Interface
+ * Defines contract for trait catalog storage implementations
+ */
+class ITraitRepository {
+    async getAllTraits() { throw new Error('Method not implemented'); }
+    async getTraitById(id) { throw new Error('Method not implemented'); }
+    async addTrait(trait) { throw new Error('Method not implemented'); }
+    async updateTrait(id, updates) { throw new Error('Method not implemented'); }
+    async deleteTrait(id) { throw new Error('Method not implemented'); }
+}
+
+/**
+ * Firebase Trait Repository
+ * Stores the catalog under content/traits so public pages can read it for filtering
+ */
+class FirebaseTraitRepository extends ITraitRepository {
+    constructor(firebaseConfig) {
+        super();
+        this.firebaseConfig = firebaseConfig;
+        this.traitsRef = null;
+    }
+
+    /**
+     * Initialize repository with Firebase database reference
+     */
+    async initialize() {
+        if (!this.firebaseConfig.isInitialized()) {
+            throw new Error('Firebase not initialized');
+        }
+
+        const { ref } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+        this.traitsRef = ref(this.firebaseConfig.getDatabase(), 'content/traits');
+    }
+
+    /**
+     * Get all catalog traits
+     * @returns {Promise<Array>} Traits
+     */
+    async getAllTraits() {
+        try {
+            const { get } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const snapshot = await get(this.traitsRef);
+
+            if (snapshot.exists()) {
+                const data = snapshot.val();
+                return Object.keys(data).map(key => ({ id: key, ...data[key] }));
+            }
+            return [];
+        } catch (error) {
+            console.error('Error fetching traits:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get catalog trait by ID
+     * @param {string} id - Trait ID
+     * @returns {Promise<Object|null>} Trait or null
+     */
+    async getTraitById(id) {
+        try {
+            const { ref, get } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const snapshot = await get(ref(this.firebaseConfig.getDatabase(), `content/traits/${id}`));
+
+            return snapshot.exists() ? { id, ...snapshot.val() } : null;
+        } catch (error) {
+            console.error('Error fetching trait:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add catalog trait
+     * @param {Object} trait - Trait data
+     * @returns {Promise<string>} Trait ID
+     */
+    async addTrait(trait) {
+        try {
+            const { push, set } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+
+            const newTraitRef = push(this.traitsRef);
+            await set(newTraitRef, trait);
+            return newTraitRef.key;
+        } catch (error) {
+            console.error('Error adding trait:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update catalog trait fields
+     * @param {string} id - Trait ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateTrait(id, updates) {
+        try {
+            const { ref, update } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+
+            await update(ref(this.firebaseConfig.getDatabase(), `content/traits/${id}`), updates);
+            return true;
+        } catch (error) {
+            console.error('Error updating trait:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete catalog trait
+     * @param {string} id - Trait ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteTrait(id) {
+        try {
+            const { ref, remove } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+
+            await remove(ref(this.firebaseConfig.getDatabase(), `content/traits/${id}`));
+            return true;
+        } catch (error) {
+            console.error('Error deleting trait:', error);
+            throw error;
+        }
+    }
+}
+
+/**
+ * LocalStorage Trait Repository
+ * Fallback implementation using browser localStorage
+ */
+class LocalStorageTraitRepository extends ITraitRepository {
+    constructor() {
+        super();
+        this.storageKey = 'monfleur_traits';
+    }
+
+    /**
+     * Load traits from localStorage
+     */
+    loadTraits() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Error loading traits from localStorage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save traits to localStorage
+     */
+    saveTraits(traits) {
+        localStorage.setItem(this.storageKey, JSON.stringify(traits));
+        return true;
+    }
+
+    async getAllTraits() {
+        return this.loadTraits();
+    }
+
+    async getTraitById(id) {
+        return this.loadTraits().find(trait => trait.id === id) || null;
+    }
+
+    async addTrait(trait) {
+        const traits = this.loadTraits();
+        const id = this.generateId();
+
+        traits.push({ ...trait, id });
+        this.saveTraits(traits);
+        return id;
+    }
+
+    async updateTrait(id, updates) {
+        const traits = this.loadTraits();
+        const trait = traits.find(item => item.id === id);
+        if (!trait) throw new Error('Trait not found');
+
+        Object.assign(trait, updates);
+        return this.saveTraits(traits);
+    }
+
+    async deleteTrait(id) {
+        return this.saveTraits(this.loadTraits().filter(trait => trait.id !== id));
+    }
+
+    /**
+     * Generate unique ID for new traits
+     */
+    generateId() {
+        return 'trait_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+export { ITraitRepository, FirebaseTraitRepository, LocalStorageTraitRepository };
@@ -1,28 +1,38 @@
 /**
  * Authentication Service Module
- * Handles user authentication exclusively through Firestore
+ * Handles user authentication through the login Cloud Function and signed session tokens
  * Follows SOLID principles for maintainability and extensibility
  */
 
 import firebaseConfig from '../config/firebase-config.js';
+import { hasPermission, normalizeRole } from '../config/permissions.js';
+import { clearSession, completeTwoFactorSignIn, signIn, validateSession } from './session-service.js';
+
+// Permissions behind the role names pages used to require
+const ROLE_REQUIREMENTS = {
+    any: 'dashboard.access',
+    moderator: 'dashboard.access',
+    administrator: 'user.manage'
+};
 
 /**
  * Authentication Service Class
  * Manages user authentication, session handling, and role-based access control
- * Uses only Firestore as the data source - no hardcoded credentials
+ * Credentials are checked server-side; the browser only holds a signed, expiring session token
  */
 class AuthenticationService {
     constructor() {
-        this.db = null;
         this.isInitialized = false;
         this.currentUser = null;
-        this.firestoreFunctions = null;
+        this.isSessionVerified = false;
         
         console.log('🔐 Authentication Service initialized');
     }
 
     /**
-     * Initialize Firebase Firestore connection
+     * Initialize Firebase and verify the stored session with the server
+     * The current user is only set when the server accepts the session; on any failure, including a
+     * network error, the page has no signed-in user
      * @returns {Promise<boolean>} Initialization success status
      */
     async initialize() {
@@ -33,29 +43,7 @@ class AuthenticationService {
                 throw new Error('Firebase configuration failed');
             }
 
-            // Import and initialize Firestore functions
-            const { 
-                getFirestore, 
-                collection, 
-                getDocs, 
-                query, 
-                where, 
-                limit 
-            } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-            
-            this.db = getFirestore(firebaseConfig.app);
-            
-            // Store Firestore functions for later use
-            this.firestoreFunctions = {
-                collection,
-                getDocs,
-                query,
-                where,
-                limit
-            };
-
-            // Restore session if available
-            this.restoreSession();
+            await this.validateSession();
             
             this.isInitialized = true;
             console.log('✅ Authentication Service initialized successfully');
@@ -67,8 +55,8 @@ class AuthenticationService {
     }
 
     /**
-     * Authenticate user against Firestore database
-     * @param {string} email - User email
+     * Authenticate user through the login Cloud Function
+     * @param {string} email - User email or username
      * @param {string} password - User password
      * @returns {Promise<Object>} Authentication result
      */
@@ -87,56 +75,19 @@ class AuthenticationService {
                 };
             }
 
-            // Query Firestore for user by email
-            const user = await this.getUserByEmail(email);
-            
-            if (!user) {
-                return {
-                    success: false,
-                    error: 'Invalid email or password',
-                    code: 'INVALID_CREDENTIALS'
-                };
-            }
-
-            // Check if account is active - return same error as invalid credentials for security
-            if (!user.active) {
-                return {
-                    success: false,
-                    error: 'Invalid email or password',
-                    code: 'INVALID_CREDENTIALS'
-                };
-            }
-
-            // Verify password
-            const isPasswordValid = await this.verifyPassword(password, user.password);
-            
-            if (!isPasswordValid) {
-                return {
-                    success: false,
-                    error: 'Invalid email or password',
-                    code: 'INVALID_CREDENTIALS'
-                };
+            const result = await signIn(email, password);
+            if (!result.success) {
+                return result;
             }
 
-            // Create authenticated user object
-            const authenticatedUser = {
-                uid: user.uid,
-                email: user.email,
-                username: user.username,
-                role: user.role,
-                displayName: user.displayName,
-                active: user.active,
-                createdAt: user.createdAt,
-                lastLogin: new Date().toISOString()
-            };
-
-            // Set current user and store in session storage
-            this.setCurrentUser(authenticatedUser);
+            // Set current user and store display copy in session storage
+            this.setCurrentUser(result.user);
+            this.isSessionVerified = true;
 
             console.log('✅ User authenticated successfully:', email);
             return {
                 success: true,
-                user: authenticatedUser,
+                user: result.user,
                 message: 'Authentication successful'
             };
 
@@ -151,90 +102,37 @@ class AuthenticationService {
     }
 
     /**
-     * Get user by email from Firestore
-     * @param {string} email - User email
-     * @returns {Promise<Object|null>} User object or null if not found
+     * Finish a sign in for an account with two-factor authentication
+     * @param {string} challenge - Challenge from the authenticateUser result
+     * @param {string} code - Authenticator app code or recovery code
+     * @returns {Promise<Object>} Authentication result
      */
-    async getUserByEmail(email) {
-        try {
-            if (!this.isInitialized) {
-                throw new Error('Authentication service not initialized');
-            }
-
-            const { collection, query, where, getDocs, limit } = this.firestoreFunctions;
-            
-            // Query users collection for matching email
-            const usersRef = collection(this.db, 'users');
-            const q = query(
-                usersRef, 
-                where('email', '==', email.toLowerCase()),
-                limit(1)
-            );
-            
-            const querySnapshot = await getDocs(q);
-            
-            if (querySnapshot.empty) {
-                console.log('🔍 User not found:', email);
-                return null;
-            }
-
-            // Get the first (and should be only) matching user
-            const userDoc = querySnapshot.docs[0];
-            const userData = userDoc.data();
-            
-            return {
-                uid: userDoc.id,
-                ...userData
-            };
-
-        } catch (error) {
-            console.error('❌ Error fetching user by email:', error);
-            throw error;
+    async authenticateTwoFactor(challenge, code) {
+        const result = await completeTwoFactorSignIn(challenge, code);
+        if (result.success) {
+            this.setCurrentUser(result.user);
+            this.isSessionVerified = true;
         }
+        return result;
     }
 
     /**
-     * Verify password using SHA-256 hashing
-     * @param {string} password - Plain text password
-     * @param {string} storedHash - Stored password hash
-     * @returns {Promise<boolean>} Password verification result
+     * Verify the stored session token with the server
+     * Role and account status come from the server, not from session storage
+     * @returns {Promise<boolean>} True when the session is valid
      */
-    async verifyPassword(password, storedHash) {
-        try {
-            // Hash the provided password
-            const hashedPassword = await this.hashPassword(password);
-            
-            // Compare with stored hash
-            return hashedPassword === storedHash;
-        } catch (error) {
-            console.error('❌ Password verification error:', error);
+    async validateSession() {
+        const user = await validateSession();
+
+        if (!user) {
+            this.currentUser = null;
+            this.isSessionVerified = false;
             return false;
         }
-    }
 
-    /**
-     * Hash password using SHA-256
-     * @param {string} password - Plain text password
-     * @returns {Promise<string>} Hashed password
-     */
-    async hashPassword(password) {
-        try {
-            // Convert password to Uint8Array
-            const encoder = new TextEncoder();
-            const data = encoder.encode(password);
-            
-            // Hash using SHA-256
-            const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-            
-            // Convert to hex string
-            const hashArray = Array.from(new Uint8Array(hashBuffer));
-            const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-            
-            return hashHex;
-        } catch (error) {
-            console.error('❌ Password hashing error:', error);
-            throw error;
-        }
+        this.setCurrentUser(user);
+        this.isSessionVerified = true;
+        return true;
     }
 
     /**
@@ -285,11 +183,20 @@ class AuthenticationService {
     }
 
     /**
-     * Check if current user is an administrator
+     * Check if the current user's role grants a permission
+     * @param {string} permission - Permission name from config/permissions.js, e.g. 'user.manage'
+     * @returns {boolean} True when granted
+     */
+    hasPermission(permission) {
+        return !!this.currentUser && hasPermission(this.currentUser.role, permission);
+    }
+
+    /**
+     * Check if current user is an administrator (admin or super-admin)
      * @returns {boolean} Administrator status
      */
     isAdministrator() {
-        return this.currentUser && (this.currentUser.role === 'administrator' || this.currentUser.role === 'admin');
+        return this.hasPermission('user.manage');
     }
 
     /**
@@ -297,65 +204,24 @@ class AuthenticationService {
      * @returns {boolean} Moderator status
      */
     isModerator() {
-        return this.currentUser && this.currentUser.role === 'moderator';
+        return !!this.currentUser && normalizeRole(this.currentUser.role) === 'moderator';
     }
 
     /**
      * Get current user's role
+     * Older role names are returned by their canonical name ('administrator' becomes 'admin')
      * @returns {string|null} User role or null if not authenticated
      */
     getCurrentUserRole() {
-        return this.currentUser ? this.currentUser.role : null;
+        return this.currentUser ? normalizeRole(this.currentUser.role) : null;
     }
 
     /**
-     * Check if user has admin privileges (administrator or moderator)
+     * Check if user may open the dashboard (administrators and moderators)
      * @returns {boolean} Admin privileges status
      */
     hasAdminPrivileges() {
-        return this.isAdministrator() || this.isModerator();
-    }
-
-    /**
-     * Restore user session from storage
-     * @returns {boolean} Session restoration success
-     */
-    restoreSession() {
-        try {
-            const adminEmail = sessionStorage.getItem('adminEmail');
-            const currentUserData = sessionStorage.getItem('currentUser');
-            const username = sessionStorage.getItem('username');
-            
-            // Try to restore from currentUser data first
-            if (currentUserData) {
-                try {
-                    const user = JSON.parse(currentUserData);
-                    this.currentUser = user;
-                    console.log('✅ Session restored from currentUser for:', user.email || user.username);
-                    return true;
-                } catch (parseError) {
-                    console.warn('⚠️ Failed to parse currentUser data:', parseError);
-                }
-            }
-            
-            // Fallback to adminEmail if currentUser is not available
-            if (adminEmail) {
-                this.currentUser = {
-                    email: adminEmail,
-                    username: username || adminEmail.split('@')[0],
-                    role: 'moderator', // Default role for legacy sessions
-                    uid: 'legacy-' + Date.now()
-                };
-                console.log('✅ Session restored from adminEmail for:', adminEmail);
-                return true;
-            }
-            
-            console.log('ℹ️ No session to restore');
-            return false;
-        } catch (error) {
-            console.error('❌ Error restoring session:', error);
-            return false;
-        }
+        return this.hasPermission('dashboard.access');
     }
 
     /**
@@ -364,9 +230,8 @@ class AuthenticationService {
     logout() {
         try {
             this.currentUser = null;
-            sessionStorage.removeItem('adminEmail');
-            sessionStorage.removeItem('currentUser');
-            sessionStorage.removeItem('username');
+            this.isSessionVerified = false;
+            clearSession();
             console.log('✅ User logged out successfully');
         } catch (error) {
             console.error('❌ Error during logout:', error);
@@ -375,10 +240,11 @@ class AuthenticationService {
 
     /**
      * Validate user access for specific pages
-     * @param {string} requiredRole - Required role for access ('administrator', 'moderator', or 'any')
+     * @param {string} requirement - Permission name (e.g. 'user.manage'), or one of the older role
+     *                               requirements 'administrator', 'moderator' or 'any'
      * @returns {Object} Access validation result
      */
-    validateAccess(requiredRole = 'any') {
+    validateAccess(requirement = 'any') {
         // Check if user is authenticated
         if (!this.isAuthenticated()) {
             return {
@@ -388,45 +254,20 @@ class AuthenticationService {
             };
         }
 
-        const userRole = this.getCurrentUserRole();
-        
-        // Check role-specific access
-        switch (requiredRole) {
-            case 'administrator':
-                if (!this.isAdministrator()) {
-                    return {
-                        hasAccess: false,
-                        redirectTo: this.isModerator() ? 'profile-settings.html' : '../login.html',
-                        reason: 'Insufficient privileges - Administrator access required'
-                    };
-                }
-                break;
-                
-            case 'moderator':
-                if (!this.isModerator()) {
-                    return {
-                        hasAccess: false,
-                        redirectTo: this.isAdministrator() ? 'user-management.html' : '../login.html',
-                        reason: 'Insufficient privileges - Moderator access required'
-                    };
-                }
-                break;
-                
-            case 'any':
-                if (!this.hasAdminPrivileges()) {
-                    return {
-                        hasAccess: false,
-                        redirectTo: '../login.html',
-                        reason: 'Admin privileges required'
-                    };
-                }
-                break;
+        const permission = ROLE_REQUIREMENTS[requirement] || requirement;
+        if (!this.hasPermission(permission)) {
+            return {
+                hasAccess: false,
+                redirectTo: this.hasAdminPrivileges() ? 'profile-settings.html' : '../login.html',
+                reason: `Insufficient privileges - ${permission} permission required`,
+                permission
+            };
         }
 
         return {
             hasAccess: true,
             user: this.currentUser,
-            role: userRole
+            role: this.getCurrentUserRole()
         };
     }
 
@@ -439,6 +280,9 @@ class AuthenticationService {
         const errorMessages = {
             'MISSING_CREDENTIALS': 'Please enter both email and password.',
             'INVALID_CREDENTIALS': 'Invalid email or password.',
+            'TWO_FACTOR_REQUIRED': 'Enter the code from your authenticator app.',
+            'CHALLENGE_EXPIRED': 'The sign in attempt has expired. Please sign in again.',
+            'TOO_MANY_ATTEMPTS': 'Too many failed sign in attempts. Please try again later.',
             'ACCOUNT_INACTIVE': 'Account is inactive. Please contact an administrator.',
             'AUTH_ERROR': 'Authentication failed. Please try again.',
             'SERVICE_UNAVAILABLE': 'Authentication service is temporarily unavailable.',
@@ -0,0 +1,224 @@
+/**
+ * Character Image Helpers
+ * A character has an ordered gallery of images, each with a caption, a credited artist and one marked primary
+ * Uploaded images are hosted in Firebase Storage as a full-size and a preview variant (main / preview)
+ * Google Drive share links are still accepted, both as gallery images and in imageUrl for imported and older characters
+ */
+
+// Longest side in pixels of each generated variant
+const IMAGE_VARIANTS = {
+    main: { maxSize: 2048, quality: 0.9 },
+    preview: { maxSize: 480, quality: 0.8 }
+};
+
+const ACCEPTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+const MAX_IMAGE_FILE_SIZE = 15 * 1024 * 1024;
+
+// Storage folder per character, mirroring public/media/characters/ML-0001/
+const CHARACTER_MEDIA_FOLDER = 'media/characters';
+
+// Google Drive thumbnail size used for each variant of a legacy link
+const DRIVE_THUMBNAIL_SIZES = {
+    main: 'w800-h800',
+    preview: 'w400-h400'
+};
+
+const DRIVE_FILE_ID_PATTERNS = [
+    /\/file\/d\/([a-zA-Z0-9-_]+)/,
+    /id=([a-zA-Z0-9-_]+)/,
+    /\/d\/([a-zA-Z0-9-_]+)\//
+];
+
+/**
+ * Check whether a link points at Google Drive
+ * @param {string} url - Image link
+ * @returns {boolean} True for Google Drive links
+ */
+function isGoogleDriveUrl(url) {
+    return Boolean(url) && url.includes('drive.google.com');
+}
+
+/**
+ * Convert a Google Drive share link to a thumbnail URL
+ * @param {string} url - Google Drive share link
+ * @param {string} size - Thumbnail size (e.g. 'w400-h400')
+ * @returns {string} Thumbnail URL, or the link itself when it is not a Drive file link
+ */
+function convertDriveUrl(url, size = DRIVE_THUMBNAIL_SIZES.preview) {
+    if (!url) return '';
+
+    for (const pattern of DRIVE_FILE_ID_PATTERNS) {
+        const match = url.match(pattern);
+        if (match) {
+            return `https://drive.google.com/thumbnail?id=${match[1]}&sz=${size}`;
+        }
+    }
+
+    return url;
+}
+
+/**
+ * Clean up a gallery before it is saved
+ * Drops images without a URL, trims text and makes sure exactly one image is primary
+ * @param {Array<Object>} gallery - Gallery images ({ id, main, preview, caption, artist, isPrimary })
+ * @returns {Array<Object>} Gallery in the same order
+ */
+function normalizeGallery(gallery) {
+    const images = (Array.isArray(gallery) ? gallery : [])
+        .filter(image => image && image.main)
+        .map((image, index) => ({
+            id: image.id || `image-${index + 1}`,
+            main: image.main,
+            preview: image.preview || image.main,
+            caption: (image.caption || '').trim(),
+            artist: (image.artist || '').trim(),
+            isPrimary: Boolean(image.isPrimary)
+        }));
+
+    const primaryIndex = Math.max(0, images.findIndex(image => image.isPrimary));
+    images.forEach((image, index) => { image.isPrimary = index === primaryIndex; });
+
+    return images;
+}
+
+/**
+ * Get the gallery of a character
+ * Characters saved before galleries existed get a one-image gallery from images or imageUrl
+ * @param {Object} character - Character data
+ * @returns {Array<Object>} Gallery images in order
+ */
+function getCharacterImages(character) {
+    if (Array.isArray(character?.gallery) && character.gallery.length > 0) {
+        return normalizeGallery(character.gallery);
+    }
+
+    const main = character?.images?.main || character?.imageUrl;
+    if (!main) {
+        return [];
+    }
+
+    return normalizeGallery([{
+        id: 'image-1',
+        main,
+        preview: character.images?.preview || main,
+        artist: character.artist,
+        isPrimary: true
+    }]);
+}
+
+/**
+ * Get the primary image of a character
+ * @param {Object} character - Character data
+ * @returns {Object|null} Gallery image
+ */
+function getPrimaryImage(character) {
+    return getCharacterImages(character).find(image => image.isPrimary) || null;
+}
+
+/**
+ * Get the URL to display for a gallery image
+ * Drive links are turned into thumbnails of the matching size
+ * @param {Object} image - Gallery image
+ * @param {string} variant - 'main' or 'preview'
+ * @returns {string} Image URL
+ */
+function getImageUrl(image, variant = 'preview') {
+    const url = image?.[variant] || image?.main || '';
+    return isGoogleDriveUrl(url) ? convertDriveUrl(url, DRIVE_THUMBNAIL_SIZES[variant] || DRIVE_THUMBNAIL_SIZES.preview) : url;
+}
+
+/**
+ * Get the URL to display for a character's primary image
+ * @param {Object} character - Character data
+ * @param {string} variant - 'main' or 'preview'
+ * @returns {string} Image URL, empty when the character has no image
+ */
+function getCharacterImageUrl(character, variant = 'preview') {
+    return getImageUrl(getPrimaryImage(character), variant);
+}
+
+/**
+ * Get every image URL pages display for a character
+ * Used by the image link check, so a broken preview is found as well as a broken full-size image
+ * @param {Object} character - Character data
+ * @returns {Array<string>} Unique URLs
+ */
+function getCharacterImageLinks(character) {
+    const links = getCharacterImages(character)
+        .flatMap(image => Object.keys(IMAGE_VARIANTS).map(variant => getImageUrl(image, variant)));
+    return [...new Set(links.filter(Boolean))];
+}
+
+/**
+ * Get the storage folder of a character
+ * @param {string} masterlistNumber - Masterlist number (e.g. ML-0001)
+ * @returns {string} Folder path
+ */
+function getCharacterMediaFolder(masterlistNumber) {
+    return `${CHARACTER_MEDIA_FOLDER}/${masterlistNumber.replace(/[^A-Za-z0-9-]/g, '')}`;
+}
+
+/**
+ * Check that a file can be uploaded as a character image
+ * @param {File} file - Selected file
+ * @returns {string|null} Error message, or null when the file is accepted
+ */
+function validateImageFile(file) {
+    if (!file) {
+        return 'No image selected';
+    }
+    if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+        return 'Images must be PNG, JPEG, WebP or GIF';
+    }
+    if (file.size > MAX_IMAGE_FILE_SIZE) {
+        return `Images must be smaller than ${MAX_IMAGE_FILE_SIZE / 1024 / 1024} MB`;
+    }
+    return null;
+}
+
+/**
+ * Resize an image file into every variant
+ * Images smaller than a variant are not scaled up
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<Object>} WebP blobs keyed by variant ({ main, preview })
+ */
+async function createImageVariants(file) {
+    const bitmap = await createImageBitmap(file);
+    const variants = {};
+
+    try {
+        for (const [variant, { maxSize, quality }] of Object.entries(IMAGE_VARIANTS)) {
+            const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(bitmap.width * scale);
+            canvas.height = Math.round(bitmap.height * scale);
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+            variants[variant] = await new Promise((resolve, reject) => {
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode image'))), 'image/webp', quality);
+            });
+        }
+    } finally {
+        bitmap.close();
+    }
+
+    return variants;
+}
+
+export {
+    IMAGE_VARIANTS,
+    ACCEPTED_IMAGE_TYPES,
+    MAX_IMAGE_FILE_SIZE,
+    isGoogleDriveUrl,
+    convertDriveUrl,
+    normalizeGallery,
+    getCharacterImages,
+    getPrimaryImage,
+    getImageUrl,
+    getCharacterImageUrl,
+    getCharacterImageLinks,
+    getCharacterMediaFolder,
+    validateImageFile,
+    createImageVariants
+};
@@ -0,0 +1,274 @@
+/**
+ * Character Search Helpers
+ * Shared by the repositories, the dashboard and the public gallery so every page
+ * searches the same fields, sorts the same way and pages with the same cursors
+ */
+
+import { parseMasterlistNumber } from './masterlist-number.js';
+import { parseTraitList } from './traits.js';
+
+// Bump when token or entry format changes so the index is rebuilt on the next write
+const SEARCH_INDEX_VERSION = 2;
+
+// Character fields covered by free-text search
+const SEARCH_FIELDS = [
+    'masterlistNumber',
+    'owner',
+    'artist',
+    'primaryBiome',
+    'secondaryBiome',
+    'biome',
+    'traits',
+    'description',
+    'notes'
+];
+
+// Sort options: entry field and direction
+const SORT_OPTIONS = {
+    newest: { field: 'createdAt', direction: 'desc' },
+    oldest: { field: 'createdAt', direction: 'asc' },
+    masterlist: { field: 'masterlistSort', direction: 'asc' },
+    'masterlist-desc': { field: 'masterlistSort', direction: 'desc' },
+    owner: { field: 'ownerSort', direction: 'asc' }
+};
+
+const DEFAULT_SORT = 'newest';
+const DEFAULT_PAGE_SIZE = 24;
+
+// Search words shorter than this are ignored unless numeric, they would match most of the index
+const MIN_SEARCH_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 64;
+
+// Words every masterlist number contains
+const STOPWORDS = new Set(['ml']);
+
+// Sorts characters without a usable masterlist number after numbered ones
+const UNNUMBERED_SORT = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Split text into lowercase search words
+ * @param {*} value - Field value (strings and arrays of strings)
+ * @returns {Array<string>} Words
+ */
+function tokenize(value) {
+    if (value === null || value === undefined) return [];
+    const text = Array.isArray(value) ? value.join(' ') : String(value);
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => !STOPWORDS.has(token))
+        .map(token => token.slice(0, MAX_TOKEN_LENGTH));
+}
+
+/**
+ * Build the index tokens of a character
+ * The masterlist number is also indexed unpadded so ML-0007 is found by "7"
+ * @param {Object} character - Character data
+ * @returns {Array<string>} Unique tokens
+ */
+function buildSearchTokens(character) {
+    const tokens = new Set();
+    SEARCH_FIELDS.forEach(field => tokenize(character[field]).forEach(token => tokens.add(token)));
+
+    const number = parseMasterlistNumber(character.masterlistNumber);
+    if (number !== null) {
+        tokens.add(String(number));
+    }
+    return [...tokens];
+}
+
+/**
+ * Turn a search string into the words every match must start with
+ * @param {string} search - Search text
+ * @returns {Array<string>} Query tokens
+ */
+function tokenizeSearch(search) {
+    return [...new Set(tokenize(search))]
+        .filter(token => token.length >= MIN_SEARCH_TOKEN_LENGTH || /^\d+$/.test(token));
+}
+
+/**
+ * Check whether a character's tokens cover every query token by prefix
+ * @param {Array<string>} characterTokens - Tokens from buildSearchTokens
+ * @param {Array<string>} queryTokens - Tokens from tokenizeSearch
+ * @returns {boolean} Whether the character matches
+ */
+function matchesSearchTokens(characterTokens, queryTokens) {
+    return queryTokens.every(queryToken => characterTokens.some(token => token.startsWith(queryToken)));
+}
+
+/**
+ * Build the small summary stored per character for filtering and sorting
+ * @param {Object} character - Character data
+ * @returns {Object} Search entry
+ */
+function buildSearchEntry(character) {
+    return {
+        masterlistNumber: character.masterlistNumber || '',
+        masterlistSort: parseMasterlistNumber(character.masterlistNumber) ?? UNNUMBERED_SORT,
+        ownerSort: (character.owner || '').toLowerCase(),
+        createdAt: character.createdAt || '',
+        rarity: character.rarity || '',
+        status: character.status || '',
+        primaryBiome: character.primaryBiome || character.biome || '',
+        secondaryBiome: character.secondaryBiome || '',
+        traits: parseTraitList(character.traits).map(name => name.toLowerCase())
+    };
+}
+
+/**
+ * Normalize a query from page controls
+ * 'all' and empty values mean no filter; limit may be Infinity to get every match
+ * @param {Object} query - Raw query
+ * @returns {Object} Normalized query ({ search, rarity, status, biome, trait, sort, limit, cursor })
+ */
+function normalizeQuery(query = {}) {
+    const filterValue = value => (value && value !== 'all' ? value : '');
+    const limit = parseInt(query.limit, 10);
+
+    return {
+        search: (query.search || '').trim(),
+        rarity: filterValue(query.rarity),
+        status: filterValue(query.status),
+        biome: filterValue(query.biome),
+        trait: filterValue(query.trait).trim(),
+        sort: SORT_OPTIONS[query.sort] ? query.sort : DEFAULT_SORT,
+        limit: query.limit === Infinity ? Infinity : (limit > 0 ? limit : DEFAULT_PAGE_SIZE),
+        cursor: query.cursor || null
+    };
+}
+
+/**
+ * Check a search entry against the rarity, status, biome and trait filters
+ * @param {Object} entry - Search entry
+ * @param {Object} query - Normalized query
+ * @returns {boolean} Whether the entry passes
+ */
+function matchesFilters(entry, query) {
+    if (query.rarity && entry.rarity !== query.rarity) return false;
+    if (query.status && entry.status !== query.status) return false;
+    if (query.biome && entry.primaryBiome !== query.biome && entry.secondaryBiome !== query.biome) return false;
+    if (query.trait && !(entry.traits || []).includes(query.trait.toLowerCase())) return false;
+    return true;
+}
+
+/**
+ * Compare two entries ({ id, ...entry }) in sort order, ties broken by ID
+ * @param {string} sort - Sort option
+ * @returns {Function} Comparator
+ */
+function compareEntries(sort) {
+    const { field, direction } = SORT_OPTIONS[sort] || SORT_OPTIONS[DEFAULT_SORT];
+    const factor = direction === 'desc' ? -1 : 1;
+
+    return (a, b) => {
+        const valueA = a[field] ?? '';
+        const valueB = b[field] ?? '';
+        if (valueA < valueB) return -factor;
+        if (valueA > valueB) return factor;
+        if (a.id < b.id) return -factor;
+        if (a.id > b.id) return factor;
+        return 0;
+    };
+}
+
+/**
+ * Encode the position after an entry as an opaque cursor
+ * @param {Object} entry - Last entry of a page ({ id, ...entry })
+ * @param {string} sort - Sort option
+ * @returns {string} Cursor
+ */
+function encodeCursor(entry, sort) {
+    const { field } = SORT_OPTIONS[sort] || SORT_OPTIONS[DEFAULT_SORT];
+    return btoa(encodeURIComponent(JSON.stringify({ v: entry[field] ?? '', id: entry.id })));
+}
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Cursor
+ * @returns {Object} Position ({ v, id })
+ * @throws {Error} When the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(decodeURIComponent(atob(cursor)));
+        if (!position || typeof position.id !== 'string') {
+            throw new Error('missing ID');
+        }
+        return position;
+    } catch (error) {
+        throw new Error(`Invalid page cursor: ${error.message}`);
+    }
+}
+
+/**
+ * Sort entries and cut the page after the cursor
+ * Works from the cursor's sort value, so a page survives the deletion of its last entry
+ * @param {Array<Object>} entries - Entries ({ id, ...entry })
+ * @param {Object} query - Normalized query
+ * @returns {Object} Page ({ ids, nextCursor })
+ */
+function paginateEntries(entries, query) {
+    const compare = compareEntries(query.sort);
+    const sorted = [...entries].sort(compare);
+
+    let start = 0;
+    if (query.cursor) {
+        const { field } = SORT_OPTIONS[query.sort];
+        const position = decodeCursor(query.cursor);
+        const after = { id: position.id, [field]: position.v };
+        start = sorted.findIndex(entry => compare(entry, after) > 0);
+        if (start === -1) start = sorted.length;
+    }
+
+    const page = sorted.slice(start, start + query.limit);
+    const hasMore = start + page.length < sorted.length;
+
+    return {
+        ids: page.map(entry => entry.id),
+        nextCursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1], query.sort) : null
+    };
+}
+
+/**
+ * Run a query against characters already in memory
+ * Used by the localStorage repository and while the database index is not built yet
+ * @param {Array<Object>} characters - Characters with IDs
+ * @param {Object} query - Raw or normalized query
+ * @returns {Object} Result ({ characters, nextCursor, total })
+ */
+function searchCharacterList(characters, query) {
+    const normalized = normalizeQuery(query);
+    const queryTokens = tokenizeSearch(normalized.search);
+
+    const entries = characters
+        .filter(character => matchesSearchTokens(buildSearchTokens(character), queryTokens))
+        .map(character => ({ id: character.id, ...buildSearchEntry(character) }))
+        .filter(entry => matchesFilters(entry, normalized));
+
+    const page = paginateEntries(entries, normalized);
+    const byId = new Map(characters.map(character => [character.id, character]));
+
+    return {
+        characters: page.ids.map(id => byId.get(id)),
+        nextCursor: page.nextCursor,
+        total: entries.length
+    };
+}
+
+export {
+    SEARCH_INDEX_VERSION,
+    SEARCH_FIELDS,
+    SORT_OPTIONS,
+    DEFAULT_SORT,
+    DEFAULT_PAGE_SIZE,
+    buildSearchTokens,
+    tokenizeSearch,
+    matchesSearchTokens,
+    buildSearchEntry,
+    normalizeQuery,
+    matchesFilters,
+    compareEntries,
+    encodeCursor,
+    decodeCursor,
+    paginateEntries,
+    searchCharacterList
+};
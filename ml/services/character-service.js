@@ -1,17 +1,38 @@
 import loggingService from './logging-service.js';
 import AuthenticationService from './authentication-service.js';
+import { parseMasterlistNumber } from './masterlist-number.js';
+import {
+    buildSearchEntry,
+    buildSearchTokens,
+    matchesFilters,
+    matchesSearchTokens,
+    normalizeQuery,
+    tokenizeSearch
+} from './character-search.js';
+import { findCatalogTrait, getTraitRarityWarning, parseTraitList } from './traits.js';
+import { VOCABULARY_SETTING_ID, getVocabularyValues, normalizeVocabularies } from './vocabularies.js';
+import { getCharacterImageLinks, normalizeGallery } from './character-images.js';
 
 // Create authentication service instance
 const authenticationService = new AuthenticationService();
 
+// Recycle bin retention used until an administrator configures one
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Kinds of ownership transfer recorded in a provenance chain
+const TRANSFER_TYPES = ['trade', 'gift', 'resell', 'purchase'];
+
 /**
  * Character Service
  * Handles business logic and coordinates between repositories
  * Follows Single Responsibility and Dependency Inversion Principles
  */
 class CharacterService {
-    constructor(repository) {
+    constructor(repository, traitRepository = null, settingsRepository = null) {
         this.repository = repository;
+        this.traitRepository = traitRepository;
+        this.settingsRepository = settingsRepository;
     }
 
     /**
@@ -29,6 +50,28 @@ class CharacterService {
         }
     }
 
+    /**
+     * Search, filter, sort and page characters through the repository's search index
+     * @param {Object} query - Query criteria
+     * @param {string} query.search - Words matched by prefix against ML number, owner, artist, biomes, traits, description and notes
+     * @param {string} query.rarity - Rarity ('all' or empty for any)
+     * @param {string} query.status - Status ('all' or empty for any)
+     * @param {string} query.biome - Primary or secondary biome ('all' or empty for any)
+     * @param {string} query.trait - Catalog trait name ('all' or empty for any)
+     * @param {string} query.sort - newest, oldest, masterlist, masterlist-desc or owner
+     * @param {number} query.limit - Page size, Infinity for every match
+     * @param {string} query.cursor - nextCursor of the previous page
+     * @returns {Promise<Object>} Page ({ characters, nextCursor, total }), total is null when unknown
+     */
+    async queryCharacters(query = {}) {
+        try {
+            return await this.repository.queryCharacters(normalizeQuery(query));
+        } catch (error) {
+            console.error('Error in CharacterService.queryCharacters:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get character by ID
      * @param {string} id - Character ID
@@ -69,19 +112,23 @@ class CharacterService {
                 throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
             }
 
+            const traitCheck = this.checkTraits(characterData.traits, await this.getTraitCatalog());
+            if (traitCheck.errors.length > 0) {
+                throw new Error(`Validation failed: ${traitCheck.errors.join(', ')}`);
+            }
+            characterData = this.prepareGallery({ ...characterData, traits: traitCheck.traits });
+
             // Check for duplicate masterlist numbers
             await this.checkDuplicateMasterlistNumber(characterData.masterlistNumber);
+            await this.checkMasterlistReservation(characterData.masterlistNumber);
 
             const characterId = await this.repository.addCharacter(characterData);
 
+            await this.recordRevision(characterId, characterData, 'UPLOAD');
+
             // Log the character creation activity
             try {
-                // Ensure authentication service is initialized
-                if (!authenticationService.isInitialized) {
-                    await authenticationService.initialize();
-                }
-                const currentUser = authenticationService.getCurrentUser();
-                const username = currentUser ? (currentUser.username || currentUser.email || 'Unknown User') : 'Unknown User';
+                const username = await this.getCurrentUsername();
                 await loggingService.logCharacterActivity(
                     'UPLOAD',
                     username,
@@ -99,14 +146,136 @@ class CharacterService {
         }
     }
 
+    /**
+     * Validate characters for a bulk import without writing anything
+     * Each row goes through the same validation and duplicate checks as a single upload,
+     * and masterlist numbers repeated inside the batch are reported too
+     * Rows whose rarity is below their rarest trait get a warning but still import
+     * @param {Array<Object>} rows - Character data, one object per imported row
+     * @returns {Promise<Array>} Per-row report ({ row, masterlistNumber, isValid, errors, warnings })
+     */
+    async validateImportRows(rows) {
+        try {
+            const existing = await this.repository.getAllCharacters();
+            const reservations = await this.repository.getMasterlistReservations();
+            const username = await this.getCurrentUsername();
+            const catalog = await this.getTraitCatalog();
+            const rarityTiers = await this.getRarityTiers();
+            const seen = new Map();
+            const report = [];
+
+            for (const [index, data] of rows.entries()) {
+                const errors = [
+                    ...this.validateCharacterData(data).errors,
+                    ...this.checkTraits(data.traits, catalog).errors
+                ];
+                const rarityWarning = catalog ? getTraitRarityWarning(data, catalog, rarityTiers) : null;
+
+                if (data.masterlistNumber) {
+                    try {
+                        await this.checkDuplicateMasterlistNumber(data.masterlistNumber, null, existing);
+                    } catch (duplicateError) {
+                        errors.push(duplicateError.message);
+                    }
+
+                    try {
+                        await this.checkMasterlistReservation(data.masterlistNumber, reservations, username);
+                    } catch (reservationError) {
+                        errors.push(reservationError.message);
+                    }
+
+                    const key = parseMasterlistNumber(data.masterlistNumber) ?? data.masterlistNumber;
+                    if (seen.has(key)) {
+                        errors.push(`Masterlist number repeats row ${seen.get(key)}`);
+                    } else {
+                        seen.set(key, index + 1);
+                    }
+                }
+
+                report.push({
+                    row: index + 1,
+                    masterlistNumber: data.masterlistNumber || '',
+                    isValid: errors.length === 0,
+                    errors,
+                    warnings: rarityWarning ? [rarityWarning] : []
+                });
+            }
+
+            return report;
+        } catch (error) {
+            console.error('Error in CharacterService.validateImportRows:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Import characters in one batch
+     * Invalid rows are skipped; the import is logged as a single IMPORT entry
+     * @param {Array<Object>} rows - Character data, one object per imported row
+     * @returns {Promise<Object>} Result ({ report, importedIds, importedCount, skippedCount })
+     */
+    async importCharacters(rows) {
+        try {
+            const report = await this.validateImportRows(rows);
+            const catalog = await this.getTraitCatalog();
+            const validRows = rows
+                .filter((_, index) => report[index].isValid)
+                .map(row => ({ ...row, traits: this.checkTraits(row.traits, catalog).traits }));
+
+            if (validRows.length === 0) {
+                throw new Error('No valid rows to import');
+            }
+
+            const importedIds = await this.repository.addCharacters(validRows);
+            await Promise.all(importedIds.map((id, index) =>
+                this.recordRevision(id, validRows[index], 'UPLOAD', { imported: true })
+            ));
+
+            const skippedCount = rows.length - validRows.length;
+            const masterlistNumbers = validRows.map(row => row.masterlistNumber);
+
+            try {
+                const username = await this.getCurrentUsername();
+                await loggingService.logCharacterActivity(
+                    'IMPORT',
+                    username,
+                    masterlistNumbers.length === 1
+                        ? masterlistNumbers[0]
+                        : `${masterlistNumbers[0]} - ${masterlistNumbers[masterlistNumbers.length - 1]}`,
+                    {
+                        characterIds: importedIds,
+                        masterlistNumbers,
+                        importedCount: importedIds.length,
+                        skippedCount,
+                        details: `Imported ${importedIds.length} character${importedIds.length === 1 ? '' : 's'}${skippedCount ? ` (${skippedCount} invalid row${skippedCount === 1 ? '' : 's'} skipped)` : ''}`
+                    }
+                );
+            } catch (logError) {
+                console.warn('⚠️ Failed to log character import:', logError);
+            }
+
+            return {
+                report,
+                importedIds,
+                importedCount: importedIds.length,
+                skippedCount
+            };
+        } catch (error) {
+            console.error('Error in CharacterService.importCharacters:', error);
+            throw error;
+        }
+    }
+
     /**
      * Update existing character
      * @param {string} id - Character ID
      * @param {Object} updates - Updated data
      * @param {Object} originalData - Original character data for comparison (optional)
+     * @param {Object} options - Optional settings
+     * @param {string} options.restoredFrom - Revision ID when the update restores a past revision
      * @returns {Promise<boolean>} Success status
      */
-    async updateCharacter(id, updates, originalData = null) {
+    async updateCharacter(id, updates, originalData = null, options = {}) {
         try {
             // Use provided original data or get existing character for logging purposes
             const existingCharacter = originalData || await this.repository.getCharacterById(id);
@@ -120,6 +289,24 @@ class CharacterService {
                 throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
             }
 
+            // Restored revisions keep their traits even if the catalog changed since
+            if (updates.traits !== undefined && !options.restoredFrom) {
+                const traitCheck = this.checkTraits(updates.traits, await this.getTraitCatalog(), existingCharacter.traits);
+                if (traitCheck.errors.length > 0) {
+                    throw new Error(`Validation failed: ${traitCheck.errors.join(', ')}`);
+                }
+                updates = { ...updates, traits: traitCheck.traits };
+            }
+
+            if (!options.restoredFrom) {
+                updates = this.prepareGallery(updates);
+            }
+
+            // New images have not been checked yet, so an old image check result no longer applies
+            if (getCharacterImageLinks(existingCharacter).join() !== getCharacterImageLinks({ ...existingCharacter, ...updates }).join()) {
+                updates = { ...updates, imageCheck: null };
+            }
+
             // Check for duplicate masterlist numbers (excluding current character)
             if (updates.masterlistNumber) {
                 await this.checkDuplicateMasterlistNumber(updates.masterlistNumber, id);
@@ -128,28 +315,44 @@ class CharacterService {
             // Compare changes for detailed logging
             const changes = this.compareCharacterChanges(existingCharacter, updates);
 
+            // Characters created before revision tracking get their current state kept as a baseline
+            const revisions = await this.repository.getCharacterRevisions(id);
+            if (revisions.length === 0) {
+                await this.recordRevision(id, existingCharacter, 'BASELINE', {
+                    author: 'Unknown User',
+                    timestamp: existingCharacter.updatedAt || existingCharacter.createdAt || new Date().toISOString()
+                });
+            }
+
             const result = await this.repository.updateCharacter(id, updates);
 
+            await this.recordRevision(
+                id,
+                { ...existingCharacter, ...updates },
+                options.restoredFrom ? 'RESTORE' : 'EDIT',
+                options.restoredFrom ? { restoredFrom: options.restoredFrom } : {}
+            );
+
             // Log the character update activity with detailed changes
             try {
-                // Ensure authentication service is initialized
-                if (!authenticationService.isInitialized) {
-                    await authenticationService.initialize();
-                }
-                const currentUser = authenticationService.getCurrentUser();
-                const username = currentUser ? (currentUser.username || currentUser.email || 'Unknown User') : 'Unknown User';
+                const username = await this.getCurrentUsername();
                 const masterlistNumber = updates.masterlistNumber || existingCharacter.masterlistNumber;
                 
                 // Create detailed log entry with changes
+                const logData = {
+                    characterId: id,
+                    changes: changes,
+                    hasMultipleChanges: changes.length > 1
+                };
+                if (options.restoredFrom) {
+                    logData.restoredFromRevision = options.restoredFrom;
+                }
+                
                 await loggingService.logCharacterActivity(
                     'EDIT',
                     username,
                     masterlistNumber,
-                    { 
-                        characterId: id,
-                        changes: changes,
-                        hasMultipleChanges: changes.length > 1
-                    }
+                    logData
                 );
             } catch (logError) {
                 console.warn('⚠️ Failed to log character update:', logError);
@@ -164,10 +367,12 @@ class CharacterService {
 
     /**
      * Delete character
+     * The character is moved to the recycle bin and can be restored until it is purged
      * @param {string} id - Character ID
+     * @param {string} reason - Reason for deletion (optional)
      * @returns {Promise<boolean>} Success status
      */
-    async deleteCharacter(id) {
+    async deleteCharacter(id, reason = '') {
         try {
             // Get character data for logging before deletion
             const character = await this.repository.getCharacterById(id);
@@ -175,21 +380,25 @@ class CharacterService {
                 throw new Error('Character not found');
             }
 
-            const result = await this.repository.deleteCharacter(id);
+            const username = await this.getCurrentUsername();
+            const result = await this.repository.moveCharacterToTrash(id, {
+                deletedBy: username,
+                deletedAt: new Date().toISOString(),
+                reason: reason || ''
+            });
 
             // Log the character deletion activity
             try {
-                // Ensure authentication service is initialized
-                if (!authenticationService.isInitialized) {
-                    await authenticationService.initialize();
-                }
-                const currentUser = authenticationService.getCurrentUser();
-                const username = currentUser ? (currentUser.username || currentUser.email || 'Unknown User') : 'Unknown User';
                 await loggingService.logCharacterActivity(
                     'DELETE',
                     username,
                     character.masterlistNumber,
-                    { characterId: id }
+                    {
+                        characterId: id,
+                        trashId: id,
+                        recoverable: true,
+                        reason: reason || ''
+                    }
                 );
             } catch (logError) {
                 console.warn('⚠️ Failed to log character deletion:', logError);
@@ -202,6 +411,392 @@ class CharacterService {
         }
     }
 
+    /**
+     * Get characters in the recycle bin
+     * @returns {Promise<Array>} Trash entries, most recently deleted first, each with an expiresAt date
+     */
+    async getDeletedCharacters() {
+        try {
+            const [entries, retentionDays] = await Promise.all([
+                this.repository.getTrashedCharacters(),
+                this.getTrashRetentionDays()
+            ]);
+
+            return entries
+                .map(entry => ({
+                    ...entry,
+                    expiresAt: new Date(new Date(entry.deletedAt).getTime() + retentionDays * DAY_IN_MS).toISOString()
+                }))
+                .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+        } catch (error) {
+            console.error('Error in CharacterService.getDeletedCharacters:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore a character from the recycle bin
+     * @param {string} id - Character ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async restoreDeletedCharacter(id) {
+        try {
+            const entries = await this.repository.getTrashedCharacters();
+            const entry = entries.find(item => item.id === id);
+            if (!entry) {
+                throw new Error('Character not found in recycle bin');
+            }
+
+            // The masterlist number may have been reused while the character was in the bin
+            await this.checkDuplicateMasterlistNumber(entry.character.masterlistNumber, id);
+
+            const character = await this.repository.restoreCharacterFromTrash(id);
+
+            await this.recordRevision(id, character, 'UNDELETE');
+
+            try {
+                const username = await this.getCurrentUsername();
+                await loggingService.logCharacterActivity(
+                    'RESTORE',
+                    username,
+                    character.masterlistNumber,
+                    { characterId: id }
+                );
+            } catch (logError) {
+                console.warn('⚠️ Failed to log character restore:', logError);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error in CharacterService.restoreDeletedCharacter:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently remove a character from the recycle bin
+     * @param {string} id - Character ID
+     * @param {string} username - Name recorded in the log (defaults to the current user)
+     * @returns {Promise<boolean>} Success status
+     */
+    async purgeDeletedCharacter(id, username = null) {
+        try {
+            const entries = await this.repository.getTrashedCharacters();
+            const entry = entries.find(item => item.id === id);
+            if (!entry) {
+                throw new Error('Character not found in recycle bin');
+            }
+
+            const result = await this.repository.purgeTrashedCharacter(id);
+
+            try {
+                await loggingService.logCharacterActivity(
+                    'PURGE',
+                    username || await this.getCurrentUsername(),
+                    entry.character.masterlistNumber,
+                    { characterId: id }
+                );
+            } catch (logError) {
+                console.warn('⚠️ Failed to log character purge:', logError);
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error in CharacterService.purgeDeletedCharacter:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get number of days deleted characters are kept in the recycle bin
+     * @returns {Promise<number>} Retention period in days
+     */
+    async getTrashRetentionDays() {
+        const settings = await this.repository.getTrashSettings();
+        const days = parseInt(settings.retentionDays, 10);
+        return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+    }
+
+    /**
+     * Set number of days deleted characters are kept in the recycle bin
+     * @param {number} days - Retention period in days
+     * @returns {Promise<boolean>} Success status
+     */
+    async setTrashRetentionDays(days) {
+        const retentionDays = parseInt(days, 10);
+        if (!(retentionDays > 0)) {
+            throw new Error('Retention period must be a positive number of days');
+        }
+        return await this.repository.updateTrashSettings({ retentionDays });
+    }
+
+    /**
+     * Transfer ownership of a character and append it to the provenance chain
+     * @param {string} id - Character ID
+     * @param {Object} transfer - Transfer details
+     * @param {string} transfer.toOwner - New owner
+     * @param {string} transfer.type - Transfer type (trade, gift, resell, purchase)
+     * @param {string} transfer.date - Date of the transfer (YYYY-MM-DD)
+     * @param {string} transfer.price - Price paid (optional)
+     * @param {string} transfer.proofUrl - Link to proof of the transfer (optional)
+     * @param {string} transfer.status - New character status (optional)
+     * @param {string} transfer.tradeOfferId - Trade board offer that led to the transfer (optional)
+     * @returns {Promise<Object>} Recorded transfer
+     */
+    async transferOwnership(id, transfer) {
+        try {
+            const character = await this.repository.getCharacterById(id);
+            if (!character) {
+                throw new Error('Character not found');
+            }
+
+            const [record] = await this.commitTransfers([{ character, transfer }]);
+            return record;
+        } catch (error) {
+            console.error('Error in CharacterService.transferOwnership:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record several ownership transfers in one atomic write
+     * Each character's new owner, provenance entry and revision are written together with relatedPaths,
+     * so either all of them change or none do
+     * @param {Array<Object>} transfers - { character, transfer } - character as just read, transfer details as for transferOwnership
+     * @param {Object} relatedPaths - Further Realtime Database paths to write in the same update (optional)
+     * @returns {Promise<Array<Object>>} Recorded transfers in input order
+     */
+    async commitTransfers(transfers, relatedPaths = {}) {
+        try {
+            const username = await this.getCurrentUsername();
+            const prepared = await Promise.all(transfers.map(async ({ character, transfer }) => {
+                const validation = this.validateTransferData(transfer, character);
+                if (!validation.isValid) {
+                    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+                }
+
+                const record = {
+                    characterId: character.id,
+                    fromOwner: character.owner || '',
+                    toOwner: transfer.toOwner.trim(),
+                    type: transfer.type,
+                    date: transfer.date,
+                    price: transfer.price || '',
+                    proofUrl: transfer.proofUrl || '',
+                    recordedBy: username,
+                    recordedAt: new Date().toISOString()
+                };
+                if (transfer.tradeOfferId) {
+                    record.tradeOfferId = transfer.tradeOfferId;
+                }
+
+                const updates = { owner: record.toOwner };
+                if (transfer.status) {
+                    updates.status = transfer.status;
+                }
+
+                const revision = await this.buildRevision({ ...character, ...updates }, 'TRANSFER');
+                return { character, record, updates, revision };
+            }));
+
+            const transferIds = await this.repository.commitTransfers(prepared, relatedPaths);
+            const records = prepared.map(({ record }, index) => ({ ...record, id: transferIds[index] }));
+
+            for (const [index, record] of records.entries()) {
+                const character = prepared[index].character;
+                try {
+                    await loggingService.logCharacterActivity(
+                        'TRANSFER',
+                        username,
+                        character.masterlistNumber,
+                        {
+                            characterId: character.id,
+                            transferId: record.id,
+                            fromOwner: record.fromOwner,
+                            toOwner: record.toOwner,
+                            transferType: record.type,
+                            price: record.price,
+                            details: `${character.masterlistNumber} ${record.fromOwner || '(unknown)'} --> ${record.toOwner} (${record.type})`
+                        }
+                    );
+                } catch (logError) {
+                    console.warn('⚠️ Failed to log ownership transfer:', logError);
+                }
+            }
+
+            return records;
+        } catch (error) {
+            console.error('Error in CharacterService.commitTransfers:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the provenance chain of a masterlist number
+     * @param {string} masterlistNumber - Masterlist number
+     * @returns {Promise<Array>} Transfers ordered oldest first by transfer date
+     */
+    async getProvenance(masterlistNumber) {
+        try {
+            const transfers = await this.repository.getTransfers(masterlistNumber);
+            return transfers.sort((a, b) =>
+                new Date(a.date) - new Date(b.date) || new Date(a.recordedAt) - new Date(b.recordedAt)
+            );
+        } catch (error) {
+            console.error('Error in CharacterService.getProvenance:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Validate ownership transfer data
+     * @param {Object} transfer - Transfer details
+     * @param {Object} character - Character being transferred
+     * @returns {Object} Validation result
+     */
+    validateTransferData(transfer, character) {
+        const errors = [];
+
+        if (!transfer.toOwner || !transfer.toOwner.trim()) {
+            errors.push('New owner is required');
+        } else if (character && transfer.toOwner.trim() === character.owner) {
+            errors.push('New owner must differ from the current owner');
+        }
+
+        if (!TRANSFER_TYPES.includes(transfer.type)) {
+            errors.push(`Transfer type must be one of: ${TRANSFER_TYPES.join(', ')}`);
+        }
+
+        if (!transfer.date || isNaN(new Date(transfer.date).getTime())) {
+            errors.push('A valid transfer date is required');
+        }
+
+        if (transfer.proofUrl && !/^https?:\/\//i.test(transfer.proofUrl)) {
+            errors.push('Proof link must be an http(s) URL');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Get revision history of a character
+     * @param {string} id - Character ID
+     * @returns {Promise<Array>} Revisions, newest first, each with a 1-based revisionNumber
+     */
+    async getCharacterRevisions(id) {
+        try {
+            const revisions = await this.repository.getCharacterRevisions(id);
+            return revisions
+                .map((revision, index) => ({ ...revision, revisionNumber: index + 1 }))
+                .reverse();
+        } catch (error) {
+            console.error('Error in CharacterService.getCharacterRevisions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore a character to the state stored in a past revision
+     * The restore is itself recorded as a new revision, so it can be undone
+     * @param {string} id - Character ID
+     * @param {string} revisionId - Revision ID to restore
+     * @returns {Promise<boolean>} Success status
+     */
+    async restoreCharacterRevision(id, revisionId) {
+        try {
+            const currentCharacter = await this.repository.getCharacterById(id);
+            if (!currentCharacter) {
+                throw new Error('Character not found');
+            }
+
+            const revisions = await this.repository.getCharacterRevisions(id);
+            const revision = revisions.find(rev => rev.id === revisionId);
+            if (!revision || !revision.snapshot) {
+                throw new Error('Revision not found');
+            }
+
+            const systemFields = ['id', 'createdAt', 'updatedAt'];
+            const updates = {};
+
+            Object.entries(revision.snapshot).forEach(([key, value]) => {
+                if (!systemFields.includes(key)) {
+                    updates[key] = value;
+                }
+            });
+
+            // Clear fields that did not exist yet at the time of the revision
+            Object.keys(currentCharacter).forEach(key => {
+                if (!systemFields.includes(key) && !(key in revision.snapshot)) {
+                    updates[key] = null;
+                }
+            });
+
+            return await this.updateCharacter(id, updates, currentCharacter, { restoredFrom: revisionId });
+        } catch (error) {
+            console.error('Error in CharacterService.restoreCharacterRevision:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record an immutable revision holding a full snapshot of the character
+     * @param {string} characterId - Character ID
+     * @param {Object} characterData - Full character data at this revision
+     * @param {string} action - Action that produced the revision (UPLOAD, EDIT, RESTORE, BASELINE, UNDELETE, TRANSFER)
+     * @param {Object} extra - Additional revision fields (may override author and timestamp)
+     * @returns {Promise<string>} Revision ID
+     */
+    async recordRevision(characterId, characterData, action, extra = {}) {
+        const revision = await this.buildRevision(characterData, action, extra);
+        return await this.repository.addCharacterRevision(characterId, revision);
+    }
+
+    /**
+     * Build a revision holding a full snapshot of the character, without storing it
+     * @param {Object} characterData - Full character data at this revision
+     * @param {string} action - Action that produced the revision
+     * @param {Object} extra - Additional revision fields (may override author and timestamp)
+     * @returns {Promise<Object>} Revision
+     */
+    async buildRevision(characterData, action, extra = {}) {
+        const snapshot = {};
+        Object.entries(characterData).forEach(([key, value]) => {
+            if (key !== 'id' && value !== null && value !== undefined) {
+                snapshot[key] = value;
+            }
+        });
+
+        return {
+            action,
+            author: await this.getCurrentUsername(),
+            timestamp: new Date().toISOString(),
+            // JSON round-trip drops nested undefined values, which Firebase rejects
+            snapshot: JSON.parse(JSON.stringify(snapshot)),
+            ...extra
+        };
+    }
+
+    /**
+     * Get display name of the currently signed in user
+     * @returns {Promise<string>} Username, email or 'Unknown User'
+     */
+    async getCurrentUsername() {
+        try {
+            // Ensure authentication service is initialized
+            if (!authenticationService.isInitialized) {
+                await authenticationService.initialize();
+            }
+            const currentUser = authenticationService.getCurrentUser();
+            return currentUser ? (currentUser.username || currentUser.email || 'Unknown User') : 'Unknown User';
+        } catch (error) {
+            console.warn('⚠️ Failed to resolve current user:', error);
+            return 'Unknown User';
+        }
+    }
+
     /**
      * Generate next masterlist number
      * @returns {Promise<string>} Next masterlist number
@@ -215,6 +810,33 @@ class CharacterService {
         }
     }
 
+    /**
+     * Reserve the next free masterlist number for the current user
+     * @returns {Promise<Object>} Reservation ({ masterlistNumber, reservedBy, reservedAt, expiresAt })
+     */
+    async reserveMasterlistNumber() {
+        try {
+            return await this.repository.allocateMasterlistNumber(await this.getCurrentUsername());
+        } catch (error) {
+            console.error('Error in CharacterService.reserveMasterlistNumber:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Release a masterlist number reserved by the current user
+     * @param {string} masterlistNumber - Reserved masterlist number
+     * @returns {Promise<boolean>} Whether a reservation was released
+     */
+    async releaseMasterlistNumber(masterlistNumber) {
+        try {
+            return await this.repository.releaseMasterlistNumber(masterlistNumber, await this.getCurrentUsername());
+        } catch (error) {
+            console.error('Error in CharacterService.releaseMasterlistNumber:', error);
+            throw error;
+        }
+    }
+
     /**
      * Validate character data
      * @param {Object} data - Character data
@@ -264,11 +886,16 @@ class CharacterService {
      * Check for duplicate masterlist numbers
      * @param {string} masterlistNumber - Masterlist number to check
      * @param {string} excludeId - ID to exclude from check
+     * @param {Array} characters - Already loaded characters, to avoid refetching in batch checks (optional)
      */
-    async checkDuplicateMasterlistNumber(masterlistNumber, excludeId = null) {
-        const characters = await this.repository.getAllCharacters();
+    async checkDuplicateMasterlistNumber(masterlistNumber, excludeId = null, characters = null) {
+        characters = characters || await this.repository.getAllCharacters();
+        
+        // Compare numerically so legacy ML-001 and padded ML-0001 count as the same number
+        const number = parseMasterlistNumber(masterlistNumber);
         const duplicate = characters.find(char => 
-            char.masterlistNumber === masterlistNumber && char.id !== excludeId
+            (number !== null ? parseMasterlistNumber(char.masterlistNumber) === number : char.masterlistNumber === masterlistNumber) &&
+            char.id !== excludeId
         );
         
         if (duplicate) {
@@ -276,6 +903,83 @@ class CharacterService {
         }
     }
 
+    /**
+     * Check that a masterlist number is not reserved by another user's open upload form
+     * @param {string} masterlistNumber - Masterlist number to check
+     * @param {Object} reservations - Already loaded reservations (optional)
+     * @param {string} username - Current user (optional)
+     */
+    async checkMasterlistReservation(masterlistNumber, reservations = null, username = null) {
+        const number = parseMasterlistNumber(masterlistNumber);
+        if (number === null) return;
+
+        reservations = reservations || await this.repository.getMasterlistReservations();
+        username = username || await this.getCurrentUsername();
+        const reservation = reservations[number];
+
+        if (reservation && reservation.reservedBy && reservation.reservedBy !== username &&
+            new Date(reservation.expiresAt).getTime() > Date.now()) {
+            throw new Error(`${masterlistNumber} is reserved by ${reservation.reservedBy}`);
+        }
+    }
+
+    /**
+     * Get the trait catalog characters are validated against
+     * @returns {Promise<Array|null>} Catalog traits, null when no trait repository is configured
+     */
+    async getTraitCatalog() {
+        return this.traitRepository ? await this.traitRepository.getAllTraits() : null;
+    }
+
+    /**
+     * Get the rarity tiers from lowest to highest, as configured in the rarity vocabulary
+     * @returns {Promise<Array<string>>} Rarity values
+     */
+    async getRarityTiers() {
+        const stored = this.settingsRepository ? await this.settingsRepository.getSetting(VOCABULARY_SETTING_ID) : null;
+        return getVocabularyValues(normalizeVocabularies(stored).rarities);
+    }
+
+    /**
+     * Match a character's traits against the catalog, using the catalog spelling
+     * Unknown traits the character already had are kept so legacy free-text traits survive edits
+     * @param {Array<string>|string} traits - Trait names
+     * @param {Array<Object>|null} catalog - Catalog traits, null to skip validation
+     * @param {Array<string>|string} previousTraits - Traits the character had before (optional)
+     * @returns {Object} Result ({ traits, errors })
+     */
+    checkTraits(traits, catalog, previousTraits = []) {
+        const names = parseTraitList(traits);
+        if (!catalog) {
+            return { traits: names, errors: [] };
+        }
+
+        const previous = parseTraitList(previousTraits).map(name => name.toLowerCase());
+        const unknown = names.filter(name =>
+            !findCatalogTrait(catalog, name) && !previous.includes(name.toLowerCase())
+        );
+
+        return {
+            traits: names.map(name => findCatalogTrait(catalog, name)?.name || name),
+            errors: unknown.length > 0 ? [`Unknown trait${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`] : []
+        };
+    }
+
+    /**
+     * Clean up a gallery sent with character data
+     * The gallery replaces the single image fields it was built from
+     * @private
+     * @param {Object} data - Character data or updates
+     * @returns {Object} Data with a normalized gallery
+     */
+    prepareGallery(data) {
+        if (!Array.isArray(data.gallery)) {
+            return data;
+        }
+
+        return { ...data, gallery: normalizeGallery(data.gallery), images: null, imageUrl: '' };
+    }
+
     /**
      * Compare character changes for detailed logging
      * @param {Object} originalCharacter - Original character data
@@ -297,13 +1001,27 @@ class CharacterService {
             traits: 'Traits',
             notes: 'Notes',
             value: 'Value',
+            gallery: 'Images',
             masterlistNumber: 'Masterlist Number'
         };
         
-        // Compare each trackable field
+        // Trait lists are compared as text so legacy strings and arrays line up; galleries by image, caption and primary
+        const comparableValue = (fieldKey, value) => {
+            if (fieldKey === 'traits') return parseTraitList(value).join(', ');
+            if (fieldKey === 'gallery') {
+                return normalizeGallery(value)
+                    .map(image => `${image.caption || image.id}${image.isPrimary ? ' (primary)' : ''}`)
+                    .join(', ');
+            }
+            return value || '';
+        };
+
+        // Compare each trackable field present in the update
         Object.entries(trackableFields).forEach(([fieldKey, displayName]) => {
-            const originalValue = originalCharacter[fieldKey] || '';
-            const newValue = updates[fieldKey] || '';
+            if (!(fieldKey in updates)) return;
+
+            const originalValue = comparableValue(fieldKey, originalCharacter[fieldKey]);
+            const newValue = comparableValue(fieldKey, updates[fieldKey]);
             
             // Only track actual changes (ignore empty to empty)
             if (originalValue !== newValue && !(originalValue === '' && newValue === '')) {
@@ -322,6 +1040,7 @@ class CharacterService {
 
     /**
      * Apply filters to character list
+     * Matches the same fields as queryCharacters
      * @param {Array} characters - Characters to filter
      * @param {Object} filters - Filter criteria
      * @returns {Array} Filtered characters
@@ -331,36 +1050,15 @@ class CharacterService {
             return characters;
         }
 
-        return characters.filter(character => {
-            // Apply rarity filter
-            if (filters.rarity && filters.rarity !== 'all' && character.rarity !== filters.rarity) {
-                return false;
-            }
+        const query = normalizeQuery(filters);
+        const queryTokens = tokenizeSearch(query.search);
 
-            // Apply status filter
-            if (filters.status && filters.status !== 'all' && character.status !== filters.status) {
-                return false;
-            }
-
-            // Apply search filter
-            if (filters.search) {
-                const searchTerm = filters.search.toLowerCase();
-                const searchableFields = [
-                    character.masterlistNumber,
-                    character.owner,
-                    character.artist,
-                    character.primaryBiome,
-                    character.secondaryBiome
-                ].filter(Boolean).join(' ').toLowerCase();
-                
-                if (!searchableFields.includes(searchTerm)) {
-                    return false;
-                }
-            }
-
-            return true;
-        });
+        return characters.filter(character =>
+            matchesFilters(buildSearchEntry(character), query) &&
+            matchesSearchTokens(buildSearchTokens(character), queryTokens)
+        );
     }
 }
 
-export default CharacterService;
\ No newline at end of file
+export default CharacterService;
+export { TRANSFER_TYPES };
\ No newline at end of file
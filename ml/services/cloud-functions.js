@@ -0,0 +1,26 @@
+/**
+ * Cloud Functions Client
+ * Calls the callable functions in functions/ from the browser
+ */
+
+import firebaseConfig from '../config/firebase-config.js';
+
+/**
+ * Call a callable Cloud Function
+ * @param {string} name - Function name
+ * @param {Object} data - Request data
+ * @returns {Promise<Object>} Response data
+ */
+async function callFunction(name, data) {
+    if (!firebaseConfig.isInitialized()) {
+        await firebaseConfig.initialize();
+    }
+
+    const { getFunctions, httpsCallable } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js');
+    const result = await httpsCallable(getFunctions(firebaseConfig.app), name)(data);
+    return result.data;
+}
+
+export {
+    callFunction
+};
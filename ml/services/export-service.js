@@ -0,0 +1,103 @@
+/**
+ * Character Export Service
+ * Serializes characters for offline backups and community snapshots
+ * CSV headers and JSON keys are the ones the bulk importer on the upload page recognizes
+ */
+
+import { getPrimaryImage } from './character-images.js';
+
+// Exported columns: [field, CSV header]
+const EXPORT_COLUMNS = [
+    ['masterlistNumber', 'ML Number'],
+    ['owner', 'Owner'],
+    ['artist', 'Artist'],
+    ['primaryBiome', 'Primary Biome'],
+    ['secondaryBiome', 'Secondary Biome'],
+    ['rarity', 'Rarity'],
+    ['status', 'Status'],
+    ['value', 'Value'],
+    ['imageUrl', 'Image URL'],
+    ['description', 'Description'],
+    ['traits', 'Traits'],
+    ['notes', 'Notes'],
+    ['createdAt', 'Created At'],
+    ['updatedAt', 'Updated At']
+];
+
+class CharacterExportService {
+    /**
+     * Export characters to CSV
+     * @param {Array} characters - Characters to export
+     * @returns {string} CSV content
+     */
+    exportToCSV(characters) {
+        // Trait lists become one comma-separated cell, matching the import format
+        const escapeCell = (value) =>
+            `"${String(Array.isArray(value) ? value.join(', ') : value ?? '').replace(/"/g, '""')}"`;
+
+        return [
+            EXPORT_COLUMNS.map(([, header]) => escapeCell(header)).join(','),
+            ...characters.map(character =>
+                EXPORT_COLUMNS.map(([field]) => escapeCell(this.getFieldValue(character, field))).join(',')
+            )
+        ].join('\n');
+    }
+
+    /**
+     * Export characters to JSON
+     * @param {Array} characters - Characters to export
+     * @param {Object} meta - Extra metadata stored next to the characters (e.g. scope)
+     * @returns {string} JSON content
+     */
+    exportToJSON(characters, meta = {}) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            count: characters.length,
+            ...meta,
+            characters: characters.map(character =>
+                Object.fromEntries(EXPORT_COLUMNS.map(([field]) => [field, this.getFieldValue(character, field) ?? '']))
+            )
+        }, null, 2);
+    }
+
+    /**
+     * Get the exported value of a field
+     * The image column holds the primary image's full-size URL so the file imports back with a working image link
+     * @param {Object} character - Character data
+     * @param {string} field - Field name
+     * @returns {*} Field value
+     */
+    getFieldValue(character, field) {
+        return field === 'imageUrl' ? getPrimaryImage(character)?.main || '' : character[field];
+    }
+
+    /**
+     * Trigger a browser download
+     * @param {string} content - File content
+     * @param {string} filename - File name
+     * @param {string} type - MIME type
+     */
+    download(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+
+        if (link.download === undefined) {
+            throw new Error('Browser does not support file downloads');
+        }
+
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', filename);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Create singleton instance
+const characterExportService = new CharacterExportService();
+
+export default characterExportService;
+export { EXPORT_COLUMNS };
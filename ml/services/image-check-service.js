@@ -0,0 +1,141 @@
+import AuthenticationService from './authentication-service.js';
+import { getCharacterImageLinks } from './character-images.js';
+import { parseMasterlistNumber } from './masterlist-number.js';
+
+// Create authentication service instance
+const authenticationService = new AuthenticationService();
+
+// An image that has not loaded after this long counts as broken
+const IMAGE_LOAD_TIMEOUT_MS = 10000;
+
+// Images tested at the same time, so a large masterlist does not flood the browser
+const IMAGE_CHECK_CONCURRENCY = 4;
+
+/**
+ * Image Check Service
+ * Tests every image link of every character and records the result on the character
+ * The same check runs daily in the checkImageLinks Cloud Function; this one runs on demand from the dashboard
+ */
+class ImageCheckService {
+    constructor(repository, characterService) {
+        this.repository = repository;
+        this.characterService = characterService;
+    }
+
+    /**
+     * Check the images of every character
+     * @param {Function} onProgress - Called with (checkedCount, totalCount) after each character (optional)
+     * @returns {Promise<Object>} Run summary ({ lastRunAt, lastRunBy, checkedCount, brokenCount })
+     */
+    async checkAllCharacters(onProgress = null) {
+        try {
+            await this.assertStaff();
+
+            const characters = await this.repository.getAllCharacters();
+            let checkedCount = 0;
+            let brokenCount = 0;
+
+            const queue = [...characters];
+            const worker = async () => {
+                while (queue.length > 0) {
+                    const character = queue.shift();
+                    const imageCheck = await this.checkCharacter(character);
+                    await this.repository.updateImageCheck(character.id, imageCheck);
+
+                    checkedCount++;
+                    if (imageCheck.status === 'broken') {
+                        brokenCount++;
+                    }
+                    onProgress?.(checkedCount, characters.length);
+                }
+            };
+            await Promise.all(Array.from({ length: IMAGE_CHECK_CONCURRENCY }, worker));
+
+            const summary = {
+                lastRunAt: new Date().toISOString(),
+                lastRunBy: await this.characterService.getCurrentUsername(),
+                checkedCount,
+                brokenCount
+            };
+            await this.repository.updateImageCheckSettings(summary);
+
+            return summary;
+        } catch (error) {
+            console.error('Error in ImageCheckService.checkAllCharacters:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Test every image link of one character
+     * @param {Object} character - Character data
+     * @returns {Promise<Object>} Check result ({ status: 'ok' | 'broken' | 'none', brokenUrls, checkedAt })
+     */
+    async checkCharacter(character) {
+        const links = getCharacterImageLinks(character);
+        const results = await Promise.all(links.map(url => this.testImageLoad(url)));
+        const brokenUrls = links.filter((url, index) => !results[index]);
+
+        return {
+            status: links.length === 0 ? 'none' : (brokenUrls.length > 0 ? 'broken' : 'ok'),
+            brokenUrls,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Get characters whose last check found a broken image
+     * @returns {Promise<Object>} Report ({ characters, lastRun }) sorted by masterlist number
+     */
+    async getBrokenImageReport() {
+        try {
+            const [characters, lastRun] = await Promise.all([
+                this.repository.getAllCharacters(),
+                this.repository.getImageCheckSettings()
+            ]);
+
+            const broken = characters
+                .filter(character => character.imageCheck?.status === 'broken')
+                .sort((a, b) =>
+                    (parseMasterlistNumber(a.masterlistNumber) ?? Infinity) - (parseMasterlistNumber(b.masterlistNumber) ?? Infinity)
+                );
+
+            return { characters: broken, lastRun };
+        } catch (error) {
+            console.error('Error in ImageCheckService.getBrokenImageReport:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether an image loads
+     * @private
+     * @param {string} url - Image URL
+     * @returns {Promise<boolean>} True when the image loaded
+     */
+    testImageLoad(url) {
+        return new Promise((resolve) => {
+            const img = new Image();
+            const timeout = setTimeout(() => resolve(false), IMAGE_LOAD_TIMEOUT_MS);
+            img.onload = () => { clearTimeout(timeout); resolve(true); };
+            img.onerror = () => { clearTimeout(timeout); resolve(false); };
+            img.src = url;
+        });
+    }
+
+    /**
+     * Ensure a staff member is signed in
+     * @private
+     * @throws {Error} When nobody is signed in
+     */
+    async assertStaff() {
+        if (!authenticationService.isInitialized) {
+            await authenticationService.initialize();
+        }
+        if (!authenticationService.isAuthenticated()) {
+            throw new Error('You must be signed in to check image links');
+        }
+    }
+}
+
+export default ImageCheckService;
@@ -0,0 +1,89 @@
+import AuthenticationService from './authentication-service.js';
+import {
+    IMAGE_VARIANTS,
+    getCharacterMediaFolder,
+    validateImageFile,
+    createImageVariants
+} from './character-images.js';
+
+// Create authentication service instance
+const authenticationService = new AuthenticationService();
+
+/**
+ * Image Service
+ * Turns an uploaded file into hosted main and preview variants in the character's media folder
+ * Each upload gets its own file names, so earlier revisions keep pointing at their images
+ */
+class ImageService {
+    constructor(repository) {
+        this.repository = repository;
+    }
+
+    /**
+     * Resize and upload a character image
+     * @param {string} masterlistNumber - Masterlist number of the character
+     * @param {File} file - Image file chosen on the upload form
+     * @returns {Promise<Object>} Hosted image URLs ({ main, preview })
+     */
+    async uploadCharacterImage(masterlistNumber, file) {
+        try {
+            await this.assertStaff();
+
+            if (!masterlistNumber) {
+                throw new Error('Masterlist number is required before uploading an image');
+            }
+
+            const fileError = validateImageFile(file);
+            if (fileError) {
+                throw new Error(fileError);
+            }
+
+            const variants = await createImageVariants(file);
+            const folder = getCharacterMediaFolder(masterlistNumber);
+            const imageId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+            const images = {};
+            for (const variant of Object.keys(IMAGE_VARIANTS)) {
+                images[variant] = await this.repository.uploadImage(`${folder}/${imageId}-${variant}.webp`, variants[variant]);
+            }
+
+            return images;
+        } catch (error) {
+            console.error('Error in ImageService.uploadCharacterImage:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete the hosted files of an image that was never saved on a character
+     * @param {Object} images - Hosted image URLs ({ main, preview })
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteCharacterImage(images) {
+        try {
+            await Promise.all(Object.keys(IMAGE_VARIANTS)
+                .filter(variant => images?.[variant])
+                .map(variant => this.repository.deleteImage(images[variant])));
+            return true;
+        } catch (error) {
+            console.error('Error in ImageService.deleteCharacterImage:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ensure a staff member is signed in
+     * @private
+     * @throws {Error} When nobody is signed in
+     */
+    async assertStaff() {
+        if (!authenticationService.isInitialized) {
+            await authenticationService.initialize();
+        }
+        if (!authenticationService.isAuthenticated()) {
+            throw new Error('You must be signed in to upload images');
+        }
+    }
+}
+
+export default ImageService;
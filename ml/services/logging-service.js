@@ -1,14 +1,42 @@
 /**
  * Logging Service
- * Handles automatic logging of character-related activities to Firebase Realtime Database
+ * Handles automatic logging of character activities and the user audit trail to Firebase Realtime Database
+ * Entries are written by the logActivity Cloud Function, which chains each one to the entry before it
  * Follows Single Responsibility and Open/Closed Principles
  */
 
 import firebaseConfig from '../config/firebase-config.js';
+import { callFunction } from './cloud-functions.js';
+import { getSessionToken } from './session-service.js';
+
+// User actions recorded by logUserActivity
+const USER_ACTION_TYPES = [
+    'USER_CREATE',
+    'USER_EDIT',
+    'ROLE_CHANGE',
+    'USER_STATUS',
+    'PASSWORD_CHANGE',
+    'USER_DELETE'
+];
+
+// User fields compared by getUserChanges, with their display names
+const USER_AUDIT_FIELDS = {
+    username: 'Username',
+    email: 'Email',
+    displayName: 'Display Name',
+    role: 'Role',
+    active: 'Status'
+};
+
+// Additional data keys that are never written to the log
+const SENSITIVE_LOG_KEY = /password|hash|token|secret|recovery/i;
+
+const MAX_LOG_VALUE_LENGTH = 200;
 
 /**
  * Logging Service Class
- * Manages automatic logging of character operations (EDIT, UPLOAD, DELETE)
+ * Manages automatic logging of character operations (EDIT, UPLOAD, DELETE, RESTORE, PURGE, TRANSFER, IMPORT)
+ * and user account changes (USER_ACTION_TYPES)
  * Provides real-time logging capabilities with Firebase integration
  */
 class LoggingService {
@@ -36,12 +64,10 @@ class LoggingService {
             const { 
                 getDatabase,
                 ref,
-                push,
-                set,
                 onValue,
                 off,
                 query,
-                orderByChild,
+                orderByKey,
                 limitToLast
             } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
             
@@ -50,12 +76,10 @@ class LoggingService {
             // Store database functions for later use
             this.databaseFunctions = {
                 ref,
-                push,
-                set,
                 onValue,
                 off,
                 query,
-                orderByChild,
+                orderByKey,
                 limitToLast
             };
             
@@ -72,7 +96,7 @@ class LoggingService {
 
     /**
      * Log character-related activity
-     * @param {string} actionType - Type of action (EDIT, UPLOAD, DELETE)
+     * @param {string} actionType - Type of action (EDIT, UPLOAD, DELETE, RESTORE, PURGE, TRANSFER, IMPORT)
      * @param {string} username - Username performing the action
      * @param {string} masterlistNumber - Character masterlist number
      * @param {Object} additionalData - Optional additional data
@@ -89,7 +113,7 @@ class LoggingService {
             }
 
             // Validate action type
-            const validActionTypes = ['EDIT', 'UPLOAD', 'DELETE'];
+            const validActionTypes = ['EDIT', 'UPLOAD', 'DELETE', 'RESTORE', 'PURGE', 'TRANSFER', 'IMPORT'];
             if (!validActionTypes.includes(actionType)) {
                 throw new Error(`Invalid action type: ${actionType}. Must be one of: ${validActionTypes.join(', ')}`);
             }
@@ -104,12 +128,7 @@ class LoggingService {
                 ...additionalData
             };
 
-            // Push to Firebase Realtime Database
-            const { ref, push, set } = this.databaseFunctions;
-            const logsRef = ref(this.database, 'actionlogs');
-            const newLogRef = push(logsRef);
-            
-            await set(newLogRef, logEntry);
+            await this.writeLogEntry(logEntry);
             
             console.log(`📝 Logged ${actionType} activity for ${masterlistNumber} by ${username}`);
             return true;
@@ -121,11 +140,13 @@ class LoggingService {
     }
 
     /**
-     * Log user-related activity
-     * @param {string} actionType - Type of action (EDIT, CREATE, DELETE, etc.)
+     * Log user-related activity for the user audit trail
+     * Sign ins, failed sign ins and password resets are logged by their Cloud Functions
+     * (LOGIN, LOGIN_FAILED, PASSWORD_RESET_REQUEST, PASSWORD_RESET)
+     * @param {string} actionType - One of USER_ACTION_TYPES
      * @param {string} performedBy - Username performing the action
      * @param {string} targetUser - Target user (for admin actions) or same as performedBy (for self actions)
-     * @param {Object} additionalData - Optional additional data
+     * @param {Object} additionalData - Optional { changes, targetUserId, ... } - changes from getUserChanges; password fields are never logged
      * @returns {Promise<boolean>} Success status
      */
     async logUserActivity(actionType, performedBy, targetUser, additionalData = {}) {
@@ -139,70 +160,37 @@ class LoggingService {
             }
 
             // Validate action type
-            const validActionTypes = ['EDIT', 'CREATE', 'DELETE', 'USER_EDIT', 'PASSWORD_CHANGE', 'ROLE_CHANGE', 'ADMIN_EDIT'];
-            if (!validActionTypes.includes(actionType)) {
-                throw new Error(`Invalid action type: ${actionType}. Must be one of: ${validActionTypes.join(', ')}`);
-            }
-
-            // Create log entry with user-friendly details
-            let details = '';
-            switch (actionType) {
-                case 'USER_EDIT':
-                    const oldUsername = additionalData.oldUsername || 'Unknown';
-                    const newUsername = additionalData.newUsername || 'Unknown';
-                    details = `Username changed from "${oldUsername}" to "${newUsername}"`;
-                    break;
-                case 'PASSWORD_CHANGE':
-                    details = 'Password updated';
-                    break;
-                case 'ROLE_CHANGE':
-                    const oldRole = additionalData.oldRole || 'Unknown';
-                    const newRole = additionalData.newRole || 'Unknown';
-                    details = `Role changed from "${oldRole}" to "${newRole}"`;
-                    break;
-                case 'ADMIN_EDIT':
-                    if (additionalData.action === 'status_change') {
-                        const newStatus = additionalData.newStatus ? 'Active' : 'Inactive';
-                        details = `"${targetUser}" Account status changed to ${newStatus}`;
-                    } else if (additionalData.action === 'create') {
-                        details = `Created user account "${targetUser}"`;
-                    } else if (additionalData.action === 'delete') {
-                        details = `Deleted account "${targetUser}"`;
-                    } else {
-                        details = additionalData.details || `Admin action performed on "${targetUser}"`;
-                    }
-                    break;
-                case 'CREATE':
-                    details = `Created user account "${targetUser}"`;
-                    break;
-                case 'DELETE':
-                    details = `Deleted account "${targetUser}"`;
-                    break;
-                case 'EDIT':
-                    details = additionalData.details || 'User profile updated';
-                    break;
-                default:
-                    details = additionalData.details || `${actionType} action performed`;
+            if (!USER_ACTION_TYPES.includes(actionType)) {
+                throw new Error(`Invalid action type: ${actionType}. Must be one of: ${USER_ACTION_TYPES.join(', ')}`);
             }
 
+            const { changes = [], targetUserId = null, ...extra } = additionalData;
+            const actor = performedBy || 'Unknown User';
+            const target = targetUser || actor;
+            const loggedChanges = changes.map(change => ({
+                field: change.field,
+                displayName: change.displayName,
+                from: this.limitLogValue(change.from),
+                to: this.limitLogValue(change.to)
+            }));
+
+            // Core fields come last so additional data cannot overwrite them
             const logEntry = {
+                ...this.sanitizeLogData(extra),
                 timestamp: new Date().toISOString(),
                 type: actionType,
-                user: performedBy || 'Unknown User',
-                targetUser: targetUser || performedBy || 'Unknown User',
-                details: details,
+                user: actor,
+                targetUser: target,
+                targetUserId,
+                details: this.describeUserActivity(actionType, actor, target, loggedChanges, extra),
+                changes: loggedChanges,
                 category: 'USER',
-                ...additionalData
+                client: this.getClientInfo()
             };
 
-            // Push to Firebase Realtime Database
-            const { ref, push, set } = this.databaseFunctions;
-            const logsRef = ref(this.database, 'actionlogs');
-            const newLogRef = push(logsRef);
+            await this.writeLogEntry(logEntry);
             
-            await set(newLogRef, logEntry);
-            
-            console.log(`📝 Logged ${actionType} activity for user ${targetUser} by ${performedBy}`);
+            console.log(`📝 Logged ${actionType} activity for user ${target} by ${actor}`);
             return true;
             
         } catch (error) {
@@ -212,55 +200,145 @@ class LoggingService {
     }
 
     /**
-     * Get all logs with optional filtering
-     * @param {Object} filters - Filter criteria
-     * @returns {Promise<Array>} Array of log entries
+     * Send an entry to the logActivity Cloud Function
+     * The server records it under the signed-in user with its own time and adds the chain fields
+     * @param {Object} logEntry - Log entry
+     * @returns {Promise<string>} Key of the new entry
      */
-    async getLogs(filters = {}) {
-        try {
-            if (!this.isInitialized) {
-                const initialized = await this.initialize();
-                if (!initialized) {
-                    throw new Error('Failed to initialize logging service');
-                }
-            }
+    async writeLogEntry(logEntry) {
+        const { id } = await callFunction('logActivity', { token: getSessionToken(), entry: logEntry });
+        return id;
+    }
 
-            const { ref, query, orderByChild, limitToLast } = this.databaseFunctions;
-            const logsRef = ref(this.database, 'actionlogs');
-            
-            // Create query with ordering and limiting
-            let logsQuery = query(logsRef, orderByChild('timestamp'));
-            
-            if (filters.limit) {
-                logsQuery = query(logsRef, orderByChild('timestamp'), limitToLast(filters.limit));
+    /**
+     * Check that no log entry has been changed, removed or inserted since it was written
+     * @returns {Promise<Object>} Report ({ valid, checked, unchained, lastSequence, problems, problemCount, checkedAt })
+     */
+    async verifyLogIntegrity() {
+        return callFunction('verifyActivityLog', { token: getSessionToken() });
+    }
+
+    /**
+     * Compare a user before and after an edit
+     * @param {Object} before - User before the edit
+     * @param {Object} after - Submitted values; fields that are missing are not compared
+     * @returns {Array<Object>} Changes ({ field, displayName, from, to }) for the fields in USER_AUDIT_FIELDS
+     */
+    getUserChanges(before = {}, after = {}) {
+        const display = (field, value) => {
+            if (field === 'active') {
+                return value === false ? 'Inactive' : 'Active';
             }
+            return value === undefined || value === null || value === '' ? '(empty)' : String(value);
+        };
+
+        return Object.entries(USER_AUDIT_FIELDS)
+            .filter(([field]) => field in after && display(field, before[field]) !== display(field, after[field]))
+            .map(([field, displayName]) => ({
+                field,
+                displayName,
+                from: display(field, before[field]),
+                to: display(field, after[field])
+            }));
+    }
 
-            return new Promise((resolve, reject) => {
-                const { onValue } = this.databaseFunctions;
-                onValue(logsQuery, (snapshot) => {
-                    const logs = [];
-                    if (snapshot.exists()) {
-                        snapshot.forEach((childSnapshot) => {
-                            const log = {
-                                id: childSnapshot.key,
-                                ...childSnapshot.val()
-                            };
-                            logs.push(log);
-                        });
-                    }
-                    
-                    // Sort by timestamp descending (newest first)
-                    logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-                    
-                    // Apply additional filters
-                    const filteredLogs = this.applyFilters(logs, filters);
-                    resolve(filteredLogs);
-                }, (error) => {
-                    console.error('❌ Failed to fetch logs:', error);
-                    reject(error);
-                });
-            });
-            
+    /**
+     * Build the details text of a user log entry
+     * @param {string} actionType - Action type
+     * @param {string} actor - Username performing the action
+     * @param {string} target - Target username
+     * @param {Array<Object>} changes - Changes
+     * @param {Object} extra - Additional data
+     * @returns {string} Details
+     */
+    describeUserActivity(actionType, actor, target, changes, extra) {
+        const change = (field) => changes.find(item => item.field === field);
+
+        switch (actionType) {
+            case 'USER_CREATE':
+                return `Created user account "${target}"${extra.role ? ` as ${extra.role}` : ''}`;
+            case 'USER_EDIT':
+                return changes.length > 0
+                    ? `Updated ${changes.map(item => item.displayName).join(', ')} of "${target}"`
+                    : `Saved "${target}" without changes`;
+            case 'ROLE_CHANGE':
+                return `Role of "${target}" changed from "${change('role')?.from || 'Unknown'}" to "${change('role')?.to || 'Unknown'}"`;
+            case 'USER_STATUS':
+                return `"${target}" account ${change('active')?.to === 'Inactive' ? 'deactivated' : 'activated'}`;
+            case 'PASSWORD_CHANGE':
+                return actor === target ? 'Password updated' : `Password of "${target}" changed`;
+            case 'USER_DELETE':
+                return `Deleted account "${target}"`;
+            default:
+                return `${actionType} action performed`;
+        }
+    }
+
+    /**
+     * Copy additional log data without secrets and with long values shortened
+     * @param {Object} data - Additional data
+     * @returns {Object} Data safe to store in the log
+     */
+    sanitizeLogData(data) {
+        return Object.fromEntries(Object.entries(data)
+            .filter(([key, value]) => !SENSITIVE_LOG_KEY.test(key) && value !== undefined)
+            .map(([key, value]) => [key, typeof value === 'string' ? this.limitLogValue(value) : value]));
+    }
+
+    /**
+     * Shorten a logged value
+     * @param {*} value - Value
+     * @returns {string} At most MAX_LOG_VALUE_LENGTH characters
+     */
+    limitLogValue(value) {
+        const text = String(value ?? '');
+        return text.length > MAX_LOG_VALUE_LENGTH ? `${text.slice(0, MAX_LOG_VALUE_LENGTH)}…` : text;
+    }
+
+    /**
+     * Describe the browser an action came from
+     * @returns {Object} { userAgent, language, page }
+     */
+    getClientInfo() {
+        if (typeof navigator === 'undefined') {
+            return null;
+        }
+        return {
+            userAgent: navigator.userAgent.slice(0, 300),
+            language: navigator.language || null,
+            page: typeof window !== 'undefined' ? window.location.pathname : null
+        };
+    }
+
+    /**
+     * Search the activity log on the server, newest entries first
+     * @param {Object} options - { archive, filters, page, pageSize, all }
+     *   archive - month of an archive (e.g. '2025-01'), or empty for the live log
+     *   filters - { types, category, user, masterlistNumber, from, to }; from/to as ISO timestamps
+     *   all - every match instead of one page, for exports
+     * @returns {Promise<Object>} { entries, total, page, pageSize, truncated }
+     */
+    async queryLogs({ archive = null, filters = {}, page = 1, pageSize = 10, all = false } = {}) {
+        return callFunction('queryActivityLog', {
+            token: getSessionToken(),
+            archive,
+            filters,
+            page,
+            pageSize,
+            all
+        });
+    }
+
+    /**
+     * Get the newest log entries
+     * @param {Object} filters - Filter criteria ({ limit, ...queryLogs filters })
+     * @returns {Promise<Array>} Array of log entries
+     */
+    async getLogs(filters = {}) {
+        try {
+            const { limit = 100, ...searchFilters } = filters;
+            const { entries } = await this.queryLogs({ filters: searchFilters, pageSize: limit });
+            return entries;
         } catch (error) {
             console.error('❌ Failed to get logs:', error);
             return [];
@@ -268,12 +346,12 @@ class LoggingService {
     }
 
     /**
-     * Set up real-time listener for logs
-     * @param {Function} callback - Callback function to handle log updates
-     * @param {Object} filters - Filter criteria
+     * Watch for new log entries
+     * Only the newest entry is downloaded; call queryLogs again to refresh what is shown
+     * @param {Function} callback - Called with the newest entry, once on start and after every new entry
      * @returns {Function} Unsubscribe function
      */
-    async setupRealtimeListener(callback, filters = {}) {
+    async setupRealtimeListener(callback) {
         try {
             if (!this.isInitialized) {
                 const initialized = await this.initialize();
@@ -282,37 +360,16 @@ class LoggingService {
                 }
             }
 
-            const { ref, query, orderByChild, limitToLast, onValue } = this.databaseFunctions;
-            const logsRef = ref(this.database, 'actionlogs');
-            
-            // Create query with ordering and limiting
-            let logsQuery = query(logsRef, orderByChild('timestamp'));
-            
-            if (filters.limit) {
-                logsQuery = query(logsRef, orderByChild('timestamp'), limitToLast(filters.limit));
-            }
+            const { ref, query, orderByKey, limitToLast, onValue } = this.databaseFunctions;
+            const newestQuery = query(ref(this.database, 'actionlogs'), orderByKey(), limitToLast(1));
 
-            const unsubscribe = onValue(logsQuery, (snapshot) => {
-                const logs = [];
-                if (snapshot.exists()) {
-                    snapshot.forEach((childSnapshot) => {
-                        const log = {
-                            id: childSnapshot.key,
-                            ...childSnapshot.val()
-                        };
-                        logs.push(log);
-                    });
-                }
-                
-                // Sort by timestamp descending (newest first)
-                logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-                
-                // Apply additional filters
-                const filteredLogs = this.applyFilters(logs, filters);
-                callback(filteredLogs);
+            return onValue(newestQuery, (snapshot) => {
+                let newest = null;
+                snapshot.forEach((childSnapshot) => {
+                    newest = { id: childSnapshot.key, ...childSnapshot.val() };
+                });
+                callback(newest);
             });
-
-            return unsubscribe;
             
         } catch (error) {
             console.error('❌ Failed to setup realtime listener:', error);
@@ -321,55 +378,39 @@ class LoggingService {
     }
 
     /**
-     * Apply filters to log entries
-     * @param {Array} logs - Array of log entries
-     * @param {Object} filters - Filter criteria
-     * @returns {Array} Filtered log entries
+     * Turn a date filter choice into a time range
+     * @param {string} dateRange - 'today', 'week', 'month' or 'all'
+     * @returns {Object} { from } as an ISO timestamp, or empty for all time
      */
-    applyFilters(logs, filters) {
-        let filteredLogs = [...logs];
-
-        // Filter by type
-        if (filters.type && filters.type !== 'all') {
-            filteredLogs = filteredLogs.filter(log => 
-                log.type && log.type.toLowerCase() === filters.type.toLowerCase()
-            );
-        }
-
-        // Filter by date range
-        if (filters.dateRange) {
-            const now = new Date();
-            let startDate;
-
-            switch (filters.dateRange) {
-                case 'today':
-                    startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-                    break;
-                case 'week':
-                    startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-                    break;
-                case 'month':
-                    startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-                    break;
-                default:
-                    startDate = null;
-            }
-
-            if (startDate) {
-                filteredLogs = filteredLogs.filter(log => 
-                    new Date(log.timestamp) >= startDate
-                );
-            }
+    getDateRange(dateRange) {
+        const now = new Date();
+        switch (dateRange) {
+            case 'today':
+                return { from: new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString() };
+            case 'week':
+                return { from: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString() };
+            case 'month':
+                return { from: new Date(now.getFullYear(), now.getMonth(), 1).toISOString() };
+            default:
+                return {};
         }
+    }
 
-        // Filter by user
-        if (filters.user) {
-            filteredLogs = filteredLogs.filter(log => 
-                log.user && log.user.toLowerCase().includes(filters.user.toLowerCase())
-            );
-        }
+    /**
+     * List the monthly log archives and the retention period
+     * @returns {Promise<Object>} { archives: [{ month, entryCount, size, updatedAt }], retentionDays, canManageRetention }
+     */
+    async getArchives() {
+        return callFunction('getActivityLogArchives', { token: getSessionToken() });
+    }
 
-        return filteredLogs;
+    /**
+     * Change how many days entries stay in the live log before they are archived (super-admins only)
+     * @param {number} retentionDays - Days
+     * @returns {Promise<Object>} { retentionDays }
+     */
+    async saveRetention(retentionDays) {
+        return callFunction('saveActivityLogRetention', { token: getSessionToken(), retentionDays });
     }
 
     /**
@@ -402,7 +443,7 @@ class LoggingService {
      */
     exportToCSV(logs) {
         try {
-            const headers = ['Timestamp', 'Type', 'User', 'Character', 'Changes'];
+            const headers = ['Timestamp', 'Type', 'User', 'Character', 'Target User', 'Changes'];
             const csvContent = [
                 headers.join(','),
                 ...logs.map(log => {
@@ -455,6 +496,7 @@ class LoggingService {
                         `"${log.type || ''}"`,
                         `"${log.user || ''}"`,
                         `"${log.masterlistNumber || ''}"`,
+                        `"${String(log.targetUser || '').replace(/"/g, '""')}"`,
                         `"${String(changesText).replace(/"/g, '""')}"`  // Escape quotes in CSV
                     ].join(',');
                 })
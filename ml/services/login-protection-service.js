@@ -0,0 +1,41 @@
+/**
+ * Locked Account Helpers
+ * Lists and lifts sign in lockouts through the login protection Cloud Functions (administrators only)
+ * Every call sends the session token; errors from the functions are thrown with their message
+ */
+
+import { callFunction } from './cloud-functions.js';
+import { getSessionToken } from './session-service.js';
+
+/**
+ * Get the accounts and clients that are locked now
+ * @returns {Promise<Array<Object>>} Lockouts ({ id, kind, label, userId, lockedAt, lockedUntil, lockoutFailures })
+ */
+async function listLoginLockouts() {
+    try {
+        const { lockouts } = await callFunction('listLoginLockouts', { token: getSessionToken() });
+        return lockouts;
+    } catch (error) {
+        console.error('Error listing locked accounts:', error);
+        throw error;
+    }
+}
+
+/**
+ * Lift a lockout and clear its failed attempts
+ * @param {string} id - Lockout ID
+ * @returns {Promise<Object>} { unlocked: true }
+ */
+async function unlockLogin(id) {
+    try {
+        return await callFunction('unlockLogin', { token: getSessionToken(), id });
+    } catch (error) {
+        console.error(`Error unlocking ${id}:`, error);
+        throw error;
+    }
+}
+
+export {
+    listLoginLockouts,
+    unlockLogin
+};
@@ -0,0 +1,85 @@
+/**
+ * Maintenance Mode Helpers
+ * Reads and changes the global maintenance setting through the maintenance Cloud Functions
+ * The status is cached for a minute so character writes do not each wait for the server
+ */
+
+import { callFunction } from './cloud-functions.js';
+import { getSessionToken } from './session-service.js';
+
+// How long a fetched status is reused
+const STATUS_CACHE_MS = 60 * 1000;
+
+// Used by the page guards when the status cannot be loaded, so they fail closed
+const UNKNOWN_MAINTENANCE_STATUS = Object.freeze({
+    active: true,
+    bypass: false,
+    message: 'The maintenance status could not be checked. Please reload the page.',
+    endsAt: null
+});
+
+let cachedStatus = null;
+let cachedAt = 0;
+
+/**
+ * Get the maintenance status, including whether the current user may bypass it
+ * @param {Object} [options] - { refresh } - skip the cache
+ * @returns {Promise<Object>} Status ({ active, enabled, message, startsAt, endsAt, bypass, canManage, updatedAt, updatedBy })
+ */
+async function getMaintenanceStatus({ refresh = false } = {}) {
+    if (!refresh && cachedStatus && Date.now() - cachedAt < STATUS_CACHE_MS) {
+        return cachedStatus;
+    }
+
+    try {
+        cachedStatus = await callFunction('getMaintenanceStatus', { token: getSessionToken() });
+        cachedAt = Date.now();
+        return cachedStatus;
+    } catch (error) {
+        console.error('Error loading maintenance status:', error);
+        throw error;
+    }
+}
+
+/**
+ * Throw when maintenance is active and the current user may not bypass it
+ * @returns {Promise<void>}
+ * @throws {Error} With the maintenance message and code MAINTENANCE_MODE
+ */
+async function assertNotInMaintenance() {
+    const status = await getMaintenanceStatus();
+    if (status.active && !status.bypass) {
+        const error = new Error(status.message);
+        error.code = 'MAINTENANCE_MODE';
+        throw error;
+    }
+}
+
+/**
+ * Turn maintenance mode on or off and schedule it (administrators only)
+ * @param {Object} settings - { enabled, message, startsAt, endsAt } - times in milliseconds, or null
+ * @returns {Promise<Object>} Saved settings
+ */
+async function saveMaintenanceSettings({ enabled, message, startsAt, endsAt }) {
+    try {
+        const settings = await callFunction('saveMaintenanceSettings', {
+            token: getSessionToken(),
+            enabled,
+            message,
+            startsAt,
+            endsAt
+        });
+        cachedStatus = null;
+        return settings;
+    } catch (error) {
+        console.error('Error saving maintenance settings:', error);
+        throw error;
+    }
+}
+
+export {
+    UNKNOWN_MAINTENANCE_STATUS,
+    getMaintenanceStatus,
+    assertNotInMaintenance,
+    saveMaintenanceSettings
+};
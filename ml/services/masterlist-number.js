@@ -0,0 +1,43 @@
+/**
+ * Masterlist Number Helpers
+ * Single place for the ML-XXXX format shared by the upload form, services and repositories
+ */
+
+const MASTERLIST_PREFIX = 'ML-';
+
+// Digits new numbers are zero-padded to (matches data/characters/ML-0001.json)
+const MASTERLIST_DIGITS = 4;
+
+// How long an upload form may hold a reserved number before it can be handed out again
+const MASTERLIST_RESERVATION_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Format a number as a masterlist number
+ * @param {number|string} value - Number or digits
+ * @returns {string} Masterlist number (e.g. ML-0007)
+ */
+function formatMasterlistNumber(value) {
+    return `${MASTERLIST_PREFIX}${String(parseInt(value, 10)).padStart(MASTERLIST_DIGITS, '0')}`;
+}
+
+/**
+ * Parse the numeric part of a masterlist number
+ * Legacy 3-digit numbers (ML-001) and padded ones (ML-0001) parse to the same value
+ * @param {string} masterlistNumber - Masterlist number, with or without prefix
+ * @returns {number|null} Positive integer or null when not a masterlist number
+ */
+function parseMasterlistNumber(masterlistNumber) {
+    const match = /^(?:ML-?)?(\d+)$/i.exec(String(masterlistNumber ?? '').trim());
+    if (!match) return null;
+
+    const value = parseInt(match[1], 10);
+    return value > 0 ? value : null;
+}
+
+export {
+    MASTERLIST_PREFIX,
+    MASTERLIST_DIGITS,
+    MASTERLIST_RESERVATION_TTL_MS,
+    formatMasterlistNumber,
+    parseMasterlistNumber
+};
@@ -5,16 +5,18 @@
  */
 
 import AuthenticationService from './authentication-service.js';
+import { UNKNOWN_MAINTENANCE_STATUS, getMaintenanceStatus } from './maintenance-service.js';
+import { findPagePolicy } from '../config/access-policies.js';
 
 /**
  * Navigation Guard Class
  * Manages navigation restrictions and access control for the ml/ directory
- * Extends authentication service with additional conditional restrictions
+ * Each page's required permission comes from the access policy manifest (functions/accessPolicies.json)
  */
 class NavigationGuard {
     constructor() {
         this.authService = new AuthenticationService();
-        this.restrictedPaths = [];
+        this.maintenance = null;
         this.isInitialized = false;
         
         console.log('🛡️ Navigation Guard initialized');
@@ -32,6 +34,8 @@ class NavigationGuard {
                 throw new Error('Authentication service initialization failed');
             }
 
+            await this.loadMaintenanceStatus();
+
             this.isInitialized = true;
             console.log('✅ Navigation Guard initialized successfully');
             return true;
@@ -42,55 +46,102 @@ class NavigationGuard {
     }
 
     /**
-     * Check if navigation to ml/ directory should be restricted
-     * @returns {boolean} True if navigation should be restricted
+     * Get the access policy of a page
+     * @param {string} path - Page path (defaults to the current page)
+     * @returns {Object|null} { path, permission, disabled, description }, or null for public pages
      */
-    isMLDirectoryRestricted() {
-        // Check for the IsThisFirstTime_Log_From_LiveServer flag
-        const isFirstTime = localStorage.getItem('IsThisFirstTime_Log_From_LiveServer');
-        
-        // If the flag is true (string 'true'), restrict navigation
-        return isFirstTime === 'true';
+    getPagePolicy(path = window.location.pathname) {
+        return findPagePolicy(path);
+    }
+
+    /**
+     * Load the maintenance status for the signed-in user
+     * Treats maintenance as active when the status cannot be loaded, so the ml/ pages fail closed
+     * @returns {Promise<void>}
+     */
+    async loadMaintenanceStatus() {
+        try {
+            this.maintenance = await getMaintenanceStatus({ refresh: true });
+        } catch (error) {
+            console.error('❌ Could not load maintenance status:', error);
+            this.maintenance = UNKNOWN_MAINTENANCE_STATUS;
+        }
+    }
+
+    /**
+     * Check if maintenance mode keeps the current user out
+     * @returns {boolean} True if maintenance is active and the user may not bypass it
+     */
+    isMaintenanceRestricted() {
+        return !!this.maintenance?.active && !this.maintenance.bypass;
     }
 
     /**
-     * Check if user is authenticated by validating session storage
-     * @returns {boolean} True if user has valid session
+     * Check if user is authenticated
+     * The session token was verified with the server when the authentication service initialized
+     * @returns {boolean} True if user has a verified session
      */
     checkUserAuthentication() {
-        // Check for user session data
-        const adminEmail = sessionStorage.getItem('adminEmail');
-        const currentUser = sessionStorage.getItem('currentUser');
-        
-        // User is authenticated if either adminEmail or currentUser exists
-        return !!(adminEmail || currentUser);
+        return this.authService.isSessionVerified && this.authService.isAuthenticated();
     }
 
     /**
-     * Comprehensive access validation for ML directory
+     * Access validation for a page from its access policy
+     * Maintenance mode applies to the ml/ directory only
+     * @param {string} path - Page path
      * @returns {Object} Access validation result
      */
-    validateMLAccess() {
-        const isFirstTimeRestricted = this.isMLDirectoryRestricted();
-        const isAuthenticated = this.checkUserAuthentication();
+    validatePageAccess(path) {
+        const policy = this.getPagePolicy(path);
         
-        // If first-time flag is true, always restrict regardless of authentication
-        if (isFirstTimeRestricted) {
+        // Maintenance mode comes first, so visitors see its message rather than the login prompt
+        if (this.isMLDirectoryPath(path) && this.isMaintenanceRestricted()) {
             return {
                 hasAccess: false,
-                reason: 'First-time setup restriction is active',
-                type: 'FIRST_TIME_RESTRICTION',
+                reason: 'System is currently under maintenance',
+                type: 'MAINTENANCE_MODE',
+                message: this.maintenance.message,
                 redirectTo: '../index.html'
             };
         }
         
-        // If no first-time restriction but user is not authenticated, restrict access
-        if (!isAuthenticated) {
+        if (policy?.disabled) {
+            return {
+                hasAccess: false,
+                reason: 'This page is disabled',
+                type: 'PAGE_DISABLED',
+                redirectTo: '/'
+            };
+        }
+        
+        // Public pages
+        if (!policy?.permission) {
+            return {
+                hasAccess: true,
+                reason: 'Access granted',
+                type: 'ACCESS_GRANTED',
+                policy,
+                redirectTo: null
+            };
+        }
+        
+        if (!this.checkUserAuthentication()) {
             return {
                 hasAccess: false,
                 reason: 'User authentication required',
                 type: 'AUTHENTICATION_REQUIRED',
-                redirectTo: '../login.html'
+                redirectTo: '/login.html'
+            };
+        }
+        
+        const permissionCheck = this.authService.validateAccess(policy.permission);
+        if (!permissionCheck.hasAccess) {
+            return {
+                hasAccess: false,
+                reason: permissionCheck.reason,
+                type: 'PERMISSION_REQUIRED',
+                permission: policy.permission,
+                redirectTo: this.authService.hasPermission('dashboard.access') ? '/ml/index.html' : '/index.html'
             };
         }
         
@@ -99,53 +150,51 @@ class NavigationGuard {
             hasAccess: true,
             reason: 'Access granted',
             type: 'ACCESS_GRANTED',
+            policy,
             redirectTo: null
         };
     }
 
     /**
      * Validate access to a specific path with additional restrictions
-     * @param {string} path - The path to validate access for
-     * @param {string} requiredRole - Required user role (default: 'any')
+     * @param {string} path - The path to validate access for (defaults to the current page)
+     * @param {string} [requirement] - Permission required on top of the page's policy, or 'administrator', 'moderator' or 'any'
      * @returns {Object} Access validation result
      */
-    validateAccess(path = '', requiredRole = 'any') {
+    validateAccess(path = window.location.pathname, requirement = null) {
         try {
             if (!this.isInitialized) {
                 throw new Error('Navigation guard not initialized');
             }
 
-            // Check if the path is within the ml/ directory
-            const isMLPath = this.isMLDirectoryPath(path);
-            
-            if (isMLPath) {
-                // Perform comprehensive ML access validation
-                const accessResult = this.validateMLAccess();
-                
-                if (!accessResult.hasAccess) {
-                    return {
-                        hasAccess: false,
-                        redirectTo: accessResult.redirectTo,
-                        reason: accessResult.reason,
-                        restrictionType: accessResult.type
-                    };
-                }
+            const accessResult = this.validatePageAccess(path);
+            if (!accessResult.hasAccess) {
+                return {
+                    hasAccess: false,
+                    redirectTo: accessResult.redirectTo,
+                    reason: accessResult.reason,
+                    restrictionType: accessResult.type,
+                    message: accessResult.message,
+                    permission: accessResult.permission
+                };
             }
 
-            // First, check standard authentication and role-based access
-            const authValidation = this.authService.validateAccess(requiredRole);
-            
-            if (!authValidation.hasAccess) {
-                return authValidation;
+            // Then any permission the caller needs beyond the page's policy
+            if (requirement) {
+                return this.authService.validateAccess(requirement);
             }
 
-            // If all checks pass, return the original auth validation
-            return authValidation;
+            return {
+                hasAccess: true,
+                policy: accessResult.policy,
+                user: this.authService.getCurrentUser(),
+                role: this.authService.getCurrentUserRole()
+            };
         } catch (error) {
             console.error('❌ Error validating access:', error);
             return {
                 hasAccess: false,
-                redirectTo: '../login.html',
+                redirectTo: '/login.html',
                 reason: 'Access validation error',
                 error: error.message
             };
@@ -169,35 +218,17 @@ class NavigationGuard {
     }
 
     /**
-     * Set the first-time restriction flag
-     * @param {boolean} isRestricted - Whether to restrict access
-     */
-    setFirstTimeRestriction(isRestricted) {
-        localStorage.setItem('IsThisFirstTime_Log_From_LiveServer', isRestricted.toString());
-        console.log(`🔒 First-time restriction ${isRestricted ? 'enabled' : 'disabled'}`);
-    }
-
-    /**
-     * Clear the first-time restriction flag
-     */
-    clearFirstTimeRestriction() {
-        localStorage.removeItem('IsThisFirstTime_Log_From_LiveServer');
-        console.log('🔓 First-time restriction cleared');
-    }
-
-    /**
-     * Get the current restriction status
+     * Get the current page's policy and whether it blocks the current user
      * @returns {Object} Current restriction status and details
      */
     getRestrictionStatus() {
-        const isRestricted = this.isMLDirectoryRestricted();
-        const isMLPath = this.isMLDirectoryPath();
+        const result = this.validateAccess();
         
         return {
-            isRestricted,
-            isMLPath,
-            shouldBlock: isRestricted && isMLPath,
-            flagValue: localStorage.getItem('IsThisFirstTime_Log_From_LiveServer')
+            isRestricted: !result.hasAccess,
+            isMLPath: this.isMLDirectoryPath(),
+            policy: this.getPagePolicy(),
+            restrictionType: result.restrictionType || null
         };
     }
 
@@ -207,23 +238,25 @@ class NavigationGuard {
      */
     initializePageProtection(currentPath = window.location.pathname) {
         try {
-            // Check if current path is in ML directory
-            if (this.isMLDirectoryPath(currentPath)) {
-                // Perform comprehensive ML access validation
-                const accessResult = this.validateMLAccess();
+            const accessResult = this.validateAccess(currentPath);
+            
+            if (!accessResult.hasAccess) {
+                const titles = {
+                    AUTHENTICATION_REQUIRED: 'Authentication Required',
+                    MAINTENANCE_MODE: 'Maintenance Mode',
+                    PAGE_DISABLED: 'Page Unavailable'
+                };
+                const messages = {
+                    AUTHENTICATION_REQUIRED: 'You must be logged in to access this page.',
+                    MAINTENANCE_MODE: this.escapeHtml(accessResult.message || ''),
+                    PAGE_DISABLED: 'This page has been turned off.'
+                };
+                const title = titles[accessResult.restrictionType] || 'Access Restricted';
+                const message = messages[accessResult.restrictionType] ||
+                    'Your role does not have access to this page.';
                 
-                if (!accessResult.hasAccess) {
-                    const title = accessResult.type === 'AUTHENTICATION_REQUIRED' 
-                        ? 'Authentication Required' 
-                        : 'ML Directory Access Restricted';
-                    
-                    const message = accessResult.type === 'AUTHENTICATION_REQUIRED'
-                        ? 'You must be logged in to access the ML directory.'
-                        : 'The ML directory is currently restricted due to first-time setup requirements.';
-                    
-                    this.showAccessDeniedMessage(title, message, accessResult.redirectTo);
-                    return false;
-                }
+                this.showAccessDeniedMessage(title, message, accessResult.redirectTo);
+                return false;
             }
 
             console.log('✅ Navigation Guard page protection initialized successfully');
@@ -298,58 +331,14 @@ class NavigationGuard {
     }
 
     /**
-     * Show a user-friendly restriction message
+     * Escape text for use in HTML
+     * @param {string} text - Text
+     * @returns {string} Escaped text
      */
-    showRestrictionMessage() {
-        // Create and show a modal or notification
-        const messageDiv = document.createElement('div');
-        messageDiv.className = 'restriction-message';
-        messageDiv.innerHTML = `
-            <div class="restriction-content">
-                <h3>🔒 Access Restricted</h3>
-                <p>The ML directory is currently restricted due to first-time setup requirements.</p>
-                <p>You will be redirected to the main application shortly.</p>
-                <button onclick="window.location.href='../index.html'">Go to Main App</button>
-            </div>
-        `;
-        
-        // Add styles
-        messageDiv.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.8);
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            z-index: 10000;
-            color: white;
-            font-family: Arial, sans-serif;
-        `;
-        
-        const content = messageDiv.querySelector('.restriction-content');
-        content.style.cssText = `
-            background: #333;
-            padding: 2rem;
-            border-radius: 8px;
-            text-align: center;
-            max-width: 400px;
-        `;
-        
-        const button = messageDiv.querySelector('button');
-        button.style.cssText = `
-            background: #007bff;
-            color: white;
-            border: none;
-            padding: 0.5rem 1rem;
-            border-radius: 4px;
-            cursor: pointer;
-            margin-top: 1rem;
-        `;
-        
-        document.body.appendChild(messageDiv);
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
 
     /**
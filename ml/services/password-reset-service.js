@@ -0,0 +1,75 @@
+/**
+ * Password Reset Helpers
+ * Requests reset links and sets new passwords through the password reset Cloud Functions
+ * Both steps are recorded in the activity log by the Cloud Functions
+ */
+
+import { callFunction } from './cloud-functions.js';
+
+/**
+ * Turn a callable error into a result object
+ * @param {Error} error - Error thrown by the callable
+ * @param {string} fallback - Message for unexpected errors
+ * @returns {Object} Result ({ success: false, error, code })
+ */
+function toFailure(error, fallback) {
+    const expected = ['functions/invalid-argument', 'functions/not-found', 'functions/failed-precondition'];
+    return {
+        success: false,
+        error: expected.includes(error.code) ? error.message : fallback,
+        code: error.code || 'unknown'
+    };
+}
+
+/**
+ * Ask for a reset link to be emailed
+ * The answer is the same whether or not the account exists
+ * @param {string} identifier - Email address or username
+ * @returns {Promise<Object>} Result ({ success } or { success: false, error, code })
+ */
+async function requestPasswordReset(identifier) {
+    try {
+        await callFunction('requestPasswordReset', { identifier });
+        return { success: true };
+    } catch (error) {
+        console.error('❌ Password reset request failed:', error);
+        return toFailure(error, 'Could not request a password reset. Please try again.');
+    }
+}
+
+/**
+ * Check a reset token from a reset link
+ * @param {string} token - Reset token
+ * @returns {Promise<Object>} Result ({ success, username, expiresAt } or { success: false, error, code })
+ */
+async function checkPasswordResetToken(token) {
+    try {
+        const { username, expiresAt } = await callFunction('checkPasswordResetToken', { token });
+        return { success: true, username, expiresAt };
+    } catch (error) {
+        console.error('❌ Password reset link check failed:', error);
+        return toFailure(error, 'Could not check the reset link. Please try again.');
+    }
+}
+
+/**
+ * Set a new password with a reset token
+ * @param {string} token - Reset token
+ * @param {string} password - New password; hashed server-side with functions/passwords.js
+ * @returns {Promise<Object>} Result ({ success, username } or { success: false, error, code })
+ */
+async function resetPassword(token, password) {
+    try {
+        const { username } = await callFunction('resetPassword', { token, password });
+        return { success: true, username };
+    } catch (error) {
+        console.error('❌ Password reset failed:', error);
+        return toFailure(error, 'Could not reset the password. Please try again.');
+    }
+}
+
+export {
+    requestPasswordReset,
+    checkPasswordResetToken,
+    resetPassword
+};
@@ -0,0 +1,70 @@
+/**
+ * Password Helpers
+ * Changes and sets passwords through the password Cloud Functions, which check and hash them server-side
+ * The dashboard never reads or writes password hashes; changes are recorded in the activity log by the functions
+ */
+
+import { callFunction } from './cloud-functions.js';
+import { getSessionToken } from './session-service.js';
+
+/**
+ * Turn a callable error into a result object
+ * @param {Error} error - Error thrown by the callable
+ * @param {string} fallback - Message for unexpected errors
+ * @returns {Object} Result ({ success: false, error, code })
+ */
+function toFailure(error, fallback) {
+    const expected = ['functions/invalid-argument', 'functions/permission-denied', 'functions/not-found'];
+    return {
+        success: false,
+        error: expected.includes(error.code) ? error.message : fallback,
+        code: error.code || 'unknown'
+    };
+}
+
+/**
+ * Change the signed-in user's password
+ * Every other session of the user is ended
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} Result ({ success, sessionsEnded } or { success: false, error, code })
+ */
+async function changePassword(currentPassword, newPassword) {
+    try {
+        const { sessionsEnded } = await callFunction('changePassword', {
+            token: getSessionToken(),
+            currentPassword,
+            newPassword
+        });
+        return { success: true, sessionsEnded };
+    } catch (error) {
+        console.error('❌ Password change failed:', error);
+        return toFailure(error, 'Could not change the password. Please try again.');
+    }
+}
+
+/**
+ * Set a user's password as an administrator
+ * Replacing an existing password ends every session of the user
+ * @param {string} userId - User document ID
+ * @param {string} password - New password
+ * @returns {Promise<Object>} Result ({ success, sessionsEnded } or { success: false, error, code })
+ */
+async function setUserPassword(userId, password) {
+    try {
+        const { sessionsEnded } = await callFunction('setUserPassword', {
+            token: getSessionToken(),
+            userId,
+            password
+        });
+        return { success: true, sessionsEnded };
+    } catch (error) {
+        console.error('❌ Setting the password failed:', error);
+        return toFailure(error, 'Could not set the password. Please try again.');
+    }
+}
+
+export {
+    changePassword,
+    setUserPassword
+};
@@ -0,0 +1,155 @@
+/**
+ * Session Monitor
+ * Keeps the session alive while the user is active, warns before it ends and signs out when it has
+ * Activity on the page is reported to the server at most once a minute; a session revoked from another
+ * device or by an administrator is noticed at the next report
+ */
+
+import toastManager from '../components/toast.js';
+import { clearSession, getSessionTimes, refreshSession } from './session-service.js';
+
+// How often the remaining time is checked
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+// Activity is reported to the server at most this often
+const ACTIVITY_REPORT_INTERVAL_MS = 60 * 1000;
+
+// How long before the session ends the warning is shown
+const WARNING_BEFORE_MS = 2 * 60 * 1000;
+
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'scroll', 'touchstart'];
+
+/**
+ * Session Monitor Class
+ */
+class SessionMonitor {
+    constructor() {
+        this.timer = null;
+        this.lastActivityAt = Date.now();
+        this.lastReportAt = Date.now();
+        this.warnedFor = null;
+        this.isReporting = false;
+        this.handleActivity = this.handleActivity.bind(this);
+    }
+
+    /**
+     * Start watching the current session
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        ACTIVITY_EVENTS.forEach(event => document.addEventListener(event, this.handleActivity, { passive: true }));
+        this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+        console.log('⏱️ Session monitor started');
+    }
+
+    /**
+     * Stop watching
+     */
+    stop() {
+        ACTIVITY_EVENTS.forEach(event => document.removeEventListener(event, this.handleActivity));
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Note user activity and report it when the last report is old enough
+     */
+    handleActivity() {
+        this.lastActivityAt = Date.now();
+        if (this.lastActivityAt - this.lastReportAt >= ACTIVITY_REPORT_INTERVAL_MS) {
+            this.reportActivity();
+        }
+    }
+
+    /**
+     * Tell the server the user is active, which also picks up remote sign outs
+     */
+    async reportActivity() {
+        if (this.isReporting) {
+            return;
+        }
+
+        this.isReporting = true;
+        this.lastReportAt = Date.now();
+        try {
+            const times = await refreshSession();
+            if (!times) {
+                this.end('Your session was ended. Please sign in again.');
+                return;
+            }
+            this.warnedFor = null;
+        } catch (error) {
+            console.warn('⚠️ Could not report session activity:', error);
+        } finally {
+            this.isReporting = false;
+        }
+    }
+
+    /**
+     * Warn about or end a session that is running out
+     */
+    check() {
+        const times = getSessionTimes();
+        if (!times) {
+            return;
+        }
+
+        const now = Date.now();
+        const idle = times.idleExpiresAt < times.expiresAt;
+        const remaining = Math.min(times.idleExpiresAt, times.expiresAt) - now;
+
+        // Activity since the last report still counts, so report it before warning
+        if (idle && this.lastActivityAt > this.lastReportAt && remaining <= WARNING_BEFORE_MS + CHECK_INTERVAL_MS) {
+            this.reportActivity();
+            return;
+        }
+
+        if (remaining <= 0) {
+            this.end(idle
+                ? 'You were signed out after a period of inactivity.'
+                : 'Your session has expired. Please sign in again.');
+            return;
+        }
+
+        const endsAt = idle ? times.idleExpiresAt : times.expiresAt;
+        if (remaining <= WARNING_BEFORE_MS && this.warnedFor !== endsAt) {
+            this.warnedFor = endsAt;
+            const minutes = Math.max(1, Math.round(remaining / 60000));
+            toastManager.showWarning(idle
+                ? `You will be signed out in ${minutes} minute${minutes === 1 ? '' : 's'} due to inactivity. Click anywhere to stay signed in.`
+                : `Your session expires in ${minutes} minute${minutes === 1 ? '' : 's'}. Save your work and sign in again.`,
+                remaining);
+        }
+    }
+
+    /**
+     * Sign out locally and go to the login page
+     * @param {string} message - Reason shown on the login page
+     */
+    end(message) {
+        this.stop();
+        clearSession();
+        sessionStorage.setItem('loginMessage', message);
+        window.location.href = '../login.html';
+    }
+}
+
+// One monitor per page
+const sessionMonitor = new SessionMonitor();
+
+/**
+ * Start the session monitor for this page
+ * @returns {SessionMonitor} Monitor
+ */
+function startSessionMonitor() {
+    sessionMonitor.start();
+    return sessionMonitor;
+}
+
+export {
+    SessionMonitor,
+    startSessionMonitor
+};
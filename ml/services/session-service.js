@@ -0,0 +1,297 @@
+/**
+ * Session Helpers
+ * Signs in through the login Cloud Function and keeps the signed session token it returns
+ * The token is only trusted once verifySession has checked it; reading it locally is a hint
+ * for redirects, never an access decision
+ * Sessions end after a fixed lifetime or when idle (see session-monitor.js), and can be revoked remotely
+ * The user is also signed in to Firebase with the database token from verifySession, so the database rules
+ * know their permissions
+ * The token is also kept in a session cookie, which the edge check of the page access policies reads
+ * (functions/_middleware.js)
+ */
+
+import firebaseConfig from '../config/firebase-config.js';
+import { callFunction } from './cloud-functions.js';
+
+const SESSION_TOKEN_KEY = 'sessionToken';
+
+// Cookie read by functions/_middleware.js
+const SESSION_COOKIE = 'mlSession';
+
+// Display copies of the signed-in user kept for the header and navigation components
+const SESSION_DISPLAY_KEYS = ['adminEmail', 'currentUser', 'username'];
+
+// Server check of the token, shared by every guard and service on the page
+let sessionValidation = null;
+
+// When the current session ends ({ expiresAt, idleExpiresAt }), from the last server answer
+let sessionTimes = null;
+
+/**
+ * Get the stored session token
+ * @returns {string|null} Session token
+ */
+function getSessionToken() {
+    return sessionStorage.getItem(SESSION_TOKEN_KEY);
+}
+
+/**
+ * Read the payload of the stored token without checking its signature
+ * @returns {Object|null} Payload ({ sub, email, username, role, issuedAt, expiresAt }) or null when missing or expired
+ */
+function readSessionToken() {
+    const [encodedPayload] = (getSessionToken() || '').split('.');
+    if (!encodedPayload) {
+        return null;
+    }
+
+    try {
+        const json = atob(encodedPayload.replace(/-/g, '+').replace(/_/g, '/'));
+        const payload = JSON.parse(json);
+        return payload.sub && payload.expiresAt > Date.now() ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Sign in to or out of Firebase with the database token from verifySession
+ * A failed sign in only stops database writes, which then fail on their own, so it is logged, not thrown
+ * @param {string|null} databaseToken - Firebase custom token, or null to sign out
+ * @returns {Promise<void>}
+ */
+async function applyDatabaseToken(databaseToken) {
+    try {
+        await firebaseConfig.setDatabaseToken(databaseToken || null);
+    } catch (error) {
+        console.error('❌ Database sign in failed:', error);
+    }
+}
+
+/**
+ * Forget the session token and the display copies of the user
+ */
+function clearSession() {
+    sessionStorage.removeItem(SESSION_TOKEN_KEY);
+    document.cookie = `${SESSION_COOKIE}=; Path=/; Max-Age=0; Secure; SameSite=Strict`;
+    SESSION_DISPLAY_KEYS.forEach(key => sessionStorage.removeItem(key));
+    sessionValidation = null;
+    sessionTimes = null;
+    if (firebaseConfig.isInitialized()) {
+        applyDatabaseToken(null);
+    }
+}
+
+/**
+ * Keep a new session token and treat its user as verified for this page
+ * @param {Object} session - Session returned by login or verifyTwoFactor ({ token, user, expiresAt, idleExpiresAt })
+ */
+function storeSession({ token, user, expiresAt, idleExpiresAt }) {
+    clearSession();
+    sessionStorage.setItem(SESSION_TOKEN_KEY, token);
+    document.cookie = `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; Secure; SameSite=Strict`;
+    sessionValidation = Promise.resolve(user);
+    sessionTimes = { expiresAt, idleExpiresAt };
+}
+
+/**
+ * Get when the current session ends, as last reported by the server
+ * @returns {Object|null} { expiresAt, idleExpiresAt } or null before the session has been checked
+ */
+function getSessionTimes() {
+    return sessionTimes;
+}
+
+/**
+ * Map a login function error to a result code and message
+ * @param {Error} error - Error thrown by the callable
+ * @returns {Object} Result ({ success: false, error, code, retryAfter })
+ */
+function toSignInFailure(error) {
+    const codes = {
+        'functions/unauthenticated': ['INVALID_CREDENTIALS', 'Invalid email/username or password'],
+        'functions/invalid-argument': ['INVALID_INPUT', error.message],
+        'functions/deadline-exceeded': ['CHALLENGE_EXPIRED', error.message],
+        'functions/resource-exhausted': ['TOO_MANY_ATTEMPTS', error.message],
+        'functions/unavailable': ['SERVICE_UNAVAILABLE', 'Authentication service is temporarily unavailable']
+    };
+    const [code, message] = codes[error.code] || ['AUTH_ERROR', 'Authentication failed. Please try again.'];
+    return { success: false, error: message, code, retryAfter: error.details?.retryAfter || null };
+}
+
+/**
+ * Sign in with an email or username and password
+ * Accounts with two-factor authentication get a challenge to pass to completeTwoFactorSignIn
+ * @param {string} identifier - Email address or username
+ * @param {string} password - Password
+ * @returns {Promise<Object>} Result ({ success, user, expiresAt }, { success: false, twoFactorRequired, challenge, code }
+ *                            or { success: false, error, code })
+ */
+async function signIn(identifier, password) {
+    try {
+        const result = await callFunction('login', { identifier, password });
+
+        if (result.twoFactorRequired) {
+            return {
+                success: false,
+                twoFactorRequired: true,
+                challenge: result.challenge,
+                expiresAt: result.expiresAt,
+                error: 'Enter the code from your authenticator app',
+                code: 'TWO_FACTOR_REQUIRED'
+            };
+        }
+
+        storeSession(result);
+        return { success: true, user: result.user, expiresAt: result.expiresAt };
+    } catch (error) {
+        console.error('❌ Sign in failed:', error);
+        return toSignInFailure(error);
+    }
+}
+
+/**
+ * Finish a two-factor sign in
+ * @param {string} challenge - Challenge returned by signIn
+ * @param {string} code - Authenticator app code or recovery code
+ * @returns {Promise<Object>} Result ({ success, user, expiresAt, recoveryCodesRemaining } or { success: false, error, code })
+ */
+async function completeTwoFactorSignIn(challenge, code) {
+    try {
+        const result = await callFunction('verifyTwoFactor', { challenge, code });
+
+        storeSession(result);
+        return {
+            success: true,
+            user: result.user,
+            expiresAt: result.expiresAt,
+            recoveryCodesRemaining: result.recoveryCodesRemaining
+        };
+    } catch (error) {
+        console.error('❌ Two-factor sign in failed:', error);
+        return toSignInFailure(error);
+    }
+}
+
+/**
+ * Check the stored token with the server
+ * Runs once per page; a rejected token is cleared, a network failure only denies access for this page
+ * @returns {Promise<Object|null>} Current user data from the users collection, or null
+ */
+function validateSession() {
+    if (!sessionValidation) {
+        sessionValidation = (async () => {
+            const token = getSessionToken();
+            if (!token || !readSessionToken()) {
+                clearSession();
+                return null;
+            }
+
+            try {
+                const { user, expiresAt, idleExpiresAt, databaseToken } = await callFunction('verifySession', { token });
+                sessionTimes = { expiresAt, idleExpiresAt };
+                await applyDatabaseToken(databaseToken);
+                return user;
+            } catch (error) {
+                if (error.code === 'functions/unauthenticated') {
+                    console.warn('⚠️ Session rejected by server, signing out');
+                    clearSession();
+                } else {
+                    console.error('❌ Session check failed:', error);
+                }
+                return null;
+            }
+        })();
+    }
+    return sessionValidation;
+}
+
+/**
+ * Check the session with the server again, which also counts as activity for the idle timeout
+ * @returns {Promise<Object|null>} { expiresAt, idleExpiresAt }, or null when the session has ended
+ * @throws {Error} When the server could not be reached
+ */
+async function refreshSession() {
+    const token = getSessionToken();
+    if (!token) {
+        return null;
+    }
+
+    try {
+        const { user, expiresAt, idleExpiresAt, databaseToken } = await callFunction('verifySession', { token });
+        sessionValidation = Promise.resolve(user);
+        sessionTimes = { expiresAt, idleExpiresAt };
+        await applyDatabaseToken(databaseToken);
+        return sessionTimes;
+    } catch (error) {
+        if (error.code === 'functions/unauthenticated') {
+            console.warn('⚠️ Session ended by server, signing out');
+            clearSession();
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * End the session on the server and forget it locally
+ * The local session is cleared even when the server cannot be reached
+ * @returns {Promise<void>}
+ */
+async function signOut() {
+    const token = getSessionToken();
+    clearSession();
+    if (!token) {
+        return;
+    }
+
+    try {
+        await callFunction('signOut', { token });
+    } catch (error) {
+        console.error('❌ Sign out failed on the server:', error);
+    }
+}
+
+/**
+ * Get the signed-in user's active sessions
+ * @returns {Promise<Array<Object>>} Sessions ({ id, current, createdAt, lastActiveAt, expiresAt, idleExpiresAt, ip, userAgent })
+ */
+async function listSessions() {
+    const { sessions } = await callFunction('listSessions', { token: getSessionToken() });
+    return sessions;
+}
+
+/**
+ * End one of the signed-in user's other sessions, or all of them
+ * @param {string} [sessionId] - Session to end; leave out to end every session except this one
+ * @returns {Promise<number>} Number of sessions ended
+ */
+async function revokeOwnSessions(sessionId) {
+    const { revoked } = await callFunction('revokeOwnSessions', { token: getSessionToken(), sessionId });
+    return revoked;
+}
+
+/**
+ * End every session of another user (administrators only)
+ * @param {string} userId - User document ID
+ * @returns {Promise<number>} Number of sessions ended
+ */
+async function signOutUser(userId) {
+    const { revoked } = await callFunction('signOutUser', { token: getSessionToken(), userId });
+    return revoked;
+}
+
+export {
+    getSessionToken,
+    readSessionToken,
+    clearSession,
+    signIn,
+    completeTwoFactorSignIn,
+    validateSession,
+    refreshSession,
+    getSessionTimes,
+    signOut,
+    listSessions,
+    revokeOwnSessions,
+    signOutUser
+};
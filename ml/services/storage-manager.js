@@ -6,10 +6,25 @@
 import firebaseConfig from '../config/firebase-config.js';
 import { FirebaseCharacterRepository } from '../repositories/character-repository.js';
 import CharacterService from './character-service.js';
+import { FirebaseTradeRepository } from '../repositories/trade-repository.js';
+import TradeService from './trade-service.js';
+import { FirebaseTraitRepository } from '../repositories/trait-repository.js';
+import TraitService from './trait-service.js';
+import { FirestoreSettingsRepository } from '../repositories/settings-repository.js';
+import VocabularyService from './vocabulary-service.js';
+import { FirebaseImageRepository } from '../repositories/image-repository.js';
+import ImageService from './image-service.js';
+import ImageCheckService from './image-check-service.js';
+import { assertNotInMaintenance } from './maintenance-service.js';
 
 class EnhancedCharacterStorageManager {
     constructor() {
         this.characterService = null;
+        this.tradeService = null;
+        this.traitService = null;
+        this.vocabularyService = null;
+        this.imageService = null;
+        this.imageCheckService = null;
         this.isFirebaseEnabled = false;
         this.initializationPromise = null;
         this.initializationError = null;
@@ -45,7 +60,24 @@ class EnhancedCharacterStorageManager {
             const firebaseRepo = new FirebaseCharacterRepository(firebaseConfig);
             await firebaseRepo.initialize();
             
-            this.characterService = new CharacterService(firebaseRepo);
+            const traitRepo = new FirebaseTraitRepository(firebaseConfig);
+            await traitRepo.initialize();
+
+            const settingsRepo = new FirestoreSettingsRepository(firebaseConfig);
+            await settingsRepo.initialize();
+
+            this.characterService = new CharacterService(firebaseRepo, traitRepo, settingsRepo);
+            this.vocabularyService = new VocabularyService(settingsRepo, this.characterService, traitRepo);
+            this.traitService = new TraitService(traitRepo, this.characterService, this.vocabularyService);
+
+            const imageRepo = new FirebaseImageRepository(firebaseConfig);
+            await imageRepo.initialize();
+            this.imageService = new ImageService(imageRepo);
+            this.imageCheckService = new ImageCheckService(firebaseRepo, this.characterService);
+            
+            const tradeRepo = new FirebaseTradeRepository(firebaseConfig);
+            await tradeRepo.initialize();
+            this.tradeService = new TradeService(tradeRepo, this.characterService);
             this.isFirebaseEnabled = true;
             
             console.log('Storage Manager initialized with Firebase');
@@ -72,6 +104,21 @@ class EnhancedCharacterStorageManager {
         }
     }
 
+    /**
+     * Search, filter, sort and page characters
+     * @param {Object} query - Query ({ search, rarity, status, biome, sort, limit, cursor })
+     * @returns {Promise<Object>} Page ({ characters, nextCursor, total })
+     * @throws {Error} When database operation fails
+     */
+    async queryCharacters(query = {}) {
+        await this.ensureInitialized();
+        try {
+            return await this.characterService.queryCharacters(query);
+        } catch (error) {
+            throw new Error(`Failed to search characters: ${error.message}`);
+        }
+    }
+
     /**
      * Get character by ID
      * @param {string} id - Character ID
@@ -95,6 +142,7 @@ class EnhancedCharacterStorageManager {
      */
     async addCharacter(character) {
         await this.ensureInitialized();
+        await assertNotInMaintenance();
         try {
             return await this.characterService.createCharacter(character);
         } catch (error) {
@@ -102,6 +150,37 @@ class EnhancedCharacterStorageManager {
         }
     }
 
+    /**
+     * Validate characters for import without saving them
+     * @param {Array<Object>} rows - Character data per imported row
+     * @returns {Promise<Array>} Per-row validation report
+     * @throws {Error} When database operation fails
+     */
+    async previewCharacterImport(rows) {
+        await this.ensureInitialized();
+        try {
+            return await this.characterService.validateImportRows(rows);
+        } catch (error) {
+            throw new Error(`Failed to validate import: ${error.message}`);
+        }
+    }
+
+    /**
+     * Import valid characters in one batch
+     * @param {Array<Object>} rows - Character data per imported row
+     * @returns {Promise<Object>} Import result
+     * @throws {Error} When save operation fails
+     */
+    async importCharacters(rows) {
+        await this.ensureInitialized();
+        await assertNotInMaintenance();
+        try {
+            return await this.characterService.importCharacters(rows);
+        } catch (error) {
+            throw new Error(`Failed to import characters: ${error.message}`);
+        }
+    }
+
     /**
      * Update existing character
      * @param {string} id - Character ID
@@ -112,6 +191,7 @@ class EnhancedCharacterStorageManager {
      */
     async updateCharacter(id, updates, originalData = null) {
         await this.ensureInitialized();
+        await assertNotInMaintenance();
         try {
             return await this.characterService.updateCharacter(id, updates, originalData);
         } catch (error) {
@@ -120,20 +200,470 @@ class EnhancedCharacterStorageManager {
     }
 
     /**
-     * Delete character
+     * Delete character (moves it to the recycle bin)
      * @param {string} id - Character ID
+     * @param {string} reason - Reason for deletion (optional)
      * @returns {Promise<boolean>} Success status
      * @throws {Error} When delete operation fails
      */
-    async deleteCharacter(id) {
+    async deleteCharacter(id, reason = '') {
         await this.ensureInitialized();
+        await assertNotInMaintenance();
         try {
-            return await this.characterService.deleteCharacter(id);
+            return await this.characterService.deleteCharacter(id, reason);
         } catch (error) {
             throw new Error(`Failed to delete character: ${error.message}`);
         }
     }
 
+    /**
+     * Get characters in the recycle bin
+     * @returns {Promise<Array>} Trash entries
+     * @throws {Error} When database operation fails
+     */
+    async getDeletedCharacters() {
+        await this.ensureInitialized();
+        try {
+            return await this.characterService.getDeletedCharacters();
+        } catch (error) {
+            throw new Error(`Failed to load recycle bin: ${error.message}`);
+        }
+    }
+
+    /**
+     * Restore a character from the recycle bin
+     * @param {string} id - Character ID
+     * @returns {Promise<boolean>} Success status
+     * @throws {Error} When restore operation fails
+     */
+    async restoreDeletedCharacter(id) {
+        await this.ensureInitialized();
+        await assertNotInMaintenance();
+        try {
+            return await this.characterService.restoreDeletedCharacter(id);
+        } catch (error) {
+            throw new Error(`Failed to restore character: ${error.message}`);
+        }
+    }
+
+    /**
+     * Permanently remove a character from the recycle bin
+     * @param {string} id - Character ID
+     * @returns {Promise<boolean>} Success status
+     * @throws {Error} When purge operation fails
+     */
+    async purgeDeletedCharacter(id) {
+        await this.ensureInitialized();
+        await assertNotInMaintenance();
+        try {
+            return await this.characterService.purgeDeletedCharacter(id);
+        } catch (error) {
+            throw new Error(`Failed to purge character: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get recycle bin retention period
+     * @returns {Promise<number>} Retention period in days
+     * @throws {Error} When database operation fails
+     */
+    async getTrashRetentionDays() {
+        await this.ensureInitialized();
+        try {
+            return await this.characterService.getTrashRetentionDays();
+        } catch (error) {
+            throw new Error(`Failed to load retention period: ${error.message}`);
+        }
+    }
+
+    /**
+     * Set recycle bin retention period
+     * @param {number} days - Retention period in days
+     * @returns {Promise<boolean>} Success status
+     * @throws {Error} When save operation fails
+     */
+    async setTrashRetentionDays(days) {
+        await this.ensureInitialized();
+        try {
+            return await this.characterService.setTrashRetentionDays(days);
+        } catch (error) {
+            throw new Error(`Failed to save retention period: ${error.message}`);
+        }
+    }
+
+    /**
+     * Transfer ownership of a character
+     * @param {string} id - Character ID
+     * @param {Object} transfer - Transfer details
+     * @returns {Promise<Object>} Recorded transfer
+     * @throws {Error} When transfer fails
+     */
+    async transferOwnership(id, transfer) {
+        await this.ensureInitialized();
+        await assertNotInMaintenance();
+        try {
+            return await this.characterService.transferOwnership(id, transfer);
+        } catch (error) {
+            throw new Error(`Failed to transfer ownership: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get provenance chain of a masterlist number
+     * @param {string} masterlistNumber - Masterlist number
+     * @returns {Promise<Array>} Transfers, oldest first
+     * @throws {Error} When database operation fails
+     */
+    async getProvenance(masterlistNumber) {
+        await this.ensureInitialized();
+        try {
+            return await this.characterService.getProvenance(masterlistNumber);
+        } catch (error) {
+            throw new Error(`Failed to load provenance: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get revision history of a character
+     * @param {string} id - Character ID
+     * @returns {Promise<Array>} Revisions, newest first
+     * @throws {Error} When database operation fails
+     */
+    async getCharacterRevisions(id) {
+        await this.ensureInitialized();
+        try {
+            return await this.characterService.getCharacterRevisions(id);
+        } catch (error) {
+            throw new Error(`Failed to load character history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Restore a character to a past revision
+     * @param {string} id - Character ID
+     * @param {string} revisionId - Revision ID
+     * @returns {Promise<boolean>} Success status
+     * @throws {Error} When restore operation fails
+     */
+    async restoreCharacterRevision(id, revisionId) {
+        await this.ensureInitialized();
+        await assertNotInMaintenance();
+        try {
+            return await this.characterService.restoreCharacterRevision(id, revisionId);
+        } catch (error) {
+            throw new Error(`Failed to restore character: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get trade board offers
+     * @param {Object} filters - Optional filters (state, rarity, biome)
+     * @returns {Promise<Array>} Offers, newest first
+     * @throws {Error} When database operation fails
+     */
+    async getTradeOffers(filters = {}) {
+        await this.ensureInitialized();
+        try {
+            return await this.tradeService.getOffers(filters);
+        } catch (error) {
+            throw new Error(`Failed to load trade offers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Post a trade offer for a character
+     * @param {string} characterId - Character ID
+     * @param {Object} details - Offer details
+     * @returns {Promise<string>} Offer ID
+     * @throws {Error} When database operation fails
+     */
+    async postTradeOffer(characterId, details) {
+        await this.ensureInitialized();
+        try {
+            return await this.tradeService.postOffer(characterId, details);
+        } catch (error) {
+            throw new Error(`Failed to post trade offer: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a counter-offer on a trade offer
+     * @param {string} offerId - Offer ID
+     * @param {Object} response - Counter-offer details
+     * @returns {Promise<string>} Response ID
+     * @throws {Error} When database operation fails
+     */
+    async respondToTradeOffer(offerId, response) {
+        await this.ensureInitialized();
+        try {
+            return await this.tradeService.respondToOffer(offerId, response);
+        } catch (error) {
+            throw new Error(`Failed to record counter-offer: ${error.message}`);
+        }
+    }
+
+    /**
+     * Accept a counter-offer and transfer ownership
+     * @param {string} offerId - Offer ID
+     * @param {string} responseId - Response ID
+     * @returns {Promise<Object>} Recorded transfers
+     * @throws {Error} When database operation fails
+     */
+    async acceptTradeResponse(offerId, responseId) {
+        await this.ensureInitialized();
+        await assertNotInMaintenance();
+        try {
+            return await this.tradeService.acceptResponse(offerId, responseId);
+        } catch (error) {
+            throw new Error(`Failed to accept trade: ${error.message}`);
+        }
+    }
+
+    /**
+     * Decline a counter-offer
+     * @param {string} offerId - Offer ID
+     * @param {string} responseId - Response ID
+     * @returns {Promise<boolean>} Success status
+     * @throws {Error} When database operation fails
+     */
+    async declineTradeResponse(offerId, responseId) {
+        await this.ensureInitialized();
+        try {
+            return await this.tradeService.declineResponse(offerId, responseId);
+        } catch (error) {
+            throw new Error(`Failed to decline counter-offer: ${error.message}`);
+        }
+    }
+
+    /**
+     * Withdraw a trade offer
+     * @param {string} offerId - Offer ID
+     * @returns {Promise<boolean>} Success status
+     * @throws {Error} When database operation fails
+     */
+    async withdrawTradeOffer(offerId) {
+        await this.ensureInitialized();
+        try {
+            return await this.tradeService.withdrawOffer(offerId);
+        } catch (error) {
+            throw new Error(`Failed to withdraw trade offer: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the trait catalog
+     * @returns {Promise<Array>} Traits sorted by category, then name
+     * @throws {Error} When database operation fails
+     */
+    async getTraits() {
+        await this.ensureInitialized();
+        try {
+            return await this.traitService.getTraits();
+        } catch (error) {
+            throw new Error(`Failed to load traits: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add or update a catalog trait
+     * @param {Object} trait - Trait data (with id when editing)
+     * @returns {Promise<Object>} Result ({ id, renamedCount })
+     * @throws {Error} When database operation fails
+     */
+    async saveTrait(trait) {
+        await this.ensureInitialized();
+        try {
+            return await this.traitService.saveTrait(trait);
+        } catch (error) {
+            throw new Error(`Failed to save trait: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a catalog trait
+     * @param {string} id - Trait ID
+     * @returns {Promise<boolean>} Success status
+     * @throws {Error} When database operation fails
+     */
+    async deleteTrait(id) {
+        await this.ensureInitialized();
+        try {
+            return await this.traitService.deleteTrait(id);
+        } catch (error) {
+            throw new Error(`Failed to delete trait: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resize and host an image file for a character
+     * @param {string} masterlistNumber - Masterlist number of the character
+     * @param {File} file - Image file
+     * @returns {Promise<Object>} Hosted image URLs ({ main, preview })
+     * @throws {Error} When the file is rejected or the upload fails
+     */
+    async uploadCharacterImage(masterlistNumber, file) {
+        await this.ensureInitialized();
+        try {
+            return await this.imageService.uploadCharacterImage(masterlistNumber, file);
+        } catch (error) {
+            throw new Error(`Failed to upload image: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete hosted image files that were never saved on a character
+     * @param {Object} images - Hosted image URLs ({ main, preview })
+     * @returns {Promise<boolean>} Success status
+     * @throws {Error} When the files cannot be deleted
+     */
+    async deleteCharacterImage(images) {
+        await this.ensureInitialized();
+        try {
+            return await this.imageService.deleteCharacterImage(images);
+        } catch (error) {
+            throw new Error(`Failed to delete image: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test the image links of every character and record the results
+     * @param {Function} onProgress - Called with (checkedCount, totalCount) (optional)
+     * @returns {Promise<Object>} Run summary ({ lastRunAt, lastRunBy, checkedCount, brokenCount })
+     * @throws {Error} When the check cannot run
+     */
+    async checkImageLinks(onProgress = null) {
+        await this.ensureInitialized();
+        try {
+            return await this.imageCheckService.checkAllCharacters(onProgress);
+        } catch (error) {
+            throw new Error(`Failed to check image links: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get characters whose last image link check found a broken image
+     * @returns {Promise<Object>} Report ({ characters, lastRun })
+     * @throws {Error} When database operation fails
+     */
+    async getBrokenImageReport() {
+        await this.ensureInitialized();
+        try {
+            return await this.imageCheckService.getBrokenImageReport();
+        } catch (error) {
+            throw new Error(`Failed to load broken images: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the biome, rarity and status vocabularies
+     * @returns {Promise<Object>} Vocabularies ({ biomes, rarities, statuses }) of { value, label } entries
+     * @throws {Error} When database operation fails
+     */
+    async getVocabularies() {
+        await this.ensureInitialized();
+        try {
+            return await this.vocabularyService.getVocabularies();
+        } catch (error) {
+            throw new Error(`Failed to load vocabularies: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a value to a vocabulary
+     * @param {string} key - Vocabulary (biomes, rarities, statuses)
+     * @param {string} label - Value to add
+     * @returns {Promise<Object>} Added entry ({ value, label })
+     * @throws {Error} When database operation fails
+     */
+    async addVocabularyValue(key, label) {
+        await this.ensureInitialized();
+        try {
+            return await this.vocabularyService.addValue(key, label);
+        } catch (error) {
+            throw new Error(`Failed to add value: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rename a vocabulary value and migrate characters using it
+     * @param {string} key - Vocabulary (biomes, rarities, statuses)
+     * @param {string} value - Current stored value
+     * @param {string} label - New name
+     * @returns {Promise<Object>} Result ({ item, migratedCount })
+     * @throws {Error} When database operation fails
+     */
+    async renameVocabularyValue(key, value, label) {
+        await this.ensureInitialized();
+        await assertNotInMaintenance();
+        try {
+            return await this.vocabularyService.renameValue(key, value, label);
+        } catch (error) {
+            throw new Error(`Failed to rename value: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove an unused vocabulary value
+     * @param {string} key - Vocabulary (biomes, rarities, statuses)
+     * @param {string} value - Stored value
+     * @returns {Promise<boolean>} Success status
+     * @throws {Error} When database operation fails
+     */
+    async removeVocabularyValue(key, value) {
+        await this.ensureInitialized();
+        try {
+            return await this.vocabularyService.removeValue(key, value);
+        } catch (error) {
+            throw new Error(`Failed to remove value: ${error.message}`);
+        }
+    }
+
+    /**
+     * Move a vocabulary value up or down
+     * @param {string} key - Vocabulary (biomes, rarities, statuses)
+     * @param {string} value - Stored value
+     * @param {number} offset - -1 to move up, 1 to move down
+     * @returns {Promise<boolean>} Success status
+     * @throws {Error} When database operation fails
+     */
+    async moveVocabularyValue(key, value, offset) {
+        await this.ensureInitialized();
+        try {
+            return await this.vocabularyService.moveValue(key, value, offset);
+        } catch (error) {
+            throw new Error(`Failed to reorder values: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reserve the next free masterlist number for an upload form
+     * @returns {Promise<Object>} Reservation with masterlistNumber and expiresAt
+     * @throws {Error} When database operation fails
+     */
+    async reserveMasterlistNumber() {
+        await this.ensureInitialized();
+        try {
+            return await this.characterService.reserveMasterlistNumber();
+        } catch (error) {
+            throw new Error(`Failed to reserve masterlist number: ${error.message}`);
+        }
+    }
+
+    /**
+     * Release a reserved masterlist number
+     * @param {string} masterlistNumber - Reserved masterlist number
+     * @returns {Promise<boolean>} Whether a reservation was released
+     * @throws {Error} When database operation fails
+     */
+    async releaseMasterlistNumber(masterlistNumber) {
+        await this.ensureInitialized();
+        try {
+            return await this.characterService.releaseMasterlistNumber(masterlistNumber);
+        } catch (error) {
+            throw new Error(`Failed to release masterlist number: ${error.message}`);
+        }
+    }
+
     /**
      * Generate next masterlist number
      * @returns {Promise<string>} Next masterlist number
@@ -0,0 +1,275 @@
+import { getCharacterImageUrl } from './character-images.js';
+
+// Character statuses that allow a character to be listed on the trade board
+const TRADEABLE_STATUSES = ['trade-gift', 'trade-gift-resell'];
+
+// Status given to characters after they change hands through the board
+const POST_TRADE_STATUS = 'not-for-trade';
+
+/**
+ * Trade Service
+ * Handles trade offers, counter-offers and their acceptance
+ * Ownership changes go through CharacterService so they land in the provenance chain
+ */
+class TradeService {
+    constructor(repository, characterService) {
+        this.repository = repository;
+        this.characterService = characterService;
+    }
+
+    /**
+     * Get trade offers with optional filtering
+     * @param {Object} filters - Filter criteria
+     * @param {string} filters.state - Offer state (open, accepted, withdrawn)
+     * @param {string} filters.rarity - Character rarity
+     * @param {string} filters.biome - Primary or secondary biome
+     * @returns {Promise<Array>} Offers, newest first
+     */
+    async getOffers(filters = {}) {
+        try {
+            const offers = await this.repository.getAllOffers();
+
+            return offers
+                .filter(offer => !filters.state || offer.state === filters.state)
+                .filter(offer => !filters.rarity || offer.rarity === filters.rarity)
+                .filter(offer => !filters.biome || offer.primaryBiome === filters.biome || offer.secondaryBiome === filters.biome)
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        } catch (error) {
+            console.error('Error in TradeService.getOffers:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Post a trade offer for a character
+     * @param {string} characterId - Character ID
+     * @param {Object} details - Offer details
+     * @param {string} details.lookingFor - What the owner wants in return
+     * @param {string} details.notes - Additional notes (optional)
+     * @returns {Promise<string>} Offer ID
+     */
+    async postOffer(characterId, details = {}) {
+        try {
+            const character = await this.characterService.getCharacterById(characterId);
+            if (!character) {
+                throw new Error('Character not found');
+            }
+
+            if (!TRADEABLE_STATUSES.includes(character.status)) {
+                throw new Error(`${character.masterlistNumber} is not open for trades`);
+            }
+
+            const offers = await this.repository.getAllOffers();
+            if (offers.some(offer => offer.characterId === characterId && offer.state === 'open')) {
+                throw new Error(`${character.masterlistNumber} already has an open offer`);
+            }
+
+            const now = new Date().toISOString();
+            return await this.repository.addOffer({
+                characterId,
+                masterlistNumber: character.masterlistNumber,
+                owner: character.owner || '',
+                rarity: character.rarity || '',
+                primaryBiome: character.primaryBiome || '',
+                secondaryBiome: character.secondaryBiome || '',
+                imageUrl: getCharacterImageUrl(character, 'preview'),
+                characterStatus: character.status,
+                lookingFor: (details.lookingFor || '').trim(),
+                notes: (details.notes || '').trim(),
+                state: 'open',
+                postedBy: await this.characterService.getCurrentUsername(),
+                createdAt: now,
+                updatedAt: now
+            });
+        } catch (error) {
+            console.error('Error in TradeService.postOffer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a counter-offer on an open trade offer
+     * @param {string} offerId - Offer ID
+     * @param {Object} response - Counter-offer details
+     * @param {string} response.responder - Owner making the counter-offer
+     * @param {string} response.message - What is offered
+     * @param {string} response.offeredCharacterId - Character offered in exchange (optional)
+     * @returns {Promise<string>} Response ID
+     */
+    async respondToOffer(offerId, response) {
+        try {
+            const offer = await this.getOpenOffer(offerId);
+            const responder = (response.responder || '').trim();
+
+            if (!responder) {
+                throw new Error('Responder is required');
+            }
+            if (responder === offer.owner) {
+                throw new Error('Owners cannot respond to their own offer');
+            }
+
+            let offeredMasterlistNumber = '';
+            if (response.offeredCharacterId) {
+                const offered = await this.characterService.getCharacterById(response.offeredCharacterId);
+                if (!offered) {
+                    throw new Error('Offered character not found');
+                }
+                if (offered.owner !== responder) {
+                    throw new Error(`${offered.masterlistNumber} is not owned by ${responder}`);
+                }
+                offeredMasterlistNumber = offered.masterlistNumber;
+            }
+
+            return await this.repository.addResponse(offerId, {
+                responder,
+                message: (response.message || '').trim(),
+                offeredCharacterId: response.offeredCharacterId || '',
+                offeredMasterlistNumber,
+                state: 'pending',
+                recordedBy: await this.characterService.getCurrentUsername(),
+                createdAt: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in TradeService.respondToOffer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Accept a counter-offer
+     * Transfers the listed character to the responder and, for swaps, the offered character to the owner
+     * The transfers and the closing of the offer are written in one atomic update, which database.rules.json
+     * only lets through while the offer is still open and both characters still belong to the parties of
+     * the trade, so concurrent accepts and withdrawals cannot both succeed
+     * @param {string} offerId - Offer ID
+     * @param {string} responseId - Response ID
+     * @returns {Promise<Object>} Recorded transfers
+     */
+    async acceptResponse(offerId, responseId) {
+        try {
+            const offer = await this.getOpenOffer(offerId);
+            const response = offer.responses.find(item => item.id === responseId);
+            if (!response || response.state !== 'pending') {
+                throw new Error('Counter-offer is no longer pending');
+            }
+
+            const character = await this.characterService.getCharacterById(offer.characterId);
+            if (!character) {
+                throw new Error('Character not found');
+            }
+            if (character.owner !== offer.owner) {
+                throw new Error(`${offer.masterlistNumber} has changed owner since the offer was posted`);
+            }
+
+            const date = new Date().toISOString().split('T')[0];
+            const tradeTransfer = (toOwner) => ({
+                toOwner,
+                type: 'trade',
+                date,
+                status: POST_TRADE_STATUS,
+                tradeOfferId: offerId
+            });
+            const transfers = [{ character, transfer: tradeTransfer(response.responder) }];
+
+            if (response.offeredCharacterId) {
+                const offered = await this.characterService.getCharacterById(response.offeredCharacterId);
+                if (!offered) {
+                    throw new Error('Offered character not found');
+                }
+                if (offered.id === character.id) {
+                    throw new Error('A character cannot be traded for itself');
+                }
+                if (offered.owner !== response.responder) {
+                    throw new Error(`${offered.masterlistNumber} is no longer owned by ${response.responder}`);
+                }
+                transfers.push({ character: offered, transfer: tradeTransfer(offer.owner) });
+            }
+
+            // Close the offer and decline every other pending counter-offer in the same write as the transfers
+            const updates = {
+                state: 'accepted',
+                acceptedResponseId: responseId,
+                closedAt: new Date().toISOString(),
+                [`responses/${responseId}/state`]: 'accepted'
+            };
+            offer.responses
+                .filter(item => item.id !== responseId && item.state === 'pending')
+                .forEach(item => { updates[`responses/${item.id}/state`] = 'declined'; });
+
+            let listed, offered;
+            try {
+                [listed, offered] = await this.characterService.commitTransfers(
+                    transfers,
+                    this.repository.getOfferPaths(offerId, updates)
+                );
+            } catch (error) {
+                if (String(error.message).includes('PERMISSION_DENIED')) {
+                    throw new Error('The offer or one of the characters changed while accepting. Reload the trade board and try again.');
+                }
+                throw error;
+            }
+            return offered ? { listed, offered } : { listed };
+        } catch (error) {
+            console.error('Error in TradeService.acceptResponse:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Decline a counter-offer
+     * @param {string} offerId - Offer ID
+     * @param {string} responseId - Response ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async declineResponse(offerId, responseId) {
+        try {
+            const offer = await this.getOpenOffer(offerId);
+            if (!offer.responses.some(item => item.id === responseId && item.state === 'pending')) {
+                throw new Error('Counter-offer is no longer pending');
+            }
+
+            return await this.repository.updateResponse(offerId, responseId, { state: 'declined' });
+        } catch (error) {
+            console.error('Error in TradeService.declineResponse:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Withdraw an open trade offer
+     * @param {string} offerId - Offer ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async withdrawOffer(offerId) {
+        try {
+            await this.getOpenOffer(offerId);
+            return await this.repository.updateOffer(offerId, {
+                state: 'withdrawn',
+                closedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error in TradeService.withdrawOffer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get an offer and make sure it is still open
+     * @private
+     * @param {string} offerId - Offer ID
+     * @returns {Promise<Object>} Offer
+     */
+    async getOpenOffer(offerId) {
+        const offer = await this.repository.getOfferById(offerId);
+        if (!offer) {
+            throw new Error('Trade offer not found');
+        }
+        if (offer.state !== 'open') {
+            throw new Error(`Trade offer is already ${offer.state}`);
+        }
+        return offer;
+    }
+}
+
+export default TradeService;
+export { TRADEABLE_STATUSES, POST_TRADE_STATUS };
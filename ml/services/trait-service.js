@@ -0,0 +1,166 @@
+import AuthenticationService from './authentication-service.js';
+import { findCatalogTrait, parseTraitList } from './traits.js';
+import { getVocabularyValues } from './vocabularies.js';
+
+// Create authentication service instance
+const authenticationService = new AuthenticationService();
+
+/**
+ * Trait Service
+ * Manages the trait catalog characters are validated against
+ * Renames go through CharacterService so affected characters get a revision and a log entry
+ */
+class TraitService {
+    constructor(repository, characterService, vocabularyService) {
+        this.repository = repository;
+        this.characterService = characterService;
+        this.vocabularyService = vocabularyService;
+    }
+
+    /**
+     * Get the trait catalog
+     * @returns {Promise<Array>} Traits sorted by category, then name
+     */
+    async getTraits() {
+        try {
+            const traits = await this.repository.getAllTraits();
+
+            return traits.sort((a, b) =>
+                (a.category || '').localeCompare(b.category || '') || a.name.localeCompare(b.name)
+            );
+        } catch (error) {
+            console.error('Error in TraitService.getTraits:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a trait or update an existing one
+     * Renaming a trait renames it on every character that has it
+     * @param {Object} trait - Trait data
+     * @param {string} trait.id - Trait ID when editing (optional)
+     * @param {string} trait.name - Trait name, unique regardless of case
+     * @param {string} trait.category - Category used to group the picker (optional)
+     * @param {string} trait.rarity - Rarity from the rarity vocabulary
+     * @param {string} trait.description - Description (optional)
+     * @param {string} trait.exampleImageUrl - Example image link (optional)
+     * @returns {Promise<Object>} Result ({ id, renamedCount })
+     */
+    async saveTrait(trait) {
+        try {
+            await this.assertAdministrator();
+
+            const data = {
+                name: (trait.name || '').trim(),
+                category: (trait.category || '').trim(),
+                rarity: trait.rarity,
+                description: (trait.description || '').trim(),
+                exampleImageUrl: (trait.exampleImageUrl || '').trim()
+            };
+
+            if (!data.name) {
+                throw new Error('Trait name is required');
+            }
+            if (data.name.includes(',')) {
+                throw new Error('Trait names cannot contain commas');
+            }
+
+            const rarities = getVocabularyValues((await this.vocabularyService.getVocabularies()).rarities);
+            if (!rarities.includes(data.rarity)) {
+                throw new Error(`Rarity must be one of: ${rarities.join(', ')}`);
+            }
+
+            const traits = await this.repository.getAllTraits();
+            const sameName = findCatalogTrait(traits, data.name);
+            if (sameName && sameName.id !== trait.id) {
+                throw new Error(`Trait ${sameName.name} already exists`);
+            }
+
+            const now = new Date().toISOString();
+            const updatedBy = await this.characterService.getCurrentUsername();
+
+            if (!trait.id) {
+                const id = await this.repository.addTrait({ ...data, createdAt: now, updatedAt: now, updatedBy });
+                return { id, renamedCount: 0 };
+            }
+
+            const existing = traits.find(item => item.id === trait.id);
+            if (!existing) {
+                throw new Error('Trait not found');
+            }
+
+            await this.repository.updateTrait(trait.id, { ...data, updatedAt: now, updatedBy });
+
+            const renamedCount = existing.name !== data.name
+                ? await this.renameOnCharacters(existing.name, data.name)
+                : 0;
+
+            return { id: trait.id, renamedCount };
+        } catch (error) {
+            console.error('Error in TraitService.saveTrait:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a trait no character uses
+     * @param {string} id - Trait ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteTrait(id) {
+        try {
+            await this.assertAdministrator();
+
+            const trait = await this.repository.getTraitById(id);
+            if (!trait) {
+                throw new Error('Trait not found');
+            }
+
+            const { characters } = await this.characterService.queryCharacters({ trait: trait.name, limit: 1 });
+            if (characters.length > 0) {
+                throw new Error(`${trait.name} is still used by ${characters[0].masterlistNumber || 'a character'}`);
+            }
+
+            return await this.repository.deleteTrait(id);
+        } catch (error) {
+            console.error('Error in TraitService.deleteTrait:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a trait name on every character that has it
+     * @private
+     * @param {string} oldName - Previous trait name
+     * @param {string} newName - New trait name
+     * @returns {Promise<number>} Number of characters updated
+     */
+    async renameOnCharacters(oldName, newName) {
+        const { characters } = await this.characterService.queryCharacters({ trait: oldName, limit: Infinity });
+        const oldKey = oldName.toLowerCase();
+
+        for (const character of characters) {
+            const traits = parseTraitList(character.traits)
+                .map(name => (name.toLowerCase() === oldKey ? newName : name));
+            await this.characterService.updateCharacter(character.id, { traits }, character);
+        }
+
+        return characters.length;
+    }
+
+    /**
+     * Ensure the current user may manage the catalog
+     * @private
+     * @throws {Error} When the current user is not an administrator
+     */
+    async assertAdministrator() {
+        if (!authenticationService.isInitialized) {
+            await authenticationService.initialize();
+        }
+        if (!authenticationService.hasPermission('traits.manage')) {
+            throw new Error('Only administrators can manage the trait catalog');
+        }
+    }
+}
+
+export default TraitService;
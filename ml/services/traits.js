@@ -0,0 +1,89 @@
+/**
+ * Trait Helpers
+ * Shared by the trait catalog, the upload form, the query layer and the public pages
+ * Characters store traits as an array of catalog trait names; older entries hold a comma-separated string
+ */
+
+// Default rarity tiers from lowest to highest, used for both characters and traits
+// Administrators can change them through the rarity vocabulary
+const RARITY_TIERS = ['Common', 'Uncommon', 'Rare', 'Ultra Rare'];
+
+/**
+ * Read a character's traits as a list of names
+ * @param {Array<string>|string} traits - Stored traits (array, or legacy comma/newline-separated text)
+ * @returns {Array<string>} Trimmed, de-duplicated trait names
+ */
+function parseTraitList(traits) {
+    const names = Array.isArray(traits) ? traits : String(traits ?? '').split(/[,\n]/);
+    const seen = new Set();
+
+    return names
+        .map(name => String(name ?? '').trim())
+        .filter(name => {
+            const key = name.toLowerCase();
+            if (!name || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Position of a rarity tier, higher is rarer
+ * @param {string} rarity - Rarity tier
+ * @param {Array<string>} tiers - Rarity tiers from lowest to highest
+ * @returns {number} Index in tiers, -1 when unknown
+ */
+function getRarityRank(rarity, tiers = RARITY_TIERS) {
+    return tiers.indexOf(rarity);
+}
+
+/**
+ * Find a catalog trait by name, ignoring case
+ * @param {Array<Object>} catalog - Catalog traits
+ * @param {string} name - Trait name
+ * @returns {Object|undefined} Catalog trait
+ */
+function findCatalogTrait(catalog, name) {
+    const key = String(name ?? '').trim().toLowerCase();
+    return catalog.find(trait => trait.name.toLowerCase() === key);
+}
+
+/**
+ * Find the rarest catalog trait a character declares
+ * @param {Array<string>|string} traits - Character traits
+ * @param {Array<Object>} catalog - Catalog traits
+ * @param {Array<string>} tiers - Rarity tiers from lowest to highest
+ * @returns {Object|null} Rarest catalog trait
+ */
+function findRarestTrait(traits, catalog, tiers = RARITY_TIERS) {
+    return parseTraitList(traits)
+        .map(name => findCatalogTrait(catalog, name))
+        .filter(Boolean)
+        .reduce((rarest, trait) =>
+            !rarest || getRarityRank(trait.rarity, tiers) > getRarityRank(rarest.rarity, tiers) ? trait : rarest, null);
+}
+
+/**
+ * Warning shown when a character's rarity is below its rarest trait
+ * @param {Object} character - Character data ({ rarity, traits })
+ * @param {Array<Object>} catalog - Catalog traits
+ * @param {Array<string>} tiers - Rarity tiers from lowest to highest
+ * @returns {string|null} Warning message, null when the rarity covers every trait
+ */
+function getTraitRarityWarning(character, catalog, tiers = RARITY_TIERS) {
+    const rarest = findRarestTrait(character.traits, catalog, tiers);
+    if (!rarest || getRarityRank(rarest.rarity, tiers) <= getRarityRank(character.rarity, tiers)) {
+        return null;
+    }
+
+    return `Rarity ${character.rarity || 'not set'} is lower than trait ${rarest.name} (${rarest.rarity})`;
+}
+
+export {
+    RARITY_TIERS,
+    parseTraitList,
+    getRarityRank,
+    findCatalogTrait,
+    findRarestTrait,
+    getTraitRarityWarning
+};
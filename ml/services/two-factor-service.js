@@ -0,0 +1,84 @@
+/**
+ * Two-Factor Authentication Helpers
+ * Enrollment, recovery codes and the per-role policy, through the two-factor Cloud Functions
+ * Every call sends the session token; errors from the functions are thrown with their message
+ */
+
+import { callFunction } from './cloud-functions.js';
+import { getSessionToken } from './session-service.js';
+
+/**
+ * Call a two-factor function as the signed-in user
+ * @param {string} name - Function name
+ * @param {Object} [data={}] - Request data
+ * @returns {Promise<Object>} Response data
+ */
+async function callAsUser(name, data = {}) {
+    try {
+        return await callFunction(name, { ...data, token: getSessionToken() });
+    } catch (error) {
+        console.error(`Error in two-factor ${name}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Get the signed-in user's two-factor status
+ * @returns {Promise<Object>} { enabled, required, recoveryCodesRemaining, policy, roles } (policy is only set for super-admins)
+ */
+function getTwoFactorStatus() {
+    return callAsUser('getTwoFactorStatus');
+}
+
+/**
+ * Create a new secret to scan into an authenticator app
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+function startTwoFactorEnrollment() {
+    return callAsUser('startTwoFactorEnrollment');
+}
+
+/**
+ * Turn two-factor authentication on with a code from the authenticator app
+ * @param {string} code - 6-digit code
+ * @returns {Promise<Object>} { recoveryCodes }
+ */
+function confirmTwoFactorEnrollment(code) {
+    return callAsUser('confirmTwoFactorEnrollment', { code });
+}
+
+/**
+ * Replace the recovery codes
+ * @param {string} code - Authenticator app code or recovery code
+ * @returns {Promise<Object>} { recoveryCodes }
+ */
+function regenerateRecoveryCodes(code) {
+    return callAsUser('regenerateRecoveryCodes', { code });
+}
+
+/**
+ * Turn two-factor authentication off
+ * @param {string} code - Authenticator app code or recovery code
+ * @returns {Promise<Object>} { enabled: false }
+ */
+function disableTwoFactor(code) {
+    return callAsUser('disableTwoFactor', { code });
+}
+
+/**
+ * Choose which roles must use two-factor authentication (super-admins only)
+ * @param {string[]} requiredRoles - Roles
+ * @returns {Promise<Object>} { twoFactorRequiredRoles }
+ */
+function saveTwoFactorPolicy(requiredRoles) {
+    return callAsUser('saveTwoFactorPolicy', { requiredRoles });
+}
+
+export {
+    getTwoFactorStatus,
+    startTwoFactorEnrollment,
+    confirmTwoFactorEnrollment,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    saveTwoFactorPolicy
+};
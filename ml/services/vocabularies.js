@@ -0,0 +1,145 @@
+/**
+ * Vocabulary Helpers
+ * Biomes, rarities and statuses offered by the upload form and every filter dropdown
+ * Stored in Firestore at system_settings/vocabularies; the defaults apply until an administrator saves a change
+ */
+
+import { RARITY_TIERS } from './traits.js';
+
+// Firestore document ID in the system_settings collection
+const VOCABULARY_SETTING_ID = 'vocabularies';
+
+// Vocabularies as first shipped, each entry a stored value and its display label
+const DEFAULT_VOCABULARIES = {
+    biomes: [
+        'Forest/Jungle',
+        'Beach/Ocean',
+        'Mountain',
+        'Desert',
+        'Plains',
+        'Tundra',
+        'Sky/Canopy',
+        'Celestial/Galaxy'
+    ].map(value => ({ value, label: value })),
+    rarities: RARITY_TIERS.map(value => ({ value, label: value })),
+    statuses: [
+        { value: 'trade-gift', label: 'Trade/Gift' },
+        { value: 'trade-gift-resell', label: 'Trade/Gift/Resell' },
+        { value: 'not-for-trade', label: 'Not for Trade' }
+    ]
+};
+
+// Display names of the vocabularies
+const VOCABULARY_NAMES = {
+    biomes: 'Biomes',
+    rarities: 'Rarities',
+    statuses: 'Statuses'
+};
+
+// Character fields holding each vocabulary's values
+const VOCABULARY_FIELDS = {
+    biomes: ['primaryBiome', 'secondaryBiome', 'biome'],
+    rarities: ['rarity'],
+    statuses: ['status']
+};
+
+// Query filter matching each vocabulary's values
+const VOCABULARY_FILTERS = {
+    biomes: 'biome',
+    rarities: 'rarity',
+    statuses: 'status'
+};
+
+// Status values are codes the trade board relies on, so renaming a status only changes its label
+const LABEL_ONLY_VOCABULARIES = ['statuses'];
+
+/**
+ * Fill in defaults for vocabularies missing from the stored document
+ * @param {Object|null} stored - Stored system_settings/vocabularies document
+ * @returns {Object} Vocabularies ({ biomes, rarities, statuses }) of { value, label } entries
+ */
+function normalizeVocabularies(stored) {
+    const vocabularies = {};
+
+    Object.entries(DEFAULT_VOCABULARIES).forEach(([key, defaults]) => {
+        const items = Array.isArray(stored?.[key])
+            ? stored[key].filter(item => item && item.value).map(item => ({ value: item.value, label: item.label || item.value }))
+            : [];
+        vocabularies[key] = items.length > 0 ? items : defaults.map(item => ({ ...item }));
+    });
+
+    return vocabularies;
+}
+
+/**
+ * Get the stored values of a vocabulary
+ * @param {Array<Object>} items - Vocabulary entries
+ * @returns {Array<string>} Values in order
+ */
+function getVocabularyValues(items) {
+    return items.map(item => item.value);
+}
+
+/**
+ * Get the display label of a stored value
+ * @param {Array<Object>} items - Vocabulary entries
+ * @param {string} value - Stored value
+ * @returns {string} Label, or the value itself when it is not in the vocabulary
+ */
+function getVocabularyLabel(items, value) {
+    return items.find(item => item.value === value)?.label || value;
+}
+
+/**
+ * Find an entry by value or label, ignoring case and punctuation
+ * Used to map imported text such as "Trade Gift" onto "trade-gift"
+ * @param {Array<Object>} items - Vocabulary entries
+ * @param {string} text - Value or label
+ * @returns {Object|undefined} Vocabulary entry
+ */
+function findVocabularyItem(items, text) {
+    const key = String(text ?? '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    return items.find(item =>
+        [item.value, item.label].some(candidate => candidate.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '') === key)
+    );
+}
+
+/**
+ * Replace the options of a select with vocabulary entries
+ * Placeholder options ("All Rarities", "Select status", "None") have an empty, 'all' or 'none' value and are kept
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Array<Object>} items - Vocabulary entries
+ */
+function fillVocabularySelect(select, items) {
+    if (!select) return;
+
+    const selected = select.value;
+    [...select.options]
+        .filter(option => !['', 'all', 'none'].includes(option.value))
+        .forEach(option => option.remove());
+
+    items.forEach(item => {
+        const option = document.createElement('option');
+        option.value = item.value;
+        option.textContent = item.label;
+        select.appendChild(option);
+    });
+
+    if ([...select.options].some(option => option.value === selected)) {
+        select.value = selected;
+    }
+}
+
+export {
+    VOCABULARY_SETTING_ID,
+    DEFAULT_VOCABULARIES,
+    VOCABULARY_NAMES,
+    VOCABULARY_FIELDS,
+    VOCABULARY_FILTERS,
+    LABEL_ONLY_VOCABULARIES,
+    normalizeVocabularies,
+    getVocabularyValues,
+    getVocabularyLabel,
+    findVocabularyItem,
+    fillVocabularySelect
+};
@@ -0,0 +1,309 @@
+import AuthenticationService from './authentication-service.js';
+import { TRADEABLE_STATUSES, POST_TRADE_STATUS } from './trade-service.js';
+import {
+    VOCABULARY_SETTING_ID,
+    VOCABULARY_NAMES,
+    VOCABULARY_FIELDS,
+    VOCABULARY_FILTERS,
+    LABEL_ONLY_VOCABULARIES,
+    normalizeVocabularies
+} from './vocabularies.js';
+
+// Create authentication service instance
+const authenticationService = new AuthenticationService();
+
+// Statuses the trade board sets or checks, which cannot be removed
+const TRADE_BOARD_STATUSES = [...TRADEABLE_STATUSES, POST_TRADE_STATUS];
+
+/**
+ * Vocabulary Service
+ * Manages the biome, rarity and status vocabularies
+ * Renamed values are migrated through CharacterService so each affected character gets a revision and a log entry
+ */
+class VocabularyService {
+    constructor(settingsRepository, characterService, traitRepository = null) {
+        this.settingsRepository = settingsRepository;
+        this.characterService = characterService;
+        this.traitRepository = traitRepository;
+    }
+
+    /**
+     * Get all vocabularies
+     * @returns {Promise<Object>} Vocabularies ({ biomes, rarities, statuses }) of { value, label } entries
+     */
+    async getVocabularies() {
+        try {
+            return normalizeVocabularies(await this.settingsRepository.getSetting(VOCABULARY_SETTING_ID));
+        } catch (error) {
+            console.error('Error in VocabularyService.getVocabularies:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a value to the end of a vocabulary
+     * @param {string} key - Vocabulary (biomes, rarities, statuses)
+     * @param {string} label - Value to add; statuses get a code derived from it
+     * @returns {Promise<Object>} Added entry ({ value, label })
+     */
+    async addValue(key, label) {
+        try {
+            await this.assertAdministrator();
+
+            const vocabularies = await this.getVocabularies();
+            const items = this.getItems(vocabularies, key);
+            const name = this.validateLabel(items, label);
+
+            const item = LABEL_ONLY_VOCABULARIES.includes(key)
+                ? { value: this.createCode(items, name), label: name }
+                : { value: name, label: name };
+
+            items.push(item);
+            await this.saveVocabularies(vocabularies);
+            return item;
+        } catch (error) {
+            console.error('Error in VocabularyService.addValue:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rename a vocabulary value and migrate every character using it
+     * Renamed rarities are also updated on catalog traits
+     * @param {string} key - Vocabulary (biomes, rarities, statuses)
+     * @param {string} value - Current stored value
+     * @param {string} label - New name
+     * @returns {Promise<Object>} Result ({ item, migratedCount })
+     */
+    async renameValue(key, value, label) {
+        try {
+            await this.assertAdministrator();
+
+            const vocabularies = await this.getVocabularies();
+            const items = this.getItems(vocabularies, key);
+            const item = items.find(entry => entry.value === value);
+            if (!item) {
+                throw new Error(`${value} is not in ${VOCABULARY_NAMES[key]}`);
+            }
+
+            const name = this.validateLabel(items.filter(entry => entry !== item), label);
+            item.label = name;
+
+            if (LABEL_ONLY_VOCABULARIES.includes(key)) {
+                await this.saveVocabularies(vocabularies);
+                return { item, migratedCount: 0 };
+            }
+
+            // Save first so the new value is offered while characters are migrated
+            item.value = name;
+            await this.saveVocabularies(vocabularies);
+
+            if (key === 'rarities') {
+                await this.renameTraitRarity(value, name);
+            }
+            const migratedCount = await this.migrateCharacters(key, value, name);
+
+            return { item, migratedCount };
+        } catch (error) {
+            console.error('Error in VocabularyService.renameValue:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a value no character uses
+     * @param {string} key - Vocabulary (biomes, rarities, statuses)
+     * @param {string} value - Stored value
+     * @returns {Promise<boolean>} Success status
+     */
+    async removeValue(key, value) {
+        try {
+            await this.assertAdministrator();
+
+            const vocabularies = await this.getVocabularies();
+            const items = this.getItems(vocabularies, key);
+            const index = items.findIndex(entry => entry.value === value);
+            if (index === -1) {
+                throw new Error(`${value} is not in ${VOCABULARY_NAMES[key]}`);
+            }
+            if (items.length === 1) {
+                throw new Error(`${VOCABULARY_NAMES[key]} needs at least one value`);
+            }
+            if (key === 'statuses' && TRADE_BOARD_STATUSES.includes(value)) {
+                throw new Error(`${items[index].label} is used by the trade board and cannot be removed`);
+            }
+
+            const { characters } = await this.characterService.queryCharacters({ [VOCABULARY_FILTERS[key]]: value, limit: 1 });
+            if (characters.length > 0) {
+                throw new Error(`${items[index].label} is still used by ${characters[0].masterlistNumber || 'a character'}`);
+            }
+
+            if (key === 'rarities' && this.traitRepository) {
+                const trait = (await this.traitRepository.getAllTraits()).find(entry => entry.rarity === value);
+                if (trait) {
+                    throw new Error(`${items[index].label} is still used by trait ${trait.name}`);
+                }
+            }
+
+            items.splice(index, 1);
+            return await this.saveVocabularies(vocabularies);
+        } catch (error) {
+            console.error('Error in VocabularyService.removeValue:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a value up or down; the order of rarities ranks them from lowest to highest
+     * @param {string} key - Vocabulary (biomes, rarities, statuses)
+     * @param {string} value - Stored value
+     * @param {number} offset - -1 to move up, 1 to move down
+     * @returns {Promise<boolean>} Success status
+     */
+    async moveValue(key, value, offset) {
+        try {
+            await this.assertAdministrator();
+
+            const vocabularies = await this.getVocabularies();
+            const items = this.getItems(vocabularies, key);
+            const index = items.findIndex(entry => entry.value === value);
+            const target = index + offset;
+            if (index === -1 || target < 0 || target >= items.length) {
+                return false;
+            }
+
+            [items[index], items[target]] = [items[target], items[index]];
+            return await this.saveVocabularies(vocabularies);
+        } catch (error) {
+            console.error('Error in VocabularyService.moveValue:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a value on every character that has it
+     * @private
+     * @param {string} key - Vocabulary
+     * @param {string} oldValue - Previous value
+     * @param {string} newValue - New value
+     * @returns {Promise<number>} Number of characters updated
+     */
+    async migrateCharacters(key, oldValue, newValue) {
+        const { characters } = await this.characterService.queryCharacters({
+            [VOCABULARY_FILTERS[key]]: oldValue,
+            limit: Infinity
+        });
+
+        let migratedCount = 0;
+        for (const character of characters) {
+            const updates = {};
+            VOCABULARY_FIELDS[key]
+                .filter(field => character[field] === oldValue)
+                .forEach(field => { updates[field] = newValue; });
+
+            if (Object.keys(updates).length > 0) {
+                await this.characterService.updateCharacter(character.id, updates, character);
+                migratedCount++;
+            }
+        }
+
+        return migratedCount;
+    }
+
+    /**
+     * Replace a renamed rarity on catalog traits
+     * @private
+     * @param {string} oldValue - Previous rarity
+     * @param {string} newValue - New rarity
+     */
+    async renameTraitRarity(oldValue, newValue) {
+        if (!this.traitRepository) return;
+
+        const traits = await this.traitRepository.getAllTraits();
+        await Promise.all(traits
+            .filter(trait => trait.rarity === oldValue)
+            .map(trait => this.traitRepository.updateTrait(trait.id, { rarity: newValue })));
+    }
+
+    /**
+     * Get the entries of a vocabulary
+     * @private
+     * @param {Object} vocabularies - All vocabularies
+     * @param {string} key - Vocabulary
+     * @returns {Array<Object>} Entries, modified in place by the caller
+     * @throws {Error} When the vocabulary does not exist
+     */
+    getItems(vocabularies, key) {
+        if (!vocabularies[key]) {
+            throw new Error(`Unknown vocabulary: ${key}`);
+        }
+        return vocabularies[key];
+    }
+
+    /**
+     * Check a new name against the other entries of its vocabulary
+     * @private
+     * @param {Array<Object>} items - Other entries
+     * @param {string} label - Name to check
+     * @returns {string} Trimmed name
+     * @throws {Error} When the name is empty or taken
+     */
+    validateLabel(items, label) {
+        const name = (label || '').trim();
+        if (!name) {
+            throw new Error('Name is required');
+        }
+
+        const key = name.toLowerCase();
+        if (items.some(item => item.value.toLowerCase() === key || item.label.toLowerCase() === key)) {
+            throw new Error(`${name} already exists`);
+        }
+        return name;
+    }
+
+    /**
+     * Derive a unique status code from its label
+     * @private
+     * @param {Array<Object>} items - Existing entries
+     * @param {string} label - Status label
+     * @returns {string} Code such as 'open-for-offers'
+     */
+    createCode(items, label) {
+        const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'status';
+        let code = base;
+        for (let suffix = 2; items.some(item => item.value === code); suffix++) {
+            code = `${base}-${suffix}`;
+        }
+        return code;
+    }
+
+    /**
+     * Save all vocabularies
+     * @private
+     * @param {Object} vocabularies - All vocabularies
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveVocabularies(vocabularies) {
+        return await this.settingsRepository.saveSetting(VOCABULARY_SETTING_ID, {
+            ...vocabularies,
+            updatedAt: new Date().toISOString(),
+            updatedBy: await this.characterService.getCurrentUsername()
+        });
+    }
+
+    /**
+     * Ensure the current user may manage vocabularies
+     * @private
+     * @throws {Error} When the current user is not an administrator
+     */
+    async assertAdministrator() {
+        if (!authenticationService.isInitialized) {
+            await authenticationService.initialize();
+        }
+        if (!authenticationService.hasPermission('vocabularies.manage')) {
+            throw new Error('Only administrators can manage vocabularies');
+        }
+    }
+}
+
+export default VocabularyService;
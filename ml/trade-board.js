@@ -0,0 +1,388 @@
+/**
+ * Trade Board Page
+ * Lists trade offers and lets staff post offers, record counter-offers and settle trades
+ */
+
+import EnhancedCharacterStorageManager from './services/storage-manager.js';
+import { TRADEABLE_STATUSES } from './services/trade-service.js';
+import toastManager from './components/toast.js';
+import { fillVocabularySelect } from './services/vocabularies.js';
+
+/**
+ * Trade Board Application
+ * Accepting a counter-offer transfers ownership through the character service
+ */
+class TradeBoardApp {
+    constructor() {
+        this.storageManager = null;
+        this.characters = [];
+        this.offers = [];
+        this.counterOfferId = null;
+    }
+
+    /**
+     * Initialize storage, bind controls and render offers
+     */
+    async initialize() {
+        try {
+            this.storageManager = new EnhancedCharacterStorageManager();
+            await this.storageManager.initialize();
+
+            this.bindEvents();
+            await this.loadVocabularies();
+            await this.loadCharacters();
+            await this.loadOffers();
+        } catch (error) {
+            console.error('Failed to initialize trade board:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Bind filter and form events
+     */
+    bindEvents() {
+        ['tradeStateFilter', 'tradeRarityFilter', 'tradeBiomeFilter'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.loadOffers());
+        });
+
+        document.getElementById('postOfferForm')?.addEventListener('submit', (e) => this.submitOffer(e));
+        document.getElementById('counterOfferForm')?.addEventListener('submit', (e) => this.submitCounterOffer(e));
+    }
+
+    /**
+     * Fill the rarity and biome filters from the configured vocabularies
+     */
+    async loadVocabularies() {
+        const vocabularies = await this.storageManager.getVocabularies();
+        fillVocabularySelect(document.getElementById('tradeRarityFilter'), vocabularies.rarities);
+        fillVocabularySelect(document.getElementById('tradeBiomeFilter'), vocabularies.biomes);
+    }
+
+    /**
+     * Load characters used by the offer and counter-offer forms
+     */
+    async loadCharacters() {
+        this.characters = await this.storageManager.getAllCharacters();
+        this.characters.sort((a, b) => (a.masterlistNumber || '').localeCompare(b.masterlistNumber || ''));
+    }
+
+    /**
+     * Load and render offers matching the current filters
+     */
+    async loadOffers() {
+        try {
+            this.offers = await this.storageManager.getTradeOffers({
+                state: document.getElementById('tradeStateFilter')?.value || '',
+                rarity: document.getElementById('tradeRarityFilter')?.value || '',
+                biome: document.getElementById('tradeBiomeFilter')?.value || ''
+            });
+            this.renderOffers();
+        } catch (error) {
+            console.error('Error loading trade offers:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Render offer cards
+     */
+    renderOffers() {
+        const container = document.getElementById('tradeOffers');
+        if (!container) return;
+
+        if (this.offers.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-handshake"></i>
+                    <p>No trade offers found</p>
+                    <small>Post an offer for a character marked as open for trades</small>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.offers.map(offer => `
+            <div class="card trade-offer trade-offer-${offer.state}">
+                <div class="card-content">
+                    <div class="trade-offer-header">
+                        <div>
+                            <h3>${this.escapeHtml(offer.masterlistNumber)}</h3>
+                            <small class="text-muted-foreground">
+                                Owner: ${this.escapeHtml(offer.owner)} &middot; ${this.escapeHtml(offer.rarity || 'Unknown')}
+                                &middot; ${this.escapeHtml([offer.primaryBiome, offer.secondaryBiome].filter(b => b && b !== 'none').join(' / ') || 'Unknown')}
+                            </small>
+                        </div>
+                        <span class="trade-state trade-state-${offer.state}">${offer.state}</span>
+                    </div>
+                    <p class="trade-looking-for"><strong>Looking for:</strong> ${this.escapeHtml(offer.lookingFor)}</p>
+                    ${offer.notes ? `<p class="text-muted-foreground">${this.escapeHtml(offer.notes)}</p>` : ''}
+                    <small class="text-muted-foreground">
+                        Posted by ${this.escapeHtml(offer.postedBy || 'Unknown User')} on ${new Date(offer.createdAt).toLocaleDateString()}
+                    </small>
+                    ${this.renderResponses(offer)}
+                    ${offer.state === 'open' ? `
+                        <div class="character-actions">
+                            <button class="btn btn-outline" onclick="tradeBoardApp.openCounterOfferModal('${offer.id}')">
+                                <i class="fas fa-reply"></i>Counter-offer
+                            </button>
+                            <button class="btn btn-outline" onclick="tradeBoardApp.withdraw('${offer.id}')">
+                                <i class="fas fa-ban"></i>Withdraw
+                            </button>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render counter-offers of an offer
+     * @param {Object} offer - Trade offer
+     * @returns {string} HTML
+     */
+    renderResponses(offer) {
+        if (!offer.responses || offer.responses.length === 0) {
+            return '<p class="trade-no-responses text-muted-foreground">No counter-offers yet</p>';
+        }
+
+        return `
+            <ul class="trade-responses">
+                ${offer.responses.map(response => `
+                    <li class="trade-response trade-response-${response.state}">
+                        <div>
+                            <strong>${this.escapeHtml(response.responder)}</strong>
+                            ${response.offeredMasterlistNumber ? `offers <strong>${this.escapeHtml(response.offeredMasterlistNumber)}</strong>` : ''}
+                            <p>${this.escapeHtml(response.message)}</p>
+                            <small class="text-muted-foreground">${new Date(response.createdAt).toLocaleString()} &middot; ${response.state}</small>
+                        </div>
+                        ${offer.state === 'open' && response.state === 'pending' ? `
+                            <div class="trade-response-actions">
+                                <button class="btn btn-primary btn-small" onclick="tradeBoardApp.accept('${offer.id}', '${response.id}')">
+                                    <i class="fas fa-check"></i>Accept
+                                </button>
+                                <button class="btn btn-outline btn-small" onclick="tradeBoardApp.decline('${offer.id}', '${response.id}')">
+                                    <i class="fas fa-times"></i>Decline
+                                </button>
+                            </div>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Open post offer modal with characters that are open for trades
+     */
+    openPostModal() {
+        const select = document.getElementById('offerCharacter');
+        if (!select) return;
+
+        const tradeable = this.characters.filter(character => TRADEABLE_STATUSES.includes(character.status));
+        select.innerHTML = tradeable.length > 0
+            ? tradeable.map(character => `
+                <option value="${character.id}">${this.escapeHtml(character.masterlistNumber)} (${this.escapeHtml(character.owner || 'Unknown')})</option>
+            `).join('')
+            : '<option value="">No characters are open for trades</option>';
+
+        document.getElementById('postOfferForm').reset();
+        this.openModal('postOfferModal');
+    }
+
+    /**
+     * Submit post offer form
+     * @param {Event} event - Submit event
+     */
+    async submitOffer(event) {
+        event.preventDefault();
+        const formData = new FormData(event.target);
+
+        try {
+            await this.storageManager.postTradeOffer(formData.get('characterId'), {
+                lookingFor: formData.get('lookingFor'),
+                notes: formData.get('notes')
+            });
+            toastManager.showSuccess('Trade offer posted');
+            this.closeModal('postOfferModal');
+            await this.loadOffers();
+        } catch (error) {
+            console.error('Error posting trade offer:', error);
+            toastManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Open counter-offer modal for an offer
+     * @param {string} offerId - Offer ID
+     */
+    openCounterOfferModal(offerId) {
+        const offer = this.offers.find(item => item.id === offerId);
+        if (!offer) return;
+
+        this.counterOfferId = offerId;
+        document.getElementById('counterOfferForm').reset();
+        document.getElementById('counterOfferTitle').textContent = `Counter-offer for ${offer.masterlistNumber}`;
+
+        const select = document.getElementById('counterCharacter');
+        select.innerHTML = '<option value="">None</option>' + this.characters
+            .filter(character => character.id !== offer.characterId && character.owner !== offer.owner)
+            .map(character => `
+                <option value="${character.id}">${this.escapeHtml(character.masterlistNumber)} (${this.escapeHtml(character.owner || 'Unknown')})</option>
+            `).join('');
+
+        this.openModal('counterOfferModal');
+    }
+
+    /**
+     * Submit counter-offer form
+     * @param {Event} event - Submit event
+     */
+    async submitCounterOffer(event) {
+        event.preventDefault();
+        if (!this.counterOfferId) return;
+
+        const formData = new FormData(event.target);
+
+        try {
+            await this.storageManager.respondToTradeOffer(this.counterOfferId, {
+                responder: formData.get('responder'),
+                message: formData.get('message'),
+                offeredCharacterId: formData.get('offeredCharacterId')
+            });
+            toastManager.showSuccess('Counter-offer recorded');
+            this.closeModal('counterOfferModal');
+            await this.loadOffers();
+        } catch (error) {
+            console.error('Error recording counter-offer:', error);
+            toastManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Accept a counter-offer and transfer ownership
+     * @param {string} offerId - Offer ID
+     * @param {string} responseId - Response ID
+     */
+    async accept(offerId, responseId) {
+        const offer = this.offers.find(item => item.id === offerId);
+        const response = offer?.responses.find(item => item.id === responseId);
+        if (!response) return;
+
+        if (!confirm(`Accept ${response.responder}'s offer? ${offer.masterlistNumber} will be transferred to ${response.responder}.`)) {
+            return;
+        }
+
+        try {
+            await this.storageManager.acceptTradeResponse(offerId, responseId);
+            toastManager.showSuccess(`${offer.masterlistNumber} traded to ${response.responder}`);
+            await this.loadCharacters();
+            await this.loadOffers();
+        } catch (error) {
+            console.error('Error accepting trade:', error);
+            toastManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Decline a counter-offer
+     * @param {string} offerId - Offer ID
+     * @param {string} responseId - Response ID
+     */
+    async decline(offerId, responseId) {
+        try {
+            await this.storageManager.declineTradeResponse(offerId, responseId);
+            toastManager.showInfo('Counter-offer declined');
+            await this.loadOffers();
+        } catch (error) {
+            console.error('Error declining counter-offer:', error);
+            toastManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Withdraw an open offer
+     * @param {string} offerId - Offer ID
+     */
+    async withdraw(offerId) {
+        const offer = this.offers.find(item => item.id === offerId);
+        if (!offer || !confirm(`Withdraw the trade offer for ${offer.masterlistNumber}?`)) {
+            return;
+        }
+
+        try {
+            await this.storageManager.withdrawTradeOffer(offerId);
+            toastManager.showInfo('Trade offer withdrawn');
+            await this.loadOffers();
+        } catch (error) {
+            console.error('Error withdrawing trade offer:', error);
+            toastManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Show a modal
+     * @param {string} id - Modal element ID
+     */
+    openModal(id) {
+        const modal = document.getElementById(id);
+        if (modal) {
+            modal.style.display = 'flex';
+            document.body.style.overflow = 'hidden';
+        }
+    }
+
+    /**
+     * Hide a modal
+     * @param {string} id - Modal element ID
+     */
+    closeModal(id) {
+        const modal = document.getElementById(id);
+        if (modal) {
+            modal.style.display = 'none';
+            document.body.style.overflow = '';
+        }
+        if (id === 'counterOfferModal') {
+            this.counterOfferId = null;
+        }
+    }
+
+    /**
+     * Show error message in place of the offers
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        const container = document.getElementById('tradeOffers');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="error-message">
+                <i class="fas fa-exclamation-triangle"></i>
+                <p>Error: ${this.escapeHtml(message)}</p>
+                <button onclick="window.location.reload()" class="btn btn-outline btn-sm">
+                    <i class="fas fa-refresh"></i> Retry
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+const tradeBoardApp = new TradeBoardApp();
+
+// Make app globally available for onclick handlers
+window.tradeBoardApp = tradeBoardApp;
+
+document.addEventListener('DOMContentLoaded', () => tradeBoardApp.initialize());
+
+export { TradeBoardApp };
@@ -0,0 +1,271 @@
+/**
+ * Trait Catalog Page
+ * Lists catalog traits and lets administrators add, edit and delete them
+ */
+
+import EnhancedCharacterStorageManager from './services/storage-manager.js';
+import AuthenticationService from './services/authentication-service.js';
+import toastManager from './components/toast.js';
+import { fillVocabularySelect } from './services/vocabularies.js';
+
+/**
+ * Trait Catalog Application
+ * Viewing is open to all staff, changes are administrator-only
+ */
+class TraitCatalogApp {
+    constructor() {
+        this.storageManager = null;
+        this.authService = new AuthenticationService();
+        this.traits = [];
+        this.rarities = [];
+        this.editingId = null;
+    }
+
+    /**
+     * Initialize storage and render the catalog
+     */
+    async initialize() {
+        try {
+            await this.authService.initialize();
+
+            this.storageManager = new EnhancedCharacterStorageManager();
+            await this.storageManager.initialize();
+
+            document.getElementById('traitForm')?.addEventListener('submit', (e) => this.saveTrait(e));
+
+            this.rarities = (await this.storageManager.getVocabularies()).rarities;
+            fillVocabularySelect(document.getElementById('traitRarity'), this.rarities);
+
+            await this.loadTraits();
+            this.applyRolePermissions();
+        } catch (error) {
+            console.error('Failed to initialize trait catalog:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Disable administrator-only controls for other roles
+     */
+    applyRolePermissions() {
+        const isAdmin = this.authService.hasPermission('traits.manage');
+        document.querySelectorAll('.admin-only-action').forEach(element => {
+            element.disabled = !isAdmin;
+            if (!isAdmin) {
+                element.title = 'Administrator access required';
+            }
+        });
+    }
+
+    /**
+     * Load and render catalog traits
+     */
+    async loadTraits() {
+        this.traits = await this.storageManager.getTraits();
+        this.renderTraits();
+    }
+
+    /**
+     * Render the traits table
+     */
+    renderTraits() {
+        const tbody = document.getElementById('traitsTableBody');
+        if (!tbody) return;
+
+        const categories = [...new Set(this.traits.map(trait => trait.category).filter(Boolean))];
+        const datalist = document.getElementById('traitCategories');
+        if (datalist) {
+            datalist.innerHTML = categories.map(category => `<option value="${this.escapeAttribute(category)}">`).join('');
+        }
+
+        if (this.traits.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="no-logs">
+                        <div class="empty-state">
+                            <i class="fas fa-tags"></i>
+                            <p>The trait catalog is empty</p>
+                            <small>Traits added here can be picked on the upload form</small>
+                        </div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const isAdmin = this.authService.hasPermission('traits.manage');
+        const adminAttributes = isAdmin ? '' : 'disabled title="Administrator access required"';
+
+        tbody.innerHTML = this.traits.map(trait => `
+            <tr>
+                <td>
+                    ${trait.exampleImageUrl
+                        ? `<img src="${this.escapeAttribute(trait.exampleImageUrl)}" alt="${this.escapeAttribute(trait.name)}" class="trait-example-image">`
+                        : '<span class="text-muted-foreground">-</span>'}
+                </td>
+                <td><strong>${this.escapeHtml(trait.name)}</strong></td>
+                <td>${trait.category ? this.escapeHtml(trait.category) : '<span class="text-muted-foreground">-</span>'}</td>
+                <td>
+                    <span class="character-rarity rarity-${trait.rarity.toLowerCase().replace(' ', '-')}">${this.escapeHtml(trait.rarity)}</span>
+                </td>
+                <td>${trait.description ? this.escapeHtml(trait.description) : '<span class="text-muted-foreground">-</span>'}</td>
+                <td class="recycle-bin-actions">
+                    <button class="btn btn-outline btn-small" ${adminAttributes} onclick="traitCatalogApp.openTraitModal('${trait.id}')">
+                        <i class="fas fa-edit"></i>Edit
+                    </button>
+                    <button class="btn btn-danger btn-small" ${adminAttributes} onclick="traitCatalogApp.deleteTrait('${trait.id}')">
+                        <i class="fas fa-trash"></i>Delete
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Open the trait form, empty for a new trait or filled for an existing one
+     * @param {string} id - Trait ID when editing (optional)
+     */
+    openTraitModal(id = null) {
+        if (!this.authService.hasPermission('traits.manage')) {
+            toastManager.showError('Only administrators can manage the trait catalog');
+            return;
+        }
+
+        const trait = id ? this.traits.find(item => item.id === id) : null;
+        this.editingId = trait ? trait.id : null;
+
+        document.getElementById('traitForm').reset();
+        document.getElementById('traitModalTitle').innerHTML = `<i class="fas fa-tags"></i> ${trait ? 'Edit Trait' : 'Add Trait'}`;
+
+        if (trait) {
+            document.getElementById('traitName').value = trait.name;
+            document.getElementById('traitCategory').value = trait.category || '';
+            document.getElementById('traitRarity').value = trait.rarity;
+            document.getElementById('traitExampleImage').value = trait.exampleImageUrl || '';
+            document.getElementById('traitDescription').value = trait.description || '';
+        }
+
+        const modal = document.getElementById('traitModal');
+        modal.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close the trait form
+     */
+    closeTraitModal() {
+        const modal = document.getElementById('traitModal');
+        if (modal) {
+            modal.style.display = 'none';
+            document.body.style.overflow = '';
+        }
+        this.editingId = null;
+    }
+
+    /**
+     * Submit the trait form
+     * @param {Event} event - Submit event
+     */
+    async saveTrait(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const trait = {
+            id: this.editingId,
+            name: formData.get('name'),
+            category: formData.get('category'),
+            rarity: formData.get('rarity'),
+            exampleImageUrl: formData.get('exampleImageUrl'),
+            description: formData.get('description')
+        };
+
+        try {
+            const result = await this.storageManager.saveTrait(trait);
+            toastManager.showSuccess(result.renamedCount > 0
+                ? `Trait saved and renamed on ${result.renamedCount} character${result.renamedCount === 1 ? '' : 's'}`
+                : 'Trait saved');
+            this.closeTraitModal();
+            await this.loadTraits();
+        } catch (error) {
+            console.error('Error saving trait:', error);
+            toastManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Delete a trait no character uses
+     * @param {string} id - Trait ID
+     */
+    async deleteTrait(id) {
+        const trait = this.traits.find(item => item.id === id);
+        if (!trait) return;
+
+        if (!this.authService.hasPermission('traits.manage')) {
+            toastManager.showError('Only administrators can manage the trait catalog');
+            return;
+        }
+
+        if (!confirm(`Delete the trait ${trait.name}?`)) {
+            return;
+        }
+
+        try {
+            await this.storageManager.deleteTrait(id);
+            toastManager.showSuccess(`Trait ${trait.name} deleted`);
+            await this.loadTraits();
+        } catch (error) {
+            console.error('Error deleting trait:', error);
+            toastManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Show error message in place of the table
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        const tbody = document.getElementById('traitsTableBody');
+        if (!tbody) return;
+
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="error-state">
+                    <div class="error-message">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        <p>Error: ${this.escapeHtml(message)}</p>
+                        <button onclick="window.location.reload()" class="btn btn-outline btn-sm">
+                            <i class="fas fa-refresh"></i> Retry
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Escape text for use inside an HTML attribute
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+}
+
+const traitCatalogApp = new TraitCatalogApp();
+
+// Make app globally available for onclick handlers
+window.traitCatalogApp = traitCatalogApp;
+
+document.addEventListener('DOMContentLoaded', () => traitCatalogApp.initialize());
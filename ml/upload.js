@@ -15,10 +15,46 @@ import EnhancedCharacterStorageManager from './services/storage-manager.js';
 import { GoogleDriveImageHandler } from './database.js';
 // Import toast notification system
 import toastManager from './components/toast.js';
+// Import masterlist number formatting
+import { MASTERLIST_PREFIX, formatMasterlistNumber, parseMasterlistNumber } from './services/masterlist-number.js';
+// Import trait helpers for the trait picker
+import { findCatalogTrait, getTraitRarityWarning, parseTraitList } from './services/traits.js';
+// Import vocabulary helpers for the biome, rarity and status dropdowns
+import { normalizeVocabularies, getVocabularyValues, findVocabularyItem, fillVocabularySelect } from './services/vocabularies.js';
+// Import image helpers for hosted character images
+import { isGoogleDriveUrl, convertDriveUrl, getCharacterImages, getImageUrl, validateImageFile } from './services/character-images.js';
 
 // Global variables
 let storageManager;
 let originalCharacterData = null; // Store original character data for edit comparison
+let reservedMasterlistNumber = null; // Number reserved for this upload form, released on cancel
+let importRows = []; // Parsed rows of the selected import file
+let importReport = []; // Dry-run result per imported row
+let traitCatalog = []; // Catalog traits offered by the trait picker
+let vocabularies = normalizeVocabularies(null); // Biomes, rarities and statuses offered by the dropdowns
+let galleryImages = []; // Images on the form: saved ones and new files ({ file, objectUrl }) uploaded on save
+
+// Import column headers (lowercased, non-alphanumerics removed) mapped to form field names
+const IMPORT_COLUMN_ALIASES = {
+    ml: 'masterlistNumber',
+    mlnumber: 'masterlistNumber',
+    masterlist: 'masterlistNumber',
+    masterlistnumber: 'masterlistNumber',
+    owner: 'owner',
+    artist: 'artist',
+    designer: 'artist',
+    biome: 'primaryBiome',
+    primarybiome: 'primaryBiome',
+    secondarybiome: 'secondaryBiome',
+    rarity: 'rarity',
+    status: 'status',
+    image: 'imageUrl',
+    imageurl: 'imageUrl',
+    description: 'description',
+    traits: 'traits',
+    notes: 'notes',
+    value: 'value'
+};
 
 /**
  * Debounce function to limit function calls
@@ -109,7 +145,17 @@ document.addEventListener('DOMContentLoaded', async function() {
         setupTabs();
         setupFormHandlers();
         setupImagePreview();
+        setupImportHandlers();
+        setupTraitPicker();
+        await loadVocabularies();
+        await loadTraitCatalog();
         await checkEditMode(); // Make this await
+        
+        // New uploads get a number reserved up front so concurrent uploads never collide
+        if (!getEditId()) {
+            await generateMasterlistNumber();
+            window.addEventListener('pagehide', releaseReservedMasterlistNumber);
+        }
     } catch (error) {
         console.error('Database connection failed:', error);
         showConnectionStatus(false, error.message);
@@ -181,8 +227,18 @@ async function handleFormSubmit(event) {
         return;
     }
     
-    // Convert to full masterlist number for storage
+    // Convert to full masterlist number for storage, keeping a legacy number untouched when it was not changed
     characterData.masterlistNumber = getFullMasterlistNumber(masterlistDigits);
+    if (originalCharacterData &&
+        parseMasterlistNumber(originalCharacterData.masterlistNumber) === parseMasterlistNumber(characterData.masterlistNumber)) {
+        characterData.masterlistNumber = originalCharacterData.masterlistNumber;
+    }
+    
+    // A link typed but not added yet still ends up in the gallery
+    if (characterData.imageUrl && !addImageLink()) {
+        toastManager.showError('Please enter a valid Google Drive image link or clear the link field');
+        return;
+    }
     
     // Show loading state
     const submitBtn = event.target.querySelector('button[type="submit"]');
@@ -190,9 +246,28 @@ async function handleFormSubmit(event) {
     submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
     submitBtn.disabled = true;
     
+    const hostedImages = new Map(); // Gallery image ID -> hosted URLs of files uploaded by this save
     try {
         const editId = getEditId();
         
+        // New files are hosted first, in gallery order
+        const pendingImages = galleryImages.filter(image => image.file);
+        for (const [index, image] of pendingImages.entries()) {
+            submitBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Uploading image ${index + 1} of ${pendingImages.length}...`;
+            hostedImages.set(image.id, await storageManager.uploadCharacterImage(characterData.masterlistNumber, image.file));
+        }
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+        
+        characterData.gallery = galleryImages.map(image => ({
+            id: image.id,
+            main: image.main,
+            preview: image.preview,
+            caption: image.caption,
+            artist: image.artist,
+            isPrimary: image.isPrimary,
+            ...hostedImages.get(image.id)
+        }));
+        
         let success;
         if (editId) {
             success = await storageManager.updateCharacter(editId, characterData, originalCharacterData);
@@ -204,19 +279,38 @@ async function handleFormSubmit(event) {
             // Show toast notification for successful operation
             toastManager.showSuccess(editId ? 'Character updated successfully!' : 'Character uploaded successfully!');
             
+            const rarityWarning = getTraitRarityWarning(characterData, traitCatalog, getVocabularyValues(vocabularies.rarities));
+            if (rarityWarning) {
+                toastManager.showWarning(rarityWarning);
+            }
+            
             if (editId) {
                 // Navigate back to database after successful update
                 setTimeout(() => {
                     window.location.href = 'database.html';
                 }, 1500); // Give time for toast to be seen
             } else {
-                // Reset form for new uploads
+                // A hand-typed number leaves the reserved one unused
+                if (reservedMasterlistNumber && reservedMasterlistNumber !== characterData.masterlistNumber) {
+                    await releaseReservedMasterlistNumber();
+                }
+                reservedMasterlistNumber = null;
+                
+                // Reset form for new uploads and reserve the next number
                 resetForm();
+                await generateMasterlistNumber();
             }
         }
     } catch (error) {
         console.error('Error saving character:', error);
         toastManager.showError(error.message);
+        
+        // Do not leave hosted files behind for a character that was not saved
+        hostedImages.forEach(images => {
+            storageManager.deleteCharacterImage(images).catch(deleteError => {
+                console.warn('⚠️ Failed to delete unsaved image:', deleteError);
+            });
+        });
     } finally {
         // Restore button state
         submitBtn.innerHTML = originalText;
@@ -265,6 +359,12 @@ function setupFormHandlers() {
         generateBtn.addEventListener('click', generateMasterlistNumber);
     }
     
+    // Cancel gives the reserved number back
+    const cancelBtn = document.getElementById('cancelUploadBtn');
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', cancelUpload);
+    }
+    
     // Setup masterlist number validation
     const masterlistInput = document.getElementById('masterlistNumber');
     if (masterlistInput) {
@@ -274,9 +374,19 @@ function setupFormHandlers() {
 }
 
 /**
- * Setup Google Drive image preview functionality
+ * Setup the image gallery editor and Google Drive link preview functionality
  */
 function setupImagePreview() {
+    document.getElementById('imageFile')?.addEventListener('change', handleImageFileChange);
+    document.getElementById('addImageLinkBtn')?.addEventListener('click', addImageLink);
+    
+    const gallery = document.getElementById('imageGallery');
+    if (gallery) {
+        gallery.addEventListener('input', handleGalleryInput);
+        gallery.addEventListener('change', handleGalleryInput);
+        gallery.addEventListener('click', handleGalleryAction);
+    }
+    
     const imageUrlInput = document.getElementById('imageUrl');
     if (imageUrlInput) {
         imageUrlInput.addEventListener('input', debounce(handleImageUrlChange, 500));
@@ -286,6 +396,160 @@ function setupImagePreview() {
     }
 }
 
+/**
+ * Create an ID for a new gallery image
+ * @returns {string} Image ID
+ */
+function createImageId() {
+    return `image-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Add a gallery image; the first one becomes the primary image
+ * @param {Object} image - Image fields ({ main, preview } or { file, objectUrl })
+ */
+function addGalleryImage(image) {
+    galleryImages.push({
+        id: createImageId(),
+        caption: '',
+        artist: document.getElementById('artist')?.value.trim() || '',
+        isPrimary: galleryImages.length === 0,
+        ...image
+    });
+    renderImageGallery();
+    previewCharacter();
+}
+
+/**
+ * Handle chosen image files: check them and add them to the gallery until the form is saved
+ * @param {Event} event - Change event
+ */
+function handleImageFileChange(event) {
+    const files = [...event.target.files];
+    const errors = [];
+    
+    files.forEach(file => {
+        const fileError = validateImageFile(file);
+        if (fileError) {
+            errors.push(`${file.name}: ${fileError}`);
+            return;
+        }
+        addGalleryImage({ file, objectUrl: URL.createObjectURL(file) });
+    });
+    
+    event.target.value = '';
+    updateImageUrlStatus(errors.join(' '), 'error', 'imageFileStatus');
+}
+
+/**
+ * Add the typed Google Drive link to the gallery
+ * @returns {boolean} True when a link was added
+ */
+function addImageLink() {
+    const input = document.getElementById('imageUrl');
+    const url = input?.value.trim();
+    if (!url) return false;
+    
+    if (!isGoogleDriveUrl(url)) {
+        updateImageUrlStatus('Please enter a valid Google Drive image link', 'error');
+        return false;
+    }
+    
+    input.value = '';
+    updateImageUrlStatus('', 'neutral');
+    addGalleryImage({ main: url, preview: url });
+    return true;
+}
+
+/**
+ * Keep captions, artists and the primary choice in sync with the gallery editor
+ * @param {Event} event - Input or change event
+ */
+function handleGalleryInput(event) {
+    const item = event.target.closest('[data-image-id]');
+    const image = item && galleryImages.find(entry => entry.id === item.dataset.imageId);
+    if (!image) return;
+    
+    if (event.target.dataset.field) {
+        image[event.target.dataset.field] = event.target.value;
+    } else if (event.target.type === 'radio') {
+        galleryImages.forEach(entry => { entry.isPrimary = entry === image; });
+        previewCharacter();
+    }
+}
+
+/**
+ * Move or remove a gallery image
+ * @param {Event} event - Click event
+ */
+function handleGalleryAction(event) {
+    const button = event.target.closest('[data-gallery-action]');
+    const item = button?.closest('[data-image-id]');
+    if (!item) return;
+    
+    const index = galleryImages.findIndex(entry => entry.id === item.dataset.imageId);
+    const action = button.dataset.galleryAction;
+    
+    if (action === 'remove') {
+        const [removed] = galleryImages.splice(index, 1);
+        if (removed.objectUrl) {
+            URL.revokeObjectURL(removed.objectUrl);
+        }
+        if (removed.isPrimary && galleryImages.length > 0) {
+            galleryImages[0].isPrimary = true;
+        }
+    } else {
+        const target = index + (action === 'up' ? -1 : 1);
+        if (target < 0 || target >= galleryImages.length) return;
+        [galleryImages[index], galleryImages[target]] = [galleryImages[target], galleryImages[index]];
+    }
+    
+    renderImageGallery();
+    previewCharacter();
+}
+
+/**
+ * Get the URL to show for a gallery image on the form
+ * @param {Object} image - Gallery image
+ * @returns {string} Image URL
+ */
+function getGalleryImagePreviewUrl(image) {
+    return image.objectUrl || getImageUrl(image, 'preview');
+}
+
+/**
+ * Render the gallery editor
+ */
+function renderImageGallery() {
+    const gallery = document.getElementById('imageGallery');
+    if (!gallery) return;
+    
+    gallery.innerHTML = galleryImages.map((image, index) => `
+        <div class="gallery-editor-item" data-image-id="${escapeAttribute(image.id)}">
+            <img src="${escapeAttribute(getGalleryImagePreviewUrl(image))}" alt="" class="gallery-editor-thumb">
+            <div class="gallery-editor-fields">
+                <input type="text" data-field="caption" value="${escapeAttribute(image.caption || '')}" placeholder="Caption (e.g. Reference sheet)">
+                <input type="text" data-field="artist" value="${escapeAttribute(image.artist || '')}" placeholder="Artist">
+                <label class="gallery-editor-primary">
+                    <input type="radio" name="primaryImage" ${image.isPrimary ? 'checked' : ''}>
+                    Primary image${image.file ? ' <span class="text-muted-foreground">(uploaded on save)</span>' : ''}
+                </label>
+            </div>
+            <div class="gallery-editor-actions">
+                <button type="button" class="btn btn-outline btn-small" data-gallery-action="up" ${index === 0 ? 'disabled' : ''} aria-label="Move up">
+                    <i class="fas fa-arrow-up"></i>
+                </button>
+                <button type="button" class="btn btn-outline btn-small" data-gallery-action="down" ${index === galleryImages.length - 1 ? 'disabled' : ''} aria-label="Move down">
+                    <i class="fas fa-arrow-down"></i>
+                </button>
+                <button type="button" class="btn btn-danger btn-small" data-gallery-action="remove" aria-label="Remove image">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        </div>
+    `).join('');
+}
+
 /**
  * Handle image URL input changes - Updated to use sidebar preview only
  * @param {Event} event - Input event
@@ -302,7 +566,7 @@ async function handleImageUrlChange(event) {
     }
     
     // Validate Google Drive URL format
-    if (!GoogleDriveImageHandler.isValidGoogleDriveUrl(imageUrl)) {
+    if (!isGoogleDriveUrl(imageUrl)) {
         updateImageUrlStatus('Please enter a valid Google Drive image link', 'error');
         // Trigger character preview update to show error state
         previewCharacter();
@@ -312,7 +576,7 @@ async function handleImageUrlChange(event) {
     updateImageUrlStatus('Checking image...', 'loading');
     
     // Test if image loads successfully
-    const directUrl = GoogleDriveImageHandler.convertToDirectUrl(imageUrl);
+    const directUrl = convertDriveUrl(imageUrl);
     const isValid = await GoogleDriveImageHandler.testImageLoad(directUrl);
     
     if (isValid) {
@@ -329,9 +593,10 @@ async function handleImageUrlChange(event) {
  * Update image URL status indicator
  * @param {string} message - Status message
  * @param {string} type - Status type (success, error, loading, neutral)
+ * @param {string} statusId - ID of the status element (defaults to the Drive link status)
  */
-function updateImageUrlStatus(message, type) {
-    const statusDiv = document.getElementById('imageUrlStatus');
+function updateImageUrlStatus(message, type, statusId = 'imageUrlStatus') {
+    const statusDiv = document.getElementById(statusId);
     if (!statusDiv) return;
     
     const icons = {
@@ -392,17 +657,24 @@ function updateImageUrlStatus(message, type) {
 // }
 
 /**
- * Generate next available masterlist number (updated for async)
+ * Reserve the next free masterlist number and fill it into the form
+ * Any number this form already holds is released first
  */
 async function generateMasterlistNumber() {
     if (storageManager) {
         try {
-            const nextNumber = await storageManager.generateMasterlistNumber();
+            await releaseReservedMasterlistNumber();
+            
+            const reservation = await storageManager.reserveMasterlistNumber();
+            reservedMasterlistNumber = reservation.masterlistNumber;
+            
             const input = document.getElementById('masterlistNumber');
             if (input) {
-                input.value = nextNumber;
+                input.value = reservation.masterlistNumber.replace(MASTERLIST_PREFIX, '');
+                updateMasterlistValidationStatus(input, input.value);
                 previewCharacter();
             }
+            updateReservationNote(reservation);
         } catch (error) {
             console.error('Error generating masterlist number:', error);
             showErrorMessage('Failed to generate masterlist number');
@@ -410,6 +682,51 @@ async function generateMasterlistNumber() {
     }
 }
 
+/**
+ * Release the number reserved by this form, if any
+ */
+async function releaseReservedMasterlistNumber() {
+    if (!reservedMasterlistNumber || !storageManager) return;
+    
+    const masterlistNumber = reservedMasterlistNumber;
+    reservedMasterlistNumber = null;
+    updateReservationNote(null);
+    
+    try {
+        await storageManager.releaseMasterlistNumber(masterlistNumber);
+    } catch (error) {
+        // Unreleased reservations expire on their own
+        console.warn('⚠️ Failed to release masterlist number:', error);
+    }
+}
+
+/**
+ * Cancel the current upload and release its reserved number
+ */
+async function cancelUpload() {
+    if (getEditId()) {
+        window.location.href = 'database.html';
+        return;
+    }
+    
+    await releaseReservedMasterlistNumber();
+    resetForm();
+    toastManager.showInfo('Upload cancelled, the reserved masterlist number was released');
+}
+
+/**
+ * Show which number is reserved and until when
+ * @param {Object|null} reservation - Reservation or null to clear
+ */
+function updateReservationNote(reservation) {
+    const note = document.getElementById('masterlistReservationNote');
+    if (!note) return;
+    
+    note.textContent = reservation
+        ? `${reservation.masterlistNumber} is reserved for you until ${new Date(reservation.expiresAt).toLocaleTimeString()}`
+        : '';
+}
+
 /**
  * Preview character with current form data
  */
@@ -423,7 +740,11 @@ function previewCharacter() {
     
     if (!preview) return;
     
-    const imageUrl = data.imageUrl ? GoogleDriveImageHandler.convertToDirectUrl(data.imageUrl) : '';
+    // The primary gallery image, or a link typed but not added yet
+    const primaryImage = galleryImages.find(image => image.isPrimary);
+    const imageUrl = primaryImage
+        ? getGalleryImagePreviewUrl(primaryImage)
+        : (data.imageUrl ? convertDriveUrl(data.imageUrl) : '');
     
     preview.innerHTML = `
         <div class="character-card preview">
@@ -582,9 +903,7 @@ function loadCharacterForEdit(character) {
         secondaryBiome: character.secondaryBiome,
         rarity: character.rarity,
         status: character.status,
-        imageUrl: character.imageUrl,
         description: character.description,
-        traits: character.traits,
         notes: character.notes,
         value: character.value // Add this missing field
     };
@@ -592,10 +911,19 @@ function loadCharacterForEdit(character) {
     Object.entries(fields).forEach(([fieldName, value]) => {
         const field = form.querySelector(`[name="${fieldName}"]`);
         if (field && value) {
+            // Keep values that were since removed from the vocabulary instead of silently dropping them
+            if (field.tagName === 'SELECT' && ![...field.options].some(option => option.value === value)) {
+                field.add(new Option(value, value));
+            }
             field.value = value;
         }
     });
     
+    setSelectedTraits(parseTraitList(character.traits));
+    
+    galleryImages = getCharacterImages(character);
+    renderImageGallery();
+    
     // Update page title
     const pageTitle = document.querySelector('h1');
     if (pageTitle) {
@@ -619,11 +947,17 @@ function resetForm() {
     const form = document.querySelector('.character-form');
     if (form) {
         form.reset();
-        previewCharacter();
+        setSelectedTraits([]);
         updateImageUrlStatus('', 'neutral');
+        updateImageUrlStatus('', 'neutral', 'imageFileStatus');
+        
+        galleryImages.forEach(image => image.objectUrl && URL.revokeObjectURL(image.objectUrl));
+        galleryImages = [];
+        renderImageGallery();
         
         // Clear original character data
         originalCharacterData = null;
+        previewCharacter();
         
         // Clear any error messages
         const errorContainer = document.getElementById('formErrors');
@@ -670,10 +1004,10 @@ function validateMasterlistNumber(digits) {
 /**
  * Get full masterlist number with ML- prefix
  * @param {string} digits - Digits only
- * @returns {string} Full masterlist number (ML-XXX)
+ * @returns {string} Full zero-padded masterlist number (ML-XXXX)
  */
 function getFullMasterlistNumber(digits) {
-    return digits ? `ML-${digits}` : '';
+    return digits ? formatMasterlistNumber(digits) : '';
 }
 
 /**
@@ -779,8 +1113,411 @@ function extractCharacterData(formData) {
         status: formData.get('status') || '',
         imageUrl: formData.get('imageUrl') || '',
         description: formData.get('description') || '',
-        traits: formData.get('traits') || '',
+        traits: parseTraitList(formData.get('traits')),
         notes: formData.get('notes') || '',
         value: formData.get('value') || ''
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Setup the trait picker: choosing a trait adds a chip, a chip's button removes it
+ */
+function setupTraitPicker() {
+    document.getElementById('traitPicker')?.addEventListener('change', (event) => {
+        if (event.target.value) {
+            setSelectedTraits([...getSelectedTraits(), event.target.value]);
+        }
+    });
+    
+    document.getElementById('selectedTraits')?.addEventListener('click', (event) => {
+        const removeBtn = event.target.closest('[data-remove-trait]');
+        if (removeBtn) {
+            const name = removeBtn.dataset.removeTrait;
+            setSelectedTraits(getSelectedTraits().filter(trait => trait !== name));
+        }
+    });
+    
+    document.getElementById('rarity')?.addEventListener('change', updateTraitRarityWarning);
+}
+
+/**
+ * Load the configured vocabularies into the biome, rarity and status dropdowns
+ */
+async function loadVocabularies() {
+    try {
+        vocabularies = await storageManager.getVocabularies();
+    } catch (error) {
+        console.warn('⚠️ Failed to load vocabularies, using defaults:', error);
+    }
+    
+    fillVocabularySelect(document.getElementById('primaryBiome'), vocabularies.biomes);
+    fillVocabularySelect(document.getElementById('secondaryBiome'), vocabularies.biomes);
+    fillVocabularySelect(document.getElementById('rarity'), vocabularies.rarities);
+    fillVocabularySelect(document.getElementById('status'), vocabularies.statuses);
+}
+
+/**
+ * Load the trait catalog into the picker
+ */
+async function loadTraitCatalog() {
+    try {
+        traitCatalog = await storageManager.getTraits();
+    } catch (error) {
+        console.warn('⚠️ Failed to load trait catalog:', error);
+        traitCatalog = [];
+    }
+    setSelectedTraits(getSelectedTraits());
+}
+
+/**
+ * Get the trait names currently picked
+ * @returns {Array<string>} Trait names
+ */
+function getSelectedTraits() {
+    return parseTraitList(document.getElementById('traits')?.value);
+}
+
+/**
+ * Replace the picked traits and refresh the picker
+ * @param {Array<string>} names - Trait names
+ */
+function setSelectedTraits(names) {
+    const input = document.getElementById('traits');
+    if (!input) return;
+    
+    input.value = parseTraitList(names).join(', ');
+    renderTraitPicker();
+    updateTraitRarityWarning();
+}
+
+/**
+ * Render the picked traits as chips and the remaining catalog traits as options grouped by category
+ * Traits missing from the catalog (entered before it existed) are flagged
+ */
+function renderTraitPicker() {
+    const selected = getSelectedTraits();
+    const selectedKeys = selected.map(name => name.toLowerCase());
+    
+    const chips = document.getElementById('selectedTraits');
+    if (chips) {
+        chips.innerHTML = selected.map(name => {
+            const trait = findCatalogTrait(traitCatalog, name);
+            return `
+                <span class="trait-chip ${trait ? '' : 'trait-chip-unknown'}" title="${trait ? escapeAttribute(trait.rarity) : 'Not in the trait catalog'}">
+                    ${trait ? '' : '<i class="fas fa-exclamation-triangle"></i>'}
+                    ${escapeImportText(name)}
+                    <button type="button" class="trait-chip-remove" data-remove-trait="${escapeAttribute(name)}" aria-label="Remove ${escapeAttribute(name)}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </span>
+            `;
+        }).join('');
+    }
+    
+    const picker = document.getElementById('traitPicker');
+    if (picker) {
+        const groups = new Map();
+        traitCatalog
+            .filter(trait => !selectedKeys.includes(trait.name.toLowerCase()))
+            .forEach(trait => {
+                const category = trait.category || 'Other';
+                groups.set(category, [...(groups.get(category) || []), trait]);
+            });
+        
+        picker.innerHTML = `
+            <option value="">${traitCatalog.length ? 'Add a trait from the catalog...' : 'No traits in the catalog yet'}</option>
+            ${[...groups.entries()].map(([category, traits]) => `
+                <optgroup label="${escapeAttribute(category)}">
+                    ${traits.map(trait => `<option value="${escapeAttribute(trait.name)}">${escapeImportText(trait.name)} (${escapeImportText(trait.rarity)})</option>`).join('')}
+                </optgroup>
+            `).join('')}
+        `;
+    }
+}
+
+/**
+ * Show a warning when the chosen rarity is lower than the rarest picked trait
+ */
+function updateTraitRarityWarning() {
+    const warning = document.getElementById('traitRarityWarning');
+    if (!warning) return;
+    
+    const message = getTraitRarityWarning({
+        rarity: document.getElementById('rarity')?.value,
+        traits: getSelectedTraits()
+    }, traitCatalog, getVocabularyValues(vocabularies.rarities));
+    
+    warning.innerHTML = message ? `<i class="fas fa-exclamation-triangle"></i><span>${escapeImportText(message)}</span>` : '';
+    warning.style.display = message ? 'flex' : 'none';
+}
+
+/**
+ * Setup bulk import tab handlers
+ */
+function setupImportHandlers() {
+    const fileInput = document.getElementById('importFile');
+    if (fileInput) {
+        // A new file invalidates the previous dry run
+        fileInput.addEventListener('change', resetImportReport);
+    }
+    
+    document.getElementById('importDryRunBtn')?.addEventListener('click', handleImportDryRun);
+    document.getElementById('importCommitBtn')?.addEventListener('click', handleImportCommit);
+}
+
+/**
+ * Parse the selected file and validate every row without saving
+ */
+async function handleImportDryRun() {
+    const file = document.getElementById('importFile')?.files[0];
+    if (!file) {
+        toastManager.showError('Please choose a CSV or JSON file to import');
+        return;
+    }
+    
+    const dryRunBtn = document.getElementById('importDryRunBtn');
+    const originalText = dryRunBtn.innerHTML;
+    dryRunBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Checking...';
+    dryRunBtn.disabled = true;
+    
+    try {
+        const mapped = (await parseImportFile(file)).map(mapImportRow);
+        if (mapped.length === 0) {
+            throw new Error('The file contains no rows');
+        }
+        
+        importRows = mapped.map(row => row.data);
+        const serviceReport = await storageManager.previewCharacterImport(importRows);
+        
+        // Format problems found while mapping come first, then service validation errors
+        importReport = serviceReport.map((entry, index) => {
+            const errors = [...mapped[index].errors, ...entry.errors];
+            return { ...entry, isValid: errors.length === 0, errors };
+        });
+        
+        renderImportReport();
+    } catch (error) {
+        console.error('Error running import dry run:', error);
+        resetImportReport();
+        toastManager.showError(error.message);
+    } finally {
+        dryRunBtn.innerHTML = originalText;
+        dryRunBtn.disabled = false;
+    }
+}
+
+/**
+ * Save the rows that passed the dry run in one batch
+ */
+async function handleImportCommit() {
+    const validRows = importRows.filter((_, index) => importReport[index]?.isValid);
+    if (validRows.length === 0) {
+        toastManager.showError('There are no valid rows to import');
+        return;
+    }
+    
+    const commitBtn = document.getElementById('importCommitBtn');
+    const originalText = commitBtn.innerHTML;
+    commitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Importing...';
+    commitBtn.disabled = true;
+    
+    try {
+        const result = await storageManager.importCharacters(validRows);
+        toastManager.showSuccess(`Imported ${result.importedCount} character${result.importedCount === 1 ? '' : 's'}`);
+        
+        document.getElementById('importFile').value = '';
+        resetImportReport();
+    } catch (error) {
+        console.error('Error importing characters:', error);
+        toastManager.showError(error.message);
+        commitBtn.disabled = false;
+    } finally {
+        commitBtn.innerHTML = originalText;
+    }
+}
+
+/**
+ * Render the dry-run report table and summary
+ */
+function renderImportReport() {
+    const validCount = importReport.filter(entry => entry.isValid).length;
+    const invalidCount = importReport.length - validCount;
+    
+    document.getElementById('importSummary').innerHTML = `
+        <span class="import-count import-count-valid"><i class="fas fa-check-circle"></i> ${validCount} valid</span>
+        <span class="import-count import-count-invalid"><i class="fas fa-times-circle"></i> ${invalidCount} with errors</span>
+    `;
+    
+    document.getElementById('importReportBody').innerHTML = importReport.map((entry, index) => `
+        <tr class="${entry.isValid ? 'import-row-valid' : 'import-row-invalid'}">
+            <td>${entry.row}</td>
+            <td>${escapeImportText(entry.masterlistNumber || '-')}</td>
+            <td>${escapeImportText(importRows[index].owner || '-')}</td>
+            <td>${entry.isValid
+                ? '<span class="import-ok"><i class="fas fa-check"></i> Ready</span>'
+                : `<ul class="import-errors">${entry.errors.map(error => `<li>${escapeImportText(error)}</li>`).join('')}</ul>`}
+                ${(entry.warnings || []).length
+                    ? `<ul class="import-warnings">${entry.warnings.map(warning => `<li>${escapeImportText(warning)}</li>`).join('')}</ul>`
+                    : ''}
+            </td>
+        </tr>
+    `).join('');
+    
+    document.getElementById('importReportContainer').style.display = 'block';
+    document.getElementById('importCommitBtn').disabled = validCount === 0;
+}
+
+/**
+ * Clear dry-run state so a stale report cannot be committed
+ */
+function resetImportReport() {
+    importRows = [];
+    importReport = [];
+    
+    document.getElementById('importSummary').innerHTML = '';
+    document.getElementById('importReportBody').innerHTML = '';
+    document.getElementById('importReportContainer').style.display = 'none';
+    document.getElementById('importCommitBtn').disabled = true;
+}
+
+/**
+ * Read an import file into plain row objects keyed by column header
+ * @param {File} file - CSV or JSON file
+ * @returns {Promise<Array<Object>>} Raw rows
+ */
+async function parseImportFile(file) {
+    const text = await file.text();
+    
+    if (file.name.toLowerCase().endsWith('.json') || file.type === 'application/json') {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        
+        // Accept either a bare array or an object with a characters array
+        const rows = Array.isArray(parsed) ? parsed : parsed?.characters;
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON must be an array of characters');
+        }
+        return rows;
+    }
+    
+    const [headers, ...records] = parseCsv(text);
+    if (!headers) {
+        return [];
+    }
+    
+    return records
+        .filter(record => record.some(cell => cell.trim() !== ''))
+        .map(record => Object.fromEntries(headers.map((header, index) => [header, record[index] ?? ''])));
+}
+
+/**
+ * Parse CSV text into records, supporting quoted fields with commas, quotes and line breaks
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Records of cells
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (cell !== '' || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+    
+    return records;
+}
+
+/**
+ * Map a raw import row onto the fields produced by extractCharacterData
+ * @param {Object} raw - Row keyed by column header
+ * @returns {Object} Mapped row ({ data, errors })
+ */
+function mapImportRow(raw) {
+    const fields = {};
+    Object.entries(raw || {}).forEach(([header, value]) => {
+        const field = IMPORT_COLUMN_ALIASES[header.toLowerCase().replace(/[^a-z0-9]/g, '')];
+        if (field && fields[field] === undefined) {
+            fields[field] = Array.isArray(value) ? value.join(', ') : String(value ?? '').trim();
+        }
+    });
+    
+    // Reuse the form mapping so imported characters match hand-uploaded ones
+    const data = extractCharacterData({ get: key => fields[key] });
+    const errors = [];
+    
+    const digits = data.masterlistNumber.replace(/^ML-?/i, '');
+    if (data.masterlistNumber && !validateMasterlistNumber(digits)) {
+        errors.push(`Invalid masterlist number "${data.masterlistNumber}"`);
+    } else {
+        data.masterlistNumber = getFullMasterlistNumber(digits);
+    }
+    
+    // Spreadsheet spellings such as "Trade Gift" or "ultra rare" are mapped onto vocabulary values
+    [
+        ['primaryBiome', vocabularies.biomes],
+        ['secondaryBiome', vocabularies.biomes],
+        ['rarity', vocabularies.rarities],
+        ['status', vocabularies.statuses]
+    ].forEach(([field, items]) => {
+        if (data[field]) {
+            data[field] = findVocabularyItem(items, data[field])?.value || data[field];
+        }
+    });
+    data.biome = data.primaryBiome;
+    
+    return { data, errors };
+}
+
+/**
+ * Escape text for the import report
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeImportText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Escape text for use inside an HTML attribute
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeAttribute(text) {
+    return escapeImportText(text).replace(/"/g, '&quot;');
+}
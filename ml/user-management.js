@@ -8,6 +8,18 @@
 import firebaseConfig from './config/firebase-config.js';
 import AuthenticationService from './services/authentication-service.js';
 import LoggingService from './services/logging-service.js';
+import { setUserPassword } from './services/password-service.js';
+import { listLoginLockouts, unlockLogin } from './services/login-protection-service.js';
+import { getSessionToken, signOutUser } from './services/session-service.js';
+import { callFunction } from './services/cloud-functions.js';
+import { ROLES, ROLE_LABELS, hasPermission, normalizeRole } from './config/permissions.js';
+
+// Error for admins without user.manage-super-admins
+const SUPER_ADMIN_REQUIRED = {
+    success: false,
+    error: 'Only super-admins can assign the super-admin role or change super-admin accounts',
+    code: 'SUPER_ADMIN_REQUIRED'
+};
 
 /**
  * User Management Class
@@ -60,8 +72,7 @@ class UserManagementSystem {
 
             this.isInitialized = true;
             
-            // Restore session if available
-            this.authService.restoreSession();
+            // Set by the server check of the session in initialize()
             this.currentAdmin = this.authService.getCurrentUser();
             
             console.log('User Management System initialized successfully (Firestore only)');
@@ -149,6 +160,17 @@ class UserManagementSystem {
         return this.authService.isModerator();
     }
 
+    /**
+     * Check whether the current admin may work with accounts holding these roles
+     * Roles with user.manage-super-admins can only be given, changed or removed by users who have it
+     * @param {...string} roles - New and current roles of the account
+     * @returns {boolean} True when allowed
+     */
+    canManageRoles(...roles) {
+        return this.authService.hasPermission('user.manage-super-admins') ||
+            roles.every(role => !hasPermission(role, 'user.manage-super-admins'));
+    }
+
     /**
      * Get current user's role
      * @returns {string|null} Current user role
@@ -210,6 +232,14 @@ class UserManagementSystem {
                 throw new Error('Email and username are required');
             }
 
+            const role = normalizeRole(userData.role);
+            if (!role) {
+                throw new Error('A valid role is required');
+            }
+            if (!this.canManageRoles(role)) {
+                return SUPER_ADMIN_REQUIRED;
+            }
+
             // Check if user already exists
             const existingUser = await this.getUserByEmail(userData.email);
             if (existingUser) {
@@ -222,19 +252,24 @@ class UserManagementSystem {
                 email: userData.email,
                 username: userData.username || '',
 
-                role: userData.role || 'user',
+                role,
                 active: userData.active !== undefined ? userData.active : true,
-                // Hash password before storage (using Web Crypto API)
-                password: await this.hashPassword(userData.password || ''),
                 createdAt: new Date().toISOString(),
                 createdBy: this.currentAdmin?.uid || 'system'
             };
 
-            await this.firestoreFunctions.addDoc(
+            const userRef = await this.firestoreFunctions.addDoc(
                 this.firestoreFunctions.collection(this.db, 'users'),
                 userDoc
             );
 
+            // The password is hashed and stored by the setUserPassword Cloud Function
+            const passwordResult = await setUserPassword(userRef.id, userData.password || '');
+            if (!passwordResult.success) {
+                await this.firestoreFunctions.deleteDoc(userRef);
+                return passwordResult;
+            }
+
             return {
                 success: true,
                 user: userDoc,
@@ -277,7 +312,7 @@ class UserManagementSystem {
     }
 
     /**
-     * Delete a user (Firestore only)
+     * Delete a user through the deleteUser Cloud Function, which also removes their Authentication account
      * @param {string} uid - User ID to delete
      * @returns {Promise<Object>} Deletion result
      */
@@ -304,11 +339,18 @@ class UserManagementSystem {
             
             if (!querySnapshot.empty) {
                 const userDoc = querySnapshot.docs[0];
-                await this.firestoreFunctions.deleteDoc(userDoc.ref);
+                if (!this.canManageRoles(userDoc.data().role)) {
+                    return SUPER_ADMIN_REQUIRED;
+                }
+                const result = await callFunction('deleteUser', { token: getSessionToken(), uid });
                 
                 return {
                     success: true,
-                    message: 'User deleted successfully from database'
+                    message: result.message,
+                    details: {
+                        deletedFromAuth: result.deletedFromAuth,
+                        deletedFromFirestore: result.deletedFromFirestore
+                    }
                 };
             } else {
                 return {
@@ -378,6 +420,14 @@ class UserManagementSystem {
         }
 
         try {
+            const role = normalizeRole(newRole);
+            if (!role) {
+                return {
+                    success: false,
+                    error: 'Unknown role'
+                };
+            }
+
             const { getDocs, query, collection, where, updateDoc } = this.firestoreFunctions;
             const usersRef = collection(this.db, 'users');
             const q = query(usersRef, where('uid', '==', uid));
@@ -385,8 +435,11 @@ class UserManagementSystem {
             
             if (!querySnapshot.empty) {
                 const userDoc = querySnapshot.docs[0];
+                if (!this.canManageRoles(role, userDoc.data().role)) {
+                    return SUPER_ADMIN_REQUIRED;
+                }
                 await updateDoc(userDoc.ref, {
-                    role: newRole,
+                    role,
                     updatedAt: new Date().toISOString(),
                     updatedBy: this.currentAdmin?.uid || 'system'
                 });
@@ -430,19 +483,32 @@ class UserManagementSystem {
             }
 
             const userDoc = querySnapshot.docs[0];
+            const role = normalizeRole(userData.role);
+            if (!role) {
+                return {
+                    success: false,
+                    error: 'A valid role is required'
+                };
+            }
+            if (!this.canManageRoles(role, userDoc.data().role)) {
+                return SUPER_ADMIN_REQUIRED;
+            }
+
             const updateData = {
                 username: userData.username,
                 email: userData.email,
-                role: userData.role,
+                role,
                 active: userData.active,
                 updatedAt: new Date().toISOString(),
                 updatedBy: this.currentAdmin?.uid || 'system'
             };
 
-            // Only update password if provided
+            // Only update password if provided; the Cloud Function hashes it and logs the change
             if (userData.password && userData.password.trim() !== '') {
-                const hashedPassword = await this.hashPassword(userData.password);
-                updateData.password = hashedPassword;
+                const passwordResult = await setUserPassword(userDoc.id, userData.password);
+                if (!passwordResult.success) {
+                    return passwordResult;
+                }
             }
 
             await updateDoc(userDoc.ref, updateData);
@@ -474,104 +540,14 @@ class UserManagementSystem {
         const stats = {
             total: this.users.length,
             active: this.users.filter(user => user.active === true).length,
-            admins: this.users.filter(user => user.role === 'admin' || user.role === 'super-admin').length,
-            moderators: this.users.filter(user => user.role === 'moderator').length,
-            users: this.users.filter(user => user.role === 'user').length
+            admins: this.users.filter(user => hasPermission(user.role, 'user.manage')).length,
+            moderators: this.users.filter(user => normalizeRole(user.role) === 'moderator').length,
+            users: this.users.filter(user => normalizeRole(user.role) === 'user').length
         };
 
         return stats;
     }
 
-    /**
-     * Hash password using Web Crypto API
-     * @param {string} password - Plain text password
-     * @returns {Promise<string>} Hashed password
-     */
-    async hashPassword(password) {
-        try {
-            // Check if crypto.subtle is available
-            if (crypto && crypto.subtle) {
-                // Convert password to ArrayBuffer
-                const encoder = new TextEncoder();
-                const data = encoder.encode(password);
-                
-                // Hash the password using SHA-256
-                const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-                
-                // Convert ArrayBuffer to hex string
-                const hashArray = Array.from(new Uint8Array(hashBuffer));
-                const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-                
-                return 'sha256:' + hashHex; // Prefix to identify hash type
-            } else {
-                // Fallback to base64 encoding if crypto.subtle is not available
-                console.warn('crypto.subtle not available, using base64 fallback');
-                return 'base64:' + btoa(password);
-            }
-        } catch (error) {
-            console.error('Error hashing password:', error);
-            // Fallback to base64 encoding
-            console.warn('Falling back to base64 encoding due to error');
-            return 'base64:' + btoa(password);
-        }
-    }
-
-    /**
-     * Verify password against stored hash
-     * @param {string} password - Plain text password
-     * @param {string} storedHash - Stored password hash
-     * @returns {Promise<boolean>} Password matches
-     */
-    async verifyPassword(password, storedHash) {
-        try {
-            // Check if stored hash has a prefix to identify hash type
-            if (storedHash.startsWith('sha256:')) {
-                // Use SHA-256 verification
-                const hashedInput = await this.hashPassword(password);
-                return hashedInput === storedHash;
-            } else if (storedHash.startsWith('base64:')) {
-                // Use base64 verification
-                const base64Hash = 'base64:' + btoa(password);
-                return base64Hash === storedHash;
-            } else {
-                // Legacy hash without prefix - try both methods
-                
-                // Try current hashing method first
-                const hashedInput = await this.hashPassword(password);
-                if (hashedInput === storedHash) {
-                    return true;
-                }
-                
-                // Try base64 fallback
-                const base64Test = btoa(password);
-                if (base64Test === storedHash) {
-                    return true;
-                }
-                
-                // Try SHA-256 without prefix (legacy)
-                if (crypto && crypto.subtle) {
-                    try {
-                        const encoder = new TextEncoder();
-                        const data = encoder.encode(password);
-                        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-                        const hashArray = Array.from(new Uint8Array(hashBuffer));
-                        const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-                        if (hashHex === storedHash) {
-                            return true;
-                        }
-                    } catch (legacyError) {
-                        console.warn('Legacy SHA-256 verification failed:', legacyError);
-                    }
-                }
-                
-                return false;
-            }
-        } catch (error) {
-            console.error('Error verifying password:', error);
-            return false;
-        }
-    }
-
     /**
      * Authenticate user login using authentication service
      * @param {string} email - User email
@@ -637,11 +613,31 @@ class UserManagementUI {
         this.usersTableBody = document.getElementById('usersTableBody');
         this.emptyState = document.getElementById('emptyState');
         this.deleteModal = document.getElementById('deleteModal');
+        this.lockoutsTable = document.getElementById('lockoutsTable');
+        this.lockoutsTableBody = document.getElementById('lockoutsTableBody');
+        this.lockoutsEmptyState = document.getElementById('lockoutsEmptyState');
         this.userToDelete = null;
         
+        this.populateRoleOptions();
         this.setupEventListeners();
     }
 
+    /**
+     * Fill the role select from the permission model
+     * Roles only super-admins may assign are shown but disabled for other admins
+     */
+    populateRoleOptions() {
+        const select = document.getElementById('userRole');
+        if (!select) return;
+
+        const options = ROLES.map(role => {
+            const allowed = this.userManagement.canManageRoles(role);
+            const label = allowed ? ROLE_LABELS[role] : `${ROLE_LABELS[role]} (super-admins only)`;
+            return `<option value="${role}"${allowed ? '' : ' disabled'}>${label}</option>`;
+        });
+        select.innerHTML = `<option value="">Select Role</option>${options.join('')}`;
+    }
+
     /**
      * Setup event listeners
      */
@@ -654,6 +650,11 @@ class UserManagementUI {
             this.loadUsers(true); // Show success message for manual refresh
         });
         
+        // Refresh locked accounts button
+        document.getElementById('refreshLockoutsButton').addEventListener('click', () => {
+            this.loadLockouts();
+        });
+        
         // Modal event listeners
         document.getElementById('closeModal').addEventListener('click', this.hideDeleteModal.bind(this));
         document.getElementById('cancelDelete').addEventListener('click', this.hideDeleteModal.bind(this));
@@ -1113,84 +1114,41 @@ class UserManagementUI {
                 result = await this.userManagement.updateUser(this.editingUserId, userData);
                 
                 if (result.success) {
-                    // Log user edit action
+                    // Log user edit actions, one entry per kind of change
                     try {
+                        const changes = LoggingService.getUserChanges(originalUser, userData);
+                        const changesOf = (...fields) => changes.filter(change => fields.includes(change.field));
+                        const targetUserId = originalUser?.uid || this.editingUserId;
                         const logPromises = [];
                         
-                        // Log username change if it occurred
-                        if (originalUser && originalUser.username !== userData.username) {
-                            logPromises.push(
-                                LoggingService.logUserActivity(
-                                    'USER_EDIT',
-                                    adminUsername,
-                                    userData.username,
-                                    {
-                                        oldUsername: originalUser.username,
-                                        newUsername: userData.username,
-                                        performedByAdmin: true
-                                    }
-                                )
-                            );
-                        }
-                        
                         // Log role change if it occurred
-                        if (originalUser && originalUser.role !== userData.role) {
+                        if (changesOf('role').length > 0) {
                             logPromises.push(
-                                LoggingService.logUserActivity(
-                                    'ROLE_CHANGE',
-                                    adminUsername,
-                                    userData.username,
-                                    {
-                                        oldRole: originalUser.role,
-                                        newRole: userData.role,
-                                        performedByAdmin: true
-                                    }
-                                )
+                                LoggingService.logUserActivity('ROLE_CHANGE', adminUsername, userData.username, {
+                                    changes: changesOf('role'),
+                                    targetUserId
+                                })
                             );
                         }
                         
                         // Log status change if it occurred
-                        if (originalUser && originalUser.active !== userData.active) {
-                            logPromises.push(
-                                LoggingService.logUserActivity(
-                                    'ADMIN_EDIT',
-                                    adminUsername,
-                                    userData.username,
-                                    {
-                                        action: 'status_change',
-                                        newStatus: userData.active,
-                                        performedByAdmin: true
-                                    }
-                                )
-                            );
-                        }
-                        
-                        // Log password change if password was provided
-                        if (userData.password) {
+                        if (changesOf('active').length > 0) {
                             logPromises.push(
-                                LoggingService.logUserActivity(
-                                    'PASSWORD_CHANGE',
-                                    adminUsername,
-                                    userData.username,
-                                    {
-                                        performedByAdmin: true
-                                    }
-                                )
+                                LoggingService.logUserActivity('USER_STATUS', adminUsername, userData.username, {
+                                    changes: changesOf('active'),
+                                    targetUserId
+                                })
                             );
                         }
                         
-                        // If no specific changes were logged, log a general edit
-                        if (logPromises.length === 0) {
+                        // Log profile changes, or a general edit if nothing else was logged
+                        const profileChanges = changesOf('username', 'email', 'displayName');
+                        if (profileChanges.length > 0 || logPromises.length === 0) {
                             logPromises.push(
-                                LoggingService.logUserActivity(
-                                    'EDIT',
-                                    adminUsername,
-                                    userData.username,
-                                    {
-                                        details: 'User profile updated by admin',
-                                        performedByAdmin: true
-                                    }
-                                )
+                                LoggingService.logUserActivity('USER_EDIT', adminUsername, userData.username, {
+                                    changes: profileChanges,
+                                    targetUserId
+                                })
                             );
                         }
                         
@@ -1200,6 +1158,16 @@ class UserManagementUI {
                         console.error('⚠️ Failed to log user edit actions:', logError);
                         // Don't fail the entire operation if logging fails
                     }
+                    
+                    // Deactivated users are signed out everywhere straight away
+                    if (originalUser && originalUser.active !== false && userData.active === false) {
+                        try {
+                            const revoked = await signOutUser(originalUser.id);
+                            console.log(`✅ Signed out ${revoked} sessions of deactivated user`);
+                        } catch (signOutError) {
+                            console.error('⚠️ Failed to sign out deactivated user:', signOutError);
+                        }
+                    }
                 }
             } else {
                 // Create new user
@@ -1208,18 +1176,15 @@ class UserManagementUI {
                 if (result.success) {
                     // Log user creation
                     try {
-                        await LoggingService.logUserActivity(
-                            'ADMIN_EDIT',
-                            adminUsername,
-                            userData.username,
-                            {
-                                action: 'create',
+                        await LoggingService.logUserActivity('USER_CREATE', adminUsername, userData.username, {
+                            changes: LoggingService.getUserChanges({}, {
                                 email: userData.email,
-                                role: userData.role,
-                                active: userData.active,
-                                performedByAdmin: true
-                            }
-                        );
+                                role: result.user.role,
+                                active: result.user.active
+                            }),
+                            role: result.user.role,
+                            targetUserId: result.user.uid
+                        });
                         console.log('✅ User creation logged successfully');
                     } catch (logError) {
                         console.error('⚠️ Failed to log user creation:', logError);
@@ -1319,8 +1284,8 @@ class UserManagementUI {
                 <td>${user.username || 'N/A'}</td>
                 <td>${user.email}</td>
                 <td>
-                    <span class="user-role-badge role-${user.role}">
-                        ${user.role}
+                    <span class="user-role-badge role-${normalizeRole(user.role) || 'user'}">
+                        ${ROLE_LABELS[normalizeRole(user.role)] || this.escapeHtml(user.role || 'none')}
                     </span>
                 </td>
                 <td>
@@ -1336,6 +1301,10 @@ class UserManagementUI {
                             <i class="fas fa-edit"></i>
                             Edit
                         </button>
+                        <button class="btn-small btn-secondary" onclick="userManagementUI.handleSignOutUser('${user.id}', '${user.email}')">
+                            <i class="fas fa-sign-out-alt"></i>
+                            Sign Out
+                        </button>
                         <button class="btn-small btn-danger" onclick="userManagementUI.showDeleteModal('${user.uid}', '${user.email}')">
                             <i class="fas fa-trash"></i>
                             Delete
@@ -1346,6 +1315,78 @@ class UserManagementUI {
         `).join('');
     }
 
+    /**
+     * End every session of a user
+     * @param {string} userId - User document ID
+     * @param {string} email - User email, for the confirmation
+     */
+    async handleSignOutUser(userId, email) {
+        if (!confirm(`Sign out ${email} on every device?`)) {
+            return;
+        }
+
+        try {
+            const revoked = await signOutUser(userId);
+            this.showMessage(`Signed out ${revoked} session${revoked === 1 ? '' : 's'} of ${email}`, 'success');
+        } catch (error) {
+            this.showMessage(error.message || 'Failed to sign out user. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Load and display locked accounts and clients
+     */
+    async loadLockouts() {
+        try {
+            const lockouts = await listLoginLockouts();
+            this.displayLockouts(lockouts);
+        } catch (error) {
+            console.error('Error loading locked accounts:', error);
+            this.showMessage('Failed to load locked accounts.', 'error');
+        }
+    }
+
+    /**
+     * Display lockouts in table
+     * @param {Array} lockouts - Lockouts from listLoginLockouts
+     */
+    displayLockouts(lockouts) {
+        this.lockoutsTable.style.display = lockouts.length === 0 ? 'none' : '';
+        this.lockoutsEmptyState.style.display = lockouts.length === 0 ? 'block' : 'none';
+
+        // Labels can be anything typed into the login form, so they are escaped
+        this.lockoutsTableBody.innerHTML = lockouts.map(lockout => `
+            <tr>
+                <td>${this.escapeHtml(lockout.label)}</td>
+                <td>${lockout.kind === 'client' ? 'Client IP' : (lockout.userId ? 'Account' : 'Unknown account')}</td>
+                <td>${lockout.lockedAt ? new Date(lockout.lockedAt).toLocaleString() : 'N/A'}</td>
+                <td>${new Date(lockout.lockedUntil).toLocaleString()}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-small btn-secondary" onclick="userManagementUI.handleUnlock('${lockout.id}')">
+                            <i class="fas fa-lock-open"></i>
+                            Unlock
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Lift a lockout
+     * @param {string} id - Lockout ID
+     */
+    async handleUnlock(id) {
+        try {
+            await unlockLogin(id);
+            this.showMessage('Lockout lifted', 'success');
+        } catch (error) {
+            this.showMessage(error.message || 'Failed to unlock. Please try again.', 'error');
+        }
+        await this.loadLockouts();
+    }
+
     /**
      * Update user statistics display
      */
@@ -1424,18 +1465,11 @@ class UserManagementUI {
                     const currentUser = this.userManagement.getCurrentUser();
                     
                     if (currentUser && currentUser.username) {
-                        await LoggingService.logUserActivity(
-                            'ADMIN_EDIT',
-                            currentUser.username,
-                            deletedUsername,
-                            {
-                                action: 'delete',
-                                deletedUserId: this.userToDelete,
-                                deletedUserEmail: deletedUserEmail,
-                                adminAction: true,
-                                deletionDetails: result.message || result.error || 'User deletion processed'
-                            }
-                        );
+                        await LoggingService.logUserActivity('USER_DELETE', currentUser.username, deletedUsername, {
+                            email: deletedUserEmail,
+                            role: deletedUser?.role || null,
+                            targetUserId: this.userToDelete
+                        });
                     }
                 } catch (loggingError) {
                     console.error('Failed to log user deletion:', loggingError);
@@ -1495,7 +1529,7 @@ class UserManagementUI {
             // Populate form fields
             document.getElementById('userUsername').value = user.username || '';
             document.getElementById('userEmail').value = user.email || '';
-            document.getElementById('userRole').value = user.role || 'user';
+            document.getElementById('userRole').value = normalizeRole(user.role) || '';
             
             // Set active status toggle
             const toggleInput = document.getElementById('userActive');
@@ -1630,6 +1664,17 @@ class UserManagementUI {
         }
     }
 
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
     /**
      * Validate email format
      * @param {string} email - Email to validate
@@ -1678,31 +1723,21 @@ document.addEventListener('DOMContentLoaded', async function() {
             throw new Error('Failed to initialize User Management System');
         }
 
-        // Check for admin access from session storage
-         const adminEmail = sessionStorage.getItem('adminEmail');
-         const currentUser = sessionStorage.getItem('currentUser');
-         
-         if (!adminEmail || !currentUser) {
-             // Redirect to login if no valid session
-             console.log('🔄 DEBUG: No valid session found, redirecting to login');
-             window.location.href = '../login.html';
-             return;
-         }
-         
-         // Parse current user and check role
-         const userData = JSON.parse(currentUser);
-         if (userData.role !== 'administrator' && userData.role !== 'admin') {
-             // Redirect moderators to dashboard
-             console.log('🚫 DEBUG: Access denied - User is not an administrator');
-             console.log('👤 DEBUG: User role:', userData.role);
-             window.location.href = 'index.html';
-             return;
-         }
-         
-         console.log('✅ DEBUG: Valid administrator session found for:', adminEmail);
-         
-         // Set current admin from session
-         userManagementSystem.setCurrentAdmin(adminEmail);
+        // Check for admin access with the user the server verified, not the session storage copy
+        const userData = userManagementSystem.authService.getCurrentUser();
+        if (!userData) {
+            // Redirect to login if no valid session
+            console.log('🔄 No verified session, redirecting to login');
+            window.location.href = '../login.html';
+            return;
+        }
+        
+        if (!hasPermission(userData.role, 'user.manage')) {
+            // Redirect moderators to dashboard
+            console.log('🚫 Access denied - User is not an administrator');
+            window.location.href = 'index.html';
+            return;
+        }
 
         // Initialize UI handler
         userManagementUI = new UserManagementUI(userManagementSystem);
@@ -1714,6 +1749,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         
         // Load initial data
         await userManagementUI.loadUsers();
+        await userManagementUI.loadLockouts();
         
         console.log('User Management System initialized successfully');
     } catch (error) {
@@ -0,0 +1,281 @@
+/**
+ * Vocabularies Page
+ * Lets administrators add, rename, reorder and remove biomes, rarities and statuses
+ */
+
+import EnhancedCharacterStorageManager from './services/storage-manager.js';
+import AuthenticationService from './services/authentication-service.js';
+import toastManager from './components/toast.js';
+import { VOCABULARY_NAMES, LABEL_ONLY_VOCABULARIES } from './services/vocabularies.js';
+
+/**
+ * Vocabulary Editor Application
+ * Renames migrate existing characters, so they can take a while on large masterlists
+ */
+class VocabularyEditorApp {
+    constructor() {
+        this.storageManager = null;
+        this.authService = new AuthenticationService();
+        this.vocabularies = {};
+        this.renaming = null;
+    }
+
+    /**
+     * Initialize storage and render the vocabularies
+     */
+    async initialize() {
+        try {
+            await this.authService.initialize();
+
+            this.storageManager = new EnhancedCharacterStorageManager();
+            await this.storageManager.initialize();
+
+            document.querySelectorAll('.vocabulary-add-form').forEach(form => {
+                form.addEventListener('submit', (e) => this.addValue(e));
+            });
+            document.getElementById('renameForm')?.addEventListener('submit', (e) => this.renameValue(e));
+
+            await this.loadVocabularies();
+            this.applyRolePermissions();
+        } catch (error) {
+            console.error('Failed to initialize vocabularies:', error);
+            Object.keys(VOCABULARY_NAMES).forEach(key => this.showError(key, error.message));
+        }
+    }
+
+    /**
+     * Disable administrator-only controls for other roles
+     */
+    applyRolePermissions() {
+        const isAdmin = this.authService.hasPermission('vocabularies.manage');
+        document.querySelectorAll('.admin-only-action').forEach(element => {
+            element.disabled = !isAdmin;
+            if (!isAdmin) {
+                element.title = 'Administrator access required';
+            }
+        });
+    }
+
+    /**
+     * Load and render all vocabularies
+     */
+    async loadVocabularies() {
+        this.vocabularies = await this.storageManager.getVocabularies();
+        Object.keys(VOCABULARY_NAMES).forEach(key => this.renderVocabulary(key));
+    }
+
+    /**
+     * Render the table of one vocabulary
+     * @param {string} key - Vocabulary (biomes, rarities, statuses)
+     */
+    renderVocabulary(key) {
+        const tbody = document.getElementById(`${key}TableBody`);
+        if (!tbody) return;
+
+        const items = this.vocabularies[key] || [];
+        const adminAttributes = this.authService.hasPermission('vocabularies.manage') ? '' : 'disabled title="Administrator access required"';
+
+        tbody.innerHTML = items.map((item, index) => `
+            <tr>
+                <td><strong>${this.escapeHtml(item.label)}</strong></td>
+                <td><code>${this.escapeHtml(item.value)}</code></td>
+                <td class="recycle-bin-actions">
+                    <button class="btn btn-outline btn-small" ${adminAttributes} ${index === 0 ? 'disabled' : ''} onclick="vocabularyEditorApp.moveValue('${key}', ${index}, -1)" aria-label="Move up">
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button class="btn btn-outline btn-small" ${adminAttributes} ${index === items.length - 1 ? 'disabled' : ''} onclick="vocabularyEditorApp.moveValue('${key}', ${index}, 1)" aria-label="Move down">
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                    <button class="btn btn-outline btn-small" ${adminAttributes} onclick="vocabularyEditorApp.openRenameModal('${key}', ${index})">
+                        <i class="fas fa-edit"></i>Rename
+                    </button>
+                    <button class="btn btn-danger btn-small" ${adminAttributes} onclick="vocabularyEditorApp.removeValue('${key}', ${index})">
+                        <i class="fas fa-trash"></i>Remove
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Submit an add form
+     * @param {Event} event - Submit event
+     */
+    async addValue(event) {
+        event.preventDefault();
+
+        const form = event.target;
+        const key = form.dataset.vocabulary;
+        const label = new FormData(form).get('label');
+
+        try {
+            const item = await this.storageManager.addVocabularyValue(key, label);
+            toastManager.showSuccess(`${item.label} added to ${VOCABULARY_NAMES[key]}`);
+            form.reset();
+            await this.loadVocabularies();
+        } catch (error) {
+            console.error('Error adding vocabulary value:', error);
+            toastManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Open the rename form for a value
+     * @param {string} key - Vocabulary
+     * @param {number} index - Position of the value
+     */
+    openRenameModal(key, index) {
+        if (!this.authService.hasPermission('vocabularies.manage')) {
+            toastManager.showError('Only administrators can manage vocabularies');
+            return;
+        }
+
+        const item = this.vocabularies[key]?.[index];
+        if (!item) return;
+
+        this.renaming = { key, value: item.value };
+
+        document.getElementById('renameForm').reset();
+        document.getElementById('renameModalTitle').innerHTML = `<i class="fas fa-edit"></i> Rename ${this.escapeHtml(item.label)}`;
+        document.getElementById('renameLabel').value = item.label;
+        document.getElementById('renameHint').textContent = LABEL_ONLY_VOCABULARIES.includes(key)
+            ? 'Only the label changes; characters keep their stored status.'
+            : `Every character using ${item.label} is updated to the new name.`;
+
+        const modal = document.getElementById('renameModal');
+        modal.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close the rename form
+     */
+    closeRenameModal() {
+        const modal = document.getElementById('renameModal');
+        if (modal) {
+            modal.style.display = 'none';
+            document.body.style.overflow = '';
+        }
+        this.renaming = null;
+    }
+
+    /**
+     * Submit the rename form
+     * @param {Event} event - Submit event
+     */
+    async renameValue(event) {
+        event.preventDefault();
+        if (!this.renaming) return;
+
+        const { key, value } = this.renaming;
+        const label = new FormData(event.target).get('label');
+        const submitBtn = document.querySelector('button[form="renameForm"]');
+        const originalText = submitBtn.innerHTML;
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Renaming...';
+        submitBtn.disabled = true;
+
+        try {
+            const result = await this.storageManager.renameVocabularyValue(key, value, label);
+            toastManager.showSuccess(result.migratedCount > 0
+                ? `Renamed to ${result.item.label} and updated ${result.migratedCount} character${result.migratedCount === 1 ? '' : 's'}`
+                : `Renamed to ${result.item.label}`);
+            this.closeRenameModal();
+            await this.loadVocabularies();
+        } catch (error) {
+            console.error('Error renaming vocabulary value:', error);
+            toastManager.showError(error.message);
+        } finally {
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Move a value up or down
+     * @param {string} key - Vocabulary
+     * @param {number} index - Position of the value
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    async moveValue(key, index, offset) {
+        const item = this.vocabularies[key]?.[index];
+        if (!item) return;
+
+        try {
+            await this.storageManager.moveVocabularyValue(key, item.value, offset);
+            await this.loadVocabularies();
+        } catch (error) {
+            console.error('Error reordering vocabulary:', error);
+            toastManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Remove a value no character uses
+     * @param {string} key - Vocabulary
+     * @param {number} index - Position of the value
+     */
+    async removeValue(key, index) {
+        const item = this.vocabularies[key]?.[index];
+        if (!item) return;
+
+        if (!this.authService.hasPermission('vocabularies.manage')) {
+            toastManager.showError('Only administrators can manage vocabularies');
+            return;
+        }
+
+        if (!confirm(`Remove ${item.label} from ${VOCABULARY_NAMES[key]}?`)) {
+            return;
+        }
+
+        try {
+            await this.storageManager.removeVocabularyValue(key, item.value);
+            toastManager.showSuccess(`${item.label} removed`);
+            await this.loadVocabularies();
+        } catch (error) {
+            console.error('Error removing vocabulary value:', error);
+            toastManager.showError(error.message);
+        }
+    }
+
+    /**
+     * Show error message in place of a vocabulary table
+     * @param {string} key - Vocabulary
+     * @param {string} message - Error message
+     */
+    showError(key, message) {
+        const tbody = document.getElementById(`${key}TableBody`);
+        if (!tbody) return;
+
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="3" class="error-state">
+                    <div class="error-message">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        <p>Error: ${this.escapeHtml(message)}</p>
+                        <button onclick="window.location.reload()" class="btn btn-outline btn-sm">
+                            <i class="fas fa-refresh"></i> Retry
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+const vocabularyEditorApp = new VocabularyEditorApp();
+
+// Make app globally available for onclick handlers
+window.vocabularyEditorApp = vocabularyEditorApp;
+
+document.addEventListener('DOMContentLoaded', () => vocabularyEditorApp.initialize());
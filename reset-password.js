@@ -0,0 +1,200 @@
+/**
+ * Password Reset Page
+ * Opened from the emailed reset link (reset-password.html?token=...)
+ * Checks the link, then sets the new password through the resetPassword Cloud Function
+ */
+
+import { checkPasswordResetToken, resetPassword } from './ml/services/password-reset-service.js';
+
+// Keep in step with the password checks on the login and profile pages
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Reset Password UI Manager Class
+ * Handles the reset form, validation and feedback messages
+ */
+class ResetPasswordUIManager {
+    constructor(token) {
+        this.token = token;
+        this.resetForm = null;
+        this.passwordInput = null;
+        this.confirmInput = null;
+        this.resetButton = null;
+        this.messageContainer = null;
+        this.subtitle = null;
+        this.status = null;
+        this.isLoading = false;
+    }
+
+    /**
+     * Initialize UI components and check the reset link
+     * @returns {Promise<boolean>} True when the form is shown
+     */
+    async initialize() {
+        this.resetForm = document.getElementById('resetForm');
+        this.passwordInput = document.getElementById('newPassword');
+        this.confirmInput = document.getElementById('confirmPassword');
+        this.resetButton = document.getElementById('resetButton');
+        this.messageContainer = document.getElementById('messageContainer');
+        this.subtitle = document.getElementById('resetSubtitle');
+        this.status = document.getElementById('resetStatus');
+
+        if (!this.resetForm || !this.passwordInput || !this.confirmInput || !this.resetButton) {
+            console.error('Required form elements not found');
+            return false;
+        }
+
+        if (!this.token) {
+            this.showLinkError('This reset link is incomplete. Request a new one from the sign in page.');
+            return false;
+        }
+
+        const check = await checkPasswordResetToken(this.token);
+        if (!check.success) {
+            this.showLinkError(`${check.error} Request a new one from the sign in page.`);
+            return false;
+        }
+
+        this.subtitle.textContent = `Choose a new password for ${check.username}`;
+        this.resetForm.style.display = '';
+        this.setupEventListeners();
+        this.passwordInput.focus();
+        return true;
+    }
+
+    /**
+     * Set up form event listeners
+     */
+    setupEventListeners() {
+        this.resetForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        this.passwordInput.addEventListener('input', () => this.clearMessages());
+        this.confirmInput.addEventListener('input', () => this.clearMessages());
+
+        const toggleButton = document.getElementById('passwordToggle');
+        const toggleIcon = document.getElementById('passwordToggleIcon');
+        if (toggleButton && toggleIcon) {
+            toggleButton.addEventListener('click', () => {
+                const isPassword = this.passwordInput.type === 'password';
+                this.passwordInput.type = isPassword ? 'text' : 'password';
+                this.confirmInput.type = this.passwordInput.type;
+                toggleIcon.className = isPassword ? 'fas fa-eye-slash' : 'fas fa-eye';
+                toggleButton.title = isPassword ? 'Hide Password' : 'Show Password';
+            });
+        }
+    }
+
+    /**
+     * Handle form submission
+     * @param {Event} event - Form submit event
+     */
+    async handleFormSubmit(event) {
+        event.preventDefault();
+
+        if (this.isLoading) {
+            return;
+        }
+
+        const password = this.passwordInput.value;
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            this.showErrorMessage(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+            return;
+        }
+        if (password !== this.confirmInput.value) {
+            this.showErrorMessage('Passwords do not match');
+            return;
+        }
+
+        this.setLoadingState(true);
+        this.clearMessages();
+
+        try {
+            const result = await resetPassword(this.token, password);
+            if (result.success) {
+                this.resetForm.style.display = 'none';
+                this.subtitle.textContent = 'Your password has been changed';
+                this.status.innerHTML = `
+                    <div class="success-message">
+                        <i class="fas fa-check-circle"></i>
+                        You can now sign in with your new password.
+                    </div>
+                `;
+            } else {
+                this.showErrorMessage(result.error);
+            }
+        } finally {
+            this.setLoadingState(false);
+        }
+    }
+
+    /**
+     * Replace the form with a message about an unusable link
+     * @param {string} message - Error message
+     */
+    showLinkError(message) {
+        this.resetForm.style.display = 'none';
+        this.subtitle.textContent = 'This link cannot be used';
+        this.status.innerHTML = `
+            <div class="error-message">
+                <i class="fas fa-exclamation-circle"></i>
+                <span></span>
+            </div>
+        `;
+        this.status.querySelector('span').textContent = message;
+    }
+
+    /**
+     * Set loading state for the submit button
+     * @param {boolean} loading - Loading state
+     */
+    setLoadingState(loading) {
+        this.isLoading = loading;
+        this.resetButton.disabled = loading;
+        this.resetButton.innerHTML = loading
+            ? '<div class="loading-spinner"></div> Saving...'
+            : '<i class="fas fa-key"></i> Set New Password';
+    }
+
+    /**
+     * Show error message
+     * @param {string} message - Error message
+     */
+    showErrorMessage(message) {
+        if (!this.messageContainer) return;
+
+        this.messageContainer.innerHTML = `
+            <div class="error-message">
+                <i class="fas fa-exclamation-circle"></i>
+                <span></span>
+            </div>
+        `;
+        this.messageContainer.querySelector('span').textContent = message;
+    }
+
+    /**
+     * Clear all messages
+     */
+    clearMessages() {
+        if (this.messageContainer) {
+            this.messageContainer.innerHTML = '';
+        }
+    }
+}
+
+/**
+ * Initialize the reset page when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    // Keep the token out of the address bar and browser history
+    if (token) {
+        window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    try {
+        const uiManager = new ResetPasswordUIManager(token);
+        await uiManager.initialize();
+    } catch (error) {
+        console.error('Failed to initialize password reset page:', error);
+    }
+});
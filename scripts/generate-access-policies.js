@@ -0,0 +1,198 @@
+/**
+ * Generate the dashboard and hosting copies of the page access policies
+ * functions/accessPolicies.json is the source; this writes ml/config/access-policies.js, the generated
+ * block of _headers (Cloudflare Pages) and the headers and redirects of firebase.json
+ *
+ * Protected pages are sent with no-store and noindex headers. On Cloudflare Pages, functions/_middleware.js
+ * checks the permissions and disabled pages with the generated ml/config/access-policies.js; Firebase Hosting
+ * only redirects disabled pages to the home page and leaves permission checks to the page guards
+ *
+ * Usage: npm run generate:access-policies            (write the files)
+ *        npm run generate:access-policies -- --check (fail when a file is out of date)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const accessPolicies = require('../functions/accessPolicies');
+
+const ROOT = path.join(__dirname, '..');
+const BEGIN_MARKER = '# BEGIN GENERATED ACCESS POLICIES';
+const END_MARKER = '# END GENERATED ACCESS POLICIES';
+const NOTICE = 'Generated by scripts/generate-access-policies.js from functions/accessPolicies.json - do not edit';
+
+// Directories that are not served (see hosting.ignore in firebase.json)
+const IGNORED_DIRECTORIES = ['node_modules', 'functions'];
+
+const PROTECTED_HEADERS = {
+    'Cache-Control': 'no-store',
+    'X-Robots-Tag': 'noindex'
+};
+
+/**
+ * List the HTML pages of the site
+ * @param {string} [directory] - Directory to search, relative to the project root
+ * @returns {Array<string>} Page paths, e.g. '/ml/upload.html'
+ */
+function listPages(directory = '') {
+    return fs.readdirSync(path.join(ROOT, directory), { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.') && !IGNORED_DIRECTORIES.includes(entry.name))
+        .flatMap(entry => {
+            const relative = path.posix.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                return listPages(relative);
+            }
+            return entry.name.endsWith('.html') ? [`/${relative}`] : [];
+        })
+        .sort();
+}
+
+/**
+ * Path Cloudflare Pages serves a page at (pretty URLs drop .html and index.html)
+ * @param {string} page - Page path, e.g. '/ml/upload.html'
+ * @returns {string} e.g. '/ml/upload'
+ */
+function prettyPath(page) {
+    return page.endsWith('/index.html') ? page.slice(0, -'index.html'.length) : page.slice(0, -'.html'.length);
+}
+
+/**
+ * Firebase Hosting glob matching a list of pages, index pages also by their directory
+ * @param {Array<string>} pages - Page paths
+ * @returns {string} Glob, e.g. '{/ml/index.html,/ml/,/ml/upload.html}'
+ */
+function firebaseSource(pages) {
+    const paths = pages.flatMap(page => (page.endsWith('/index.html') ? [page, prettyPath(page)] : [page]));
+    return paths.length === 1 ? paths[0] : `{${paths.join(',')}}`;
+}
+
+/**
+ * Sort the site's pages by the policy that applies to them
+ * @returns {Object} { protectedPages, disabledPages } - lists of page paths
+ */
+function classifyPages() {
+    const protectedPages = [];
+    const disabledPages = [];
+    listPages().forEach(page => {
+        const policy = accessPolicies.findPagePolicy(page);
+        if (policy?.disabled) {
+            disabledPages.push(page);
+        } else if (policy?.permission) {
+            protectedPages.push(page);
+        }
+    });
+    return { protectedPages, disabledPages };
+}
+
+/**
+ * Build the ES module used by the dashboard
+ * @returns {string} File contents
+ */
+function buildClientModule() {
+    const fn = (name) => `export ${accessPolicies[name].toString()}`;
+
+    return [
+        `/**\n * Page access policies for the dashboard\n * ${NOTICE}\n */`,
+        'import { PERMISSIONS } from \'./permissions.js\';',
+        `export const ACCESS_POLICIES = ${JSON.stringify(accessPolicies.ACCESS_POLICIES, null, 4)};`,
+        fn('normalizePagePath'),
+        fn('matchesPagePath'),
+        fn('findPagePolicy'),
+        fn('validateAccessPolicies')
+    ].join('\n\n') + '\n';
+}
+
+/**
+ * Replace the generated block of a hosting file, adding it at the end if there is none yet
+ * @param {string} contents - Current file contents
+ * @param {Array<string>} lines - Generated lines, without the markers
+ * @returns {string} New contents
+ */
+function replaceBlock(contents, lines) {
+    const block = [`${BEGIN_MARKER} - ${NOTICE}`, ...lines, END_MARKER];
+    const current = contents.split('\n');
+    const start = current.findIndex(line => line.startsWith(BEGIN_MARKER));
+    const end = current.findIndex(line => line === END_MARKER);
+    if (start === -1 || end < start) {
+        const kept = contents.replace(/\n*$/, '');
+        return `${kept ? `${kept}\n\n` : ''}${block.join('\n')}\n`;
+    }
+    return [...current.slice(0, start), ...block, ...current.slice(end + 1)].join('\n');
+}
+
+/**
+ * Build the Cloudflare Pages header rules
+ * @param {Array<string>} pages - Protected pages
+ * @returns {Array<string>} Lines
+ */
+function buildHeaders(pages) {
+    return pages.map(prettyPath).flatMap(served => [
+        served,
+        ...Object.entries(PROTECTED_HEADERS).map(([name, value]) => `  ${name}: ${value}`)
+    ]);
+}
+
+/**
+ * Set the generated headers and redirects of the Firebase Hosting config
+ * @param {string} contents - Current firebase.json
+ * @param {Object} pages - { protectedPages, disabledPages }
+ * @returns {string} New contents
+ */
+function buildFirebaseConfig(contents, { protectedPages, disabledPages }) {
+    const config = JSON.parse(contents);
+    config.hosting.headers = protectedPages.length === 0 ? [] : [{
+        source: firebaseSource(protectedPages),
+        headers: Object.entries(PROTECTED_HEADERS).map(([key, value]) => ({ key, value }))
+    }];
+    config.hosting.redirects = disabledPages.length === 0 ? [] : [{
+        source: firebaseSource(disabledPages),
+        destination: '/',
+        type: 302
+    }];
+    return JSON.stringify(config, null, 2) + (contents.endsWith('\n') ? '\n' : '');
+}
+
+const errors = accessPolicies.validateAccessPolicies(accessPolicies.ACCESS_POLICIES);
+if (errors.length > 0) {
+    errors.forEach(error => console.error(`functions/accessPolicies.json: ${error}`));
+    process.exit(1);
+}
+
+const pages = classifyPages();
+
+const outputs = [
+    {
+        file: 'ml/config/access-policies.js',
+        build: () => buildClientModule()
+    },
+    {
+        file: '_headers',
+        build: (contents) => replaceBlock(contents, buildHeaders(pages.protectedPages))
+    },
+    {
+        file: 'firebase.json',
+        build: (contents) => buildFirebaseConfig(contents, pages)
+    }
+];
+
+const checkOnly = process.argv.includes('--check');
+let outdated = 0;
+
+outputs.forEach(({ file, build }) => {
+    const target = path.join(ROOT, file);
+    const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : '';
+    const next = build(current);
+
+    if (next === current) {
+        console.log(`${file} is up to date`);
+    } else if (checkOnly) {
+        console.error(`${file} is out of date - run npm run generate:access-policies`);
+        outdated++;
+    } else {
+        fs.writeFileSync(target, next);
+        console.log(`Wrote ${file}`);
+    }
+});
+
+if (outdated > 0) {
+    process.exit(1);
+}
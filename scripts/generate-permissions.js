@@ -0,0 +1,136 @@
+/**
+ * Generate the dashboard and security rules copies of the permission model
+ * functions/permissions.js is the source; this writes ml/config/permissions.js and the generated
+ * permission blocks of firestore.rules and storage.rules
+ *
+ * Usage: npm run generate:permissions            (write the files)
+ *        npm run generate:permissions -- --check (fail when a file is out of date)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const permissions = require('../functions/permissions');
+
+const ROOT = path.join(__dirname, '..');
+const BEGIN_MARKER = '// BEGIN GENERATED PERMISSIONS';
+const END_MARKER = '// END GENERATED PERMISSIONS';
+const NOTICE = 'Generated by scripts/generate-permissions.js from functions/permissions.js - do not edit';
+
+/**
+ * Role to permissions map for the security rules, aliases included so older accounts keep working
+ * @returns {Object} Role name to permission names
+ */
+function rulesRolePermissions() {
+    const map = { ...permissions.ROLE_PERMISSIONS };
+    Object.entries(permissions.ROLE_ALIASES).forEach(([alias, role]) => {
+        map[alias] = permissions.ROLE_PERMISSIONS[role];
+    });
+    return map;
+}
+
+/**
+ * Build the ES module used by the dashboard
+ * @returns {string} File contents
+ */
+function buildClientModule() {
+    const constant = (name) => `export const ${name} = ${JSON.stringify(permissions[name], null, 4)};`;
+    const fn = (name) => `export ${permissions[name].toString()}`;
+
+    return [
+        `/**\n * Roles and permissions for the dashboard\n * ${NOTICE}\n */`,
+        constant('ROLES'),
+        constant('ROLE_LABELS'),
+        constant('ROLE_ALIASES'),
+        constant('PERMISSIONS'),
+        constant('ROLE_PERMISSIONS'),
+        fn('normalizeRole'),
+        fn('getRolePermissions'),
+        fn('hasPermission')
+    ].join('\n\n') + '\n';
+}
+
+/**
+ * Build the permission functions for a rules file
+ * @param {string} userPath - Path of the caller's user document, as written in the rules
+ * @param {string} service - Prefix for get/exists ('' for Firestore, 'firestore.' for Storage)
+ * @param {string} indent - Indentation of the block
+ * @returns {Array<string>} Lines
+ */
+function buildRulesBlock(userPath, service, indent) {
+    const roles = Object.entries(rulesRolePermissions())
+        .map(([role, granted]) => `  '${role}': [${granted.map(permission => `'${permission}'`).join(', ')}]`);
+
+    return [
+        `${BEGIN_MARKER} - ${NOTICE}`,
+        '// Check whether the signed-in user\'s role grants a permission',
+        'function hasPermission(permission) {',
+        '  return request.auth != null &&',
+        `    ${service}exists(${userPath}) &&`,
+        `    permission in rolePermissions().get(${service}get(${userPath}).data.role, []);`,
+        '}',
+        '',
+        'function rolePermissions() {',
+        '  return {',
+        roles.map(line => `  ${line}`).join(',\n'),
+        '  };',
+        '}',
+        END_MARKER
+    ].join('\n').split('\n').map(line => (line ? indent + line : line));
+}
+
+/**
+ * Replace the generated block of a rules file
+ * @param {string} contents - Current file contents
+ * @param {Array<string>} block - Generated lines
+ * @param {string} file - File name, for errors
+ * @returns {string} New contents
+ */
+function replaceBlock(contents, block, file) {
+    const lines = contents.split('\n');
+    const start = lines.findIndex(line => line.trim().startsWith(BEGIN_MARKER));
+    const end = lines.findIndex(line => line.trim() === END_MARKER);
+    if (start === -1 || end < start) {
+        throw new Error(`${file} has no generated permissions block`);
+    }
+    return [...lines.slice(0, start), ...block, ...lines.slice(end + 1)].join('\n');
+}
+
+const outputs = [
+    {
+        file: 'ml/config/permissions.js',
+        build: () => buildClientModule()
+    },
+    {
+        file: 'firestore.rules',
+        build: (contents) => replaceBlock(contents,
+            buildRulesBlock('/databases/$(database)/documents/users/$(request.auth.uid)', '', '    '), 'firestore.rules')
+    },
+    {
+        file: 'storage.rules',
+        build: (contents) => replaceBlock(contents,
+            buildRulesBlock('/databases/(default)/documents/users/$(request.auth.uid)', 'firestore.', '    '), 'storage.rules')
+    }
+];
+
+const checkOnly = process.argv.includes('--check');
+let outdated = 0;
+
+outputs.forEach(({ file, build }) => {
+    const target = path.join(ROOT, file);
+    const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : '';
+    const next = build(current);
+
+    if (next === current) {
+        console.log(`${file} is up to date`);
+    } else if (checkOnly) {
+        console.error(`${file} is out of date - run npm run generate:permissions`);
+        outdated++;
+    } else {
+        fs.writeFileSync(target, next);
+        console.log(`Wrote ${file}`);
+    }
+});
+
+if (outdated > 0) {
+    process.exit(1);
+}